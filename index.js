@@ -5,6 +5,30 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'node:crypto';
 import CloudflareEmailService from './services/cloudflareEmailService.js';
+import ConsumptionService from './services/consumptionService.js';
+import ForecastService from './services/forecastService.js';
+import AlertService from './services/alertService.js';
+import SmsParserRegistry from './services/smsParserRegistry.js';
+import RevisionService from './services/revisionService.js';
+import MeterService from './services/meterService.js';
+import CsvImportService from './services/csvImportService.js';
+import BackupService from './services/backupService.js';
+import ExportService from './services/exportService.js';
+import TariffService from './services/tariffService.js';
+import PlannerService from './services/plannerService.js';
+import BudgetService from './services/budgetService.js';
+import LedgerService from './services/ledgerService.js';
+import ReadingValidationService from './services/readingValidationService.js';
+import readingTime from './services/readingTime.js';
+import stsToken from './services/stsToken.js';
+import AttachmentService from './services/attachmentService.js';
+import OutageService from './services/outageService.js';
+import SolarService from './services/solarService.js';
+import ApplianceService from './services/applianceService.js';
+import TransactionService from './services/transactionService.js';
+import SearchService from './services/searchService.js';
+import TimelineService from './services/timelineService.js';
+import VoucherStatusService from './services/voucherStatusService.js';
 
 // Helper function to extract a friendly name from email address
 function getFriendlyNameFromEmail(email) {
@@ -968,42 +992,287 @@ app.use('/api/dashboard/*', authMiddleware, tenantMiddleware);
 app.use('/api/transactions', authMiddleware, tenantMiddleware);
 app.use('/api/tenants/*', authMiddleware, tenantMiddleware);
 app.use('/api/export/*', authMiddleware, tenantMiddleware);
+app.use('/api/import/*', authMiddleware, tenantMiddleware);
 app.use('/api/account/*', authMiddleware);
 
+// Readings and vouchers are sent as JSON, or as multipart form data when a
+// photo comes with them. Returns { fields, photo } with photo as bytes.
+async function readEntryBody(c) {
+  if (!(c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+    return { fields: await c.req.json(), photo: null };
+  }
+
+  const form = await c.req.formData();
+  const fields = {};
+  for (const [key, value] of form.entries()) {
+    if (typeof value === 'string') {
+      fields[key] = value;
+    }
+  }
+  const file = form.get('photo');
+  const photo = file && typeof file !== 'string' && file.size > 0
+    ? { bytes: new Uint8Array(await file.arrayBuffer()), name: file.name }
+    : null;
+  return { fields, photo };
+}
+
+// Store the photo sent with a new reading or voucher. The entry is already
+// saved, so a photo that fails is reported rather than failing the request.
+async function storeEntryPhoto(attachmentService, photo, { tenantId, entityType, entityId, userId }) {
+  if (!photo) {
+    return {};
+  }
+  try {
+    const stored = await attachmentService.store(tenantId, entityType, entityId, photo, userId);
+    return stored.error ? { attachmentError: stored.error } : { attachment: stored.attachment };
+  } catch (error) {
+    console.error('Photo upload error:', error);
+    return { attachmentError: 'The photo could not be saved' };
+  }
+}
+
+// Remove the files of a deleted entry's photos. Their rows are already gone,
+// so a failure here only leaves unreachable objects behind.
+async function removeEntryPhotos(attachmentService, attachments) {
+  try {
+    await attachmentService.removeObjects(attachments);
+  } catch (error) {
+    console.error('Photo cleanup error:', error);
+  }
+}
+
 // Create reading endpoint
 app.post('/api/readings', authMiddleware, tenantMiddleware, async (c) => {
   try {
     const user = c.get('user');
     const tenant = c.get('tenant');
     const db = c.env.DB;
-    const { reading_value, reading_date, notes } = await c.req.json();
+    const { fields, photo } = await readEntryBody(c);
+    const { reading_value, reading_at, reading_date, notes, meter_id, confirm_warnings, mark_loaded } = fields;
 
     // Validate required fields
-    if (!reading_value || !reading_date) {
+    if (!reading_value || !(reading_at || reading_date)) {
       return c.json({ error: 'Reading value and date are required' }, 400);
     }
 
-    // Insert new reading with tenant isolation
-    const result = await db.prepare(`
-      INSERT INTO readings (user_id, tenant_id, reading_value, reading_date, notes, created_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
-    `).bind(user.userId, tenant.id, reading_value, reading_date, notes || null).run();
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS, c.env.IMAGES);
+    const photoError = photo && attachmentService.validate(photo.bytes);
+    if (photoError) {
+      return c.json({ error: photoError }, 400);
+    }
+
+    // reading_at may carry a zone; times without one are South African
+    const time = readingTime.parse(reading_at || reading_date, readingTime.now());
+    if (!time) {
+      return c.json({ error: 'Reading date must be YYYY-MM-DD, optionally with a time' }, 400);
+    }
+
+    // Households with one meter get it assigned automatically
+    const meterService = new MeterService(db);
+    const meter = meterService.assign(await meterService.list(tenant.id), { meterId: meter_id });
+    if (meter.error) {
+      return c.json({ error: meter.error }, 400);
+    }
+
+    // A reading that looks wrong comes back with its warnings unsaved; sending
+    // it again with confirm_warnings saves it anyway
+    const candidate = {
+      reading_value: Number(reading_value),
+      reading_at: time.readingAt,
+      reading_date: time.readingDate,
+      meter_id: meter.meterId
+    };
+    const warnings = await new ReadingValidationService(db).checkReading(tenant.id, candidate);
+    if (warnings.length > 0 && !confirm_warnings) {
+      return c.json({
+        error: 'Check this reading before saving it',
+        needsConfirmation: true,
+        warnings
+      }, 409);
+    }
+
+    // With mark_loaded, pending tokens whose units the reading's jump matches
+    // are verified by it. They are matched against the readings before it.
+    const voucherStatusService = new VoucherStatusService(db);
+    const matched = mark_loaded && mark_loaded !== 'false'
+      ? await voucherStatusService.matchReading(tenant.id, candidate)
+      : null;
+
+    // Insert new reading with tenant isolation, and verify the matched
+    // tokens in the same batch so neither is saved without the other
+    const statements = [db.prepare(`
+      INSERT INTO readings (user_id, tenant_id, meter_id, reading_value, reading_at, reading_date, notes, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).bind(user.userId, tenant.id, meter.meterId, reading_value, time.readingAt, time.readingDate, notes || null)];
+    if (matched && matched.length > 0) {
+      statements.push(voucherStatusService.verifyStatement(tenant.id, matched.map(voucher => voucher.id), {
+        userId: user.userId,
+        meterId: meter.meterId,
+        readingAt: time.readingAt
+      }));
+    }
+    const [result] = await db.batch(statements);
 
     if (result.success) {
+      const upload = await storeEntryPhoto(attachmentService, photo, {
+        tenantId: tenant.id,
+        entityType: 'reading',
+        entityId: result.meta.last_row_id,
+        userId: user.userId
+      });
+
       return c.json({
         success: true,
         message: 'Reading saved successfully',
-        id: result.meta.last_row_id
+        id: result.meta.last_row_id,
+        reading_at: time.readingAt,
+        warnings,
+        loadedVouchers: matched ? voucherStatusService.summarise(matched) : undefined,
+        ...upload
       });
     } else {
       throw new Error('Failed to insert reading');
     }
   } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'You already have a reading at that time' }, 409);
+    }
     console.error('Reading creation error:', error);
     return c.json({ error: error.message || 'Failed to save reading' }, 500);
   }
 });
 
+// Data-quality report: every reading that looks wrong, and why
+app.get('/api/readings/quality', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    const report = await new ReadingValidationService(db).report(tenant.id);
+
+    return c.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Reading quality error:', error);
+    return c.json({ error: 'Failed to check readings' }, 500);
+  }
+});
+
+// Update reading endpoint - every change is recorded in the revisions table
+app.put('/api/readings/:id', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+    const { reading_date, ...updates } = await c.req.json();
+
+    // The time can be sent as reading_at or reading_date; reading_date is
+    // then worked out from it
+    if (updates.reading_at === undefined && reading_date !== undefined) {
+      updates.reading_at = reading_date;
+    }
+    if (updates.reading_at) {
+      const time = readingTime.parse(updates.reading_at, readingTime.now());
+      if (!time) {
+        return c.json({ success: false, error: 'Reading date must be YYYY-MM-DD, optionally with a time' }, 400);
+      }
+      updates.reading_at = time.readingAt;
+    }
+
+    // Check the reading exists and belongs to tenant (family)
+    const reading = await db.prepare(`
+      SELECT * FROM readings WHERE id = ? AND tenant_id = ?
+    `).bind(id, tenant.id).first();
+
+    if (!reading) {
+      return c.json({
+        success: false,
+        error: 'Reading not found or access denied'
+      }, 404);
+    }
+
+    const revisionService = new RevisionService(db);
+    const { oldValues, newValues, changed } = revisionService.diff('reading', reading, updates);
+
+    if (!changed) {
+      return c.json({
+        success: true,
+        message: 'No changes to save',
+        changed: false
+      });
+    }
+
+    const validationError = revisionService.validate('reading', newValues);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    if (newValues.meter_id && !(await new MeterService(db).get(tenant.id, newValues.meter_id))) {
+      return c.json({ success: false, error: 'Meter not found' }, 400);
+    }
+
+    const columns = 'reading_at' in newValues
+      ? { ...newValues, reading_date: readingTime.localDate(newValues.reading_at) }
+      : newValues;
+
+    // Any family member can edit readings in their tenant
+    await db.batch([
+      revisionService.updateStatement('reading', reading.id, tenant.id, columns),
+      revisionService.recordStatement({
+        tenantId: tenant.id,
+        entityType: 'reading',
+        entityId: reading.id,
+        userId: user.userId,
+        oldValues,
+        newValues
+      })
+    ]);
+
+    return c.json({
+      success: true,
+      message: 'Reading updated successfully',
+      changed: true,
+      oldValues,
+      newValues
+    });
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({
+        success: false,
+        error: "You already have a reading at that time"
+      }, 409);
+    }
+    console.error('Error updating reading:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to update reading'
+    }, 500);
+  }
+});
+
+// Revision history for a reading
+app.get('/api/readings/:id/revisions', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+
+    const revisionService = new RevisionService(db);
+    const revisions = await revisionService.list(tenant.id, 'reading', parseInt(id));
+
+    return c.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error fetching reading revisions:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch revisions'
+    }, 500);
+  }
+});
+
 // Delete reading endpoint
 app.delete('/api/readings/:id', async (c) => {
   try {
@@ -1029,11 +1298,27 @@ app.delete('/api/readings/:id', async (c) => {
     }
 
     // Delete the reading (any family member can delete readings in their tenant)
-    const result = await db.prepare(`
-      DELETE FROM readings WHERE id = ? AND tenant_id = ?
-    `).bind(id, tenant.id).run();
+    // and its photos, and keep a copy of what was removed in its revision history
+    const revisionService = new RevisionService(db);
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS);
+    const attachments = await attachmentService.list(tenant.id, 'reading', reading.id);
+    const [, result] = await db.batch([
+      attachmentService.deleteStatement(tenant.id, 'reading', reading.id),
+      db.prepare(`
+        DELETE FROM readings WHERE id = ? AND tenant_id = ?
+      `).bind(id, tenant.id),
+      revisionService.recordStatement({
+        tenantId: tenant.id,
+        entityType: 'reading',
+        entityId: reading.id,
+        userId: user.userId,
+        action: 'delete',
+        oldValues: revisionService.snapshot('reading', reading)
+      })
+    ]);
 
     if (result.success) {
+      await removeEntryPhotos(attachmentService, attachments);
       return c.json({
         success: true,
         message: 'Reading deleted successfully',
@@ -1051,6 +1336,25 @@ app.delete('/api/readings/:id', async (c) => {
   }
 });
 
+// Tokens from the list the household has already saved, whoever saved them.
+// D1 caps bound parameters per query, so the lookup is done in chunks.
+async function findExistingTokens(db, tenantId, tokens) {
+  const existing = new Set();
+  const unique = [...new Set(tokens.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += 90) {
+    const chunk = unique.slice(i, i + 90);
+    const rows = await db.prepare(`
+      SELECT token_number FROM vouchers
+      WHERE tenant_id = ? AND token_number IN (${chunk.map(() => '?').join(', ')})
+    `).bind(tenantId, ...chunk).all();
+
+    (rows.results || []).forEach(row => existing.add(row.token_number));
+  }
+
+  return existing;
+}
+
 // Parse SMS voucher endpoint
 app.post('/api/vouchers/parse-sms', async (c) => {
   try {
@@ -1063,75 +1367,111 @@ app.post('/api/vouchers/parse-sms', async (c) => {
       }, 400);
     }
 
-    // Parse FNB SMS format
-    // Example: "FNB :-) Cape Town. Elec Amt: R86.96. Vat Amt: R13.04. Meter: 09000490491. Credit Token: 1393-1590-8399-0790-1839. Units: 29.7kWh."
-
-    const patterns = {
-      // Match electricity amount: "Elec Amt: R86.96"
-      amount: /Elec Amt:\s*R?([\d.]+)/i,
-
-      // Match VAT amount: "Vat Amt: R13.04"
-      vat: /Vat Amt:\s*R?([\d.]+)/i,
-
-      // Match units: "Units: 29.7kWh"
-      units: /Units:\s*([\d.]+)(?:kWh?)?/i,
+    // Each bank/vendor format is a module in services/smsParsers/
+    const registry = new SmsParserRegistry();
 
-      // Match credit token: "Credit Token: 1393-1590-8399-0790-1839"
-      token: /Credit Token:\s*([\d-]+)/i,
+    const messageCount = registry.splitMessages(smsText).length;
 
-      // Match meter number: "Meter: 09000490491"
-      meter: /Meter:\s*(\d+)/i
-    };
-
-    const parsed = {};
-    let hasMatches = false;
-
-    // Extract amount
-    const amountMatch = smsText.match(patterns.amount);
-    if (amountMatch) {
-      parsed.amount = parseFloat(amountMatch[1]);
-      hasMatches = true;
+    if (messageCount > 500) {
+      return c.json({
+        success: false,
+        error: 'Paste at most 500 messages at a time'
+      }, 400);
     }
 
-    // Extract VAT
-    const vatMatch = smsText.match(patterns.vat);
-    if (vatMatch) {
-      parsed.vat = parseFloat(vatMatch[1]);
-      hasMatches = true;
-    }
+    // Parsed meter numbers are matched against the household's meters
+    const tenant = c.get('tenant');
+    const meterService = new MeterService(c.env.DB);
+    const meters = tenant && tenant.id ? await meterService.list(tenant.id) : [];
+    const findMeter = (meterNumber) => {
+      const { meterId } = meterService.assign(meters, { meterNumber });
+      return meters.find(m => m.id === meterId) || null;
+    };
 
-    // Extract units
-    const unitsMatch = smsText.match(patterns.units);
-    if (unitsMatch) {
-      parsed.units = parseFloat(unitsMatch[1]);
-      hasMatches = true;
-    }
+    // A pasted block of several messages is previewed row by row
+    if (messageCount > 1) {
+      const rows = registry.parseBatch(smsText);
+      const existing = tenant && tenant.id
+        ? await findExistingTokens(c.env.DB, tenant.id, rows.map(r => r.fields?.token))
+        : new Set();
+      const seen = new Set();
+
+      const messages = rows.map(row => {
+        const fields = row.fields || {};
+        let duplicate = null;
+        if (fields.token && existing.has(fields.token)) {
+          duplicate = 'existing';
+        } else if (fields.token && seen.has(fields.token)) {
+          duplicate = 'batch';
+        }
+        if (fields.token) {
+          seen.add(fields.token);
+        }
+        const meter = findMeter(fields.meter);
+
+        return {
+          row: row.row,
+          text: row.text,
+          success: row.success,
+          parser: row.parser || null,
+          confidence: row.confidence || 0,
+          missingFields: row.missing || [],
+          warnings: row.warnings || [],
+          diagnostic: row.diagnostic || null,
+          amount: fields.amount,
+          vat: fields.vat,
+          units: fields.units,
+          token: fields.token,
+          meter: fields.meter,
+          meterId: meter ? meter.id : null,
+          meterLabel: meter ? meter.label : null,
+          date: row.date,
+          note: fields.meter && !meter ? `Meter: ${fields.meter}` : undefined,
+          duplicate
+        };
+      });
 
-    // Extract token
-    const tokenMatch = smsText.match(patterns.token);
-    if (tokenMatch) {
-      parsed.token = tokenMatch[1];
-      hasMatches = true;
+      return c.json({
+        success: true,
+        batch: true,
+        message: `Found ${messages.length} messages`,
+        count: messages.length,
+        parsed: messages.filter(m => m.success).length,
+        duplicates: messages.filter(m => m.duplicate).length,
+        messages
+      });
     }
 
-    // Extract meter (for notes)
-    const meterMatch = smsText.match(patterns.meter);
-    if (meterMatch) {
-      parsed.note = `Meter: ${meterMatch[1]}`;
-      hasMatches = true;
-    }
+    const result = registry.parse(smsText);
 
-    if (!hasMatches) {
+    if (!result.success) {
       return c.json({
         success: false,
-        error: 'The string did not match the expected pattern.'
+        error: result.diagnostic.message,
+        diagnostic: result.diagnostic
       }, 400);
     }
 
+    const { amount, vat, units, token, meter, date } = result.fields;
+    const matchedMeter = findMeter(meter);
+
     return c.json({
       success: true,
-      message: 'SMS parsed successfully',
-      ...parsed
+      message: `SMS parsed as ${result.parser.name}`,
+      parser: result.parser,
+      confidence: result.confidence,
+      missingFields: result.missing,
+      warnings: result.warnings,
+      amount,
+      vat,
+      units,
+      token,
+      meter,
+      meterId: matchedMeter ? matchedMeter.id : null,
+      meterLabel: matchedMeter ? matchedMeter.label : null,
+      date,
+      // Numbers that don't match one of the household's meters are kept in the notes
+      note: meter && !matchedMeter ? `Meter: ${meter}` : undefined
     });
 
   } catch (error) {
@@ -1149,47 +1489,169 @@ app.post('/api/vouchers', async (c) => {
     const user = c.get('user');
     const tenant = c.get('tenant');
     const db = c.env.DB;
-    const { token, purchase_date, amount, units, vat, notes } = await c.req.json();
+    const { fields, photo } = await readEntryBody(c);
+    const { token, purchase_date, amount, units, vat, notes, meter_id, meter } = fields;
 
     // Validate required fields
     if (!token || !purchase_date || !amount || !units) {
       return c.json({ error: 'Token number, purchase date, amount, and units are required' }, 400);
     }
 
+    // Tokens are stored as XXXX-XXXX-XXXX-XXXX-XXXX however they were typed
+    const tokenNumber = stsToken.parse(token);
+    if (!tokenNumber) {
+      return c.json({ error: stsToken.error }, 400);
+    }
+
+    if (!readingTime.parse(purchase_date)) {
+      return c.json({ error: 'Purchase date must be YYYY-MM-DD, optionally with a time' }, 400);
+    }
+
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS, c.env.IMAGES);
+    const photoError = photo && attachmentService.validate(photo.bytes);
+    if (photoError) {
+      return c.json({ error: photoError }, 400);
+    }
+
+    // meter_id if one was picked, otherwise matched from the SMS meter number
+    const meterService = new MeterService(db);
+    const assigned = meterService.assign(await meterService.list(tenant.id), { meterId: meter_id, meterNumber: meter });
+    if (assigned.error) {
+      return c.json({ error: assigned.error }, 400);
+    }
+
     // Insert new voucher with tenant isolation
     const result = await db.prepare(`
-      INSERT INTO vouchers (user_id, tenant_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-    `).bind(user.userId, tenant.id, token, purchase_date, amount, units, vat || 0, notes || null).run();
+      INSERT INTO vouchers (user_id, tenant_id, meter_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).bind(user.userId, tenant.id, assigned.meterId, tokenNumber, purchase_date, amount, units, vat || 0, notes || null).run();
 
     if (result.success) {
+      const upload = await storeEntryPhoto(attachmentService, photo, {
+        tenantId: tenant.id,
+        entityType: 'voucher',
+        entityId: result.meta.last_row_id,
+        userId: user.userId
+      });
+
       return c.json({
         success: true,
         message: 'Voucher saved successfully',
-        id: result.meta.last_row_id
+        id: result.meta.last_row_id,
+        token_number: tokenNumber,
+        ...upload
       });
     } else {
       throw new Error('Failed to insert voucher');
     }
   } catch (error) {
+    // A token can only be saved once per household
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'This token has already been saved' }, 409);
+    }
     console.error('Voucher creation error:', error);
     return c.json({ error: error.message || 'Failed to save voucher' }, 500);
   }
 });
 
-// Delete voucher endpoint
-app.delete('/api/vouchers/:id', async (c) => {
+// Bulk create vouchers from a batch SMS import. Valid rows are saved in one
+// transaction; duplicate tokens and invalid rows are reported per row.
+app.post('/api/vouchers/bulk', async (c) => {
   try {
     const user = c.get('user');
     const tenant = c.get('tenant');
     const db = c.env.DB;
-    const { id } = c.req.param();
+    const { vouchers } = await c.req.json();
 
-    if (!id) {
-      return c.json({ error: 'Voucher ID is required' }, 400);
+    if (!Array.isArray(vouchers) || vouchers.length === 0) {
+      return c.json({ error: 'vouchers must be a non-empty array' }, 400);
     }
 
-    // First check if voucher exists and belongs to tenant (family)
+    if (vouchers.length > 500) {
+      return c.json({ error: 'Import at most 500 vouchers at a time' }, 400);
+    }
+
+    const tokens = vouchers.map(v => stsToken.parse(v?.token));
+    const existing = await findExistingTokens(db, tenant.id, tokens);
+    const meterService = new MeterService(db);
+    const voucherStatusService = new VoucherStatusService(db);
+    const meters = await meterService.list(tenant.id);
+    const meterIds = [];
+    const seen = new Set();
+    const results = [];
+    const toInsert = [];
+
+    vouchers.forEach((voucher, index) => {
+      const { token, purchase_date, amount, units, meter_id, meter } = voucher || {};
+      const assigned = meterService.assign(meters, { meterId: meter_id, meterNumber: meter });
+
+      if (!token || !purchase_date || !(Number(amount) > 0) || !(Number(units) > 0)) {
+        results[index] = { index, status: 'invalid', error: 'Token number, purchase date, amount, and units are required' };
+      } else if (!tokens[index]) {
+        results[index] = { index, status: 'invalid', error: stsToken.error };
+      } else if (!readingTime.parse(purchase_date)) {
+        results[index] = { index, status: 'invalid', error: 'Purchase date must be YYYY-MM-DD, optionally with a time' };
+      } else if (assigned.error) {
+        results[index] = { index, status: 'invalid', error: assigned.error };
+      } else if (existing.has(tokens[index]) || seen.has(tokens[index])) {
+        results[index] = { index, status: 'duplicate', error: 'This token has already been saved' };
+      } else {
+        seen.add(tokens[index]);
+        meterIds[index] = assigned.meterId;
+        toInsert.push(index);
+      }
+    });
+
+    if (toInsert.length > 0) {
+      // D1 runs a batch as a single transaction
+      const statements = toInsert.map(index => {
+        const v = vouchers[index];
+        const status = voucherStatusService.importedStatus(tenant.id, meterIds[index], v.purchase_date);
+        return db.prepare(`
+          INSERT INTO vouchers (user_id, tenant_id, meter_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, status, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${status.clause}, datetime('now'))
+          ON CONFLICT DO NOTHING
+        `).bind(user.userId, tenant.id, meterIds[index], tokens[index], v.purchase_date, Number(v.amount), Number(v.units), Number(v.vat) || 0, v.notes || null, ...status.params);
+      });
+
+      const inserted = await db.batch(statements);
+
+      // A row can still hit the unique constraint if it was saved in the meantime
+      inserted.forEach((result, i) => {
+        const index = toInsert[i];
+        results[index] = result.meta.changes > 0
+          ? { index, status: 'created', id: result.meta.last_row_id }
+          : { index, status: 'duplicate', error: 'This token has already been saved' };
+      });
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    return c.json({
+      success: true,
+      message: `Imported ${count('created')} of ${vouchers.length} vouchers`,
+      created: count('created'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk voucher creation error:', error);
+    return c.json({ error: 'Failed to import vouchers' }, 500);
+  }
+});
+
+// Update voucher endpoint - every change is recorded in the revisions table
+app.put('/api/vouchers/:id', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+    const updates = await c.req.json();
+
+    // Check the voucher exists and belongs to tenant (family)
     const voucher = await db.prepare(`
       SELECT * FROM vouchers WHERE id = ? AND tenant_id = ?
     `).bind(id, tenant.id).first();
@@ -1201,75 +1663,314 @@ app.delete('/api/vouchers/:id', async (c) => {
       }, 404);
     }
 
-    // Delete the voucher (any family member can delete vouchers in their tenant)
-    const result = await db.prepare(`
-      DELETE FROM vouchers WHERE id = ? AND tenant_id = ?
-    `).bind(id, tenant.id).run();
+    const revisionService = new RevisionService(db);
+    const { oldValues, newValues, changed } = revisionService.diff('voucher', voucher, updates);
 
-    if (result.success) {
+    if (!changed) {
       return c.json({
         success: true,
-        message: 'Voucher deleted successfully',
-        deletedId: parseInt(id)
+        message: 'No changes to save',
+        changed: false
       });
-    } else {
-      throw new Error('Failed to delete voucher');
     }
+
+    const validationError = revisionService.validate('voucher', newValues);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    if (newValues.meter_id && !(await new MeterService(db).get(tenant.id, newValues.meter_id))) {
+      return c.json({ success: false, error: 'Meter not found' }, 400);
+    }
+
+    // Any family member can edit vouchers in their tenant
+    await db.batch([
+      revisionService.updateStatement('voucher', voucher.id, tenant.id, newValues),
+      revisionService.recordStatement({
+        tenantId: tenant.id,
+        entityType: 'voucher',
+        entityId: voucher.id,
+        userId: user.userId,
+        oldValues,
+        newValues
+      })
+    ]);
+
+    return c.json({
+      success: true,
+      message: 'Voucher updated successfully',
+      changed: true,
+      oldValues,
+      newValues
+    });
   } catch (error) {
-    console.error('Error deleting voucher:', error);
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({
+        success: false,
+        error: "That token has already been saved"
+      }, 409);
+    }
+    console.error('Error updating voucher:', error);
     return c.json({
       success: false,
-      error: 'Failed to delete voucher'
+      error: 'Failed to update voucher'
     }, 500);
   }
 });
 
-// Super Admin Dashboard - separate endpoint with platform-wide metrics
-app.get('/api/dashboard/admin', authMiddleware, superAdminMiddleware, async (c) => {
+// Revision history for a voucher
+app.get('/api/vouchers/:id/revisions', async (c) => {
   try {
+    const tenant = c.get('tenant');
     const db = c.env.DB;
+    const { id } = c.req.param();
 
-    // Get platform-wide voucher statistics
-    const voucherResult = await db.prepare(`
-      SELECT
-        COALESCE(SUM(rand_amount), 0) as total_amount,
-        COALESCE(SUM(kwh_amount), 0) as total_units,
-        COALESCE(SUM(vat_amount), 0) as total_vat,
-        COUNT(*) as total_vouchers
-      FROM vouchers
-    `).first();
+    const revisionService = new RevisionService(db);
+    const revisions = await revisionService.list(tenant.id, 'voucher', parseInt(id));
 
-    // Calculate average cost per kWh
-    const avgCostPerKwh = voucherResult.total_units > 0 ?
-      voucherResult.total_amount / voucherResult.total_units : 0;
+    return c.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error fetching voucher revisions:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch revisions'
+    }, 500);
+  }
+});
 
-    // Get recent vouchers across all tenants
-    const recentVouchers = await db.prepare(`
-      SELECT v.*, t.name as tenant_name, u.email as user_email
-      FROM vouchers v
-      LEFT JOIN tenants t ON v.tenant_id = t.id
-      LEFT JOIN users u ON v.user_id = u.id
-      ORDER BY v.purchase_date DESC
-      LIMIT 5
-    `).all();
+// Mark a token loaded (optionally with loaded_at), or back to purchased if
+// it wasn't. Verified tokens are set by the readings that show them.
+app.put('/api/vouchers/:id/status', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
 
-    // Get recent readings across all tenants
-    const recentReadings = await db.prepare(`
-      SELECT r.*, t.name as tenant_name, u.email as user_email
-      FROM readings r
-      LEFT JOIN tenants t ON r.tenant_id = t.id
-      LEFT JOIN users u ON r.user_id = u.id
-      ORDER BY r.reading_date DESC
-      LIMIT 5
-    `).all();
+    const voucherStatusService = new VoucherStatusService(db);
+    const change = voucherStatusService.parseStatusChange(await c.req.json());
+    if (change.error) {
+      return c.json({ success: false, error: change.error }, 400);
+    }
 
-    // Get monthly data for the last 6 months across all tenants
-    const monthlyData = await db.prepare(`
-      SELECT
-        strftime('%Y-%m', purchase_date) as month,
-        SUM(rand_amount) as amount,
-        SUM(kwh_amount) as kwh,
-        COUNT(*) as voucher_count
+    const result = await voucherStatusService.statusStatement(tenant.id, id, change).run();
+    if (!result.meta.changes) {
+      return c.json({ success: false, error: 'Voucher not found or access denied' }, 404);
+    }
+
+    return c.json({
+      success: true,
+      message: change.status === 'loaded' ? 'Token marked as loaded' : 'Token marked as not loaded',
+      status: change.status,
+      loaded_at: change.loadedAt
+    });
+  } catch (error) {
+    console.error('Error updating voucher status:', error);
+    return c.json({ success: false, error: 'Failed to update token status' }, 500);
+  }
+});
+
+// A voucher's split and the members it can be split between
+app.get('/api/vouchers/:id/split', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+
+    const voucher = await db.prepare(`
+      SELECT id, user_id, rand_amount FROM vouchers WHERE id = ? AND tenant_id = ?
+    `).bind(id, tenant.id).first();
+
+    if (!voucher) {
+      return c.json({ success: false, error: 'Voucher not found or access denied' }, 404);
+    }
+
+    const ledgerService = new LedgerService(db);
+    const [split] = await ledgerService.splitVouchers(tenant.id, voucher.id);
+
+    return c.json({
+      success: true,
+      voucher,
+      members: await ledgerService.members(tenant.id),
+      split: split ? { method: split.method, shares: ledgerService.shares(split) } : null
+    });
+  } catch (error) {
+    console.error('Error fetching voucher split:', error);
+    return c.json({ success: false, error: 'Failed to fetch split' }, 500);
+  }
+});
+
+// Split a voucher equally, by percentage or by amount. Like editing, any
+// family member can split vouchers in their tenant.
+app.put('/api/vouchers/:id/split', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+    const { method, shares } = await c.req.json();
+
+    const voucher = await db.prepare(`
+      SELECT id, rand_amount FROM vouchers WHERE id = ? AND tenant_id = ?
+    `).bind(id, tenant.id).first();
+
+    if (!voucher) {
+      return c.json({ success: false, error: 'Voucher not found or access denied' }, 404);
+    }
+
+    const ledgerService = new LedgerService(db);
+    const members = await ledgerService.members(tenant.id);
+    const validationError = ledgerService.validateSplit(voucher.rand_amount, method, shares, members.map(member => member.user_id));
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    await db.batch(ledgerService.splitStatements(tenant.id, voucher.id, method, shares, user.userId));
+    const [split] = await ledgerService.splitVouchers(tenant.id, voucher.id);
+
+    return c.json({
+      success: true,
+      message: 'Voucher split saved',
+      split: { method: split.method, shares: ledgerService.shares(split) }
+    });
+  } catch (error) {
+    console.error('Error splitting voucher:', error);
+    return c.json({ success: false, error: 'Failed to save split' }, 500);
+  }
+});
+
+app.delete('/api/vouchers/:id/split', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+
+    const result = await new LedgerService(db).clearSplitStatement(tenant.id, id).run();
+
+    if (!result.meta.changes) {
+      return c.json({ success: false, error: 'That voucher is not split' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Split removed' });
+  } catch (error) {
+    console.error('Error removing voucher split:', error);
+    return c.json({ success: false, error: 'Failed to remove split' }, 500);
+  }
+});
+
+// Delete voucher endpoint
+app.delete('/api/vouchers/:id', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+
+    if (!id) {
+      return c.json({ error: 'Voucher ID is required' }, 400);
+    }
+
+    // First check if voucher exists and belongs to tenant (family)
+    const voucher = await db.prepare(`
+      SELECT * FROM vouchers WHERE id = ? AND tenant_id = ?
+    `).bind(id, tenant.id).first();
+
+    if (!voucher) {
+      return c.json({
+        success: false,
+        error: 'Voucher not found or access denied'
+      }, 404);
+    }
+
+    // Delete the voucher (any family member can delete vouchers in their tenant)
+    // with its split and photos, and keep a copy of what was removed in its
+    // revision history
+    const revisionService = new RevisionService(db);
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS);
+    const attachments = await attachmentService.list(tenant.id, 'voucher', voucher.id);
+    const [, , result] = await db.batch([
+      new LedgerService(db).clearSplitStatement(tenant.id, id),
+      attachmentService.deleteStatement(tenant.id, 'voucher', voucher.id),
+      db.prepare(`
+        DELETE FROM vouchers WHERE id = ? AND tenant_id = ?
+      `).bind(id, tenant.id),
+      revisionService.recordStatement({
+        tenantId: tenant.id,
+        entityType: 'voucher',
+        entityId: voucher.id,
+        userId: user.userId,
+        action: 'delete',
+        oldValues: revisionService.snapshot('voucher', voucher)
+      })
+    ]);
+
+    if (result.success) {
+      await removeEntryPhotos(attachmentService, attachments);
+      return c.json({
+        success: true,
+        message: 'Voucher deleted successfully',
+        deletedId: parseInt(id)
+      });
+    } else {
+      throw new Error('Failed to delete voucher');
+    }
+  } catch (error) {
+    console.error('Error deleting voucher:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to delete voucher'
+    }, 500);
+  }
+});
+
+// Super Admin Dashboard - separate endpoint with platform-wide metrics
+app.get('/api/dashboard/admin', authMiddleware, superAdminMiddleware, async (c) => {
+  try {
+    const db = c.env.DB;
+
+    // Get platform-wide voucher statistics
+    const voucherResult = await db.prepare(`
+      SELECT
+        COALESCE(SUM(rand_amount), 0) as total_amount,
+        COALESCE(SUM(kwh_amount), 0) as total_units,
+        COALESCE(SUM(vat_amount), 0) as total_vat,
+        COUNT(*) as total_vouchers
+      FROM vouchers
+    `).first();
+
+    // Calculate average cost per kWh
+    const avgCostPerKwh = voucherResult.total_units > 0 ?
+      voucherResult.total_amount / voucherResult.total_units : 0;
+
+    // Get recent vouchers across all tenants
+    const recentVouchers = await db.prepare(`
+      SELECT v.*, t.name as tenant_name, u.email as user_email
+      FROM vouchers v
+      LEFT JOIN tenants t ON v.tenant_id = t.id
+      LEFT JOIN users u ON v.user_id = u.id
+      ORDER BY v.purchase_date DESC
+      LIMIT 5
+    `).all();
+
+    // Get recent readings across all tenants
+    const recentReadings = await db.prepare(`
+      SELECT r.*, t.name as tenant_name, u.email as user_email
+      FROM readings r
+      LEFT JOIN tenants t ON r.tenant_id = t.id
+      LEFT JOIN users u ON r.user_id = u.id
+      ORDER BY r.reading_at DESC
+      LIMIT 5
+    `).all();
+
+    // Get monthly data for the last 6 months across all tenants
+    const monthlyData = await db.prepare(`
+      SELECT
+        strftime('%Y-%m', purchase_date) as month,
+        SUM(rand_amount) as amount,
+        SUM(kwh_amount) as kwh,
+        COUNT(*) as voucher_count
       FROM vouchers
       WHERE purchase_date >= date('now', '-6 months')
       GROUP BY strftime('%Y-%m', purchase_date)
@@ -1329,6 +2030,7 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
         recentVouchers: [],
         recentReadings: [],
         monthlyData: [],
+        unloadedVouchers: [],
         tenantName: tenant?.role === 'super_admin' ? 'Use Admin Dashboard' : 'No Family',
         userRole: tenant?.role || 'member',
         message: tenant?.role === 'super_admin' ?
@@ -1337,6 +2039,14 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
       });
     }
 
+    // Optional ?meter_id= to show one meter (or "unassigned")
+    const meterService = new MeterService(db);
+    const meterFilter = meterService.parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+    const { clause: meterClause, params: meterParams } = meterService.filterClause(meterFilter);
+
     // Process tenant-scoped dashboard data
     const voucherResult = await db.prepare(`
         SELECT
@@ -1345,8 +2055,8 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
           COALESCE(SUM(vat_amount), 0) as total_vat,
           COUNT(*) as total_vouchers
         FROM vouchers
-        WHERE tenant_id = ?
-      `).bind(tenant.id).first();
+        WHERE tenant_id = ? ${meterClause}
+      `).bind(tenant.id, ...meterParams).first();
 
       // Calculate average cost per kWh
       const avgCostPerKwh = voucherResult.total_units > 0 ?
@@ -1355,18 +2065,18 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
       // Get recent vouchers for the tenant (family)
       const recentVouchers = await db.prepare(`
         SELECT * FROM vouchers
-        WHERE tenant_id = ?
+        WHERE tenant_id = ? ${meterClause}
         ORDER BY purchase_date DESC
         LIMIT 5
-      `).bind(tenant.id).all();
+      `).bind(tenant.id, ...meterParams).all();
 
       // Get recent readings for the tenant (family)
       const recentReadings = await db.prepare(`
         SELECT * FROM readings
-        WHERE tenant_id = ?
-        ORDER BY reading_date DESC
+        WHERE tenant_id = ? ${meterClause}
+        ORDER BY reading_at DESC
         LIMIT 5
-      `).bind(tenant.id).all();
+      `).bind(tenant.id, ...meterParams).all();
 
       // Get monthly data for the last 6 months for the tenant (family)
       const monthlyData = await db.prepare(`
@@ -1375,11 +2085,17 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
           SUM(rand_amount) as amount,
           SUM(kwh_amount) as kwh
         FROM vouchers
-        WHERE tenant_id = ?
+        WHERE tenant_id = ? ${meterClause}
           AND purchase_date >= date('now', '-6 months')
         GROUP BY strftime('%Y-%m', purchase_date)
         ORDER BY month DESC
-      `).bind(tenant.id).all();
+      `).bind(tenant.id, ...meterParams).all();
+
+      // Per-meter totals for households with more than one meter
+      const meters = await meterService.breakdown(tenant.id);
+
+      // Tokens bought but not loaded yet
+      const unloadedVouchers = await new VoucherStatusService(db).unloaded(tenant.id, meterClause, meterParams);
 
     return c.json({
       success: true,
@@ -1391,6 +2107,9 @@ app.get('/api/dashboard', authMiddleware, tenantMiddleware, async (c) => {
       recentVouchers: recentVouchers?.results || [],
       recentReadings: recentReadings?.results || [],
       monthlyData: monthlyData?.results || [],
+      unloadedVouchers,
+      meters,
+      meterId: meterFilter ? meterFilter.meterId : undefined,
       tenantName: tenant.name,
       userRole: tenant.role
     });
@@ -1453,14 +2172,14 @@ app.get('/api/dashboard/stats', authMiddleware, tenantMiddleware, async (c) => {
         SELECT
           'reading' as type,
           r.reading_value as amount,
-          r.reading_date as date,
+          r.reading_at as date,
           r.created_at,
           r.notes,
           t.name as tenant_name
         FROM readings r
         LEFT JOIN tenants t ON r.tenant_id = t.id
         WHERE r.type = 'reading'
-        ORDER BY r.reading_date DESC
+        ORDER BY r.reading_at DESC
         LIMIT 3
       `).all();
 
@@ -1510,83 +2229,1580 @@ app.get('/api/dashboard/stats', authMiddleware, tenantMiddleware, async (c) => {
         });
       }
 
-      const voucherResult = await db.prepare(`
-        SELECT
-          COALESCE(SUM(rand_amount), 0) as total_purchased,
-          COALESCE(SUM(kwh_amount), 0) as total_kwh_purchased,
-          COUNT(*) as voucher_count
-        FROM readings
-        WHERE tenant_id = ? AND type = 'voucher'
-      `).bind(tenant.id).first();
+      const voucherResult = await db.prepare(`
+        SELECT
+          COALESCE(SUM(rand_amount), 0) as total_purchased,
+          COALESCE(SUM(kwh_amount), 0) as total_kwh_purchased,
+          COUNT(*) as voucher_count
+        FROM readings
+        WHERE tenant_id = ? AND type = 'voucher'
+      `).bind(tenant.id).first();
+
+      // Get reading data for the tenant (family)
+      const readingResult = await db.prepare(`
+        SELECT
+          COUNT(*) as reading_count,
+          MIN(reading_value) as lowest_reading,
+          MAX(reading_value) as highest_reading,
+          AVG(reading_value) as avg_reading
+        FROM readings
+        WHERE tenant_id = ? AND type = 'reading'
+      `).bind(tenant.id).first();
+
+      // Get recent vouchers for the tenant (family)
+      const recentVouchers = await db.prepare(`
+        SELECT
+          'voucher' as type,
+          rand_amount as amount,
+          kwh_amount,
+          token_number,
+          purchase_date as date,
+          created_at,
+          notes
+        FROM readings
+        WHERE tenant_id = ? AND type = 'voucher'
+        ORDER BY purchase_date DESC
+        LIMIT 3
+      `).bind(tenant.id).all();
+
+      const recentReadings = await db.prepare(`
+        SELECT
+          'reading' as type,
+          reading_value as amount,
+          reading_at as date,
+          created_at,
+          notes
+        FROM readings
+        WHERE tenant_id = ? AND type = 'reading'
+        ORDER BY reading_at DESC
+        LIMIT 3
+      `).bind(tenant.id).all();
+
+      // Get linked account count for the tenant
+      const linkedAccounts = await db.prepare(`
+        SELECT COUNT(*) as count
+        FROM tenant_users
+        WHERE tenant_id = ?
+      `).bind(tenant.id).first();
+
+      return c.json({
+        success: true,
+        isSuperAdmin: false,
+        data: {
+          totalPurchased: voucherResult.total_purchased || 0,
+          totalKwhPurchased: voucherResult.total_kwh_purchased || 0,
+          voucherCount: voucherResult.voucher_count || 0,
+          readingCount: readingResult.reading_count || 0,
+          lowestReading: readingResult.lowest_reading || 0,
+          highestReading: readingResult.highest_reading || 0,
+          avgReading: readingResult.avg_reading || 0,
+          recentVouchers: recentVouchers?.results || [],
+          recentReadings: recentReadings?.results || [],
+          linkedAccountCount: linkedAccounts.count || 0
+        }
+      });
+    }
+
+  } catch (error) {
+    console.error('Dashboard stats error:', error);
+    return c.json({ error: 'Failed to fetch dashboard data' }, 500);
+  }
+});
+
+// Consumption endpoint - kWh actually used, derived from readings and vouchers
+app.get('/api/consumption', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return c.json({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+    }
+
+    const meterService = new MeterService(db);
+    const meterFilter = meterService.parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+
+    // Super admins without a tenant have no meter to analyse
+    if (!tenant || !tenant.id) {
+      return c.json({
+        success: true,
+        intervals: [],
+        daily: [],
+        monthly: [],
+        meters: [],
+        overnight: null,
+        outages: [],
+        summary: null
+      });
+    }
+
+    const consumptionService = new ConsumptionService(db);
+    const consumption = await consumptionService.getTenantConsumption(tenant.id, {
+      from,
+      to,
+      meterId: meterFilter ? meterFilter.meterId : undefined
+    });
+
+    // Usage per meter, labelled; null is usage recorded without a meter
+    const meters = await meterService.list(tenant.id);
+    consumption.meters = consumption.meters.map(usage => ({
+      ...usage,
+      label: meters.find(m => m.id === usage.meterId)?.label || null
+    }));
+
+    return c.json({
+      success: true,
+      ...consumption
+    });
+
+  } catch (error) {
+    console.error('Consumption error:', error);
+    return c.json({ error: 'Failed to calculate consumption' }, 500);
+  }
+});
+
+// Running-balance timeline - vouchers and readings in order, each reading
+// reconciled against the balance expected from the one before it
+app.get('/api/timeline', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return c.json({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+    }
+
+    const meterFilter = new MeterService(db).parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, events: [], summary: null });
+    }
+
+    const timeline = await new TimelineService(db).getTenantTimeline(tenant.id, {
+      from,
+      to,
+      meterId: meterFilter ? meterFilter.meterId : undefined
+    });
+
+    return c.json({ success: true, ...timeline });
+
+  } catch (error) {
+    console.error('Timeline error:', error);
+    return c.json({ error: 'Failed to build timeline' }, 500);
+  }
+});
+
+// Forecast endpoint - predicted run-out date and suggested top-up
+app.get('/api/forecast', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const lookbackDays = parseInt(c.req.query('days') || '30');
+    const coverDays = parseInt(c.req.query('coverDays') || '30');
+
+    if (isNaN(lookbackDays) || lookbackDays < 1 || lookbackDays > 365 ||
+        isNaN(coverDays) || coverDays < 1 || coverDays > 365) {
+      return c.json({ error: 'days and coverDays must be between 1 and 365' }, 400);
+    }
+
+    const meterFilter = new MeterService(db).parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+
+    if (!tenant || !tenant.id) {
+      return c.json({
+        success: true,
+        available: false,
+        reason: 'No family meter to forecast'
+      });
+    }
+
+    const forecastService = new ForecastService(db);
+    const forecast = await forecastService.getTenantForecast(tenant.id, {
+      lookbackDays,
+      coverDays,
+      meterId: meterFilter ? meterFilter.meterId : undefined
+    });
+
+    return c.json({
+      success: true,
+      ...forecast
+    });
+
+  } catch (error) {
+    console.error('Forecast error:', error);
+    return c.json({ error: 'Failed to calculate forecast' }, 500);
+  }
+});
+
+// Low credit alert settings - thresholds for the scheduled email check
+app.get('/api/alerts/settings', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to set up alerts' }, 400);
+    }
+
+    const settings = await db.prepare(`
+      SELECT enabled, min_kwh, min_days, updated_at
+      FROM alert_settings
+      WHERE tenant_id = ?
+    `).bind(tenant.id).first();
+
+    const lastAlert = await db.prepare(`
+      SELECT triggered_by, estimated_remaining_kwh, days_remaining, recipients, sent_at
+      FROM alert_log
+      WHERE tenant_id = ? AND alert_type = 'low_credit'
+      ORDER BY sent_at DESC
+      LIMIT 1
+    `).bind(tenant.id).first();
+
+    return c.json({
+      success: true,
+      settings: {
+        enabled: !!settings?.enabled,
+        minKwh: settings?.min_kwh ?? null,
+        minDays: settings?.min_days ?? null,
+        updatedAt: settings?.updated_at || null
+      },
+      lastAlert: lastAlert || null,
+      canEdit: tenant.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Alert settings error:', error);
+    return c.json({ error: 'Failed to load alert settings' }, 500);
+  }
+});
+
+app.put('/api/alerts/settings', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to set up alerts' }, 400);
+    }
+
+    // Admin-only endpoint
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const { enabled, minKwh, minDays } = await c.req.json();
+    const parseThreshold = (value) => (value === null || value === undefined || value === '') ? null : Number(value);
+    const kwhThreshold = parseThreshold(minKwh);
+    const daysThreshold = parseThreshold(minDays);
+
+    if ((kwhThreshold !== null && (isNaN(kwhThreshold) || kwhThreshold < 0)) ||
+        (daysThreshold !== null && (isNaN(daysThreshold) || daysThreshold < 0))) {
+      return c.json({ error: 'Thresholds must be positive numbers' }, 400);
+    }
+
+    if (enabled && kwhThreshold === null && daysThreshold === null) {
+      return c.json({ error: 'Set a kWh or days threshold to turn alerts on' }, 400);
+    }
+
+    await db.prepare(`
+      INSERT INTO alert_settings (tenant_id, enabled, min_kwh, min_days, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(tenant_id) DO UPDATE SET
+        enabled = excluded.enabled,
+        min_kwh = excluded.min_kwh,
+        min_days = excluded.min_days,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `).bind(tenant.id, enabled ? 1 : 0, kwhThreshold, daysThreshold, user.userId).run();
+
+    return c.json({
+      success: true,
+      message: enabled ? 'Low credit alerts turned on' : 'Low credit alerts turned off'
+    });
+
+  } catch (error) {
+    console.error('Update alert settings error:', error);
+    return c.json({ error: 'Failed to save alert settings' }, 500);
+  }
+});
+
+// Tariffs - inclining block rates, the household's choice of tariff and a
+// calculator for what a top-up buys this month
+app.get('/api/tariffs', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to choose a tariff' }, 400);
+    }
+
+    const tariffService = new TariffService(db);
+    const tariffs = await tariffService.list();
+    const today = new Date().toISOString().split('T')[0];
+
+    return c.json({
+      success: true,
+      tariffs: tariffs.map(tariff => ({ ...tariff, current: tariffService.versionFor(tariff.versions, today) })),
+      settings: await tariffService.getSettings(tenant.id),
+      canEdit: tenant.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Tariffs error:', error);
+    return c.json({ error: 'Failed to load tariffs' }, 500);
+  }
+});
+
+app.put('/api/tariffs/settings', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to choose a tariff' }, 400);
+    }
+
+    // Admin-only endpoint
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const { tariffId, tolerancePercent } = await c.req.json();
+    const tolerance = tolerancePercent === undefined || tolerancePercent === null || tolerancePercent === '' ? 5 : Number(tolerancePercent);
+
+    if (isNaN(tolerance) || tolerance < 0) {
+      return c.json({ error: 'Tolerance must be a positive number' }, 400);
+    }
+
+    if (tariffId) {
+      const tariff = await db.prepare('SELECT id FROM tariffs WHERE id = ?').bind(tariffId).first();
+      if (!tariff) {
+        return c.json({ error: 'Tariff not found' }, 404);
+      }
+    }
+
+    await db.prepare(`
+      INSERT INTO tariff_settings (tenant_id, tariff_id, tolerance_percent, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(tenant_id) DO UPDATE SET
+        tariff_id = excluded.tariff_id,
+        tolerance_percent = excluded.tolerance_percent,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `).bind(tenant.id, tariffId || null, tolerance, user.userId).run();
+
+    return c.json({
+      success: true,
+      message: tariffId ? 'Tariff saved' : 'Tariff cleared'
+    });
+
+  } catch (error) {
+    console.error('Update tariff settings error:', error);
+    return c.json({ error: 'Failed to save tariff' }, 500);
+  }
+});
+
+// Predict the kWh a rand amount buys, counting what the household already
+// bought this month on the same meter
+app.post('/api/tariffs/calculate', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to use the calculator' }, 400);
+    }
+
+    const { amount, date, meter_id, tariffId } = await c.req.json();
+    const randAmount = Number(amount);
+    const day = date || new Date().toISOString().split('T')[0];
+
+    if (!(randAmount > 0)) {
+      return c.json({ error: 'Amount must be greater than 0' }, 400);
+    }
+
+    const tariffService = new TariffService(db);
+    const selectedTariff = tariffId || (await tariffService.getSettings(tenant.id)).tariffId;
+    if (!selectedTariff) {
+      return c.json({ error: 'Choose your tariff in Settings first' }, 400);
+    }
+
+    const version = tariffService.versionFor(await tariffService.getVersions(selectedTariff), day);
+    if (!version) {
+      return c.json({ error: `The tariff has no rates for ${day}` }, 404);
+    }
+
+    // With one meter (or none) every voucher this month counts
+    const meters = await new MeterService(db).list(tenant.id);
+    const meterId = meters.length > 1 ? (meter_id ? Number(meter_id) : null) : undefined;
+    const bought = await tariffService.monthToDate(tenant.id, day, meterId);
+    const prediction = tariffService.predict(version, { amount: randAmount, boughtKwh: bought.kwh, boughtAmount: bought.amount });
+
+    return c.json({
+      success: true,
+      amount: randAmount,
+      date: day,
+      effectiveFrom: version.effective_from,
+      ...prediction
+    });
+
+  } catch (error) {
+    console.error('Tariff calculator error:', error);
+    return c.json({ error: 'Failed to calculate units' }, 500);
+  }
+});
+
+// Purchase planner - how to split a monthly budget to stay in the cheaper
+// blocks, and what the next R100 buys
+app.get('/api/tariffs/planner', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to use the planner' }, 400);
+    }
+
+    const budgetParam = c.req.query('budget');
+    const budget = budgetParam ? Number(budgetParam) : null;
+    const date = c.req.query('date') || new Date().toISOString().split('T')[0];
+
+    if (budget !== null && !(budget > 0)) {
+      return c.json({ error: 'budget must be greater than 0' }, 400);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return c.json({ error: 'date must be a YYYY-MM-DD date' }, 400);
+    }
+
+    const meterService = new MeterService(db);
+    const meterFilter = meterService.parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+
+    const settings = await new TariffService(db).getSettings(tenant.id);
+    if (!settings.tariffId) {
+      return c.json({ error: 'Choose your tariff in Settings first' }, 400);
+    }
+
+    // Like the calculator: with one meter (or none) every voucher counts
+    const meters = await meterService.list(tenant.id);
+    const meterId = meters.length > 1 ? (meterFilter ? meterFilter.meterId : null) : undefined;
+
+    const plan = await new PlannerService(db).getPlan(tenant.id, settings.tariffId, { budget, date, meterId });
+    if (plan.error) {
+      return c.json({ error: plan.error }, plan.status);
+    }
+
+    return c.json({
+      success: true,
+      ...plan
+    });
+
+  } catch (error) {
+    console.error('Purchase planner error:', error);
+    return c.json({ error: 'Failed to plan purchases' }, 500);
+  }
+});
+
+// Budgets - a rand (and optional kWh) budget per month, progress against
+// this month's budget and each member's choice of overspend emails
+app.get('/api/budgets', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, budgets: [], current: null, alertsEnabled: false, canEdit: false });
+    }
+
+    const budgetService = new BudgetService(db);
+    const budgets = await budgetService.list(tenant.id);
+    const current = await budgetService.getProgress(tenant.id);
+
+    const membership = await db.prepare(`
+      SELECT budget_alerts FROM tenant_users WHERE tenant_id = ? AND user_id = ?
+    `).bind(tenant.id, user.userId).first();
+
+    return c.json({
+      success: true,
+      budgets,
+      current,
+      alertsEnabled: !!membership?.budget_alerts,
+      canEdit: tenant.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Budgets error:', error);
+    return c.json({ error: 'Failed to load budgets' }, 500);
+  }
+});
+
+app.post('/api/budgets', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to set a budget' }, 400);
+    }
+
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const { month, amount, kwh } = await c.req.json();
+    const budgetService = new BudgetService(db);
+    const validationError = budgetService.validate({ month, amount, kwh });
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const result = await db.prepare(`
+      INSERT INTO budgets (tenant_id, month, amount, kwh, created_by, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(tenant.id, month, Number(amount), kwh ? Number(kwh) : null, user.userId, user.userId).run();
+
+    return c.json({
+      success: true,
+      message: 'Budget saved',
+      budget: await budgetService.get(tenant.id, result.meta.last_row_id)
+    }, 201);
+
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'There is already a budget for that month' }, 409);
+    }
+    console.error('Create budget error:', error);
+    return c.json({ error: 'Failed to save budget' }, 500);
+  }
+});
+
+// Any member can turn the overspend email on or off for themselves
+app.put('/api/budgets/alerts', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to get budget alerts' }, 400);
+    }
+
+    const { enabled } = await c.req.json();
+
+    await db.prepare(`
+      UPDATE tenant_users SET budget_alerts = ? WHERE tenant_id = ? AND user_id = ?
+    `).bind(enabled ? 1 : 0, tenant.id, user.userId).run();
+
+    return c.json({
+      success: true,
+      alertsEnabled: !!enabled,
+      message: enabled ? 'You will get an email if this month heads over budget' : 'Budget emails turned off'
+    });
+
+  } catch (error) {
+    console.error('Budget alerts error:', error);
+    return c.json({ error: 'Failed to save budget alerts' }, 500);
+  }
+});
+
+app.put('/api/budgets/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const budgetId = c.req.param('id');
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to set a budget' }, 400);
+    }
+
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const budgetService = new BudgetService(db);
+    if (!await budgetService.get(tenant.id, budgetId)) {
+      return c.json({ error: 'Budget not found' }, 404);
+    }
+
+    const { amount, kwh } = await c.req.json();
+    const validationError = budgetService.validate({ amount, kwh }, { update: true });
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    await db.prepare(`
+      UPDATE budgets
+      SET amount = ?, kwh = ?, updated_by = ?, updated_at = datetime('now')
+      WHERE id = ? AND tenant_id = ?
+    `).bind(Number(amount), kwh ? Number(kwh) : null, user.userId, budgetId, tenant.id).run();
+
+    return c.json({
+      success: true,
+      message: 'Budget updated',
+      budget: await budgetService.get(tenant.id, budgetId)
+    });
+
+  } catch (error) {
+    console.error('Update budget error:', error);
+    return c.json({ error: 'Failed to update budget' }, 500);
+  }
+});
+
+app.delete('/api/budgets/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const budgetId = c.req.param('id');
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to set a budget' }, 400);
+    }
+
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const result = await db.prepare(`
+      DELETE FROM budgets WHERE id = ? AND tenant_id = ?
+    `).bind(budgetId, tenant.id).run();
+
+    if (!result.meta.changes) {
+      return c.json({ error: 'Budget not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Budget deleted' });
+
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    return c.json({ error: 'Failed to delete budget' }, 500);
+  }
+});
+
+// Outages - load-shedding schedules imported per area and outages logged by
+// hand. The consumption endpoint uses them for kWh per powered hour.
+app.get('/api/outages', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return c.json({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+    }
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, outages: [] });
+    }
+
+    // Dates are whole South African days
+    const outages = await new OutageService(db).list(tenant.id, {
+      from: from ? readingTime.parse(`${from}T00:00`).readingAt : null,
+      to: to ? readingTime.parse(`${to}T23:59:59`).readingAt : null
+    });
+
+    return c.json({ success: true, outages });
+
+  } catch (error) {
+    console.error('Outages error:', error);
+    return c.json({ error: 'Failed to load outages' }, 500);
+  }
+});
+
+// Log an outage by hand: starts_at, ends_at, optional stage, area and notes
+app.post('/api/outages', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to log outages' }, 400);
+    }
+
+    const { starts_at, ends_at, stage, area, notes } = await c.req.json();
+    const outage = {
+      startsAt: readingTime.parse(starts_at)?.readingAt || null,
+      endsAt: readingTime.parse(ends_at)?.readingAt || null,
+      stage: stage === undefined || stage === null || stage === '' ? null : Number(stage),
+      area: area && String(area).trim() ? String(area).trim() : null,
+      notes: notes && String(notes).trim() ? String(notes).trim() : null
+    };
+
+    const outageService = new OutageService(db);
+    const validationError = outageService.validate(outage);
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const id = await outageService.create(tenant.id, outage, user.userId);
+
+    return c.json({ success: true, message: 'Outage logged', id });
+
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'That outage is already recorded' }, 409);
+    }
+    console.error('Log outage error:', error);
+    return c.json({ error: 'Failed to log outage' }, 500);
+  }
+});
+
+// Import an area's load-shedding schedule: { content, area, format (auto,
+// ics or json), dryRun }. It replaces the schedule imported for that area
+// over the same period; outages logged by hand are kept.
+app.post('/api/outages/import', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to import outages' }, 400);
+    }
+
+    const { content, area, format, dryRun } = await c.req.json();
+    const areaName = area ? String(area).trim() : '';
+    if (!areaName) {
+      return c.json({ error: 'Name the area this schedule is for' }, 400);
+    }
+    if (!content || typeof content !== 'string') {
+      return c.json({ error: 'content is required' }, 400);
+    }
+
+    const outageService = new OutageService(db);
+    const schedule = outageService.parse(content, format || 'auto');
+    if (schedule.error) {
+      return c.json({ error: schedule.error }, 400);
+    }
+
+    const valid = schedule.events.filter(e => e.errors.length === 0).length;
+    const counts = { total: schedule.events.length, valid, invalid: schedule.events.length - valid };
+
+    if (dryRun) {
+      return c.json({ success: true, dryRun: true, format: schedule.format, area: areaName, counts, rows: schedule.events });
+    }
+
+    let imported = 0;
+    let replaced = 0;
+    if (valid > 0) {
+      // D1 runs a batch as a single transaction
+      const [removed, ...inserted] = await db.batch(outageService.importStatements(tenant.id, { area: areaName, ...schedule }, user.userId));
+      replaced = removed.meta.changes;
+      imported = inserted.filter(result => result.meta.changes > 0).length;
+    }
+
+    return c.json({
+      success: true,
+      message: `Imported ${imported} outage(s) for ${areaName}`,
+      format: schedule.format,
+      imported,
+      replaced,
+      skipped: schedule.events.length - imported,
+      errors: schedule.events.filter(e => e.errors.length > 0)
+    });
+
+  } catch (error) {
+    console.error('Outage import error:', error);
+    return c.json({ error: 'Failed to import schedule' }, 500);
+  }
+});
+
+app.delete('/api/outages/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Outage not found' }, 404);
+    }
+
+    const removed = await new OutageService(db).remove(tenant.id, c.req.param('id'));
+    if (!removed) {
+      return c.json({ error: 'Outage not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Outage deleted' });
+
+  } catch (error) {
+    console.error('Delete outage error:', error);
+    return c.json({ error: 'Failed to delete outage' }, 500);
+  }
+});
+
+// Solar generation - daily totals from a household's inverter, entered by
+// hand or imported with /api/import/csv (type "generation"). The consumption
+// endpoint uses them for demand and what solar saved.
+app.get('/api/generation', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return c.json({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+    }
+
+    const meterFilter = new MeterService(db).parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, generation: [] });
+    }
+
+    const generation = await new SolarService(db).list(tenant.id, {
+      from,
+      to,
+      meterId: meterFilter ? meterFilter.meterId : undefined
+    });
+
+    return c.json({ success: true, generation });
+
+  } catch (error) {
+    console.error('Generation error:', error);
+    return c.json({ error: 'Failed to load solar generation' }, 500);
+  }
+});
+
+// Record a day's solar total: generation_date, generated_kwh, optional
+// exported_kwh, meter_id, inverter and notes
+app.post('/api/generation', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to record solar generation' }, 400);
+    }
+
+    const { generation_date, generated_kwh, exported_kwh, meter_id, inverter, notes } = await c.req.json();
+    const entry = {
+      date: generation_date,
+      generatedKwh: generated_kwh === undefined || generated_kwh === null || generated_kwh === '' ? NaN : Number(generated_kwh),
+      exportedKwh: exported_kwh === undefined || exported_kwh === null || exported_kwh === '' ? 0 : Number(exported_kwh),
+      inverter: inverter && String(inverter).trim() ? String(inverter).trim() : null,
+      notes: notes && String(notes).trim() ? String(notes).trim() : null
+    };
+
+    const solarService = new SolarService(db);
+    const validationError = solarService.validate(entry);
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    // Households with one meter get it assigned automatically
+    const meterService = new MeterService(db);
+    const meter = meterService.assign(await meterService.list(tenant.id), { meterId: meter_id });
+    if (meter.error) {
+      return c.json({ error: meter.error }, 400);
+    }
+
+    const id = await solarService.create(tenant.id, { ...entry, meterId: meter.meterId }, user.userId);
+
+    return c.json({ success: true, message: 'Solar generation saved', id });
+
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'There is already a solar total for this inverter on that day' }, 409);
+    }
+    console.error('Save generation error:', error);
+    return c.json({ error: 'Failed to save solar generation' }, 500);
+  }
+});
+
+app.delete('/api/generation/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Solar total not found' }, 404);
+    }
+
+    const removed = await new SolarService(db).remove(tenant.id, c.req.param('id'));
+    if (!removed) {
+      return c.json({ error: 'Solar total not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Solar total deleted' });
+
+  } catch (error) {
+    console.error('Delete generation error:', error);
+    return c.json({ error: 'Failed to delete solar total' }, 500);
+  }
+});
+
+// Appliances - what a household has plugged in, and an estimate of what
+// uses its electricity reconciled with the measured consumption
+app.get('/api/appliances', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, appliances: [] });
+    }
+
+    const appliances = await new ApplianceService(db).list(tenant.id);
+
+    return c.json({ success: true, appliances });
+
+  } catch (error) {
+    console.error('Appliances error:', error);
+    return c.json({ error: 'Failed to load appliances' }, 500);
+  }
+});
+
+// Each appliance's estimated share of a month (?month=YYYY-MM, the latest
+// well-measured month by default), with the built-in savings suggestions
+app.get('/api/appliances/estimate', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to estimate appliance usage' }, 400);
+    }
+
+    const result = await new ApplianceService(db).estimateTenant(tenant.id, { month: c.req.query('month') || null });
+    if (result.error) {
+      return c.json({ error: result.error }, 400);
+    }
+
+    return c.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Appliance estimate error:', error);
+    return c.json({ error: 'Failed to estimate appliance usage' }, 500);
+  }
+});
+
+// What a month of changes would save: { changes: [{ id, watts, quantity,
+// hours_per_day }], month }. Changes aren't saved.
+app.post('/api/appliances/what-if', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to estimate appliance usage' }, 400);
+    }
+
+    const { changes, month } = await c.req.json();
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return c.json({ error: 'changes must be a list of appliance changes' }, 400);
+    }
+
+    const number = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const result = await new ApplianceService(db).estimateTenant(tenant.id, {
+      month: month || null,
+      changes: changes.map(change => ({
+        id: change?.id,
+        watts: number(change?.watts),
+        quantity: number(change?.quantity),
+        hoursPerDay: number(change?.hours_per_day)
+      }))
+    });
+    if (result.error) {
+      return c.json({ error: result.error }, 400);
+    }
+
+    return c.json({ success: true, month: result.estimate.month, pricing: result.pricing, whatIf: result.whatIf });
+
+  } catch (error) {
+    console.error('Appliance what-if error:', error);
+    return c.json({ error: 'Failed to work out the savings' }, 500);
+  }
+});
+
+// Add an appliance: name, watts, hours_per_day, optional category, quantity
+// and season (all, summer or winter)
+app.post('/api/appliances', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to add appliances' }, 400);
+    }
+
+    const applianceService = new ApplianceService(db);
+    const appliance = applianceService.fromRequest(await c.req.json());
+    const validationError = applianceService.validate(appliance);
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const id = await applianceService.create(tenant.id, appliance, user.userId);
+
+    return c.json({ success: true, message: 'Appliance added', id });
+
+  } catch (error) {
+    console.error('Add appliance error:', error);
+    return c.json({ error: 'Failed to add appliance' }, 500);
+  }
+});
+
+app.put('/api/appliances/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Appliance not found' }, 404);
+    }
+
+    const applianceService = new ApplianceService(db);
+    const appliance = applianceService.fromRequest(await c.req.json());
+    const validationError = applianceService.validate(appliance);
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const updated = await applianceService.update(tenant.id, c.req.param('id'), appliance);
+    if (!updated) {
+      return c.json({ error: 'Appliance not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Appliance updated' });
+
+  } catch (error) {
+    console.error('Update appliance error:', error);
+    return c.json({ error: 'Failed to update appliance' }, 500);
+  }
+});
+
+app.delete('/api/appliances/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Appliance not found' }, 404);
+    }
+
+    const removed = await new ApplianceService(db).remove(tenant.id, c.req.param('id'));
+    if (!removed) {
+      return c.json({ error: 'Appliance not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Appliance deleted' });
+
+  } catch (error) {
+    console.error('Delete appliance error:', error);
+    return c.json({ error: 'Failed to delete appliance' }, 500);
+  }
+});
+
+// Attachments - photos of the meter or receipt kept with a reading or
+// voucher. Files are only served through these routes, to the household
+// they belong to.
+app.get('/api/attachments', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const entityType = c.req.query('entity_type');
+    const entityId = parseInt(c.req.query('entity_id'));
+
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS);
+    if (!attachmentService.isEntityType(entityType) || !entityId) {
+      return c.json({ error: 'entity_type must be reading or voucher, with an entity_id' }, 400);
+    }
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, attachments: [] });
+    }
+
+    const attachments = await attachmentService.list(tenant.id, entityType, entityId);
+
+    return c.json({
+      success: true,
+      attachments: attachments.map(({ object_key, thumbnail_key, ...attachment }) => ({
+        ...attachment,
+        has_thumbnail: thumbnail_key !== null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Attachments error:', error);
+    return c.json({ error: 'Failed to load photos' }, 500);
+  }
+});
+
+// Add a photo to an existing reading or voucher (multipart: entity_type,
+// entity_id and photo)
+app.post('/api/attachments', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to add photos' }, 400);
+    }
+
+    if (!(c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+      return c.json({ error: 'Send the photo as multipart form data' }, 400);
+    }
+
+    const { fields, photo } = await readEntryBody(c);
+    const entityType = fields.entity_type;
+    const entityId = parseInt(fields.entity_id);
+
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS, c.env.IMAGES);
+    if (!attachmentService.isEntityType(entityType) || !entityId) {
+      return c.json({ error: 'entity_type must be reading or voucher, with an entity_id' }, 400);
+    }
+
+    const photoError = attachmentService.validate(photo?.bytes);
+    if (photoError) {
+      return c.json({ error: photoError }, 400);
+    }
+
+    if (!(await attachmentService.entityExists(tenant.id, entityType, entityId))) {
+      return c.json({ error: `${entityType === 'reading' ? 'Reading' : 'Voucher'} not found` }, 404);
+    }
+
+    const result = await attachmentService.store(tenant.id, entityType, entityId, photo, user.userId);
+    if (result.error) {
+      return c.json({ error: result.error }, 400);
+    }
+
+    return c.json({ success: true, attachment: result.attachment });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    return c.json({ error: 'Failed to save photo' }, 500);
+  }
+});
+
+// Stream a photo, or its thumbnail when there is one
+async function serveAttachment(c, { thumbnail }) {
+  const tenant = c.get('tenant');
+  if (!tenant || !tenant.id || !c.env.ATTACHMENTS) {
+    return c.json({ error: 'Photo not found' }, 404);
+  }
+
+  const attachmentService = new AttachmentService(c.env.DB, c.env.ATTACHMENTS);
+  const attachment = await attachmentService.get(tenant.id, c.req.param('id'));
+  const object = attachment && await attachmentService.open(attachment, { thumbnail });
+  if (!object) {
+    return c.json({ error: 'Photo not found' }, 404);
+  }
+
+  const fileName = attachment.file_name || `${attachment.entity_type}-${attachment.entity_id}`;
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': object.httpMetadata?.contentType || attachment.content_type,
+      'Content-Disposition': `inline; filename="${fileName.replace(/"/g, '')}"`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
+}
+
+app.get('/api/attachments/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    return await serveAttachment(c, { thumbnail: false });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    return c.json({ error: 'Failed to load photo' }, 500);
+  }
+});
+
+app.get('/api/attachments/:id/thumbnail', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    return await serveAttachment(c, { thumbnail: true });
+  } catch (error) {
+    console.error('Download thumbnail error:', error);
+    return c.json({ error: 'Failed to load photo' }, 500);
+  }
+});
+
+app.delete('/api/attachments/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Photo not found' }, 404);
+    }
+
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS);
+    const attachment = await attachmentService.get(tenant.id, c.req.param('id'));
+    if (!attachment) {
+      return c.json({ error: 'Photo not found' }, 404);
+    }
+
+    await attachmentService.remove(tenant.id, attachment);
+
+    return c.json({ success: true, message: 'Photo deleted' });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    return c.json({ error: 'Failed to delete photo' }, 500);
+  }
+});
+
+// Ledger - who owes whom for the household's split vouchers
+app.get('/api/ledger', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, members: [], balances: [], transfers: [], settlements: [], splitVoucherCount: 0, unsplit: { count: 0, amount: 0 } });
+    }
+
+    const ledger = await new LedgerService(db).getLedger(tenant.id);
+
+    return c.json({
+      success: true,
+      ...ledger,
+      userId: user.userId,
+      isAdmin: tenant.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Ledger error:', error);
+    return c.json({ error: 'Failed to load ledger' }, 500);
+  }
+});
+
+// Split every voucher in a month nobody has split yet equally between the
+// current members. Vouchers that are already split keep their split.
+app.post('/api/ledger/split-month', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to split costs' }, 400);
+    }
+
+    const { month } = await c.req.json();
+    const ledgerService = new LedgerService(db);
+    if (!ledgerService.isMonth(month)) {
+      return c.json({ error: 'month must be a YYYY-MM month' }, 400);
+    }
+
+    const members = await ledgerService.members(tenant.id);
+    if (members.length < 2) {
+      return c.json({ error: 'There is nobody to split with yet - invite a family member first' }, 400);
+    }
+
+    const vouchers = await ledgerService.unsplitVouchers(tenant.id, month);
+    if (vouchers.length > 0) {
+      const shares = members.map(member => ({ userId: member.user_id }));
+      await db.batch(vouchers.flatMap(voucher =>
+        ledgerService.splitStatements(tenant.id, voucher.id, 'equal', shares, user.userId)
+      ));
+    }
+
+    return c.json({
+      success: true,
+      split: vouchers.length,
+      message: vouchers.length > 0
+        ? `Split ${vouchers.length} voucher${vouchers.length === 1 ? '' : 's'} equally between ${members.length} members`
+        : 'Every voucher in that month is already split'
+    });
+
+  } catch (error) {
+    console.error('Split month error:', error);
+    return c.json({ error: 'Failed to split vouchers' }, 500);
+  }
+});
+
+// Any member can record a payment they made or received; admins can record
+// one between any two members
+app.post('/api/ledger/settlements', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to settle up' }, 400);
+    }
+
+    const { from_user_id, to_user_id, amount, settled_on, notes } = await c.req.json();
+    const ledgerService = new LedgerService(db);
+    const members = await ledgerService.members(tenant.id);
+    const validationError = ledgerService.validateSettlement({
+      fromUserId: from_user_id,
+      toUserId: to_user_id,
+      amount,
+      settledOn: settled_on
+    }, members.map(member => member.user_id));
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const involved = [Number(from_user_id), Number(to_user_id)].includes(user.userId);
+    if (!involved && tenant.role !== 'admin') {
+      return c.json({ error: 'You can only record payments you made or received' }, 403);
+    }
+
+    const result = await db.prepare(`
+      INSERT INTO settlements (tenant_id, from_user_id, to_user_id, amount, settled_on, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      tenant.id,
+      Number(from_user_id),
+      Number(to_user_id),
+      Math.round(Number(amount) * 100) / 100,
+      settled_on || new Date().toISOString().split('T')[0],
+      notes || null,
+      user.userId
+    ).run();
+
+    return c.json({
+      success: true,
+      message: 'Payment recorded',
+      settlement: await ledgerService.getSettlement(tenant.id, result.meta.last_row_id)
+    }, 201);
+
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    return c.json({ error: 'Failed to record payment' }, 500);
+  }
+});
+
+// Whoever recorded a payment, or an admin, can remove it
+app.delete('/api/ledger/settlements/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const settlementId = c.req.param('id');
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to settle up' }, 400);
+    }
+
+    const ledgerService = new LedgerService(db);
+    const settlement = await ledgerService.getSettlement(tenant.id, settlementId);
+    if (!settlement) {
+      return c.json({ error: 'Payment not found' }, 404);
+    }
+
+    if (settlement.created_by !== user.userId && tenant.role !== 'admin') {
+      return c.json({ error: 'Only the member who recorded a payment or an admin can remove it' }, 403);
+    }
+
+    await db.prepare(`
+      DELETE FROM settlements WHERE id = ? AND tenant_id = ?
+    `).bind(settlementId, tenant.id).run();
+
+    return c.json({ success: true, message: 'Payment removed' });
+
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    return c.json({ error: 'Failed to remove payment' }, 500);
+  }
+});
+
+// Meters - a household can track more than one prepaid meter
+app.get('/api/meters', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, meters: [], unassigned: { readings: 0, vouchers: 0 } });
+    }
+
+    const meterService = new MeterService(db);
+    const meters = await meterService.list(tenant.id);
+
+    // Rows recorded before any meter was added, or without one picked
+    const unassigned = await db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM readings WHERE tenant_id = ? AND meter_id IS NULL) as readings,
+        (SELECT COUNT(*) FROM vouchers WHERE tenant_id = ? AND meter_id IS NULL) as vouchers
+    `).bind(tenant.id, tenant.id).first();
+
+    return c.json({
+      success: true,
+      meters,
+      unassigned: {
+        readings: unassigned?.readings || 0,
+        vouchers: unassigned?.vouchers || 0
+      },
+      canEdit: tenant.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Get meters error:', error);
+    return c.json({ error: 'Failed to fetch meters' }, 500);
+  }
+});
+
+app.post('/api/meters', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to add meters' }, 400);
+    }
+
+    // Admin-only endpoint
+    if (tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const { meter_number, label, location, assign_unassigned } = await c.req.json();
+    const meterService = new MeterService(db);
+    const validationError = meterService.validate({ meter_number, label });
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const result = await db.prepare(`
+      INSERT INTO meters (tenant_id, meter_number, label, location, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+    `).bind(tenant.id, meterService.normaliseNumber(meter_number), label.trim(), location?.trim() || null, user.userId).run();
+
+    const meterId = result.meta.last_row_id;
+
+    // Existing history can be moved onto the household's first meter
+    if (assign_unassigned) {
+      await db.batch([
+        db.prepare('UPDATE readings SET meter_id = ? WHERE tenant_id = ? AND meter_id IS NULL').bind(meterId, tenant.id),
+        db.prepare('UPDATE vouchers SET meter_id = ? WHERE tenant_id = ? AND meter_id IS NULL').bind(meterId, tenant.id)
+      ]);
+    }
+
+    return c.json({
+      success: true,
+      message: 'Meter added',
+      id: meterId
+    });
+
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'That meter number has already been added' }, 409);
+    }
+    console.error('Create meter error:', error);
+    return c.json({ error: 'Failed to add meter' }, 500);
+  }
+});
+
+app.put('/api/meters/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
 
-      // Get reading data for the tenant (family)
-      const readingResult = await db.prepare(`
-        SELECT
-          COUNT(*) as reading_count,
-          MIN(reading_value) as lowest_reading,
-          MAX(reading_value) as highest_reading,
-          AVG(reading_value) as avg_reading
-        FROM readings
-        WHERE tenant_id = ? AND type = 'reading'
-      `).bind(tenant.id).first();
+    if (!tenant || !tenant.id || tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
 
-      // Get recent vouchers for the tenant (family)
-      const recentVouchers = await db.prepare(`
-        SELECT
-          'voucher' as type,
-          rand_amount as amount,
-          kwh_amount,
-          token_number,
-          purchase_date as date,
-          created_at,
-          notes
-        FROM readings
-        WHERE tenant_id = ? AND type = 'voucher'
-        ORDER BY purchase_date DESC
-        LIMIT 3
-      `).bind(tenant.id).all();
+    const meterService = new MeterService(db);
+    const meter = await meterService.get(tenant.id, id);
+    if (!meter) {
+      return c.json({ error: 'Meter not found' }, 404);
+    }
 
-      const recentReadings = await db.prepare(`
-        SELECT
-          'reading' as type,
-          reading_value as amount,
-          reading_date as date,
-          created_at,
-          notes
-        FROM readings
-        WHERE tenant_id = ? AND type = 'reading'
-        ORDER BY reading_date DESC
-        LIMIT 3
-      `).bind(tenant.id).all();
+    const updates = await c.req.json();
+    const values = {
+      meter_number: updates.meter_number ?? meter.meter_number,
+      label: updates.label ?? meter.label,
+      location: updates.location === undefined ? meter.location : updates.location
+    };
 
-      // Get linked account count for the tenant
-      const linkedAccounts = await db.prepare(`
-        SELECT COUNT(*) as count
-        FROM tenant_users
-        WHERE tenant_id = ?
-      `).bind(tenant.id).first();
+    const validationError = meterService.validate(values);
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
 
-      return c.json({
-        success: true,
-        isSuperAdmin: false,
-        data: {
-          totalPurchased: voucherResult.total_purchased || 0,
-          totalKwhPurchased: voucherResult.total_kwh_purchased || 0,
-          voucherCount: voucherResult.voucher_count || 0,
-          readingCount: readingResult.reading_count || 0,
-          lowestReading: readingResult.lowest_reading || 0,
-          highestReading: readingResult.highest_reading || 0,
-          avgReading: readingResult.avg_reading || 0,
-          recentVouchers: recentVouchers?.results || [],
-          recentReadings: recentReadings?.results || [],
-          linkedAccountCount: linkedAccounts.count || 0
-        }
-      });
+    await db.prepare(`
+      UPDATE meters
+      SET meter_number = ?, label = ?, location = ?, updated_at = datetime('now')
+      WHERE id = ? AND tenant_id = ?
+    `).bind(meterService.normaliseNumber(values.meter_number), values.label.trim(), values.location?.trim() || null, meter.id, tenant.id).run();
+
+    return c.json({
+      success: true,
+      message: 'Meter updated'
+    });
+
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'That meter number has already been added' }, 409);
+    }
+    console.error('Update meter error:', error);
+    return c.json({ error: 'Failed to update meter' }, 500);
+  }
+});
+
+// Removing a meter keeps its readings, vouchers and solar totals, without a meter
+app.delete('/api/meters/:id', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const { id } = c.req.param();
+
+    if (!tenant || !tenant.id || tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    const meter = await new MeterService(db).get(tenant.id, id);
+    if (!meter) {
+      return c.json({ error: 'Meter not found' }, 404);
     }
 
+    await db.batch([
+      db.prepare('UPDATE readings SET meter_id = NULL WHERE meter_id = ? AND tenant_id = ?').bind(meter.id, tenant.id),
+      db.prepare('UPDATE vouchers SET meter_id = NULL WHERE meter_id = ? AND tenant_id = ?').bind(meter.id, tenant.id),
+      db.prepare('UPDATE generation_readings SET meter_id = NULL WHERE meter_id = ? AND tenant_id = ?').bind(meter.id, tenant.id),
+      db.prepare('DELETE FROM meters WHERE id = ? AND tenant_id = ?').bind(meter.id, tenant.id)
+    ]);
+
+    return c.json({
+      success: true,
+      message: 'Meter removed'
+    });
+
   } catch (error) {
-    console.error('Dashboard stats error:', error);
-    return c.json({ error: 'Failed to fetch dashboard data' }, 500);
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'Some readings on this meter share a date with readings that have no meter - move or delete them first' }, 409);
+    }
+    console.error('Delete meter error:', error);
+    return c.json({ error: 'Failed to remove meter' }, 500);
   }
 });
 
@@ -1894,65 +4110,56 @@ app.post('/api/account/leave-group', async (c) => {
   }
 });
 
-// Transactions endpoint for history page (tenant-based)
+// Transactions endpoint for history page (tenant-based) - a page at a time,
+// filtered and sorted; see TransactionService.parseQuery for the options
 app.get('/api/transactions', async (c) => {
   try {
-    const user = c.get('user');
     const tenant = c.get('tenant');
     const db = c.env.DB;
 
-    // Get month filter if provided
-    const month = c.req.query('month');
-    let dateFilter = '';
-    let readingDateFilter = '';
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, transactions: [], nextCursor: null });
+    }
 
-    if (month) {
-      dateFilter = `AND strftime('%Y-%m', purchase_date) = '${month}'`;
-      readingDateFilter = `AND strftime('%Y-%m', reading_date) = '${month}'`;
-      console.log(`Filtering by month: ${month}, dateFilter: ${dateFilter}, readingDateFilter: ${readingDateFilter}`);
+    const transactionService = new TransactionService(db);
+    const options = transactionService.parseQuery(c.req.query());
+    if (options.error) {
+      return c.json({ error: options.error }, 400);
     }
 
-    // Get vouchers for the tenant (family) - use actual purchase_date for timestamp
-    const vouchers = await db.prepare(`
-      SELECT
-        'voucher' as type,
-        id,
-        user_id,
-        token_number,
-        purchase_date,
-        purchase_date as date,
-        rand_amount,
-        kwh_amount,
-        vat_amount,
-        notes
-      FROM vouchers
-      WHERE tenant_id = ? ${dateFilter}
-      ORDER BY purchase_date DESC
-    `).bind(tenant.id).all();
+    // Optional ?meter_id= to show one meter (or "unassigned")
+    const meterFilter = new MeterService(db).parseFilter(c.req.query('meter_id'));
+    if (meterFilter?.error) {
+      return c.json({ error: meterFilter.error }, 400);
+    }
 
-    // Get readings for the tenant (family) - use actual reading_date for timestamp
-    const readings = await db.prepare(`
-      SELECT
-        'reading' as type,
-        id,
-        user_id,
-        reading_value,
-        reading_date,
-        reading_date as date,
-        notes
-      FROM readings
-      WHERE tenant_id = ? ${readingDateFilter}
-      ORDER BY reading_date DESC
-    `).bind(tenant.id).all();
-    
+    const { rows, nextCursor } = await transactionService.page(tenant.id, options, meterFilter);
+    const transactions = await transactionService.details(tenant.id, rows);
 
-    return c.json({
+    // Vouchers whose units don't match the household's tariff are flagged,
+    // and readings that look wrong carry their data-quality warnings. Both
+    // only look at the history around this page.
+    const tariffChecks = await new TariffService(db)
+      .checkVouchers(tenant.id, transactions.filter(row => row.type === 'voucher'));
+    const qualityWarnings = await new ReadingValidationService(db)
+      .checkReadings(tenant.id, transactions.filter(row => row.type === 'reading'));
+
+    const response = {
       success: true,
-      vouchers: vouchers.results || [],
-      readings: readings.results || [],
-      totalVouchers: (vouchers.results || []).length,
-      totalReadings: (readings.results || []).length
-    });
+      transactions: transactions.map(row => row.type === 'voucher'
+        ? { ...row, tariff_check: tariffChecks?.get(row.id) || null }
+        : { ...row, quality_warnings: qualityWarnings.get(row.id) || [] }),
+      nextCursor
+    };
+
+    // Totals and the members to filter by only come with the first page
+    if (!options.cursor) {
+      response.totals = await transactionService.totals(tenant.id, options, meterFilter);
+      response.members = (await new LedgerService(db).members(tenant.id))
+        .map(member => ({ user_id: member.user_id, email: member.email }));
+    }
+
+    return c.json(response);
 
   } catch (error) {
     console.error('Transactions error:', error.message);
@@ -1963,6 +4170,29 @@ app.get('/api/transactions', async (c) => {
   }
 });
 
+// Search a household's vouchers and readings by token, meter number or notes
+app.get('/api/search', authMiddleware, tenantMiddleware, async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ success: true, results: [] });
+    }
+
+    const search = await new SearchService(db).search(tenant.id, c.req.query('q'), { limit: c.req.query('limit') });
+    if (search.error) {
+      return c.json({ error: search.error }, 400);
+    }
+
+    return c.json({ success: true, results: search.results });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    return c.json({ error: 'Failed to search' }, 500);
+  }
+});
+
 app.post('/api/account/change-password', async (c) => {
   try {
     const user = c.get('user');
@@ -2101,11 +4331,26 @@ app.post('/api/tenants/join', async (c) => {
 });
 
 // Export tenant data
+// ?format=json (default, restorable with /api/import/backup), csv, xlsx or pdf.
+// The spreadsheet and PDF formats take ?from=&to= to cover a tax year or
+// lease period; csv takes ?entity= for a single file instead of a ZIP.
 app.get('/api/export/data', async (c) => {
   try {
     const user = c.get('user');
     const tenant = c.get('tenant');
     const db = c.env.DB;
+    const format = c.req.query('format') || 'json';
+    const period = { from: c.req.query('from'), to: c.req.query('to') };
+    const exportService = new ExportService(db);
+
+    if (!exportService.formats.includes(format)) {
+      return c.json({ error: `format must be one of ${exportService.formats.join(', ')}` }, 400);
+    }
+
+    const periodError = exportService.validatePeriod(period);
+    if (periodError) {
+      return c.json({ error: periodError }, 400);
+    }
 
     // Get all tenant data
     const vouchers = await db.prepare(`
@@ -2116,6 +4361,10 @@ app.get('/api/export/data', async (c) => {
       SELECT * FROM readings WHERE tenant_id = ?
     `).bind(tenant.id).all();
 
+    const meters = await db.prepare(`
+      SELECT id, meter_number, label, location, created_at FROM meters WHERE tenant_id = ?
+    `).bind(tenant.id).all();
+
     const tenantInfo = await db.prepare(`
       SELECT t.*, GROUP_CONCAT(u.email) as members
       FROM tenants t
@@ -2126,10 +4375,12 @@ app.get('/api/export/data', async (c) => {
     `).bind(tenant.id).first();
 
     const exportData = {
+      schema_version: new BackupService(db).schemaVersion,
       export_date: new Date().toISOString(),
       tenant: tenantInfo,
       vouchers: vouchers.results || [],
       readings: readings.results || [],
+      meters: meters.results || [],
       summary: {
         total_vouchers: (vouchers.results || []).length,
         total_readings: (readings.results || []).length,
@@ -2137,6 +4388,22 @@ app.get('/api/export/data', async (c) => {
       }
     };
 
+    if (format !== 'json') {
+      const file = exportService.build(format, exportService.filterPeriod(exportData, period), {
+        ...period,
+        entity: c.req.query('entity'),
+        generatedAt: exportData.export_date
+      });
+      if (file.error) {
+        return c.json({ error: file.error }, 400);
+      }
+
+      return c.body(file.body, 200, {
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="electricity-data-${tenant.id}-${Date.now()}.${file.extension}"`
+      });
+    }
+
     // Set headers for download
     c.header('Content-Type', 'application/json');
     c.header('Content-Disposition', `attachment; filename="electricity-data-${tenant.id}-${Date.now()}.json"`);
@@ -2148,6 +4415,128 @@ app.get('/api/export/data', async (c) => {
   }
 });
 
+// CSV import of historical readings or vouchers, or daily solar totals from
+// an inverter export (type "generation"). With dryRun the file is only
+// validated; otherwise the valid rows are inserted in one batch.
+app.post('/api/import/csv', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to import data' }, 400);
+    }
+
+    const { csv, type, mapping, dateFormat, dryRun } = await c.req.json();
+    if (!csv || typeof csv !== 'string') {
+      return c.json({ error: 'csv is required' }, 400);
+    }
+
+    const importService = new CsvImportService(db);
+    const preview = await importService.preview(csv, {
+      type,
+      mapping,
+      dateFormat: dateFormat || 'auto',
+      userId: user.userId,
+      tenantId: tenant.id
+    });
+
+    if (preview.error) {
+      return c.json({ error: preview.error }, 400);
+    }
+
+    const { results, ...details } = preview;
+    const valid = results.filter(r => r.errors.length === 0).length;
+    const counts = { total: results.length, valid, invalid: results.length - valid };
+
+    // A dry run still returns the headers so the missing columns can be mapped
+    if (dryRun) {
+      return c.json({ success: true, dryRun: true, ...details, counts, rows: results });
+    }
+
+    if (preview.missingFields.length > 0) {
+      return c.json({ error: `Map a column to ${preview.missingFields.join(', ')}` }, 400);
+    }
+
+    let created = 0;
+    if (valid > 0) {
+      // D1 runs a batch as a single transaction
+      const inserted = await db.batch(importService.insertStatements(results, { type, userId: user.userId, tenantId: tenant.id }));
+      created = inserted.filter(result => result.meta.changes > 0).length;
+    }
+
+    return c.json({
+      success: true,
+      message: `Imported ${created} of ${results.length} ${type === 'generation' ? 'solar totals' : type}`,
+      created,
+      // Rows saved by someone else since the dry run are skipped too
+      skipped: results.length - created,
+      errors: results.filter(r => r.errors.length > 0)
+    });
+
+  } catch (error) {
+    console.error('CSV import error:', error);
+    return c.json({ error: 'Failed to import file' }, 500);
+  }
+});
+
+// Restore the JSON from /api/export/data. ?mode=merge (default) adds what
+// the household doesn't have yet; ?mode=replace wipes its readings, vouchers
+// and meters first and is admin only.
+app.post('/api/import/backup', async (c) => {
+  try {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+    const db = c.env.DB;
+    const mode = c.req.query('mode') || 'merge';
+
+    if (!tenant || !tenant.id) {
+      return c.json({ error: 'Join or create a household to restore a backup' }, 400);
+    }
+
+    if (!['merge', 'replace'].includes(mode)) {
+      return c.json({ error: 'mode must be "merge" or "replace"' }, 400);
+    }
+
+    if (mode === 'replace' && tenant.role !== 'admin') {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    let backup;
+    try {
+      backup = await c.req.json();
+    } catch (error) {
+      return c.json({ error: 'The backup is not valid JSON' }, 400);
+    }
+
+    const backupService = new BackupService(db);
+    const { version, errors, totalErrors } = backupService.validate(backup);
+    if (errors.length > 0) {
+      return c.json({ error: 'The backup does not match the export format', schemaVersion: version, errors, totalErrors }, 400);
+    }
+
+    // Replace deletes every photo's row with its entry, so the files are
+    // removed once the restore has gone through
+    const attachmentService = new AttachmentService(db, c.env.ATTACHMENTS);
+    const attachments = mode === 'replace' ? await attachmentService.listTenant(tenant.id) : [];
+    const counts = await backupService.restore(backup, { mode, tenantId: tenant.id, userId: user.userId });
+    await removeEntryPhotos(attachmentService, attachments);
+
+    return c.json({
+      success: true,
+      message: `Restored ${counts.vouchers.restored} voucher(s) and ${counts.readings.restored} reading(s)`,
+      mode,
+      schemaVersion: version,
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('Backup restore error:', error);
+    return c.json({ error: 'Failed to restore backup' }, 500);
+  }
+});
+
 // Email Invitation Endpoints
 
 // Send family invitation via email
@@ -3349,6 +5738,86 @@ app.post('/api/admin/users/:userId/reset-password', authMiddleware, superAdminMi
 });
 
 // 5. TENANT MANAGEMENT
+// Tariff tables. A new version takes over from its effective date; vouchers
+// bought before then are still checked against the older rates.
+app.post('/api/admin/tariffs', authMiddleware, superAdminMiddleware, async (c) => {
+  try {
+    const db = c.env.DB;
+    const { code, name, provider } = await c.req.json();
+
+    if (!code || !name || !provider) {
+      return c.json({ error: 'code, name and provider are required' }, 400);
+    }
+
+    const result = await db.prepare(`
+      INSERT INTO tariffs (code, name, provider, created_at) VALUES (?, ?, ?, datetime('now'))
+    `).bind(String(code).trim().toLowerCase(), name.trim(), provider.trim()).run();
+
+    return c.json({
+      success: true,
+      message: 'Tariff added',
+      id: result.meta.last_row_id
+    });
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'A tariff with that code already exists' }, 409);
+    }
+    console.error('Create tariff error:', error);
+    return c.json({ error: 'Failed to add tariff' }, 500);
+  }
+});
+
+app.post('/api/admin/tariffs/:id/versions', authMiddleware, superAdminMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const db = c.env.DB;
+    const tariffId = c.req.param('id');
+    const { effective_from, blocks, monthly_charge, notes } = await c.req.json();
+
+    const tariff = await db.prepare('SELECT id FROM tariffs WHERE id = ?').bind(tariffId).first();
+    if (!tariff) {
+      return c.json({ error: 'Tariff not found' }, 404);
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_from || '')) {
+      return c.json({ error: 'effective_from must be a YYYY-MM-DD date' }, 400);
+    }
+
+    const charge = Number(monthly_charge) || 0;
+    if (charge < 0) {
+      return c.json({ error: 'monthly_charge cannot be negative' }, 400);
+    }
+
+    const tariffService = new TariffService(db);
+    const blocksError = tariffService.validateBlocks(blocks);
+    if (blocksError) {
+      return c.json({ error: blocksError }, 400);
+    }
+
+    const cleanBlocks = blocks.map((block, i) => ({
+      up_to: i === blocks.length - 1 ? null : Number(block.up_to),
+      rate: Number(block.rate)
+    }));
+
+    const result = await db.prepare(`
+      INSERT INTO tariff_versions (tariff_id, effective_from, blocks, monthly_charge, notes, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    `).bind(tariff.id, effective_from, JSON.stringify(cleanBlocks), charge, notes || null, user.userId).run();
+
+    return c.json({
+      success: true,
+      message: `Rates from ${effective_from} added`,
+      id: result.meta.last_row_id
+    });
+  } catch (error) {
+    if (String(error.message).includes('UNIQUE constraint failed')) {
+      return c.json({ error: 'This tariff already has rates from that date' }, 409);
+    }
+    console.error('Create tariff version error:', error);
+    return c.json({ error: 'Failed to add tariff rates' }, 500);
+  }
+});
+
 app.get('/api/admin/tenants', authMiddleware, superAdminMiddleware, async (c) => {
   try {
     const db = c.env.DB;
@@ -3405,7 +5874,10 @@ app.post('/api/admin/system/cleanup', authMiddleware, superAdminMiddleware, asyn
         break;
 
       case 'orphaned_data':
-        // Clean up vouchers/readings without valid users
+        // Clean up vouchers/readings without valid users, and the splits of those vouchers
+        await db.prepare(`
+          DELETE FROM voucher_splits WHERE voucher_id IN (SELECT id FROM vouchers WHERE user_id NOT IN (SELECT id FROM users))
+        `).run();
         const orphanedVouchers = await db.prepare(`
           DELETE FROM vouchers WHERE user_id NOT IN (SELECT id FROM users)
         `).run();
@@ -3536,4 +6008,23 @@ app.get('*', async (c) => {
   return c.text('Not Found', 404);
 });
 
-export default app;
+// Cron trigger - email households whose forecast has dropped below their alert
+// thresholds, and members whose household is heading over this month's budget
+async function scheduled(event, env, ctx) {
+  const alertService = new AlertService(env);
+  ctx.waitUntil(
+    alertService.runLowCreditAlerts()
+      .then(summary => console.log(`⏰ Low credit alerts (${event.cron}):`, JSON.stringify(summary)))
+      .catch(error => console.error('Scheduled alerts error:', error))
+  );
+  ctx.waitUntil(
+    alertService.runBudgetAlerts()
+      .then(summary => console.log(`⏰ Budget alerts (${event.cron}):`, JSON.stringify(summary)))
+      .catch(error => console.error('Scheduled budget alerts error:', error))
+  );
+}
+
+export default {
+  fetch: app.fetch,
+  scheduled
+};
@@ -0,0 +1,32 @@
+-- Low Credit Alerts Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/007_low_credit_alerts.sql --remote
+
+-- Per-household thresholds for the scheduled low-credit email
+CREATE TABLE IF NOT EXISTS alert_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL UNIQUE,
+    enabled INTEGER NOT NULL DEFAULT 0,
+    min_kwh REAL CHECK(min_kwh IS NULL OR min_kwh >= 0),
+    min_days REAL CHECK(min_days IS NULL OR min_days >= 0),
+    updated_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (updated_by) REFERENCES users(id)
+);
+
+-- Alerts already sent, so each reading only triggers one email per household
+CREATE TABLE IF NOT EXISTS alert_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    alert_type TEXT NOT NULL DEFAULT 'low_credit',
+    reading_id INTEGER,
+    triggered_by TEXT NOT NULL,
+    estimated_remaining_kwh REAL,
+    days_remaining REAL,
+    recipients INTEGER DEFAULT 0,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_log_tenant_sent ON alert_log(tenant_id, sent_at);
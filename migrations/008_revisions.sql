@@ -0,0 +1,21 @@
+-- Revision History Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/008_revisions.sql --remote
+
+-- One row per edit or delete of a reading or voucher. old_values/new_values
+-- hold JSON objects with only the fields that changed.
+CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    entity_type TEXT NOT NULL CHECK(entity_type IN ('reading', 'voucher')),
+    entity_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    action TEXT NOT NULL DEFAULT 'update' CHECK(action IN ('update', 'delete')),
+    old_values TEXT NOT NULL,
+    new_values TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_entity ON revisions(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_revisions_tenant_id ON revisions(tenant_id);
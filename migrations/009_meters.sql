@@ -0,0 +1,58 @@
+-- Meters Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/009_meters.sql --remote
+
+-- A household can have more than one prepaid meter (granny flat, second
+-- property). Numbers are stored without spaces or dashes.
+CREATE TABLE IF NOT EXISTS meters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    meter_number TEXT NOT NULL,
+    label TEXT NOT NULL,
+    location TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    UNIQUE(tenant_id, meter_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meters_tenant_id ON meters(tenant_id);
+
+-- Vouchers: optional meter the credit was bought for
+ALTER TABLE vouchers ADD COLUMN meter_id INTEGER REFERENCES meters(id);
+CREATE INDEX IF NOT EXISTS idx_vouchers_meter_id ON vouchers(meter_id);
+
+-- Readings: the table is rebuilt because UNIQUE(user_id, reading_date) would
+-- stop two meters being read on the same day. Ids are kept so revisions
+-- still point at the right rows.
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE readings_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reading_value REAL NOT NULL CHECK(reading_value >= 0),
+    reading_date DATE NOT NULL,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    tenant_id INTEGER,
+    meter_id INTEGER REFERENCES meters(id),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+INSERT INTO readings_new (id, user_id, reading_value, reading_date, notes, created_at, updated_at, tenant_id)
+SELECT id, user_id, reading_value, reading_date, notes, created_at, updated_at, tenant_id FROM readings;
+
+DROP TABLE readings;
+ALTER TABLE readings_new RENAME TO readings;
+
+PRAGMA defer_foreign_keys = false;
+
+-- One reading per user, meter and day; readings without a meter count as one meter
+CREATE UNIQUE INDEX IF NOT EXISTS idx_readings_user_meter_date ON readings(user_id, COALESCE(meter_id, 0), reading_date);
+CREATE INDEX IF NOT EXISTS idx_readings_user_id ON readings(user_id);
+CREATE INDEX IF NOT EXISTS idx_readings_reading_date ON readings(reading_date);
+CREATE INDEX IF NOT EXISTS idx_readings_tenant_id ON readings(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_readings_tenant_date ON readings(tenant_id, reading_date DESC);
+CREATE INDEX IF NOT EXISTS idx_readings_meter_id ON readings(meter_id);
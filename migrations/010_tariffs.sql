@@ -0,0 +1,78 @@
+-- Tariffs Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/010_tariffs.sql --remote
+
+-- Prepaid tariffs (Eskom direct or a municipality). Rates change every year,
+-- so the block rates live in versions with the date they take effect.
+CREATE TABLE IF NOT EXISTS tariffs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inclining blocks as JSON, cheapest first: [{"up_to": 350, "rate": 2.09}, {"up_to": null, "rate": 2.46}].
+-- up_to is the kWh bought so far this month where the block ends; rates are
+-- rand per kWh including VAT. monthly_charge comes off the first purchase
+-- of each month.
+CREATE TABLE IF NOT EXISTS tariff_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tariff_id INTEGER NOT NULL,
+    effective_from DATE NOT NULL,
+    blocks TEXT NOT NULL,
+    monthly_charge REAL NOT NULL DEFAULT 0 CHECK(monthly_charge >= 0),
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tariff_id) REFERENCES tariffs(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    UNIQUE(tariff_id, effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tariff_versions_tariff ON tariff_versions(tariff_id, effective_from);
+
+-- The tariff each household buys on, and how far a voucher's units may be
+-- from the tariff's prediction before it is flagged
+CREATE TABLE IF NOT EXISTS tariff_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL UNIQUE,
+    tariff_id INTEGER,
+    tolerance_percent REAL NOT NULL DEFAULT 5 CHECK(tolerance_percent >= 0),
+    updated_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (tariff_id) REFERENCES tariffs(id),
+    FOREIGN KEY (updated_by) REFERENCES users(id)
+);
+
+-- Starting tariffs. Rates are approximate published residential prepaid
+-- rates; super admins add a version each year from /api/admin/tariffs.
+INSERT OR IGNORE INTO tariffs (code, name, provider) VALUES
+    ('eskom-homelight-20a', 'Homelight 20A', 'Eskom'),
+    ('city-power-prepaid', 'Residential Prepaid', 'City Power Johannesburg'),
+    ('cape-town-domestic-prepaid', 'Domestic Prepaid', 'City of Cape Town');
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2024-04-01', '[{"up_to":350,"rate":2.06},{"up_to":null,"rate":2.42}]', '2024/25 rates'
+FROM tariffs WHERE code = 'eskom-homelight-20a';
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2025-04-01', '[{"up_to":350,"rate":2.32},{"up_to":null,"rate":2.73}]', '2025/26 rates'
+FROM tariffs WHERE code = 'eskom-homelight-20a';
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2024-07-01', '[{"up_to":350,"rate":2.64},{"up_to":500,"rate":3.03},{"up_to":null,"rate":3.30}]', '2024/25 rates'
+FROM tariffs WHERE code = 'city-power-prepaid';
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2025-07-01', '[{"up_to":350,"rate":2.98},{"up_to":500,"rate":3.42},{"up_to":null,"rate":3.72}]', '2025/26 rates'
+FROM tariffs WHERE code = 'city-power-prepaid';
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2024-07-01', '[{"up_to":600,"rate":3.37},{"up_to":null,"rate":4.27}]', '2024/25 rates'
+FROM tariffs WHERE code = 'cape-town-domestic-prepaid';
+
+INSERT OR IGNORE INTO tariff_versions (tariff_id, effective_from, blocks, notes)
+SELECT id, '2025-07-01', '[{"up_to":600,"rate":3.78},{"up_to":null,"rate":4.79}]', '2025/26 rates'
+FROM tariffs WHERE code = 'cape-town-domestic-prepaid';
@@ -0,0 +1,26 @@
+-- Budgets Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/011_budgets.sql --remote
+
+-- A household's electricity budget for a calendar month ('YYYY-MM'), in rand
+-- and optionally in kWh
+CREATE TABLE IF NOT EXISTS budgets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    month TEXT NOT NULL,
+    amount REAL NOT NULL CHECK(amount > 0),
+    kwh REAL CHECK(kwh IS NULL OR kwh > 0),
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (updated_by) REFERENCES users(id),
+    UNIQUE(tenant_id, month)
+);
+
+-- Members choose for themselves whether they want the overspend email
+ALTER TABLE tenant_users ADD COLUMN budget_alerts INTEGER NOT NULL DEFAULT 0;
+
+-- Budget alerts are sent once per month; low credit alerts leave this empty
+ALTER TABLE alert_log ADD COLUMN period TEXT;
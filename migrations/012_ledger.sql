@@ -0,0 +1,43 @@
+-- Ledger Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/012_ledger.sql --remote
+
+-- Who shares the cost of a voucher. Every row of a voucher has the same
+-- method: 'equal' (value unused), 'percent' (value is a percentage) or
+-- 'amount' (value is a rand amount). Vouchers without rows aren't shared.
+CREATE TABLE IF NOT EXISTS voucher_splits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    voucher_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    method TEXT NOT NULL CHECK(method IN ('equal', 'percent', 'amount')),
+    value REAL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (voucher_id) REFERENCES vouchers(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    UNIQUE(voucher_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_splits_tenant_id ON voucher_splits(tenant_id);
+
+-- Money one member paid another to settle up
+CREATE TABLE IF NOT EXISTS settlements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    from_user_id INTEGER NOT NULL,
+    to_user_id INTEGER NOT NULL,
+    amount REAL NOT NULL CHECK(amount > 0),
+    settled_on DATE NOT NULL,
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (from_user_id) REFERENCES users(id),
+    FOREIGN KEY (to_user_id) REFERENCES users(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    CHECK(from_user_id != to_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlements_tenant_id ON settlements(tenant_id, settled_on);
@@ -0,0 +1,53 @@
+-- Reading Timestamps Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/013_reading_timestamps.sql --remote
+
+-- Readings: reading_at is the moment the meter was read, in UTC as
+-- 'YYYY-MM-DDTHH:MM:SSZ'; reading_date stays as the South African day it was
+-- read on. One reading per user, meter and moment replaces one per day, so
+-- a morning and an evening reading can both be kept. The table is rebuilt
+-- so reading_at can be NOT NULL; ids are kept so revisions still point at
+-- the right rows.
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE readings_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reading_value REAL NOT NULL CHECK(reading_value >= 0),
+    reading_at TEXT NOT NULL,
+    reading_date DATE NOT NULL,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    tenant_id INTEGER,
+    meter_id INTEGER REFERENCES meters(id),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Existing dates were entered in South African time (UTC+2). A date on its
+-- own becomes midday; a value that already has a zone is converted as is.
+INSERT INTO readings_new (id, user_id, reading_value, reading_at, reading_date, notes, created_at, updated_at, tenant_id, meter_id)
+SELECT id, user_id, reading_value, reading_at, date(reading_at, '+2 hours'), notes, created_at, updated_at, tenant_id, meter_id
+FROM (
+    SELECT *,
+        CASE
+            WHEN length(reading_date) <= 10
+                THEN strftime('%Y-%m-%dT%H:%M:%SZ', reading_date || ' 12:00:00', '-2 hours')
+            WHEN reading_date GLOB '*[Zz]' OR reading_date GLOB '*[+-][0-9][0-9]:[0-9][0-9]'
+                THEN strftime('%Y-%m-%dT%H:%M:%SZ', reading_date)
+            ELSE strftime('%Y-%m-%dT%H:%M:%SZ', replace(substr(reading_date, 1, 19), 'T', ' '), '-2 hours')
+        END as reading_at
+    FROM readings
+);
+
+DROP TABLE readings;
+ALTER TABLE readings_new RENAME TO readings;
+
+PRAGMA defer_foreign_keys = false;
+
+-- Readings without a meter count as one meter
+CREATE UNIQUE INDEX IF NOT EXISTS idx_readings_user_meter_at ON readings(user_id, COALESCE(meter_id, 0), reading_at);
+CREATE INDEX IF NOT EXISTS idx_readings_user_id ON readings(user_id);
+CREATE INDEX IF NOT EXISTS idx_readings_reading_date ON readings(reading_date);
+CREATE INDEX IF NOT EXISTS idx_readings_tenant_id ON readings(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_readings_tenant_at ON readings(tenant_id, reading_at DESC);
+CREATE INDEX IF NOT EXISTS idx_readings_meter_id ON readings(meter_id);
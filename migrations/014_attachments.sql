@@ -0,0 +1,25 @@
+-- Attachments Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/014_attachments.sql --remote
+
+-- Photos kept with a reading or voucher. The files are in the ATTACHMENTS
+-- R2 bucket; object_key is the photo and thumbnail_key its small WebP copy,
+-- when one could be made. entity_id points at readings or vouchers
+-- depending on entity_type, so it has no foreign key.
+CREATE TABLE IF NOT EXISTS attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    entity_type TEXT NOT NULL CHECK(entity_type IN ('reading', 'voucher')),
+    entity_id INTEGER NOT NULL,
+    object_key TEXT NOT NULL UNIQUE,
+    thumbnail_key TEXT,
+    content_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    file_name TEXT,
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_tenant_id ON attachments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_entity ON attachments(entity_type, entity_id);
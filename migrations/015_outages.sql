@@ -0,0 +1,26 @@
+-- Outages Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/015_outages.sql --remote
+
+-- Load-shedding and other outages, so usage can be compared per hour the
+-- power was on. Times are UTC 'YYYY-MM-DDTHH:MM:SSZ' like readings.reading_at.
+-- Outages come from an imported schedule for an area ('ics' or 'json') or
+-- are logged by hand ('manual'); re-importing an area's schedule replaces
+-- the imported outages it covers.
+CREATE TABLE IF NOT EXISTS outages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    area TEXT,
+    stage INTEGER CHECK(stage IS NULL OR stage BETWEEN 1 AND 8),
+    starts_at TEXT NOT NULL,
+    ends_at TEXT NOT NULL CHECK(ends_at > starts_at),
+    source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'ics', 'json')),
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- The same slot is only kept once per area
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outages_tenant_slot ON outages(tenant_id, COALESCE(area, ''), starts_at, ends_at);
+CREATE INDEX IF NOT EXISTS idx_outages_tenant_starts ON outages(tenant_id, starts_at);
@@ -0,0 +1,28 @@
+-- Solar Generation Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/016_generation.sql --remote
+
+-- Daily solar totals from a household's inverter, entered by hand or
+-- imported from the inverter's CSV export. generation_date is the South
+-- African day; generated_kwh is what the panels produced that day and
+-- exported_kwh what was fed back into the grid. meter_id is the prepaid
+-- meter the inverter sits behind and inverter an optional name, so a
+-- household with two inverters can record both.
+CREATE TABLE IF NOT EXISTS generation_readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    user_id INTEGER,
+    meter_id INTEGER,
+    inverter TEXT,
+    generation_date DATE NOT NULL,
+    generated_kwh REAL NOT NULL CHECK(generated_kwh >= 0),
+    exported_kwh REAL NOT NULL DEFAULT 0 CHECK(exported_kwh >= 0),
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (meter_id) REFERENCES meters(id)
+);
+
+-- One total per inverter per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_tenant_day ON generation_readings(tenant_id, COALESCE(meter_id, 0), COALESCE(inverter, ''), generation_date);
+CREATE INDEX IF NOT EXISTS idx_generation_tenant_date ON generation_readings(tenant_id, generation_date);
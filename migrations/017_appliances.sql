@@ -0,0 +1,24 @@
+-- Appliances Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/017_appliances.sql --remote
+
+-- A household's appliances, for estimating what uses its electricity.
+-- watts is one unit's rating, quantity how many there are and hours_per_day
+-- how long they typically run. Seasonal appliances only count in their half
+-- of the year: summer is October to March, winter April to September.
+CREATE TABLE IF NOT EXISTS appliances (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'other',
+    watts REAL NOT NULL CHECK(watts > 0),
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK(quantity >= 1),
+    hours_per_day REAL NOT NULL CHECK(hours_per_day >= 0 AND hours_per_day <= 24),
+    season TEXT NOT NULL DEFAULT 'all' CHECK(season IN ('all', 'summer', 'winter')),
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appliances_tenant_id ON appliances(tenant_id);
@@ -0,0 +1,87 @@
+-- Search Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/018_search.sql --remote
+
+-- Full-text search over vouchers and readings. The trigram tokenizer
+-- matches any part of a word of 3 or more characters, so the middle of a
+-- half-remembered token still matches. Tokens and meter numbers are kept
+-- as digits only, so a search works with or without dashes and spaces.
+-- A voucher's rowid is its id * 2 and a reading's its id * 2 + 1, so the
+-- triggers below find a row's entry without scanning the table.
+CREATE VIRTUAL TABLE IF NOT EXISTS transaction_search USING fts5(
+    entity_type UNINDEXED,
+    entity_id UNINDEXED,
+    tenant_id UNINDEXED,
+    token,
+    meter_number,
+    notes,
+    tokenize = 'trigram'
+);
+
+INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+SELECT v.id * 2, 'voucher', v.id, v.tenant_id,
+    REPLACE(REPLACE(v.token_number, '-', ''), ' ', ''),
+    REPLACE(REPLACE(m.meter_number, '-', ''), ' ', ''),
+    v.notes
+FROM vouchers v
+LEFT JOIN meters m ON m.id = v.meter_id;
+
+INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+SELECT r.id * 2 + 1, 'reading', r.id, r.tenant_id,
+    NULL,
+    REPLACE(REPLACE(m.meter_number, '-', ''), ' ', ''),
+    r.notes
+FROM readings r
+LEFT JOIN meters m ON m.id = r.meter_id;
+
+CREATE TRIGGER IF NOT EXISTS vouchers_search_insert AFTER INSERT ON vouchers BEGIN
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2, 'voucher', NEW.id, NEW.tenant_id,
+        REPLACE(REPLACE(NEW.token_number, '-', ''), ' ', ''),
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vouchers_search_update AFTER UPDATE ON vouchers BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2;
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2, 'voucher', NEW.id, NEW.tenant_id,
+        REPLACE(REPLACE(NEW.token_number, '-', ''), ' ', ''),
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vouchers_search_delete AFTER DELETE ON vouchers BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2;
+END;
+
+CREATE TRIGGER IF NOT EXISTS readings_search_insert AFTER INSERT ON readings BEGIN
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2 + 1, 'reading', NEW.id, NEW.tenant_id,
+        NULL,
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS readings_search_update AFTER UPDATE ON readings BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2 + 1;
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2 + 1, 'reading', NEW.id, NEW.tenant_id,
+        NULL,
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS readings_search_delete AFTER DELETE ON readings BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2 + 1;
+END;
+
+-- A renumbered meter is found by its new number
+CREATE TRIGGER IF NOT EXISTS meters_search_update AFTER UPDATE OF meter_number ON meters BEGIN
+    UPDATE transaction_search
+    SET meter_number = REPLACE(REPLACE(NEW.meter_number, '-', ''), ' ', '')
+    WHERE rowid IN (
+        SELECT id * 2 FROM vouchers WHERE meter_id = NEW.id
+        UNION ALL
+        SELECT id * 2 + 1 FROM readings WHERE meter_id = NEW.id
+    );
+END;
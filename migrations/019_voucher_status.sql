@@ -0,0 +1,31 @@
+-- Voucher Status Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/019_voucher_status.sql --remote
+
+-- A voucher goes from purchased (the token was bought) to loaded (it was
+-- entered into the meter) to verified (a reading showed the credit arrive).
+-- loaded_at is when it was loaded, in UTC as 'YYYY-MM-DDTHH:MM:SSZ', and
+-- loaded_reading_id the reading that verified it.
+ALTER TABLE vouchers ADD COLUMN status TEXT NOT NULL DEFAULT 'purchased'
+    CHECK(status IN ('purchased', 'loaded', 'verified'));
+ALTER TABLE vouchers ADD COLUMN loaded_at TEXT;
+ALTER TABLE vouchers ADD COLUMN loaded_reading_id INTEGER;
+
+-- A meter read on or after the day a token was bought has been counted as
+-- having it, so existing tokens are taken to be loaded; when is unknown
+UPDATE vouchers
+SET status = 'loaded'
+WHERE EXISTS (
+    SELECT 1 FROM readings r
+    WHERE r.tenant_id = vouchers.tenant_id
+      AND (r.meter_id IS vouchers.meter_id OR r.meter_id IS NULL OR vouchers.meter_id IS NULL)
+      AND r.reading_date >= substr(vouchers.purchase_date, 1, 10)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_status ON vouchers(tenant_id, status);
+
+-- Without the reading that verified it, a token is only known to be loaded
+CREATE TRIGGER IF NOT EXISTS readings_voucher_status_delete AFTER DELETE ON readings BEGIN
+    UPDATE vouchers
+    SET status = 'loaded', loaded_reading_id = NULL
+    WHERE loaded_reading_id = OLD.id;
+END;
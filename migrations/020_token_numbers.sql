@@ -0,0 +1,137 @@
+-- Token Numbers Migration
+-- Run with: npx wrangler d1 execute electricity-tracker-db --file=migrations/020_token_numbers.sql --remote
+
+-- Tokens are stored the way they are keyed in, 'XXXX-XXXX-XXXX-XXXX-XXXX',
+-- and a token can only be saved once per household rather than once per
+-- user, so two members can't both record the same purchase. The table is
+-- rebuilt to change its UNIQUE constraint; ids are kept so splits,
+-- revisions and search rows still point at the right vouchers.
+
+-- These read or write vouchers from other tables, so they go while it is
+-- rebuilt. The vouchers_search_* triggers go with the old table.
+DROP TRIGGER IF EXISTS meters_search_update;
+DROP TRIGGER IF EXISTS readings_voucher_status_delete;
+
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE vouchers_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_number TEXT NOT NULL,
+    purchase_date DATE NOT NULL,
+    rand_amount REAL NOT NULL CHECK(rand_amount > 0),
+    kwh_amount REAL NOT NULL CHECK(kwh_amount > 0),
+    vat_amount REAL DEFAULT 0,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    tenant_id INTEGER,
+    meter_id INTEGER REFERENCES meters(id),
+    status TEXT NOT NULL DEFAULT 'purchased' CHECK(status IN ('purchased', 'loaded', 'verified')),
+    loaded_at TEXT,
+    loaded_reading_id INTEGER,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    UNIQUE(tenant_id, token_number)
+);
+
+-- Tokens of 20 digits, whatever their spacing, are regrouped in fours;
+-- anything else is kept as it was. When members of a household saved the
+-- same token, the first is kept and the later ones are marked so they can
+-- be found and deleted.
+INSERT INTO vouchers_new (id, user_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, created_at, updated_at, tenant_id, meter_id, status, loaded_at, loaded_reading_id)
+SELECT id, user_id,
+    CASE
+        WHEN EXISTS (
+            SELECT 1 FROM vouchers earlier
+            WHERE earlier.tenant_id = canonical.tenant_id AND earlier.id < canonical.id
+              AND (CASE
+                      WHEN length(replace(replace(earlier.token_number, ' ', ''), '-', '')) = 20
+                       AND replace(replace(earlier.token_number, ' ', ''), '-', '') NOT GLOB '*[^0-9]*'
+                          THEN replace(replace(earlier.token_number, ' ', ''), '-', '')
+                      ELSE earlier.token_number
+                   END) = canonical.digits
+        ) THEN canonical.token || ' (duplicate ' || id || ')'
+        ELSE canonical.token
+    END,
+    purchase_date, rand_amount, kwh_amount, vat_amount, notes, created_at, updated_at, tenant_id, meter_id, status, loaded_at, loaded_reading_id
+FROM (
+    SELECT *,
+        CASE
+            WHEN length(digits) = 20 AND digits NOT GLOB '*[^0-9]*'
+                THEN substr(digits, 1, 4) || '-' || substr(digits, 5, 4) || '-' || substr(digits, 9, 4) || '-' || substr(digits, 13, 4) || '-' || substr(digits, 17, 4)
+            ELSE token_number
+        END as token
+    FROM (
+        SELECT *,
+            CASE
+                WHEN length(replace(replace(token_number, ' ', ''), '-', '')) = 20
+                 AND replace(replace(token_number, ' ', ''), '-', '') NOT GLOB '*[^0-9]*'
+                    THEN replace(replace(token_number, ' ', ''), '-', '')
+                ELSE token_number
+            END as digits
+        FROM vouchers
+    )
+) canonical;
+
+DROP TABLE vouchers;
+ALTER TABLE vouchers_new RENAME TO vouchers;
+
+PRAGMA defer_foreign_keys = false;
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_user_id ON vouchers(user_id);
+CREATE INDEX IF NOT EXISTS idx_vouchers_purchase_date ON vouchers(purchase_date);
+CREATE INDEX IF NOT EXISTS idx_vouchers_tenant_id ON vouchers(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_vouchers_meter_id ON vouchers(meter_id);
+CREATE INDEX IF NOT EXISTS idx_vouchers_status ON vouchers(tenant_id, status);
+
+-- Search rows store tokens as digits only, so regrouping a token leaves its
+-- row as it was, but the copies marked as duplicates are indexed again
+-- with their new token.
+DELETE FROM transaction_search
+WHERE rowid IN (SELECT id * 2 FROM vouchers WHERE token_number LIKE '% (duplicate %)');
+
+INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+SELECT id * 2, 'voucher', id, tenant_id,
+    REPLACE(REPLACE(token_number, '-', ''), ' ', ''),
+    (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = vouchers.meter_id),
+    notes
+FROM vouchers
+WHERE token_number LIKE '% (duplicate %)';
+
+-- The triggers from 018_search.sql and 019_voucher_status.sql, unchanged
+CREATE TRIGGER IF NOT EXISTS vouchers_search_insert AFTER INSERT ON vouchers BEGIN
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2, 'voucher', NEW.id, NEW.tenant_id,
+        REPLACE(REPLACE(NEW.token_number, '-', ''), ' ', ''),
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vouchers_search_update AFTER UPDATE ON vouchers BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2;
+    INSERT INTO transaction_search (rowid, entity_type, entity_id, tenant_id, token, meter_number, notes)
+    VALUES (NEW.id * 2, 'voucher', NEW.id, NEW.tenant_id,
+        REPLACE(REPLACE(NEW.token_number, '-', ''), ' ', ''),
+        (SELECT REPLACE(REPLACE(meter_number, '-', ''), ' ', '') FROM meters WHERE id = NEW.meter_id),
+        NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vouchers_search_delete AFTER DELETE ON vouchers BEGIN
+    DELETE FROM transaction_search WHERE rowid = OLD.id * 2;
+END;
+
+CREATE TRIGGER IF NOT EXISTS meters_search_update AFTER UPDATE OF meter_number ON meters BEGIN
+    UPDATE transaction_search
+    SET meter_number = REPLACE(REPLACE(NEW.meter_number, '-', ''), ' ', '')
+    WHERE rowid IN (
+        SELECT id * 2 FROM vouchers WHERE meter_id = NEW.id
+        UNION ALL
+        SELECT id * 2 + 1 FROM readings WHERE meter_id = NEW.id
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS readings_voucher_status_delete AFTER DELETE ON readings BEGIN
+    UPDATE vouchers
+    SET status = 'loaded', loaded_reading_id = NULL
+    WHERE loaded_reading_id = OLD.id;
+END;
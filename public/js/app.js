@@ -48,7 +48,8 @@
         request: async function(endpoint, options = {}) {
             const token = window.ElectricityTracker.auth.getToken();
             
-            const defaultHeaders = {
+            // Form data sets its own multipart Content-Type
+            const defaultHeaders = options.body instanceof FormData ? {} : {
                 'Content-Type': 'application/json'
             };
             
@@ -84,7 +85,11 @@
                 }
 
                 if (!response.ok) {
-                    throw new Error(data.error || `Request failed with status ${response.status}`);
+                    // Keep the response body for callers that need more than the message
+                    const error = new Error(data.error || `Request failed with status ${response.status}`);
+                    error.status = response.status;
+                    error.data = data;
+                    throw error;
                 }
 
                 return data;
@@ -118,6 +123,74 @@
         
         delete: function(endpoint) {
             return this.request(endpoint, { method: 'DELETE' });
+        },
+
+        // POST with an optional file; without one this is a plain JSON post
+        postWithFile: function(endpoint, data, fieldName, file) {
+            if (!file) {
+                return this.post(endpoint, data);
+            }
+
+            // Form fields are strings, so null is sent as ''
+            const form = new FormData();
+            Object.entries(data).forEach(([key, value]) => {
+                if (value !== undefined) {
+                    form.append(key, value ?? '');
+                }
+            });
+            form.append(fieldName, file);
+            return this.request(endpoint, { method: 'POST', body: form });
+        },
+
+        // Fetch a file with the auth header and return an object URL for it,
+        // for images that can't be loaded straight from a src attribute.
+        // Revoke it with URL.revokeObjectURL when done.
+        objectUrl: async function(endpoint) {
+            const token = window.ElectricityTracker.auth.getToken();
+            const response = await fetch(`${window.ElectricityTracker.API_URL}${endpoint}`, {
+                headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+            });
+
+            if (response.status === 401) {
+                window.ElectricityTracker.auth.logout();
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            return URL.createObjectURL(await response.blob());
+        },
+
+        // Fetch a file with the auth header and hand it to the browser as a
+        // download, named by the server's Content-Disposition
+        download: async function(endpoint, fallbackName = 'download') {
+            const token = window.ElectricityTracker.auth.getToken();
+            const response = await fetch(`${window.ElectricityTracker.API_URL}${endpoint}`, {
+                headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+            });
+
+            if (response.status === 401) {
+                window.ElectricityTracker.auth.logout();
+                return;
+            }
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : fallbackName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
         }
     };
     
@@ -244,6 +317,23 @@
             }
         },
         
+        // Group a token's digits in fours as it is typed, the way it is
+        // keyed into the meter. Anything but digits is dropped.
+        formatToken: function(value) {
+            const digits = String(value || '').replace(/\D/g, '').slice(0, 20);
+            return digits.match(/\d{1,4}/g)?.join('-') || '';
+        },
+
+        // Copy a token for pasting into a vending or meter app, digits only
+        copyToken: function(token) {
+            const digits = String(token || '').replace(/\D/g, '');
+            navigator.clipboard.writeText(digits).then(() => {
+                window.ElectricityTracker.utils.showMessage('Token copied 📋');
+            }).catch(() => {
+                window.ElectricityTracker.utils.showMessage('Could not copy the token', 'error');
+            });
+        },
+
         showLoading: function(show = true) {
             // Implement loading indicator
             const loader = document.getElementById('loader');
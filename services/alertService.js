@@ -0,0 +1,262 @@
+// Alert Service - emails households whose prepaid credit is about to run out,
+// and members who asked to hear when the month is heading over budget.
+// Runs from the Worker's scheduled handler. Thresholds live in alert_settings
+// and every alert sent is written to alert_log so it is not repeated.
+
+import ForecastService from './forecastService.js';
+import BudgetService from './budgetService.js';
+import CloudflareEmailService from './cloudflareEmailService.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Never email a household more than once in this window, even after new readings
+const ALERT_COOLDOWN_HOURS = 24;
+
+class AlertService {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+    this.forecastService = new ForecastService(env.DB);
+    this.budgetService = new BudgetService(env.DB);
+    this.emailService = new CloudflareEmailService(env);
+  }
+
+  // Check every household that has alerts turned on
+  async runLowCreditAlerts(options = {}) {
+    const settings = await this.db.prepare(`
+      SELECT s.tenant_id, s.min_kwh, s.min_days, t.name as tenant_name
+      FROM alert_settings s
+      JOIN tenants t ON s.tenant_id = t.id
+      WHERE s.enabled = 1
+        AND (s.min_kwh IS NOT NULL OR s.min_days IS NOT NULL)
+    `).all();
+
+    const summary = { checked: 0, alerted: 0, skipped: 0, failed: 0 };
+
+    for (const tenantSettings of settings.results || []) {
+      summary.checked++;
+      try {
+        const outcome = await this.checkTenant(tenantSettings, options);
+        summary[outcome]++;
+      } catch (error) {
+        console.error(`Low credit alert error for tenant ${tenantSettings.tenant_id}:`, error);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  async checkTenant(settings, options = {}) {
+    const forecast = await this.forecastService.getTenantForecast(settings.tenant_id, { asOf: options.asOf });
+    const triggeredBy = this.evaluate(forecast, settings);
+
+    if (!triggeredBy) {
+      return 'skipped';
+    }
+
+    if (await this.alreadyAlerted(settings.tenant_id, forecast.lastReading.id)) {
+      return 'skipped';
+    }
+
+    const members = await this.db.prepare(`
+      SELECT u.email
+      FROM tenant_users tu
+      JOIN users u ON tu.user_id = u.id
+      WHERE tu.tenant_id = ?
+    `).bind(settings.tenant_id).all();
+
+    const emailData = this.buildEmailData(forecast, settings, triggeredBy);
+    let sent = 0;
+
+    for (const member of members.results || []) {
+      try {
+        const result = await this.emailService.sendLowCreditAlert({ ...emailData, recipientEmail: member.email });
+        if (result.success) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Low credit alert email to ${member.email} failed:`, error);
+      }
+    }
+
+    // Nothing went out, so leave it unlogged and try again next tick
+    if (sent === 0) {
+      return 'failed';
+    }
+
+    await this.db.prepare(`
+      INSERT INTO alert_log (tenant_id, alert_type, reading_id, triggered_by, estimated_remaining_kwh, days_remaining, recipients)
+      VALUES (?, 'low_credit', ?, ?, ?, ?, ?)
+    `).bind(
+      settings.tenant_id,
+      forecast.lastReading.id,
+      triggeredBy,
+      forecast.estimatedRemainingKwh,
+      forecast.daysRemaining,
+      sent
+    ).run();
+
+    return 'alerted';
+  }
+
+  // Returns which threshold the forecast has dropped below ('kwh', 'days' or
+  // 'kwh_and_days'), or null when the household is fine
+  evaluate(forecast, settings) {
+    if (!forecast || !forecast.available) {
+      return null;
+    }
+
+    const hasKwh = settings.min_kwh !== null && settings.min_kwh !== undefined;
+    const hasDays = settings.min_days !== null && settings.min_days !== undefined;
+    const belowKwh = hasKwh && forecast.estimatedRemainingKwh < Number(settings.min_kwh);
+    const belowDays = hasDays && forecast.daysRemaining < Number(settings.min_days);
+
+    if (belowKwh && belowDays) {
+      return 'kwh_and_days';
+    }
+    if (belowKwh) {
+      return 'kwh';
+    }
+    if (belowDays) {
+      return 'days';
+    }
+    return null;
+  }
+
+  // One alert per reading, and never more than one per cooldown window
+  async alreadyAlerted(tenantId, readingId) {
+    const existing = await this.db.prepare(`
+      SELECT id FROM alert_log
+      WHERE tenant_id = ?
+        AND alert_type = 'low_credit'
+        AND (reading_id = ? OR sent_at > datetime('now', ?))
+      LIMIT 1
+    `).bind(tenantId, readingId, `-${ALERT_COOLDOWN_HOURS} hours`).first();
+
+    return !!existing;
+  }
+
+  // Check every household with a budget this month and a member who opted in
+  async runBudgetAlerts(options = {}) {
+    const asOf = options.asOf || new Date().toISOString().split('T')[0];
+    const budgets = await this.db.prepare(`
+      SELECT b.tenant_id, t.name as tenant_name
+      FROM budgets b
+      JOIN tenants t ON b.tenant_id = t.id
+      WHERE b.month = ?
+        AND EXISTS (SELECT 1 FROM tenant_users tu WHERE tu.tenant_id = b.tenant_id AND tu.budget_alerts = 1)
+    `).bind(asOf.slice(0, 7)).all();
+
+    const summary = { checked: 0, alerted: 0, skipped: 0, failed: 0 };
+
+    for (const budget of budgets.results || []) {
+      summary.checked++;
+      try {
+        const outcome = await this.checkBudget(budget, asOf);
+        summary[outcome]++;
+      } catch (error) {
+        console.error(`Budget alert error for tenant ${budget.tenant_id}:`, error);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  // One budget email per household and month, to the members who opted in
+  async checkBudget(budget, asOf) {
+    const progress = await this.budgetService.getProgress(budget.tenant_id, asOf);
+    if (!progress || !progress.overBudget) {
+      return 'skipped';
+    }
+
+    const existing = await this.db.prepare(`
+      SELECT id FROM alert_log WHERE tenant_id = ? AND alert_type = 'budget' AND period = ? LIMIT 1
+    `).bind(budget.tenant_id, progress.month).first();
+    if (existing) {
+      return 'skipped';
+    }
+
+    const members = await this.db.prepare(`
+      SELECT u.email
+      FROM tenant_users tu
+      JOIN users u ON tu.user_id = u.id
+      WHERE tu.tenant_id = ? AND tu.budget_alerts = 1
+    `).bind(budget.tenant_id).all();
+
+    const emailData = this.buildBudgetEmailData(progress, budget.tenant_name);
+    let sent = 0;
+
+    for (const member of members.results || []) {
+      try {
+        const result = await this.emailService.sendBudgetAlert({ ...emailData, recipientEmail: member.email });
+        if (result.success) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Budget alert email to ${member.email} failed:`, error);
+      }
+    }
+
+    if (sent === 0) {
+      return 'failed';
+    }
+
+    await this.db.prepare(`
+      INSERT INTO alert_log (tenant_id, alert_type, triggered_by, period, recipients)
+      VALUES (?, 'budget', ?, ?, ?)
+    `).bind(budget.tenant_id, progress.triggeredBy, progress.month, sent).run();
+
+    return 'alerted';
+  }
+
+  buildBudgetEmailData(progress, householdName) {
+    const [year, month] = progress.month.split('-');
+    const reasons = [];
+    if (progress.triggeredBy !== 'kwh') {
+      reasons.push(`spend is heading for R${progress.projected.toFixed(2)} against a budget of R${progress.amount.toFixed(2)}`);
+    }
+    if (progress.triggeredBy !== 'amount') {
+      reasons.push(`units are heading for ${progress.projectedKwh.toFixed(0)} kWh against a budget of ${progress.kwh} kWh`);
+    }
+
+    return {
+      householdName,
+      monthName: `${MONTH_NAMES[Number(month) - 1]} ${year}`,
+      triggerSummary: reasons.join(' and '),
+      budgetAmount: `R${progress.amount.toFixed(2)}`,
+      spent: `R${progress.spent.toFixed(2)}`,
+      projected: `R${progress.projected.toFixed(2)}`,
+      daysLeft: String(progress.daysLeft)
+    };
+  }
+
+  buildEmailData(forecast, settings, triggeredBy) {
+    const reasons = [];
+    if (triggeredBy !== 'days') {
+      reasons.push(`down to about ${forecast.estimatedRemainingKwh.toFixed(1)} kWh (your alert is set at ${Number(settings.min_kwh)} kWh)`);
+    }
+    if (triggeredBy !== 'kwh') {
+      reasons.push(`about ${Math.floor(forecast.daysRemaining)} days from running out (your alert is set at ${Number(settings.min_days)} days)`);
+    }
+
+    const topUp = forecast.suggestedTopUp;
+
+    // Values are pre-formatted strings because the template treats 0 as empty
+    return {
+      householdName: settings.tenant_name,
+      triggerSummary: reasons.join(' and '),
+      estimatedRemainingKwh: forecast.estimatedRemainingKwh.toFixed(1),
+      daysRemaining: String(Math.floor(forecast.daysRemaining)),
+      earliestRunOutDate: forecast.confidence.earliestRunOutDate,
+      latestRunOutDate: forecast.confidence.latestRunOutDate,
+      lastReadingValue: forecast.lastReading.value.toFixed(1),
+      lastReadingDate: forecast.lastReading.date,
+      suggestedTopUp: topUp.amount > 0 ? `R${topUp.amount.toFixed(2)}` : '',
+      coverDays: String(topUp.coverDays)
+    };
+  }
+}
+
+export default AlertService;
@@ -0,0 +1,310 @@
+// Appliance Service - a household's appliances and an estimate of what uses
+// its electricity. Each appliance is modelled as watts x quantity x hours a
+// day. The model is reconciled with the usage the consumption engine
+// measured for a month, and what-if changes are priced at the household's
+// tariff.
+
+import ConsumptionService from './consumptionService.js';
+import TariffService from './tariffService.js';
+import readingTime from './readingTime.js';
+
+const CATEGORIES = ['geyser', 'heating', 'cooling', 'pool_pump', 'lighting', 'kitchen', 'laundry', 'entertainment', 'other'];
+const SEASONS = ['all', 'summer', 'winter'];
+
+// Summer is October to March; the rest of the year is winter
+const SUMMER_MONTHS = [10, 11, 12, 1, 2, 3];
+
+// More than any home appliance draws, so a kW rating typed as W is caught
+const MAX_WATTS = 20000;
+const MAX_QUANTITY = 100;
+
+// The estimate is for the latest month with at least this many days of
+// measured usage, unless a month is asked for
+const MIN_REFERENCE_DAYS = 14;
+
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Built-in what-ifs per category: when one applies and what it changes
+const SUGGESTIONS = {
+  geyser: {
+    title: 'Put the geyser on a timer',
+    description: 'Heating only before the morning and evening showers cuts about a quarter of its hours',
+    applies: (appliance) => appliance.hours_per_day > 0,
+    change: (appliance) => ({ hoursPerDay: appliance.hours_per_day * 0.75 })
+  },
+  pool_pump: {
+    title: 'Run the pool pump 4 hours a day',
+    description: 'Four hours a day keeps most pools clean',
+    applies: (appliance) => appliance.hours_per_day > 4,
+    change: () => ({ hoursPerDay: 4 })
+  },
+  lighting: {
+    title: 'Swap to LED bulbs',
+    description: 'An LED gives the same light for about a sixth of the power',
+    applies: (appliance) => appliance.watts > 15,
+    change: (appliance) => ({ watts: Math.max(1, Math.round(appliance.watts / 6)) })
+  },
+  heating: {
+    title: 'Heat for an hour less a day',
+    description: 'Warm up the room before you use it rather than all evening',
+    applies: (appliance) => appliance.hours_per_day >= 2,
+    change: (appliance) => ({ hoursPerDay: appliance.hours_per_day - 1 })
+  },
+  cooling: {
+    title: 'Run the aircon an hour less a day',
+    description: 'Close curtains in the afternoon and switch on later',
+    applies: (appliance) => appliance.hours_per_day >= 2,
+    change: (appliance) => ({ hoursPerDay: appliance.hours_per_day - 1 })
+  }
+};
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function daysInMonth(month) {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index, 0)).getUTCDate();
+}
+
+class ApplianceService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+    this.tariffService = new TariffService(db);
+  }
+
+  // An appliance from a request body; numbers that are left out stay
+  // undefined so validate can report them
+  fromRequest({ name, category, watts, quantity, hours_per_day, season } = {}) {
+    const number = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    return {
+      name: name ? String(name).trim() : '',
+      category: category || 'other',
+      watts: number(watts),
+      quantity: number(quantity) ?? 1,
+      hoursPerDay: number(hours_per_day),
+      season: season || 'all'
+    };
+  }
+
+  // Returns an error message or null
+  validate({ name, category, watts, quantity, hoursPerDay, season }) {
+    if (!name || name.length > 60) {
+      return 'Name is required and can be at most 60 characters';
+    }
+    if (!CATEGORIES.includes(category)) {
+      return `Category must be one of ${CATEGORIES.join(', ')}`;
+    }
+    if (!(watts > 0)) {
+      return 'Watts must be greater than 0';
+    }
+    if (watts > MAX_WATTS) {
+      return `Watts can be at most ${MAX_WATTS} - is the rating in kW?`;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return `Quantity must be a whole number from 1 to ${MAX_QUANTITY}`;
+    }
+    if (typeof hoursPerDay !== 'number' || !(hoursPerDay >= 0 && hoursPerDay <= 24)) {
+      return 'Hours per day must be from 0 to 24';
+    }
+    if (!SEASONS.includes(season)) {
+      return `Season must be one of ${SEASONS.join(', ')}`;
+    }
+    return null;
+  }
+
+  inSeason(appliance, month) {
+    if (appliance.season === 'summer' || appliance.season === 'winter') {
+      const summer = SUMMER_MONTHS.includes(Number(month.slice(5, 7)));
+      return appliance.season === 'summer' ? summer : !summer;
+    }
+    return true;
+  }
+
+  // kWh an appliance uses over a number of days
+  modelKwh(appliance, days) {
+    return (Number(appliance.watts) * Number(appliance.quantity) * Number(appliance.hours_per_day) * days) / 1000;
+  }
+
+  // Each appliance's share of a month. days is how many days measuredKwh
+  // covers (the whole month without a measurement). A model that adds up to
+  // more than was used is scaled down to it; usage the list doesn't explain
+  // is left unaccounted rather than spread over the appliances.
+  estimate(appliances, { month, days, measuredKwh = null, avgCostPerKwh = 0 }) {
+    const modelled = appliances.map(appliance => ({
+      appliance,
+      inSeason: this.inSeason(appliance, month),
+      kwh: this.inSeason(appliance, month) ? this.modelKwh(appliance, days) : 0
+    }));
+    const modelledKwh = modelled.reduce((sum, m) => sum + m.kwh, 0);
+    const scale = measuredKwh !== null && modelledKwh > measuredKwh ? measuredKwh / modelledKwh : 1;
+    const total = measuredKwh ?? modelledKwh;
+
+    return {
+      month,
+      days,
+      measuredKwh: measuredKwh === null ? null : round(measuredKwh),
+      modelledKwh: round(modelledKwh),
+      scale: round(scale, 3),
+      coveragePercent: measuredKwh > 0 ? round(Math.min(modelledKwh, measuredKwh) / measuredKwh * 100, 1) : null,
+      unaccountedKwh: measuredKwh === null ? null : round(Math.max(0, measuredKwh - modelledKwh)),
+      appliances: modelled
+        .map(({ appliance, inSeason, kwh }) => ({
+          id: appliance.id,
+          name: appliance.name,
+          category: appliance.category,
+          season: appliance.season,
+          inSeason,
+          modelledKwh: round(kwh),
+          estimatedKwh: round(kwh * scale),
+          sharePercent: total > 0 ? round(kwh * scale / total * 100, 1) : 0,
+          estimatedCost: round(kwh * scale * avgCostPerKwh)
+        }))
+        .sort((a, b) => b.estimatedKwh - a.estimatedKwh || a.name.localeCompare(b.name))
+    };
+  }
+
+  // kWh and rand a month of changes would save. Each change is { id } with
+  // new watts, quantity or hoursPerDay. Seasonal appliances are worked out
+  // for a month they are on. scale is the estimate's, so savings aren't
+  // bigger than the usage they come out of; price turns kWh into rand.
+  whatIf(appliances, changes, { month, scale = 1, price }) {
+    const days = daysInMonth(month);
+
+    return changes.map(change => {
+      const appliance = appliances.find(a => a.id === Number(change.id));
+      if (!appliance) {
+        return { id: change.id, error: 'Appliance not found' };
+      }
+
+      const changed = {
+        name: appliance.name,
+        category: appliance.category,
+        season: appliance.season,
+        watts: change.watts ?? Number(appliance.watts),
+        quantity: change.quantity ?? Number(appliance.quantity),
+        hoursPerDay: change.hoursPerDay ?? Number(appliance.hours_per_day)
+      };
+      const error = this.validate(changed);
+      if (error) {
+        return { id: appliance.id, error };
+      }
+
+      const before = this.modelKwh(appliance, days) * scale;
+      const after = this.modelKwh({ ...changed, hours_per_day: changed.hoursPerDay }, days) * scale;
+      const savedKwh = round(before - after);
+      return {
+        id: appliance.id,
+        name: appliance.name,
+        watts: changed.watts,
+        quantity: changed.quantity,
+        hoursPerDay: round(changed.hoursPerDay),
+        savedKwh,
+        savedRand: price(savedKwh)
+      };
+    });
+  }
+
+  // The built-in what-ifs that apply to a household's appliances, biggest
+  // saving first
+  suggestions(appliances, context) {
+    return appliances
+      .filter(appliance => SUGGESTIONS[appliance.category]?.applies(appliance))
+      .map(appliance => {
+        const suggestion = SUGGESTIONS[appliance.category];
+        const [result] = this.whatIf(appliances, [{ id: appliance.id, ...suggestion.change(appliance) }], context);
+        return { ...result, title: suggestion.title, description: suggestion.description };
+      })
+      .filter(result => !result.error && result.savedKwh > 0)
+      .sort((a, b) => b.savedKwh - a.savedKwh);
+  }
+
+  // The month to estimate: the one asked for, or the latest with enough
+  // measured days, or the current month when nothing has been measured
+  referenceMonth(monthly, month) {
+    if (month) {
+      return monthly.find(m => m.month === month) || { month, days: daysInMonth(month), kwh: null };
+    }
+    const measured = [...monthly].reverse();
+    const current = readingTime.localDate(readingTime.now()).slice(0, 7);
+    return measured.find(m => m.days >= MIN_REFERENCE_DAYS) || measured[0] || { month: current, days: daysInMonth(current), kwh: null };
+  }
+
+  // Estimate, suggestions and any what-if changes for a household. Usage is
+  // the household's demand, so solar used at home counts; savings come off
+  // the top of a typical month's grid purchases at its tariff, or at the
+  // average paid per kWh without one.
+  async estimateTenant(tenantId, { month = null, changes = [] } = {}) {
+    if (month && !MONTH.test(month)) {
+      return { error: 'month must be a YYYY-MM month' };
+    }
+
+    const appliances = await this.list(tenantId);
+    const consumption = await this.consumptionService.getTenantConsumption(tenantId);
+    const reference = this.referenceMonth(consumption.monthly, month);
+    const avgCostPerKwh = consumption.summary.avgCostPerKwh;
+    const measuredKwh = reference.kwh === null ? null : reference.demandKwh ?? reference.kwh;
+
+    const estimate = this.estimate(appliances, {
+      month: reference.month,
+      days: reference.days,
+      measuredKwh,
+      avgCostPerKwh
+    });
+
+    const settings = await this.tariffService.getSettings(tenantId);
+    const versions = settings.tariffId ? await this.tariffService.getVersions(settings.tariffId) : [];
+    const version = this.tariffService.versionFor(versions, `${reference.month}-${daysInMonth(reference.month)}`);
+    const monthKwh = reference.kwh ? reference.kwh / reference.days * daysInMonth(reference.month) : 0;
+    const price = version
+      ? (kwh) => round(this.tariffService.amountFor(version, monthKwh) - this.tariffService.amountFor(version, Math.max(0, monthKwh - kwh)))
+      : (kwh) => round(kwh * avgCostPerKwh);
+
+    const context = { month: reference.month, scale: estimate.scale, price };
+    return {
+      estimate,
+      suggestions: this.suggestions(appliances, context),
+      whatIf: changes.length > 0 ? this.whatIf(appliances, changes, context) : [],
+      pricing: { basis: version ? 'tariff' : 'average', avgCostPerKwh }
+    };
+  }
+
+  async list(tenantId) {
+    const appliances = await this.db.prepare(`
+      SELECT id, name, category, watts, quantity, hours_per_day, season, created_by, created_at, updated_at
+      FROM appliances
+      WHERE tenant_id = ?
+      ORDER BY name COLLATE NOCASE ASC, id ASC
+    `).bind(tenantId).all();
+
+    return appliances.results || [];
+  }
+
+  async create(tenantId, { name, category, watts, quantity, hoursPerDay, season }, userId) {
+    const result = await this.db.prepare(`
+      INSERT INTO appliances (tenant_id, name, category, watts, quantity, hours_per_day, season, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(tenantId, name, category, watts, quantity, hoursPerDay, season, userId).run();
+    return result.meta.last_row_id;
+  }
+
+  async update(tenantId, applianceId, { name, category, watts, quantity, hoursPerDay, season }) {
+    const result = await this.db.prepare(`
+      UPDATE appliances
+      SET name = ?, category = ?, watts = ?, quantity = ?, hours_per_day = ?, season = ?, updated_at = datetime('now')
+      WHERE id = ? AND tenant_id = ?
+    `).bind(name, category, watts, quantity, hoursPerDay, season, applianceId, tenantId).run();
+    return result.meta.changes > 0;
+  }
+
+  async remove(tenantId, applianceId) {
+    const result = await this.db.prepare(`
+      DELETE FROM appliances WHERE id = ? AND tenant_id = ?
+    `).bind(applianceId, tenantId).run();
+    return result.meta.changes > 0;
+  }
+}
+
+export default ApplianceService;
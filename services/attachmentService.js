@@ -0,0 +1,209 @@
+// Attachment Service - photos of the meter or the receipt kept with a
+// reading or voucher, as proof when one is disputed. Files are stored in R2
+// under the household's own prefix and the attachments table records which
+// row each belongs to. Thumbnails are made with the Images binding; without
+// it the full photo is served in their place.
+
+const ENTITY_TYPES = ['reading', 'voucher'];
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_PER_ENTRY = 5;
+const THUMBNAIL_WIDTH = 320;
+
+// Accepted types and the extension they are stored with
+const TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+// The type is read from the file itself; browsers only guess from the name
+function sniff(bytes) {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(bytes, [0x52, 0x49, 0x46, 0x46]) && startsWith(bytes, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+class AttachmentService {
+  constructor(db, bucket, images = null) {
+    this.db = db;
+    this.bucket = bucket;
+    this.images = images;
+  }
+
+  isEntityType(entityType) {
+    return ENTITY_TYPES.includes(entityType);
+  }
+
+  // Whether the reading or voucher exists in this household
+  async entityExists(tenantId, entityType, entityId) {
+    const table = entityType === 'reading' ? 'readings' : 'vouchers';
+    const row = await this.db.prepare(`
+      SELECT id FROM ${table} WHERE id = ? AND tenant_id = ?
+    `).bind(entityId, tenantId).first();
+    return Boolean(row);
+  }
+
+  // Returns an error message or null. bytes is a Uint8Array of the upload.
+  validate(bytes) {
+    if (!this.bucket) {
+      return 'Photo uploads are not set up on this server';
+    }
+    if (!bytes || bytes.length === 0) {
+      return 'The photo is empty';
+    }
+    if (bytes.length > MAX_BYTES) {
+      return `Photos must be ${MAX_BYTES / 1024 / 1024} MB or smaller`;
+    }
+    if (!sniff(bytes)) {
+      return 'Photos must be JPEG, PNG or WebP images';
+    }
+    return null;
+  }
+
+  objectKey(tenantId, entityType, entityId, extension) {
+    return `tenants/${tenantId}/${entityType}s/${entityId}/${crypto.randomUUID()}.${extension}`;
+  }
+
+  // A small WebP of the photo, or null when it can't be made
+  async thumbnail(bytes) {
+    if (!this.images) {
+      return null;
+    }
+    try {
+      const result = await this.images
+        .input(new Blob([bytes]).stream())
+        .transform({ width: THUMBNAIL_WIDTH, fit: 'scale-down' })
+        .output({ format: 'image/webp', quality: 75 });
+      return { body: await result.response().arrayBuffer(), contentType: result.contentType() };
+    } catch (error) {
+      console.error('Thumbnail error:', error);
+      return null;
+    }
+  }
+
+  // Store a validated photo for a reading or voucher. The objects are
+  // removed again if the row can't be recorded.
+  async store(tenantId, entityType, entityId, { bytes, name = null }, userId) {
+    const count = await this.db.prepare(`
+      SELECT COUNT(*) as count FROM attachments WHERE tenant_id = ? AND entity_type = ? AND entity_id = ?
+    `).bind(tenantId, entityType, entityId).first();
+    if ((count?.count || 0) >= MAX_PER_ENTRY) {
+      return { error: `A ${entityType} can have at most ${MAX_PER_ENTRY} photos` };
+    }
+
+    const contentType = sniff(bytes);
+    const key = this.objectKey(tenantId, entityType, entityId, TYPES[contentType]);
+    const keys = [key];
+    await this.bucket.put(key, bytes, { httpMetadata: { contentType } });
+
+    try {
+      const thumbnail = await this.thumbnail(bytes);
+      let thumbnailKey = null;
+      if (thumbnail) {
+        thumbnailKey = key.replace(/\.\w+$/, '.thumb.webp');
+        keys.push(thumbnailKey);
+        await this.bucket.put(thumbnailKey, thumbnail.body, { httpMetadata: { contentType: thumbnail.contentType } });
+      }
+
+      const fileName = name ? String(name).replace(/[^\w. -]/g, '_').slice(0, 100) : null;
+      const result = await this.db.prepare(`
+        INSERT INTO attachments (tenant_id, entity_type, entity_id, object_key, thumbnail_key, content_type, size, file_name, uploaded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(tenantId, entityType, entityId, key, thumbnailKey, contentType, bytes.length, fileName, userId).run();
+
+      return {
+        attachment: {
+          id: result.meta.last_row_id,
+          entity_type: entityType,
+          entity_id: Number(entityId),
+          content_type: contentType,
+          size: bytes.length,
+          file_name: fileName,
+          has_thumbnail: thumbnailKey !== null
+        }
+      };
+    } catch (error) {
+      await this.bucket.delete(keys);
+      throw error;
+    }
+  }
+
+  // Photos of one reading or voucher, oldest first
+  async list(tenantId, entityType, entityId) {
+    const attachments = await this.db.prepare(`
+      SELECT
+        a.id,
+        a.entity_type,
+        a.entity_id,
+        a.object_key,
+        a.thumbnail_key,
+        a.content_type,
+        a.size,
+        a.file_name,
+        a.created_at,
+        u.email as uploaded_by_email
+      FROM attachments a
+      LEFT JOIN users u ON u.id = a.uploaded_by
+      WHERE a.tenant_id = ? AND a.entity_type = ? AND a.entity_id = ?
+      ORDER BY a.created_at ASC, a.id ASC
+    `).bind(tenantId, entityType, entityId).all();
+
+    return attachments.results || [];
+  }
+
+  // Every photo in a household, for when all its entries are wiped
+  async listTenant(tenantId) {
+    const attachments = await this.db.prepare(`
+      SELECT id, object_key, thumbnail_key FROM attachments WHERE tenant_id = ?
+    `).bind(tenantId).all();
+
+    return attachments.results || [];
+  }
+
+  async get(tenantId, attachmentId) {
+    return this.db.prepare(`
+      SELECT * FROM attachments WHERE id = ? AND tenant_id = ?
+    `).bind(attachmentId, tenantId).first();
+  }
+
+  // The R2 object of a photo or its thumbnail, or null if it has gone
+  async open(attachment, { thumbnail = false } = {}) {
+    return this.bucket.get(thumbnail && attachment.thumbnail_key ? attachment.thumbnail_key : attachment.object_key);
+  }
+
+  // Removes the rows of an entry's photos; run it in the same batch as the
+  // delete, then removeObjects once that has succeeded
+  deleteStatement(tenantId, entityType, entityId) {
+    return this.db.prepare(`
+      DELETE FROM attachments WHERE tenant_id = ? AND entity_type = ? AND entity_id = ?
+    `).bind(tenantId, entityType, entityId);
+  }
+
+  async removeObjects(attachments) {
+    const keys = attachments.flatMap(a => [a.object_key, a.thumbnail_key]).filter(Boolean);
+    if (keys.length > 0) {
+      await this.bucket.delete(keys);
+    }
+  }
+
+  async remove(tenantId, attachment) {
+    await this.db.prepare(`
+      DELETE FROM attachments WHERE id = ? AND tenant_id = ?
+    `).bind(attachment.id, tenantId).run();
+    await this.removeObjects([attachment]);
+  }
+}
+
+export default AttachmentService;
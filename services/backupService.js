@@ -0,0 +1,276 @@
+// Backup Service - restores the JSON written by GET /api/export/data.
+// Backups carry a schema_version; each version lists the columns restored
+// for every table and how they are checked. Exports from before versioning
+// have no schema_version and are read as version 1.
+
+import readingTime from './readingTime.js';
+import stsToken from './stsToken.js';
+
+const SCHEMA_VERSION = 3;
+
+// Most rows restored from one file - D1 runs the restore as a single batch
+const MAX_ROWS = 10000;
+
+const SCHEMAS = {
+  1: {
+    meters: {
+      id: { type: 'integer', required: true },
+      meter_number: { type: 'string', required: true },
+      label: { type: 'string', required: true },
+      location: { type: 'string' },
+      created_at: { type: 'string' }
+    },
+    vouchers: {
+      user_id: { type: 'integer' },
+      meter_id: { type: 'integer' },
+      token_number: { type: 'string', required: true },
+      purchase_date: { type: 'date', required: true },
+      rand_amount: { type: 'number', required: true, min: 0, exclusive: true },
+      kwh_amount: { type: 'number', required: true, min: 0, exclusive: true },
+      vat_amount: { type: 'number', min: 0 },
+      notes: { type: 'string' },
+      created_at: { type: 'string' }
+    },
+    readings: {
+      user_id: { type: 'integer' },
+      meter_id: { type: 'integer' },
+      reading_value: { type: 'number', required: true, min: 0 },
+      reading_date: { type: 'date', required: true },
+      notes: { type: 'string' },
+      created_at: { type: 'string' }
+    }
+  }
+};
+
+// Version 2 readings carry the moment they were taken; version 1 readings
+// are restored at midday on their date
+SCHEMAS[2] = {
+  ...SCHEMAS[1],
+  readings: { ...SCHEMAS[1].readings, reading_at: { type: 'timestamp', required: true } }
+};
+
+// Version 3 vouchers carry whether the token was loaded
+SCHEMAS[3] = {
+  ...SCHEMAS[2],
+  vouchers: {
+    ...SCHEMAS[2].vouchers,
+    status: { type: 'string', required: true, values: ['purchased', 'loaded', 'verified'] },
+    loaded_at: { type: 'timestamp' }
+  }
+};
+
+// Tables are restored in this order so meters exist before rows point at them
+const TABLES = ['meters', 'vouchers', 'readings'];
+
+// Only the first few problems are reported; one bad column usually repeats
+const MAX_ERRORS = 20;
+
+const DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function checkValue(value, spec) {
+  if (value === null || value === undefined || value === '') {
+    return spec.required ? 'is required' : null;
+  }
+
+  switch (spec.type) {
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be a whole number';
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return 'must be a number';
+      }
+      if (spec.min !== undefined && (spec.exclusive ? value <= spec.min : value < spec.min)) {
+        return spec.exclusive ? `must be greater than ${spec.min}` : `must be ${spec.min} or more`;
+      }
+      return null;
+    case 'date':
+      return typeof value === 'string' && DATE.test(value) ? null : 'must be a YYYY-MM-DD date';
+    case 'timestamp':
+      return readingTime.parse(value) ? null : 'must be a YYYY-MM-DDTHH:MM:SSZ timestamp';
+    default:
+      if (typeof value !== 'string') {
+        return 'must be text';
+      }
+      return spec.values && !spec.values.includes(value) ? `must be one of ${spec.values.join(', ')}` : null;
+  }
+}
+
+class BackupService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get schemaVersion() {
+    return SCHEMA_VERSION;
+  }
+
+  // Check a parsed backup against the schema for its version.
+  // Returns { version, errors } - an empty errors list means it can be restored.
+  validate(backup) {
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+      return { version: null, errors: ['The backup must be the JSON object from /api/export/data'] };
+    }
+
+    const version = backup.schema_version ?? 1;
+    const schema = SCHEMAS[version];
+    if (!schema) {
+      return {
+        version,
+        errors: [version > SCHEMA_VERSION
+          ? `Backup schema version ${version} is newer than this server supports (${SCHEMA_VERSION})`
+          : `Unknown backup schema version ${version}`]
+      };
+    }
+
+    const errors = [];
+    let total = 0;
+
+    for (const table of TABLES) {
+      // Exports from before meters were added have no meters list
+      const rows = backup[table] ?? (table === 'meters' ? [] : undefined);
+      if (!Array.isArray(rows)) {
+        errors.push(`${table} must be a list`);
+        continue;
+      }
+      total += rows.length;
+
+      rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') {
+          errors.push(`${table}[${index}] must be an object`);
+          return;
+        }
+        for (const [column, spec] of Object.entries(schema[table])) {
+          const problem = checkValue(row[column], spec);
+          if (problem) {
+            errors.push(`${table}[${index}].${column} ${problem}`);
+          }
+        }
+      });
+    }
+
+    if (total > MAX_ROWS) {
+      errors.unshift(`Restore at most ${MAX_ROWS} rows at a time`);
+    }
+
+    // Rows can only point at meters that are in the backup
+    if (errors.length === 0) {
+      const meterIds = new Set((backup.meters || []).map(meter => meter.id));
+      for (const table of ['vouchers', 'readings']) {
+        backup[table].forEach((row, index) => {
+          if (row.meter_id !== null && row.meter_id !== undefined && !meterIds.has(row.meter_id)) {
+            errors.push(`${table}[${index}].meter_id ${row.meter_id} is not in the backup's meters`);
+          }
+        });
+      }
+    }
+
+    return { version, errors: errors.slice(0, MAX_ERRORS), totalErrors: errors.length };
+  }
+
+  // Statements that restore a validated backup into a household, in the order
+  // they must run. Rows keep their original user when that user is still a
+  // member; anything else is credited to the user restoring. Meters are
+  // matched by number, so ids from another account don't matter. Tokens, and
+  // readings of a meter at a moment the household already has, are skipped.
+  // Readings get new ids, so a verified token comes back as loaded; tokens in
+  // backups from before token statuses are taken to be loaded.
+  // Returns [{ table, statement }].
+  restoreStatements(backup, { mode, tenantId, userId, memberIds }) {
+    const members = new Set(memberIds);
+    const owner = (row) => members.has(row.user_id) ? row.user_id : userId;
+    const meterNumbers = new Map((backup.meters || []).map(meter => [meter.id, String(meter.meter_number).replace(/[\s-]/g, '')]));
+    const meterNumber = (row) => meterNumbers.get(row.meter_id) ?? null;
+    const meterLookup = 'SELECT id FROM meters WHERE tenant_id = ? AND meter_number = ?';
+    const statements = [];
+
+    // Replace wipes the household first; a batch runs as one transaction, so a
+    // failed restore leaves the old data in place. Photos go with their
+    // entries; the caller removes their files once the batch has run. Solar
+    // totals aren't in backups, so they are kept without a meter.
+    if (mode === 'replace') {
+      for (const table of ['attachments', 'readings', 'voucher_splits', 'vouchers']) {
+        statements.push({ table: null, statement: this.db.prepare(`DELETE FROM ${table} WHERE tenant_id = ?`).bind(tenantId) });
+      }
+      statements.push({ table: null, statement: this.db.prepare('UPDATE generation_readings SET meter_id = NULL WHERE tenant_id = ?').bind(tenantId) });
+      statements.push({ table: null, statement: this.db.prepare('DELETE FROM meters WHERE tenant_id = ?').bind(tenantId) });
+    }
+
+    for (const meter of backup.meters || []) {
+      statements.push({
+        table: 'meters',
+        statement: this.db.prepare(`
+          INSERT INTO meters (tenant_id, meter_number, label, location, created_by, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime('now')), datetime('now'))
+          ON CONFLICT DO NOTHING
+        `).bind(tenantId, meterNumbers.get(meter.id), meter.label, meter.location || null, userId, meter.created_at || null)
+      });
+    }
+
+    for (const voucher of backup.vouchers) {
+      // Older backups can have tokens stored with spaces
+      const token = stsToken.parse(voucher.token_number) ?? voucher.token_number;
+      statements.push({
+        table: 'vouchers',
+        statement: this.db.prepare(`
+          INSERT INTO vouchers (user_id, tenant_id, meter_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, status, loaded_at, created_at)
+          SELECT ?, ?, (${meterLookup}), ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now'))
+          WHERE NOT EXISTS (SELECT 1 FROM vouchers WHERE tenant_id = ? AND token_number = ?)
+          ON CONFLICT DO NOTHING
+        `).bind(
+          owner(voucher), tenantId, tenantId, meterNumber(voucher),
+          token, voucher.purchase_date, voucher.rand_amount, voucher.kwh_amount,
+          voucher.vat_amount || 0, voucher.notes || null,
+          voucher.status === 'purchased' ? 'purchased' : 'loaded', voucher.loaded_at || null, voucher.created_at || null,
+          tenantId, token
+        )
+      });
+    }
+
+    for (const reading of backup.readings) {
+      const time = readingTime.parse(reading.reading_at || reading.reading_date);
+      statements.push({
+        table: 'readings',
+        statement: this.db.prepare(`
+          INSERT INTO readings (user_id, tenant_id, meter_id, reading_value, reading_at, reading_date, notes, created_at)
+          SELECT ?, ?, (${meterLookup}), ?, ?, ?, ?, COALESCE(?, datetime('now'))
+          WHERE NOT EXISTS (
+            SELECT 1 FROM readings
+            WHERE tenant_id = ?
+              AND COALESCE(meter_id, 0) = COALESCE((${meterLookup}), 0)
+              AND reading_at = ?
+          )
+          ON CONFLICT DO NOTHING
+        `).bind(
+          owner(reading), tenantId, tenantId, meterNumber(reading),
+          reading.reading_value, time.readingAt, time.readingDate, reading.notes || null, reading.created_at || null,
+          tenantId, tenantId, meterNumber(reading), time.readingAt
+        )
+      });
+    }
+
+    return statements;
+  }
+
+  // Run a restore and count what was added and skipped per table
+  async restore(backup, options) {
+    const memberRows = await this.db.prepare(`
+      SELECT user_id FROM tenant_users WHERE tenant_id = ?
+    `).bind(options.tenantId).all();
+    const memberIds = (memberRows.results || []).map(row => row.user_id);
+
+    const statements = this.restoreStatements(backup, { ...options, memberIds });
+    const results = await this.db.batch(statements.map(s => s.statement));
+
+    const counts = Object.fromEntries(TABLES.map(table => [table, { restored: 0, skipped: 0 }]));
+    results.forEach((result, i) => {
+      const { table } = statements[i];
+      if (table) {
+        counts[table][result.meta.changes > 0 ? 'restored' : 'skipped']++;
+      }
+    });
+
+    return counts;
+  }
+}
+
+export default BackupService;
@@ -0,0 +1,176 @@
+// Budget Service - a household's electricity budget per calendar month and
+// how the month is going. Spend is what the month's vouchers cost; the
+// end-of-month projection adds what recent usage will still need bought
+// before the month ends, priced at the household's average cost per kWh.
+
+import ForecastService from './forecastService.js';
+
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function daysInMonth(month) {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index, 0)).getUTCDate();
+}
+
+class BudgetService {
+  constructor(db) {
+    this.db = db;
+    this.forecastService = new ForecastService(db);
+  }
+
+  // Returns an error message or null. Updates leave the month as it is.
+  validate({ month, amount, kwh }, { update = false } = {}) {
+    if (!update && !MONTH.test(String(month ?? ''))) {
+      return 'month must be a YYYY-MM month';
+    }
+    if (!(Number(amount) > 0)) {
+      return 'Budget amount must be greater than 0';
+    }
+    if (kwh !== null && kwh !== undefined && kwh !== '' && !(Number(kwh) > 0)) {
+      return 'kWh budget must be greater than 0';
+    }
+    return null;
+  }
+
+  // Budgets newest month first, with what was bought in each month
+  async list(tenantId) {
+    const budgets = await this.db.prepare(`
+      SELECT
+        b.id,
+        b.month,
+        b.amount,
+        b.kwh,
+        b.updated_at,
+        COALESCE(SUM(v.rand_amount), 0) as spent,
+        COALESCE(SUM(v.kwh_amount), 0) as kwh_bought
+      FROM budgets b
+      LEFT JOIN vouchers v ON v.tenant_id = b.tenant_id AND substr(v.purchase_date, 1, 7) = b.month
+      WHERE b.tenant_id = ?
+      GROUP BY b.id
+      ORDER BY b.month DESC
+    `).bind(tenantId).all();
+
+    return budgets.results || [];
+  }
+
+  async get(tenantId, budgetId) {
+    return this.db.prepare(`
+      SELECT * FROM budgets WHERE id = ? AND tenant_id = ?
+    `).bind(budgetId, tenantId).first();
+  }
+
+  async getForMonth(tenantId, month) {
+    return this.db.prepare(`
+      SELECT * FROM budgets WHERE tenant_id = ? AND month = ?
+    `).bind(tenantId, month).first();
+  }
+
+  // Spend and units bought in a month, up to and including asOf
+  async monthTotals(tenantId, month, asOf) {
+    const totals = await this.db.prepare(`
+      SELECT COALESCE(SUM(rand_amount), 0) as spent, COALESCE(SUM(kwh_amount), 0) as kwh
+      FROM vouchers
+      WHERE tenant_id = ?
+        AND substr(purchase_date, 1, 7) = ?
+        AND substr(purchase_date, 1, 10) <= ?
+    `).bind(tenantId, month, String(asOf).slice(0, 10)).first();
+
+    return { spent: totals?.spent || 0, kwh: totals?.kwh || 0 };
+  }
+
+  // What each meter still needs to last the month: a list of
+  // { avgDailyKwh, remainingKwh, costPerKwh }, or null without a forecast
+  async loadUsage(tenantId, asOf) {
+    const forecast = await this.forecastService.getTenantForecast(tenantId, { asOf });
+    const meters = (forecast.meters || [forecast]).filter(meter => meter.available);
+    if (meters.length === 0) {
+      return null;
+    }
+    return meters.map(meter => ({
+      avgDailyKwh: meter.avgDailyKwh,
+      remainingKwh: meter.estimatedRemainingKwh,
+      costPerKwh: meter.suggestedTopUp.avgCostPerKwh
+    }));
+  }
+
+  // Progress against a budget on asOf. Past months are final. For the
+  // current month the projection is the spend so far plus the units recent
+  // usage still needs before the 1st; without usage it runs the spend so
+  // far on at the same daily rate. overBudget is set when either projection
+  // goes over its budget.
+  progress(budget, { spent = 0, kwhBought = 0, asOf, usage = null }) {
+    const month = budget.month;
+    const current = String(asOf).slice(0, 7);
+    const totalDays = daysInMonth(month);
+    const day = month === current ? Number(String(asOf).slice(8, 10)) : month < current ? totalDays : 0;
+    const daysLeft = totalDays - day;
+
+    let projected = spent;
+    let projectedKwh = kwhBought;
+    let method = month < current ? 'final' : 'none';
+
+    if (month === current && daysLeft > 0) {
+      if (usage) {
+        const needed = usage.map(meter => ({
+          kwh: Math.max(0, meter.avgDailyKwh * daysLeft - meter.remainingKwh),
+          costPerKwh: meter.costPerKwh
+        }));
+        projected = spent + needed.reduce((sum, meter) => sum + meter.kwh * meter.costPerKwh, 0);
+        projectedKwh = kwhBought + needed.reduce((sum, meter) => sum + meter.kwh, 0);
+        method = 'usage';
+      } else if (spent > 0) {
+        projected = spent / day * totalDays;
+        projectedKwh = kwhBought / day * totalDays;
+        method = 'run_rate';
+      }
+    } else if (month === current) {
+      method = 'final';
+    }
+
+    const kwhBudget = budget.kwh ?? null;
+    const overAmount = projected > budget.amount;
+    const overKwh = kwhBudget !== null && projectedKwh > kwhBudget;
+
+    return {
+      id: budget.id,
+      month,
+      amount: round(budget.amount),
+      kwh: kwhBudget,
+      spent: round(spent),
+      kwhBought: round(kwhBought),
+      remaining: round(budget.amount - spent),
+      percentUsed: round(spent / budget.amount * 100, 1),
+      projected: round(projected),
+      projectedKwh: round(projectedKwh),
+      method,
+      daysLeft,
+      overBudget: overAmount || overKwh,
+      triggeredBy: overAmount && overKwh ? 'amount_and_kwh' : overAmount ? 'amount' : overKwh ? 'kwh' : null
+    };
+  }
+
+  // Progress for the household's budget in the month of asOf, or null
+  // without one
+  async getProgress(tenantId, asOf = new Date().toISOString().split('T')[0]) {
+    const month = String(asOf).slice(0, 7);
+    const budget = await this.getForMonth(tenantId, month);
+    if (!budget) {
+      return null;
+    }
+
+    const totals = await this.monthTotals(tenantId, month, asOf);
+    return this.progress(budget, {
+      spent: totals.spent,
+      kwhBought: totals.kwh,
+      asOf,
+      usage: await this.loadUsage(tenantId, asOf)
+    });
+  }
+}
+
+export default BudgetService;
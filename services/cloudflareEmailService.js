@@ -294,6 +294,109 @@ class CloudflareEmailService {
         </div>
     </div>
 </body>
+</html>`,
+
+      'low-credit-alert.html': `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Electricity credit is running low for {{householdName}}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #1f2937; margin: 0; padding: 24px; background: #f3f4f6; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 20px 40px rgba(148, 163, 184, 0.2); }
+        .header { background: linear-gradient(135deg, #c27d18 0%, #a16207 100%); color: #ffffff; padding: 32px 28px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .header p { margin: 8px 0 0; font-size: 16px; opacity: 0.9; }
+        .content { padding: 32px 28px; }
+        .content h2 { margin-top: 0; font-size: 22px; color: #111827; }
+        .forecast { background: #fff3cd; border-left: 4px solid #c27d18; padding: 16px; border-radius: 8px; }
+        .forecast p { margin: 0 0 8px; }
+        .button { display: inline-block; padding: 14px 28px; background: #c27d18; color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 18px 0; }
+        .muted { color: #6b7280; font-size: 14px; }
+        .footer { padding: 24px 28px; background: #f9fafb; font-size: 13px; color: #6b7280; text-align: center; }
+        .footer a { color: #c27d18; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>⚡ PowerMeter</h1>
+            <p>Electricity credit is running low</p>
+        </div>
+        <div class="content">
+            <h2>Time to top up, {{householdName}}</h2>
+            <p>Based on your recent usage, the prepaid meter is {{triggerSummary}}.</p>
+            <div class="forecast">
+                <p><strong>Estimated credit left:</strong> {{estimatedRemainingKwh}} kWh</p>
+                <p><strong>Days remaining:</strong> about {{daysRemaining}} days (runs out between {{earliestRunOutDate}} and {{latestRunOutDate}})</p>
+                <p><strong>Last reading:</strong> {{lastReadingValue}} kWh on {{lastReadingDate}}</p>
+            </div>
+            {{#if suggestedTopUp}}
+            <p>A top-up of about <strong>{{suggestedTopUp}}</strong> should cover the next {{coverDays}} days at your current usage.</p>
+            {{/if}}
+            <p style="text-align: center;">
+                <a href="{{dashboardUrl}}" class="button">Open Dashboard</a>
+            </p>
+            <p class="muted">Already bought electricity? Log the voucher or a new meter reading and the forecast will update.</p>
+        </div>
+        <div class="footer">
+            <p>You are receiving this email because low-credit alerts are turned on for {{householdName}}.</p>
+            <p>Change the thresholds or turn alerts off in <a href="{{settingsUrl}}">Settings</a>.</p>
+        </div>
+    </div>
+</body>
+</html>`,
+
+      'budget-alert.html': `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{householdName}} is heading over the electricity budget</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #1f2937; margin: 0; padding: 24px; background: #f3f4f6; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 20px 40px rgba(148, 163, 184, 0.2); }
+        .header { background: linear-gradient(135deg, #c27d18 0%, #a16207 100%); color: #ffffff; padding: 32px 28px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .header p { margin: 8px 0 0; font-size: 16px; opacity: 0.9; }
+        .content { padding: 32px 28px; }
+        .content h2 { margin-top: 0; font-size: 22px; color: #111827; }
+        .forecast { background: #fff3cd; border-left: 4px solid #c27d18; padding: 16px; border-radius: 8px; }
+        .forecast p { margin: 0 0 8px; }
+        .button { display: inline-block; padding: 14px 28px; background: #c27d18; color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 18px 0; }
+        .muted { color: #6b7280; font-size: 14px; }
+        .footer { padding: 24px 28px; background: #f9fafb; font-size: 13px; color: #6b7280; text-align: center; }
+        .footer a { color: #c27d18; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>⚡ PowerMeter</h1>
+            <p>Heading over budget</p>
+        </div>
+        <div class="content">
+            <h2>{{monthName}} is heading over budget, {{householdName}}</h2>
+            <p>At your recent usage, the {{triggerSummary}}.</p>
+            <div class="forecast">
+                <p><strong>Budget:</strong> {{budgetAmount}}</p>
+                <p><strong>Spent so far:</strong> {{spent}}</p>
+                <p><strong>Projected for the month:</strong> {{projected}} ({{daysLeft}} days to go)</p>
+            </div>
+            <p style="text-align: center;">
+                <a href="{{dashboardUrl}}" class="button">Open Dashboard</a>
+            </p>
+            <p class="muted">The projection updates as vouchers and meter readings are logged.</p>
+        </div>
+        <div class="footer">
+            <p>You are receiving this email because you asked for budget alerts for {{householdName}}.</p>
+            <p>Change the budget or turn these emails off in <a href="{{settingsUrl}}">Settings</a>.</p>
+        </div>
+    </div>
+</body>
 </html>`
     };
 
@@ -575,6 +678,89 @@ class CloudflareEmailService {
       threadId: result.data?.id || 'unknown'
     };
   }
+
+  async sendLowCreditAlert(data) {
+    if (!data?.recipientEmail) {
+      throw new Error('recipientEmail is required for low credit alerts');
+    }
+
+    const templateVariables = {
+      householdName: data.householdName || 'there',
+      triggerSummary: data.triggerSummary,
+      estimatedRemainingKwh: data.estimatedRemainingKwh,
+      daysRemaining: data.daysRemaining,
+      earliestRunOutDate: data.earliestRunOutDate,
+      latestRunOutDate: data.latestRunOutDate,
+      lastReadingValue: data.lastReadingValue,
+      lastReadingDate: data.lastReadingDate,
+      suggestedTopUp: data.suggestedTopUp || '',
+      coverDays: data.coverDays,
+      dashboardUrl: `${this.baseUrl}/dashboard`,
+      settingsUrl: `${this.baseUrl}/settings`
+    };
+
+    const template = this.getTemplate('low-credit-alert.html');
+    const htmlContent = this.renderTemplate(template, templateVariables);
+    const textContent = this.htmlToText(htmlContent);
+
+    const subject = `⚡ Electricity credit is running low - about ${templateVariables.daysRemaining} days left`;
+
+    const result = await this.sendEmail(
+      data.recipientEmail,
+      subject,
+      htmlContent,
+      textContent
+    );
+
+    return {
+      success: result.success,
+      error: result.error,
+      subject,
+      htmlBody: htmlContent,
+      textBody: textContent,
+      messageId: result.data?.id || 'unknown'
+    };
+  }
+
+  async sendBudgetAlert(data) {
+    if (!data?.recipientEmail) {
+      throw new Error('recipientEmail is required for budget alerts');
+    }
+
+    const templateVariables = {
+      householdName: data.householdName || 'there',
+      monthName: data.monthName,
+      triggerSummary: data.triggerSummary,
+      budgetAmount: data.budgetAmount,
+      spent: data.spent,
+      projected: data.projected,
+      daysLeft: data.daysLeft,
+      dashboardUrl: `${this.baseUrl}/dashboard`,
+      settingsUrl: `${this.baseUrl}/settings`
+    };
+
+    const template = this.getTemplate('budget-alert.html');
+    const htmlContent = this.renderTemplate(template, templateVariables);
+    const textContent = this.htmlToText(htmlContent);
+
+    const subject = `⚡ ${templateVariables.monthName} electricity is heading for ${templateVariables.projected} - over your ${templateVariables.budgetAmount} budget`;
+
+    const result = await this.sendEmail(
+      data.recipientEmail,
+      subject,
+      htmlContent,
+      textContent
+    );
+
+    return {
+      success: result.success,
+      error: result.error,
+      subject,
+      htmlBody: htmlContent,
+      textBody: textContent,
+      messageId: result.data?.id || 'unknown'
+    };
+  }
 }
 
 export default CloudflareEmailService;
@@ -0,0 +1,501 @@
+// Consumption Service - derives actual kWh usage from prepaid meter readings
+// A reading records the credit left on the meter, so the usage between two
+// readings is: previous balance + units loaded in between - current balance
+
+import readingTime from './readingTime.js';
+import OutageService from './outageService.js';
+import SolarService from './solarService.js';
+import TariffService from './tariffService.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// An overnight interval starts at or after EVENING_HOUR and ends before
+// MORNING_HOUR the next day, South African time
+const EVENING_HOUR = 18;
+const MORNING_HOUR = 10;
+
+// Convert a YYYY-MM-DD (or SQL datetime) string to a whole UTC day number
+function toDayNumber(dateString) {
+  const [year, month, day] = String(dateString).substring(0, 10).split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function sumKwh(vouchers) {
+  return vouchers.reduce((sum, v) => sum + (Number(v.kwh_amount) || 0), 0);
+}
+
+class ConsumptionService {
+  constructor(db) {
+    this.db = db;
+    this.outageService = new OutageService(db);
+    this.solarService = new SolarService(db);
+    this.tariffService = new TariffService(db);
+  }
+
+  // Load a tenant's readings and vouchers and run them through the engine.
+  // options.meterId limits it to one meter (null for rows without a meter).
+  // Outages up to now are loaded too, so usage can be compared per powered
+  // hour, and solar totals with the household's tariff for demand and savings.
+  async getTenantConsumption(tenantId, options = {}) {
+    const { readings, vouchers } = await this.loadTenantRows(tenantId);
+    const outages = await this.outageService.list(tenantId, { to: readingTime.now() });
+    const generation = await this.solarService.list(tenantId);
+    const settings = await this.tariffService.getSettings(tenantId);
+    const tariffVersions = settings.tariffId ? await this.tariffService.getVersions(settings.tariffId) : null;
+    return this.calculate(readings, vouchers, { ...options, outages, generation, tariffVersions });
+  }
+
+  // Readings and vouchers for a tenant, oldest first. Vouchers carry their
+  // status too, for matching readings to the tokens they show were loaded.
+  async loadTenantRows(tenantId) {
+    const readings = await this.db.prepare(`
+      SELECT id, user_id, meter_id, reading_value, reading_at, reading_date
+      FROM readings
+      WHERE tenant_id = ?
+      ORDER BY reading_at ASC, id ASC
+    `).bind(tenantId).all();
+
+    const vouchers = await this.db.prepare(`
+      SELECT id, user_id, meter_id, token_number, rand_amount, kwh_amount, purchase_date, status, loaded_at
+      FROM vouchers
+      WHERE tenant_id = ?
+      ORDER BY purchase_date ASC, id ASC
+    `).bind(tenantId).all();
+
+    return {
+      readings: readings.results || [],
+      vouchers: vouchers.results || []
+    };
+  }
+
+  // The same rows between two reading_at moments, for looking at part of a
+  // long history. Vouchers are taken by the day they were bought.
+  async loadRowsBetween(tenantId, from, to) {
+    const readings = await this.db.prepare(`
+      SELECT id, user_id, meter_id, reading_value, reading_at, reading_date
+      FROM readings
+      WHERE tenant_id = ? AND reading_at >= ? AND reading_at <= ?
+      ORDER BY reading_at ASC, id ASC
+    `).bind(tenantId, from, to).all();
+
+    const vouchers = await this.db.prepare(`
+      SELECT id, user_id, meter_id, token_number, rand_amount, kwh_amount, purchase_date, status, loaded_at
+      FROM vouchers
+      WHERE tenant_id = ? AND substr(purchase_date, 1, 10) BETWEEN ? AND ?
+      ORDER BY purchase_date ASC, id ASC
+    `).bind(tenantId, readingTime.localDate(from), readingTime.localDate(to)).all();
+
+    return {
+      readings: readings.results || [],
+      vouchers: vouchers.results || []
+    };
+  }
+
+  // Split rows per meter - each meter's balance only makes sense against its
+  // own readings and vouchers. Rows without a meter go with the household's
+  // only meter, so history from before the meter was added still counts.
+  // Solar totals are grouped the same way.
+  groupByMeter(readings, vouchers, generation = []) {
+    const meterIds = new Set([...readings, ...vouchers, ...generation].map(row => row.meter_id ?? null));
+    meterIds.delete(null);
+    const onlyMeter = meterIds.size === 1 ? [...meterIds][0] : null;
+
+    const groups = new Map();
+    const add = (row, type) => {
+      const meterId = row.meter_id ?? onlyMeter;
+      if (!groups.has(meterId)) {
+        groups.set(meterId, { meterId, readings: [], vouchers: [], generation: [] });
+      }
+      groups.get(meterId)[type].push(row);
+    };
+
+    readings.forEach(row => add(row, 'readings'));
+    vouchers.forEach(row => add(row, 'vouchers'));
+    generation.forEach(row => add(row, 'generation'));
+
+    return [...groups.values()];
+  }
+
+  // Build intervals, daily and monthly usage from raw rows.
+  // Intervals are always computed over the full history so that a date range
+  // still has the reading before it; the range only filters the output.
+  // Each meter gets its own intervals; daily and monthly usage add them up.
+  // With options.outages the output is annotated with outage hours, and with
+  // options.generation (solar totals) with demand and what solar saved.
+  calculate(readings, vouchers, { from, to, meterId, outages = null, generation = null, tariffVersions = null } = {}) {
+    const groups = this.groupByMeter(readings, vouchers, generation || [])
+      .filter(group => meterId === undefined || group.meterId === meterId);
+    const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+
+    const meters = groups.map(group => {
+      const intervals = this.buildIntervals(group.readings, group.vouchers)
+        .map(interval => ({ ...interval, meterId: group.meterId }));
+      const meterKwh = this.interpolateDaily(intervals)
+        .filter(d => inRange(d.date))
+        .reduce((sum, d) => sum + d.kwh, 0);
+      return { meterId: group.meterId, intervals, totalKwh: round(meterKwh), vouchers: group.vouchers, generation: group.generation };
+    });
+
+    const intervals = meters
+      .flatMap(meter => meter.intervals)
+      .sort((a, b) => a.endAt.localeCompare(b.endAt) || a.startAt.localeCompare(b.startAt));
+    const selectedVouchers = meters.flatMap(meter => meter.vouchers);
+
+    const daily = this.interpolateDaily(intervals).filter(d => inRange(d.date));
+    const visibleIntervals = intervals.filter(i =>
+      (!from || i.endDate >= from) && (!to || i.startDate <= to)
+    );
+
+    const totalRand = selectedVouchers.reduce((sum, v) => sum + (Number(v.rand_amount) || 0), 0);
+    const totalKwhBought = sumKwh(selectedVouchers);
+    const avgCostPerKwh = totalKwhBought > 0 ? totalRand / totalKwhBought : 0;
+
+    const monthly = this.summariseMonthly(daily, avgCostPerKwh);
+    const totalKwh = daily.reduce((sum, d) => sum + d.kwh, 0);
+
+    const result = {
+      intervals: visibleIntervals,
+      daily: daily.map(d => ({ date: d.date, kwh: round(d.kwh) })),
+      monthly,
+      meters: meters.map(meter => ({ meterId: meter.meterId, totalKwh: meter.totalKwh })),
+      overnight: this.overnight(visibleIntervals),
+      summary: {
+        totalKwh: round(totalKwh),
+        daysCovered: daily.length,
+        avgDailyKwh: daily.length > 0 ? round(totalKwh / daily.length) : 0,
+        avgCostPerKwh: round(avgCostPerKwh, 4),
+        firstDate: daily.length > 0 ? daily[0].date : null,
+        lastDate: daily.length > 0 ? daily[daily.length - 1].date : null,
+        flaggedIntervals: visibleIntervals.filter(i => i.flag).length
+      }
+    };
+
+    const annotated = outages ? this.applyOutages(result, outages, { from, to }) : result;
+    return generation ? this.applySolar(annotated, meters, { from, to, tariffVersions, avgCostPerKwh }) : annotated;
+  }
+
+  // Add solar to days, months, meters and the summary: what was generated
+  // and exported, and demand - grid usage plus the solar used at home, which
+  // is only known on days with grid usage. The solar used at home is priced
+  // at what the same units would have cost on that meter that month: on the
+  // household's block tariff when it has one, otherwise at the average paid
+  // per kWh. Summary totals count every solar day in the range.
+  applySolar(result, meters, { from, to, tariffVersions = null, avgCostPerKwh = 0 } = {}) {
+    const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+    const days = new Map();
+    const meterMonths = new Map();
+    const meterSolar = new Map();
+
+    for (const meter of meters) {
+      for (const row of meter.generation) {
+        const date = String(row.generation_date).slice(0, 10);
+        if (!inRange(date)) {
+          continue;
+        }
+        const generated = Number(row.generated_kwh) || 0;
+        const exported = Number(row.exported_kwh) || 0;
+        const day = days.get(date) || { solarKwh: 0, exportedKwh: 0 };
+        day.solarKwh += generated;
+        day.exportedKwh += exported;
+        days.set(date, day);
+        meterSolar.set(meter.meterId, (meterSolar.get(meter.meterId) || 0) + generated);
+
+        const key = `${meter.meterId}:${date.slice(0, 7)}`;
+        const month = meterMonths.get(key) || { meter, month: date.slice(0, 7), lastDate: date, selfKwh: 0 };
+        month.selfKwh += this.solarService.selfConsumed(row);
+        month.lastDate = date > month.lastDate ? date : month.lastDate;
+        meterMonths.set(key, month);
+      }
+    }
+
+    // Without solar the household would have bought these units on top of
+    // its vouchers, so on a block tariff they come off the top of the month
+    const savings = [...meterMonths.values()].map(({ meter, month, lastDate, selfKwh }) => {
+      const version = tariffVersions ? this.tariffService.versionFor(tariffVersions, lastDate) : null;
+      if (!version) {
+        return { month, rand: selfKwh * avgCostPerKwh, basis: 'average' };
+      }
+      const boughtKwh = sumKwh(meter.vouchers.filter(v => String(v.purchase_date).startsWith(month)));
+      return {
+        month,
+        rand: this.tariffService.amountFor(version, boughtKwh + selfKwh) - this.tariffService.amountFor(version, boughtKwh),
+        basis: 'tariff'
+      };
+    });
+
+    const daily = result.daily.map(day => {
+      const solar = days.get(day.date) || { solarKwh: 0, exportedKwh: 0 };
+      return {
+        ...day,
+        solarKwh: round(solar.solarKwh),
+        exportedKwh: round(solar.exportedKwh),
+        demandKwh: round(day.kwh + solar.solarKwh - solar.exportedKwh)
+      };
+    });
+
+    const monthly = result.monthly.map(month => {
+      const inMonth = ([date]) => date.startsWith(month.month);
+      const solar = [...days.entries()].filter(inMonth).map(([, day]) => day);
+      return {
+        ...month,
+        solarKwh: round(solar.reduce((sum, day) => sum + day.solarKwh, 0)),
+        exportedKwh: round(solar.reduce((sum, day) => sum + day.exportedKwh, 0)),
+        demandKwh: round(daily.filter(day => day.date.startsWith(month.month)).reduce((sum, day) => sum + day.demandKwh, 0)),
+        solarSavedRand: round(savings.filter(saving => saving.month === month.month).reduce((sum, saving) => sum + saving.rand, 0))
+      };
+    });
+
+    const solarKwh = [...days.values()].reduce((sum, day) => sum + day.solarKwh, 0);
+    const exportedKwh = [...days.values()].reduce((sum, day) => sum + day.exportedKwh, 0);
+    const demandKwh = daily.reduce((sum, day) => sum + day.demandKwh, 0);
+    const solarUsedOnGridDays = daily.reduce((sum, day) => sum + day.demandKwh - day.kwh, 0);
+    const bases = [...new Set(savings.map(saving => saving.basis))];
+
+    return {
+      ...result,
+      daily,
+      monthly,
+      meters: result.meters.map(meter => ({ ...meter, solarKwh: round(meterSolar.get(meter.meterId) || 0) })),
+      summary: {
+        ...result.summary,
+        solarKwh: round(solarKwh),
+        exportedKwh: round(exportedKwh),
+        selfConsumedKwh: round(Math.max(0, solarKwh - exportedKwh)),
+        demandKwh: round(demandKwh),
+        // Share of the demand met by solar, on days with grid usage
+        solarSharePercent: demandKwh > 0 ? round(solarUsedOnGridDays / demandKwh * 100, 1) : null,
+        solarSavedRand: round(savings.reduce((sum, saving) => sum + saving.rand, 0)),
+        solarSavingsBasis: bases.length === 0 ? null : bases.length === 1 ? bases[0] : 'mixed'
+      }
+    };
+  }
+
+  // Add outage hours to intervals, days and months, with usage per hour the
+  // power was on ("kWh per powered hour"), and list the outages in range.
+  // Days are South African days; usage is still spread evenly over them.
+  applyOutages(result, outages, { from, to } = {}) {
+    const ranges = this.outageService.merge(outages);
+    const perPoweredHour = (kwh, poweredHours) => (poweredHours > 0 ? round(kwh / poweredHours, 3) : null);
+
+    const intervals = result.intervals.map(interval => {
+      const outageHours = this.outageService.hoursWithin(ranges, interval.startAt, interval.endAt);
+      const poweredHours = round(interval.hours - outageHours);
+      return {
+        ...interval,
+        outageHours,
+        poweredHours,
+        kwhPerPoweredHour: interval.flag ? null : perPoweredHour(interval.consumedKwh, poweredHours)
+      };
+    });
+
+    const daily = result.daily.map(day => {
+      const start = readingTime.parse(`${day.date}T00:00`).readingAt;
+      const end = readingTime.now(new Date(Date.parse(start) + MS_PER_DAY));
+      const outageHours = this.outageService.hoursWithin(ranges, start, end);
+      return { ...day, outageHours, kwhPerPoweredHour: perPoweredHour(day.kwh, 24 - outageHours) };
+    });
+
+    const monthly = result.monthly.map(month => {
+      const outageHours = round(daily
+        .filter(day => day.date.startsWith(month.month))
+        .reduce((sum, day) => sum + day.outageHours, 0));
+      return { ...month, outageHours, kwhPerPoweredHour: perPoweredHour(month.kwh, month.days * 24 - outageHours) };
+    });
+
+    const outageHours = round(daily.reduce((sum, day) => sum + day.outageHours, 0));
+    const rangeStart = from ? readingTime.parse(`${from}T00:00`).readingAt : null;
+    const rangeEnd = to ? readingTime.parse(`${to}T23:59:59`).readingAt : null;
+
+    return {
+      ...result,
+      intervals,
+      daily,
+      monthly,
+      outages: outages
+        .filter(o => (!rangeStart || o.ends_at > rangeStart) && (!rangeEnd || o.starts_at < rangeEnd))
+        .map(o => ({ id: o.id, startsAt: o.starts_at, endsAt: o.ends_at, stage: o.stage ?? null, area: o.area ?? null })),
+      summary: {
+        ...result.summary,
+        outageHours,
+        avgKwhPerPoweredHour: perPoweredHour(result.summary.totalKwh, daily.length * 24 - outageHours)
+      }
+    };
+  }
+
+  // Walk readings in time order and attach the vouchers loaded between them.
+  // Vouchers only have a date, so one bought on the same day as a reading is
+  // ambiguous - it may have been loaded before or after the meter was read -
+  // and the balances on either side decide which interval it belongs to.
+  buildIntervals(readings, vouchers) {
+    const sortedReadings = readings
+      .map(reading => {
+        const at = readingTime.of(reading);
+        return { ...reading, at, day: toDayNumber(at ? readingTime.localDate(at) : reading.reading_date) };
+      })
+      .sort((a, b) => String(a.at).localeCompare(String(b.at)) || a.id - b.id);
+    const sortedVouchers = [...vouchers].sort((a, b) =>
+      toDayNumber(a.purchase_date) - toDayNumber(b.purchase_date) || a.id - b.id
+    );
+
+    const intervals = [];
+    let pending = [];
+    let voucherIndex = 0;
+
+    for (let i = 0; i < sortedReadings.length; i++) {
+      const current = sortedReadings[i];
+      const currentDay = current.day;
+
+      while (voucherIndex < sortedVouchers.length &&
+             toDayNumber(sortedVouchers[voucherIndex].purchase_date) < currentDay) {
+        pending.push(sortedVouchers[voucherIndex++]);
+      }
+
+      const sameDay = [];
+      while (voucherIndex < sortedVouchers.length &&
+             toDayNumber(sortedVouchers[voucherIndex].purchase_date) === currentDay) {
+        sameDay.push(sortedVouchers[voucherIndex++]);
+      }
+
+      const previous = i > 0 ? sortedReadings[i - 1] : null;
+      const includeSameDay = sameDay.length > 0 &&
+        this.sameDayVouchersLoaded(previous, current, pending, sortedReadings[i + 1], sortedVouchers.slice(voucherIndex));
+
+      if (!previous) {
+        // Anything bought before the first reading is already in its balance
+        pending = includeSameDay ? [] : sameDay;
+        continue;
+      }
+
+      const loaded = includeSameDay ? [...pending, ...sameDay] : pending;
+      pending = includeSameDay ? [] : sameDay;
+
+      const previousValue = Number(previous.reading_value);
+      const currentValue = Number(current.reading_value);
+      const loadedKwh = sumKwh(loaded);
+      const consumedKwh = previousValue + loadedKwh - currentValue;
+      const days = currentDay - previous.day;
+      const hours = readingTime.hoursBetween(previous.at, current.at);
+
+      intervals.push({
+        startDate: fromDayNumber(previous.day),
+        endDate: fromDayNumber(currentDay),
+        startAt: previous.at,
+        endAt: current.at,
+        days,
+        hours: round(hours),
+        startReadingId: previous.id,
+        endReadingId: current.id,
+        startReading: round(previousValue),
+        endReading: round(currentValue),
+        loadedKwh: round(loadedKwh),
+        voucherIds: loaded.map(v => v.id),
+        consumedKwh: round(consumedKwh),
+        avgDailyKwh: days > 0 ? round(consumedKwh / days) : round(consumedKwh),
+        avgHourlyKwh: hours > 0 ? round(consumedKwh / hours, 3) : null,
+        // Credit went up by more than the vouchers we know about explain
+        flag: consumedKwh < 0 ? 'unexplained_increase' : null
+      });
+    }
+
+    return intervals;
+  }
+
+  // Usage between an evening reading and the next morning's - what the
+  // geyser and anything else left on uses overnight. Null without any.
+  overnight(intervals) {
+    const nights = intervals.filter(i => !i.flag && i.days === 1 && i.hours > 0 &&
+      readingTime.localHour(i.startAt) >= EVENING_HOUR && readingTime.localHour(i.endAt) < MORNING_HOUR);
+    if (nights.length === 0) {
+      return null;
+    }
+
+    const kwh = nights.reduce((sum, i) => sum + i.consumedKwh, 0);
+    const hours = nights.reduce((sum, i) => sum + i.hours, 0);
+    const latest = nights[nights.length - 1];
+    return {
+      nights: nights.length,
+      avgKwh: round(kwh / nights.length),
+      avgHourlyKwh: round(kwh / hours, 3),
+      latest: { startAt: latest.startAt, endAt: latest.endAt, consumedKwh: latest.consumedKwh, meterId: latest.meterId ?? null }
+    };
+  }
+
+  // Decide whether vouchers bought on a reading's day were loaded before it
+  sameDayVouchersLoaded(previous, current, pending, next, laterVouchers) {
+    const currentValue = Number(current.reading_value);
+
+    // Without them the balance went up unexplained, so they must be in it
+    if (previous && Number(previous.reading_value) + sumKwh(pending) - currentValue < 0) {
+      return true;
+    }
+
+    if (!next) {
+      return true;
+    }
+
+    // If the next reading jumps up with nothing else to explain it, they were
+    // loaded after this reading was taken
+    const nextDay = next.day;
+    const nextLoads = laterVouchers.filter(v => toDayNumber(v.purchase_date) <= nextDay);
+    return currentValue + sumKwh(nextLoads) - Number(next.reading_value) >= 0;
+  }
+
+  // Spread each interval's usage evenly across the days it covers (unrounded).
+  // Flagged intervals are skipped because their usage cannot be trusted.
+  interpolateDaily(intervals) {
+    const byDay = new Map();
+
+    for (const interval of intervals) {
+      if (interval.flag) {
+        continue;
+      }
+
+      const endDay = toDayNumber(interval.endDate);
+
+      if (interval.days <= 0) {
+        byDay.set(endDay, (byDay.get(endDay) || 0) + interval.consumedKwh);
+        continue;
+      }
+
+      const perDay = interval.consumedKwh / interval.days;
+      for (let day = endDay - interval.days + 1; day <= endDay; day++) {
+        byDay.set(day, (byDay.get(day) || 0) + perDay);
+      }
+    }
+
+    return [...byDay.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([day, kwh]) => ({ date: fromDayNumber(day), kwh }));
+  }
+
+  summariseMonthly(daily, avgCostPerKwh = 0) {
+    const months = new Map();
+
+    for (const { date, kwh } of daily) {
+      const month = date.substring(0, 7);
+      const entry = months.get(month) || { month, kwh: 0, days: 0 };
+      entry.kwh += kwh;
+      entry.days += 1;
+      months.set(month, entry);
+    }
+
+    return [...months.values()].map(m => ({
+      month: m.month,
+      kwh: round(m.kwh),
+      days: m.days,
+      avgDailyKwh: round(m.kwh / m.days),
+      estimatedCost: round(m.kwh * avgCostPerKwh)
+    }));
+  }
+}
+
+export default ConsumptionService;
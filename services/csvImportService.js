@@ -0,0 +1,467 @@
+// CSV Import Service - brings historical readings and vouchers, and daily
+// solar totals from an inverter, in from a spreadsheet export. A dry run maps the columns, works out the date format
+// and validates every row; committing inserts the valid rows.
+
+import MeterService from './meterService.js';
+import SolarService from './solarService.js';
+import readingTime from './readingTime.js';
+import stsToken from './stsToken.js';
+import VoucherStatusService from './voucherStatusService.js';
+
+// Upper limit for one file, so a huge upload can't tie up the Worker
+const MAX_ROWS = 5000;
+
+// Fields each import type understands. Required fields must be mapped.
+const FIELDS = {
+  readings: {
+    date: { required: true, label: 'Date' },
+    reading: { required: true, label: 'Reading (kWh)' },
+    meter: { required: false, label: 'Meter number' },
+    notes: { required: false, label: 'Notes' }
+  },
+  vouchers: {
+    date: { required: true, label: 'Purchase date' },
+    amount: { required: true, label: 'Amount (R)' },
+    units: { required: true, label: 'Units (kWh)' },
+    token: { required: true, label: 'Token' },
+    vat: { required: false, label: 'VAT (R)' },
+    meter: { required: false, label: 'Meter number' },
+    notes: { required: false, label: 'Notes' }
+  },
+  generation: {
+    date: { required: true, label: 'Date' },
+    generated: { required: true, label: 'Generated (kWh)' },
+    exported: { required: false, label: 'Exported (kWh)' },
+    inverter: { required: false, label: 'Inverter' },
+    meter: { required: false, label: 'Meter number' },
+    notes: { required: false, label: 'Notes' }
+  }
+};
+
+const TYPES = Object.keys(FIELDS);
+
+// Header names spreadsheets and inverter apps commonly use for each field,
+// lowercase. Spaces are ignored when matching, so "PV Yield(kWh)" matches
+// "pv yield (kwh)".
+const HEADER_ALIASES = {
+  date: ['date', 'reading date', 'purchase date', 'date & time', 'datetime', 'timestamp', 'when', 'day', 'statistical period'],
+  reading: ['reading', 'reading (kwh)', 'reading value', 'meter reading', 'balance', 'credit', 'units left', 'kwh left', 'kwh'],
+  amount: ['amount', 'rand amount', 'amount (r)', 'cost', 'price', 'paid', 'total', 'rand'],
+  units: ['units', 'kwh', 'kwh amount', 'units (kwh)', 'units bought'],
+  token: ['token', 'token number', 'credit token', 'voucher', 'pin'],
+  vat: ['vat', 'vat amount', 'vat (r)'],
+  meter: ['meter', 'meter number', 'meter no', 'meter #'],
+  notes: ['notes', 'note', 'comment', 'comments', 'description'],
+  generated: ['generated', 'generated (kwh)', 'generation', 'generation (kwh)', 'pv', 'pv (kwh)', 'pv yield', 'pv yield (kwh)',
+    'pv generation', 'pv generation (kwh)', 'yield', 'yield (kwh)', 'daily yield', 'daily yield (kwh)', 'solar', 'solar (kwh)',
+    'production', 'production (kwh)', 'produced (kwh)'],
+  exported: ['exported', 'exported (kwh)', 'export', 'export (kwh)', 'grid export', 'grid export (kwh)', 'feed-in', 'feed-in (kwh)',
+    'grid feed-in', 'grid feed-in (kwh)', 'sold', 'sold (kwh)', 'to grid (kwh)'],
+  inverter: ['inverter', 'inverter name', 'inverter sn', 'device', 'device name', 'plant', 'plant name']
+};
+
+const DUPLICATE_IN_FILE = {
+  readings: 'There is already a reading for this date and time earlier in this file',
+  vouchers: 'Token appears earlier in this file',
+  generation: 'There is already a solar total for this day earlier in this file'
+};
+
+const DATE_FORMATS = ['iso', 'dmy', 'mdy'];
+const DATE_FORMAT_LABELS = { iso: 'YYYY-MM-DD', dmy: 'DD/MM/YYYY', mdy: 'MM/DD/YYYY' };
+
+const ISO_DATE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/;
+const SLASH_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::\d{2})?)?$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Dates are kept like the entry forms send them: YYYY-MM-DD, or
+// YYYY-MM-DDTHH:MM when the spreadsheet has a time. Readings are stored at
+// that South African time, or midday without one.
+function buildDate(year, month, day, hour, minute) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  const text = `${year}-${pad(month)}-${pad(day)}`;
+  return hour === undefined ? text : `${text}T${pad(hour)}:${pad(minute)}`;
+}
+
+// "R1 234.50", "1,234.50" and "45,6" are all numbers in South African sheets
+function parseNumber(value) {
+  let text = String(value ?? '').replace(/^\s*R\s*/i, '').replace(/\s/g, '');
+  if (!text) {
+    return null;
+  }
+  if (text.includes(',') && text.includes('.')) {
+    text = text.replace(/,/g, '');
+  } else if (/,\d{1,2}$/.test(text)) {
+    text = text.replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+class CsvImportService {
+  constructor(db) {
+    this.db = db;
+    this.meterService = new MeterService(db);
+    this.solarService = new SolarService(db);
+    this.voucherStatusService = new VoucherStatusService(db);
+  }
+
+  // Parse, map and validate a file. Returns { error } when the file or the
+  // options can't be used at all, otherwise the mapping, date format and
+  // one result per row. Nothing is written.
+  async preview(text, { type, mapping, dateFormat = 'auto', userId, tenantId }) {
+    if (!FIELDS[type]) {
+      return { error: `type must be ${TYPES.map(name => `"${name}"`).join(', ')}` };
+    }
+    if (dateFormat !== 'auto' && !DATE_FORMATS.includes(dateFormat)) {
+      return { error: `dateFormat must be auto, ${DATE_FORMATS.join(', ')}` };
+    }
+
+    const rows = this.parseCsv(text);
+    if (rows.length < 2) {
+      return { error: 'The file needs a header row and at least one data row' };
+    }
+    if (rows.length - 1 > MAX_ROWS) {
+      return { error: `Import at most ${MAX_ROWS} rows at a time` };
+    }
+
+    const headers = rows[0];
+    const columnMapping = mapping && Object.keys(mapping).length > 0 ? mapping : this.suggestMapping(headers, type);
+    const unknown = Object.values(columnMapping).filter(header => header && !headers.includes(header));
+    if (unknown.length > 0) {
+      return { error: `Column "${unknown[0]}" is not in the file` };
+    }
+
+    const missing = Object.entries(FIELDS[type])
+      .filter(([field, spec]) => spec.required && !columnMapping[field])
+      .map(([, spec]) => spec.label);
+
+    const dateColumn = headers.indexOf(columnMapping.date);
+    const detected = this.detectDateFormat(dateColumn === -1 ? [] : rows.slice(1).map(cells => cells[dateColumn]));
+    const format = dateFormat === 'auto' ? detected.format : dateFormat;
+
+    const meters = await this.meterService.list(tenantId);
+    const results = missing.length > 0
+      ? []
+      : await this.markExisting(this.validate(rows, { type, mapping: columnMapping, dateFormat: format, meters }), { type, userId, tenantId });
+
+    return {
+      headers,
+      fields: FIELDS[type],
+      mapping: columnMapping,
+      missingFields: missing,
+      dateFormat: { detected: detected.format, used: format, ambiguous: detected.ambiguous, conflicting: !!detected.conflicting },
+      results
+    };
+  }
+
+  fields(type) {
+    return FIELDS[type] || null;
+  }
+
+  // Split CSV text into rows of cells. Handles quoted cells with commas,
+  // quotes and line breaks, and semicolon-separated exports.
+  parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell.trim());
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    // Blank lines are skipped
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+
+  // Guess which column holds each field from the header names
+  suggestMapping(headers, type) {
+    const mapping = {};
+    const used = new Set();
+    const squash = (text) => String(text).toLowerCase().replace(/\s/g, '');
+    const normalised = headers.map(squash);
+
+    for (const field of Object.keys(FIELDS[type])) {
+      const index = HEADER_ALIASES[field].map(alias => normalised.indexOf(squash(alias))).find(i => i !== -1 && !used.has(i));
+      if (index !== undefined) {
+        mapping[field] = headers[index];
+        used.add(index);
+      }
+    }
+
+    return mapping;
+  }
+
+  // Work out whether slash dates are DD/MM/YYYY or MM/DD/YYYY from the values
+  // themselves. A day over 12 settles it; if every value could be either, the
+  // South African DD/MM/YYYY is assumed and flagged as ambiguous.
+  detectDateFormat(values) {
+    let iso = 0;
+    let dmy = 0;
+    let mdy = 0;
+    let either = 0;
+
+    for (const value of values) {
+      const text = String(value || '').trim();
+      if (ISO_DATE.test(text)) {
+        iso++;
+        continue;
+      }
+      const match = text.match(SLASH_DATE);
+      if (!match) {
+        continue;
+      }
+      const first = Number(match[1]);
+      const second = Number(match[2]);
+      if (first > 12 && second <= 12) {
+        dmy++;
+      } else if (second > 12 && first <= 12) {
+        mdy++;
+      } else {
+        either++;
+      }
+    }
+
+    if (dmy > 0 && mdy > 0) {
+      return { format: 'dmy', ambiguous: true, conflicting: true };
+    }
+    if (mdy > 0) {
+      return { format: 'mdy', ambiguous: false };
+    }
+    if (dmy > 0 || either > 0) {
+      return { format: 'dmy', ambiguous: dmy === 0 };
+    }
+    return { format: 'iso', ambiguous: iso === 0 };
+  }
+
+  parseDate(value, format) {
+    const text = String(value || '').trim();
+
+    const iso = text.match(ISO_DATE);
+    if (iso) {
+      return buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3]), iso[4], iso[5]);
+    }
+
+    const slash = text.match(SLASH_DATE);
+    if (slash && format !== 'iso') {
+      const [day, month] = format === 'mdy' ? [slash[2], slash[1]] : [slash[1], slash[2]];
+      return buildDate(Number(slash[3]), Number(month), Number(day), slash[4], slash[5]);
+    }
+
+    return null;
+  }
+
+  // Check a parsed file against a column mapping. Returns one entry per data
+  // row with the values to insert or the reasons it can't be imported.
+  // meters is the household's meter list.
+  validate(rows, { type, mapping, dateFormat, meters = [] }) {
+    const [headers, ...dataRows] = rows;
+    const fields = FIELDS[type];
+    const column = (field) => mapping[field] ? headers.indexOf(mapping[field]) : -1;
+    const columns = Object.fromEntries(Object.keys(fields).map(field => [field, column(field)]));
+    const seenKeys = new Set();
+
+    return dataRows.map((cells, index) => {
+      const raw = (field) => columns[field] === -1 ? '' : (cells[columns[field]] ?? '').trim();
+      const errors = [];
+      const values = {};
+
+      values.date = this.parseDate(raw('date'), dateFormat);
+      if (!values.date) {
+        errors.push(raw('date') ? `"${raw('date')}" is not a ${DATE_FORMAT_LABELS[dateFormat]} date` : 'Date is missing');
+      }
+
+      if (type === 'readings') {
+        values.reading = parseNumber(raw('reading'));
+        if (values.reading === null || isNaN(values.reading) || values.reading < 0) {
+          errors.push('Reading must be a number of 0 or more');
+        }
+      } else if (type === 'generation') {
+        // Inverter exports are one row per day; a time on the date is dropped
+        values.date = values.date ? values.date.slice(0, 10) : null;
+        values.generated = parseNumber(raw('generated'));
+        values.exported = parseNumber(raw('exported')) ?? 0;
+        values.inverter = raw('inverter') || null;
+
+        const error = values.date && this.solarService.validate({
+          date: values.date,
+          generatedKwh: values.generated ?? NaN,
+          exportedKwh: values.exported
+        });
+        if (error) {
+          errors.push(error);
+        }
+      } else {
+        values.amount = parseNumber(raw('amount'));
+        values.units = parseNumber(raw('units'));
+        values.vat = parseNumber(raw('vat')) ?? 0;
+        values.token = stsToken.parse(raw('token')) ?? raw('token');
+
+        if (!(values.amount > 0)) {
+          errors.push('Amount must be greater than 0');
+        }
+        if (!(values.units > 0)) {
+          errors.push('Units must be greater than 0');
+        }
+        if (isNaN(values.vat) || values.vat < 0) {
+          errors.push('VAT must be a number of 0 or more');
+        }
+        if (!values.token) {
+          errors.push('Token is missing');
+        } else if (!stsToken.parse(values.token)) {
+          errors.push(stsToken.error);
+        }
+      }
+
+      values.notes = raw('notes') || null;
+
+      const meterNumber = raw('meter');
+      const assigned = this.meterService.assign(meters, { meterNumber: meterNumber || undefined });
+      values.meterId = assigned.meterId;
+      if (meterNumber && assigned.meterId === null) {
+        errors.push(`Meter ${meterNumber} has not been added to your household`);
+      }
+
+      // Same token, a second reading for the same meter and time, or a second
+      // solar total for the same inverter and day, in this file
+      const key = this.rowKey(type, values);
+      if (errors.length === 0 && seenKeys.has(key)) {
+        errors.push(DUPLICATE_IN_FILE[type]);
+      }
+      seenKeys.add(key);
+
+      return { row: index + 2, values, errors };
+    });
+  }
+
+  rowKey(type, values) {
+    if (type === 'vouchers') {
+      return values.token;
+    }
+    if (type === 'generation') {
+      return `${values.meterId ?? 0}:${values.inverter ?? ''}:${values.date}`;
+    }
+    return `${values.meterId ?? 0}:${readingTime.parse(values.date)?.readingAt}`;
+  }
+
+  // Mark rows that are already saved - the household's tokens for vouchers, meter and time for
+  // readings, inverter and day for solar totals - so the dry run can report
+  // them. D1 caps bound parameters per query, so lookups are done in chunks.
+  async markExisting(results, { type, userId, tenantId }) {
+    const candidates = results.filter(r => r.errors.length === 0);
+
+    if (type === 'vouchers') {
+      const tokens = candidates.map(r => r.values.token);
+      const existing = new Set();
+      for (let i = 0; i < tokens.length; i += 90) {
+        const chunk = tokens.slice(i, i + 90);
+        const rows = await this.db.prepare(`
+          SELECT token_number FROM vouchers
+          WHERE tenant_id = ? AND token_number IN (${chunk.map(() => '?').join(', ')})
+        `).bind(tenantId, ...chunk).all();
+        (rows.results || []).forEach(row => existing.add(row.token_number));
+      }
+      candidates
+        .filter(r => existing.has(r.values.token))
+        .forEach(r => r.errors.push('This token has already been saved'));
+      return results;
+    }
+
+    if (type === 'generation') {
+      const rows = await this.db.prepare(`
+        SELECT COALESCE(meter_id, 0) as meter_id, COALESCE(inverter, '') as inverter, generation_date
+        FROM generation_readings WHERE tenant_id = ?
+      `).bind(tenantId).all();
+      const existing = new Set((rows.results || []).map(row => `${row.meter_id}:${row.inverter}:${row.generation_date}`));
+      candidates
+        .filter(r => existing.has(this.rowKey(type, r.values)))
+        .forEach(r => r.errors.push('There is already a solar total for this day'));
+      return results;
+    }
+
+    const rows = await this.db.prepare(`
+      SELECT COALESCE(meter_id, 0) as meter_id, reading_at
+      FROM readings WHERE user_id = ?
+    `).bind(userId).all();
+    const existing = new Set((rows.results || []).map(row => `${row.meter_id}:${row.reading_at}`));
+    candidates
+      .filter(r => existing.has(`${r.values.meterId ?? 0}:${readingTime.parse(r.values.date).readingAt}`))
+      .forEach(r => r.errors.push('You already have a reading at this date and time'));
+    return results;
+  }
+
+  // Insert statements for the valid rows; run them together with db.batch
+  insertStatements(results, { type, userId, tenantId }) {
+    return results
+      .filter(r => r.errors.length === 0)
+      .map(({ values }) => {
+        if (type === 'vouchers') {
+          const status = this.voucherStatusService.importedStatus(tenantId, values.meterId, values.date);
+          return this.db.prepare(`
+            INSERT INTO vouchers (user_id, tenant_id, meter_id, token_number, purchase_date, rand_amount, kwh_amount, vat_amount, notes, status, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${status.clause}, datetime('now'))
+            ON CONFLICT DO NOTHING
+          `).bind(userId, tenantId, values.meterId, values.token, values.date, values.amount, values.units, values.vat, values.notes, ...status.params);
+        }
+
+        if (type === 'generation') {
+          return this.db.prepare(`
+            INSERT INTO generation_readings (tenant_id, user_id, meter_id, inverter, generation_date, generated_kwh, exported_kwh, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+          `).bind(tenantId, userId, values.meterId, values.inverter, values.date, values.generated, values.exported, values.notes);
+        }
+
+        const time = readingTime.parse(values.date);
+        return this.db.prepare(`
+          INSERT INTO readings (user_id, tenant_id, meter_id, reading_value, reading_at, reading_date, notes, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+          ON CONFLICT DO NOTHING
+        `).bind(userId, tenantId, values.meterId, values.reading, time.readingAt, time.readingDate, values.notes);
+      });
+  }
+}
+
+export default CsvImportService;
@@ -0,0 +1,212 @@
+// PDF - a printable A4 statement drawn with the built-in Helvetica fonts:
+// heading, summary figures, a bar chart and a table that runs over as many
+// pages as it needs
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const ROW_HEIGHT = 16;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// The standard fonts use WinAnsi - anything outside Latin-1 becomes "?"
+function sanitise(text) {
+  return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function textWidth(text, size) {
+  let width = 0;
+  for (const ch of sanitise(text)) {
+    const code = ch.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? WIDTHS[code - 32] : 556;
+  }
+  return width * size / 1000;
+}
+
+function escapePdf(text) {
+  return sanitise(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function num(value) {
+  return Number(value.toFixed(2));
+}
+
+class Page {
+  constructor() {
+    this.ops = [];
+  }
+
+  text(x, y, value, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+    const left = align === 'right' ? x - textWidth(value, size) : align === 'center' ? x - textWidth(value, size) / 2 : x;
+    this.ops.push(`${gray} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(y)} Td (${escapePdf(value)}) Tj ET`);
+  }
+
+  rect(x, y, width, height, [r, g, b]) {
+    this.ops.push(`${r} ${g} ${b} rg ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`);
+  }
+
+  line(x1, y1, x2, y2, gray = 0.7) {
+    this.ops.push(`${gray} G 0.5 w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  }
+
+  get content() {
+    return this.ops.join('\n');
+  }
+}
+
+function drawChart(page, top, { title, bars }) {
+  const height = 150;
+  const bottom = top - height;
+  const width = PAGE_WIDTH - MARGIN * 2;
+  const max = Math.max(...bars.map(bar => bar.value), 0);
+
+  page.text(MARGIN, top + 10, title, { size: 12, bold: true });
+  page.line(MARGIN, bottom, MARGIN + width, bottom, 0.4);
+
+  if (bars.length === 0 || max <= 0) {
+    page.text(MARGIN + width / 2, bottom + height / 2, 'No purchases in this period', { align: 'center', gray: 0.5 });
+    return bottom - 30;
+  }
+
+  const slot = width / bars.length;
+  const barWidth = Math.min(slot * 0.6, 40);
+  const plotHeight = height - 30;
+
+  bars.forEach((bar, i) => {
+    const x = MARGIN + slot * i + (slot - barWidth) / 2;
+    const barHeight = Math.max(bar.value / max * plotHeight, bar.value > 0 ? 1 : 0);
+    page.rect(x, bottom, barWidth, barHeight, [0.23, 0.45, 0.85]);
+    page.text(x + barWidth / 2, bottom + barHeight + 4, bar.text ?? String(bar.value), { size: 7, align: 'center', gray: 0.3 });
+    page.text(x + barWidth / 2, bottom - 12, bar.label, { size: 7, align: 'center', gray: 0.3 });
+  });
+
+  return bottom - 35;
+}
+
+// Column x positions: left edge for left-aligned text, right edge otherwise
+function columnPositions(columns) {
+  const total = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const unit = (PAGE_WIDTH - MARGIN * 2) / total;
+  let x = MARGIN;
+  return columns.map(column => {
+    const start = x;
+    x += (column.width || 1) * unit;
+    return column.align === 'right' ? x - 4 : start;
+  });
+}
+
+function drawRow(page, y, columns, positions, values, options = {}) {
+  columns.forEach((column, i) => {
+    page.text(positions[i], y, values[i] ?? '', { size: 9, align: column.align || 'left', ...options });
+  });
+}
+
+// statement: {
+//   title, details: [line], summary: [[label, value]],
+//   chart: { title, bars: [{ label, value, text }] },
+//   table: { title, columns: [{ label, align, width }], rows: [[value]], totals: [value] },
+//   footer
+// }
+export default function createStatement({ title, details = [], summary = [], chart, table, footer = '' }) {
+  const pages = [new Page()];
+  let page = pages[0];
+  let y = PAGE_HEIGHT - MARGIN - 10;
+
+  page.text(MARGIN, y, title, { size: 20, bold: true });
+  y -= 22;
+  for (const line of details) {
+    page.text(MARGIN, y, line, { size: 10, gray: 0.35 });
+    y -= 14;
+  }
+
+  // Summary figures in a row of boxes
+  if (summary.length > 0) {
+    y -= 12;
+    const boxWidth = (PAGE_WIDTH - MARGIN * 2) / summary.length;
+    summary.forEach(([label, value], i) => {
+      const x = MARGIN + boxWidth * i;
+      page.rect(x + 2, y - 38, boxWidth - 4, 44, [0.95, 0.96, 0.98]);
+      page.text(x + 10, y - 10, label, { size: 8, gray: 0.4 });
+      page.text(x + 10, y - 28, value, { size: 13, bold: true });
+    });
+    y -= 60;
+  }
+
+  if (chart) {
+    y = drawChart(page, y - 20, chart);
+  }
+
+  if (table) {
+    const positions = columnPositions(table.columns);
+    const header = () => {
+      drawRow(page, y, table.columns, positions, table.columns.map(column => column.label), { bold: true });
+      page.line(MARGIN, y - 5, PAGE_WIDTH - MARGIN, y - 5, 0.4);
+      y -= ROW_HEIGHT + 2;
+    };
+
+    if (table.title) {
+      page.text(MARGIN, y, table.title, { size: 12, bold: true });
+      y -= 20;
+    }
+    header();
+
+    const rows = table.totals ? [...table.rows, null] : table.rows;
+    for (const row of rows) {
+      if (y < MARGIN + 30) {
+        page = new Page();
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN - 10;
+        header();
+      }
+      if (row === null) {
+        page.line(MARGIN, y + ROW_HEIGHT - 5, PAGE_WIDTH - MARGIN, y + ROW_HEIGHT - 5, 0.4);
+        drawRow(page, y, table.columns, positions, table.totals, { bold: true });
+      } else {
+        drawRow(page, y, table.columns, positions, row);
+      }
+      y -= ROW_HEIGHT;
+    }
+  }
+
+  pages.forEach((p, i) => {
+    p.text(MARGIN, 30, footer, { size: 8, gray: 0.5 });
+    p.text(PAGE_WIDTH - MARGIN, 30, `Page ${i + 1} of ${pages.length}`, { size: 8, gray: 0.5, align: 'right' });
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((p, i) => {
+    const content = p.content;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Every character is Latin-1, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, ch => ch.charCodeAt(0));
+}
@@ -0,0 +1,282 @@
+// Export Service - turns a household's export (the data behind
+// /api/export/data) into spreadsheet and print formats: a CSV per entity,
+// an XLSX workbook and a PDF statement with monthly spend
+
+import ConsumptionService from './consumptionService.js';
+import readingTime from './readingTime.js';
+import createZip from './exportFormats/zip.js';
+import createWorkbook from './exportFormats/xlsx.js';
+import createStatement from './exportFormats/pdf.js';
+
+const FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The PDF chart shows this many of the most recent months
+const CHART_MONTHS = 12;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function money(value) {
+  return `R${(value || 0).toFixed(2)}`;
+}
+
+// "2025-09" -> "Sep 2025"
+function monthLabel(month, short = false) {
+  const [year, index] = month.split('-');
+  return `${MONTH_NAMES[Number(index) - 1]} ${short ? year.slice(2) : year}`;
+}
+
+class ExportService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+  }
+
+  get formats() {
+    return FORMATS;
+  }
+
+  // Returns an error message or null for ?from=&to=
+  validatePeriod({ from, to }) {
+    if ((from && !DATE.test(from)) || (to && !DATE.test(to))) {
+      return 'from and to must be YYYY-MM-DD dates';
+    }
+    if (from && to && from > to) {
+      return 'from must be before to';
+    }
+    return null;
+  }
+
+  // Keep only the vouchers and readings dated inside the period
+  filterPeriod(data, { from, to }) {
+    const inside = (date) => {
+      const day = String(date).slice(0, 10);
+      return (!from || day >= from) && (!to || day <= to);
+    };
+    return {
+      ...data,
+      vouchers: data.vouchers.filter(v => inside(v.purchase_date)),
+      readings: data.readings.filter(r => inside(r.reading_date))
+    };
+  }
+
+  // Spend per purchase month, plus the kWh actually used that month where
+  // readings allow working it out
+  monthlySummary(data) {
+    const months = new Map();
+    for (const voucher of data.vouchers) {
+      const month = String(voucher.purchase_date).slice(0, 7);
+      const entry = months.get(month) || { month, vouchers: 0, amount: 0, units: 0, vat: 0, usedKwh: null };
+      entry.vouchers++;
+      entry.amount += voucher.rand_amount || 0;
+      entry.units += voucher.kwh_amount || 0;
+      entry.vat += voucher.vat_amount || 0;
+      months.set(month, entry);
+    }
+
+    const consumption = this.consumptionService.calculate(
+      [...data.readings].sort((a, b) => String(readingTime.of(a)).localeCompare(String(readingTime.of(b))) || a.id - b.id),
+      [...data.vouchers].sort((a, b) => String(a.purchase_date).localeCompare(String(b.purchase_date)) || a.id - b.id)
+    );
+    for (const { month, kwh } of consumption.monthly) {
+      const entry = months.get(month) || { month, vouchers: 0, amount: 0, units: 0, vat: 0, usedKwh: null };
+      entry.usedKwh = kwh;
+      months.set(month, entry);
+    }
+
+    return [...months.values()]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(m => ({
+        month: m.month,
+        vouchers: m.vouchers,
+        amount: round(m.amount),
+        units: round(m.units),
+        vat: round(m.vat),
+        costPerKwh: m.units > 0 ? round(m.amount / m.units, 4) : null,
+        usedKwh: m.usedKwh
+      }));
+  }
+
+  // One table per entity, with the columns each format writes
+  tables(data) {
+    const meters = new Map((data.meters || []).map(meter => [meter.id, meter]));
+    const meterColumns = (row) => ({
+      meter_number: meters.get(row.meter_id)?.meter_number ?? null,
+      meter_label: meters.get(row.meter_id)?.label ?? null
+    });
+    const byDate = (key) => (a, b) => String(a[key]).localeCompare(String(b[key])) || a.id - b.id;
+
+    return {
+      vouchers: {
+        name: 'Vouchers',
+        columns: [
+          { key: 'purchase_date', label: 'Purchase Date', type: 'date' },
+          { key: 'token_number', label: 'Token', type: 'text', width: 28 },
+          { key: 'rand_amount', label: 'Amount (R)', type: 'currency' },
+          { key: 'kwh_amount', label: 'Units (kWh)', type: 'number' },
+          { key: 'vat_amount', label: 'VAT (R)', type: 'currency' },
+          { key: 'meter_number', label: 'Meter Number', type: 'text' },
+          { key: 'meter_label', label: 'Meter Label', type: 'text' },
+          { key: 'notes', label: 'Notes', type: 'text', width: 30 }
+        ],
+        rows: [...data.vouchers].sort(byDate('purchase_date')).map(v => ({ ...v, ...meterColumns(v) }))
+      },
+      readings: {
+        name: 'Readings',
+        columns: [
+          { key: 'reading_time', label: 'Reading Date & Time', type: 'date' },
+          { key: 'reading_value', label: 'Reading (kWh)', type: 'number' },
+          { key: 'meter_number', label: 'Meter Number', type: 'text' },
+          { key: 'meter_label', label: 'Meter Label', type: 'text' },
+          { key: 'notes', label: 'Notes', type: 'text', width: 30 }
+        ],
+        // South African time, which sorts the same as reading_at
+        rows: data.readings
+          .map(r => ({ ...r, ...meterColumns(r), reading_time: readingTime.localDateTime(readingTime.of(r)).replace('T', ' ') }))
+          .sort(byDate('reading_time'))
+      },
+      meters: {
+        name: 'Meters',
+        columns: [
+          { key: 'meter_number', label: 'Meter Number', type: 'text' },
+          { key: 'label', label: 'Label', type: 'text' },
+          { key: 'location', label: 'Location', type: 'text' }
+        ],
+        rows: data.meters || []
+      },
+      monthly: {
+        name: 'Monthly Summary',
+        columns: [
+          { key: 'month', label: 'Month', type: 'text' },
+          { key: 'vouchers', label: 'Vouchers', type: 'number' },
+          { key: 'amount', label: 'Spent (R)', type: 'currency' },
+          { key: 'units', label: 'Units Bought (kWh)', type: 'number' },
+          { key: 'vat', label: 'VAT (R)', type: 'currency' },
+          { key: 'costPerKwh', label: 'R/kWh', type: 'number' },
+          { key: 'usedKwh', label: 'Used (kWh)', type: 'number' }
+        ],
+        rows: this.monthlySummary(data)
+      }
+    };
+  }
+
+  // RFC 4180 CSV with a BOM so Excel reads it as UTF-8. Text that a
+  // spreadsheet would run as a formula is prefixed with a quote.
+  toCsv({ columns, rows }) {
+    const escape = (value, type) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      let text = type === 'currency' && typeof value === 'number' ? value.toFixed(2) : String(value);
+      if (type === 'text' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      columns.map(column => escape(column.label)).join(','),
+      ...rows.map(row => columns.map(column => escape(row[column.key], column.type)).join(','))
+    ];
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  statement(data, tables, { from, to, generatedAt }) {
+    const months = tables.monthly.rows;
+    const purchased = months.filter(m => m.vouchers > 0);
+    const total = (key) => round(months.reduce((sum, m) => sum + (m[key] || 0), 0));
+    const totalAmount = total('amount');
+    const totalUnits = total('units');
+    const period = from || to
+      ? `${from || 'start'} to ${to || 'today'}`
+      : months.length > 0 ? `${monthLabel(months[0].month)} to ${monthLabel(months[months.length - 1].month)}` : 'No data yet';
+
+    return createStatement({
+      title: 'Electricity Statement',
+      details: [
+        `Household: ${data.tenant?.name || 'My household'}`,
+        `Period: ${period}`,
+        `Generated: ${generatedAt.slice(0, 10)}`
+      ],
+      summary: [
+        ['Total spent', money(totalAmount)],
+        ['Units bought', `${totalUnits.toFixed(1)} kWh`],
+        ['VAT', money(total('vat'))],
+        ['Average cost', totalUnits > 0 ? `R${(totalAmount / totalUnits).toFixed(2)}/kWh` : '-']
+      ],
+      chart: {
+        title: 'Monthly spend',
+        bars: purchased.slice(-CHART_MONTHS).map(m => ({ label: monthLabel(m.month, true), value: m.amount, text: `R${Math.round(m.amount)}` }))
+      },
+      table: {
+        title: 'Spend by month',
+        columns: [
+          { label: 'Month', width: 1.4 },
+          { label: 'Vouchers', align: 'right' },
+          { label: 'Units (kWh)', align: 'right', width: 1.2 },
+          { label: 'VAT', align: 'right' },
+          { label: 'Spent', align: 'right', width: 1.2 },
+          { label: 'R/kWh', align: 'right' }
+        ],
+        rows: purchased.map(m => [
+          monthLabel(m.month),
+          String(m.vouchers),
+          m.units.toFixed(1),
+          money(m.vat),
+          money(m.amount),
+          m.costPerKwh !== null ? m.costPerKwh.toFixed(2) : '-'
+        ]),
+        totals: [
+          'Total',
+          String(total('vouchers')),
+          totalUnits.toFixed(1),
+          money(total('vat')),
+          money(totalAmount),
+          totalUnits > 0 ? (totalAmount / totalUnits).toFixed(2) : '-'
+        ]
+      },
+      footer: 'Electricity Tracker - prepaid electricity statement'
+    });
+  }
+
+  // Build a download. entity picks a single CSV; without it CSV exports are a
+  // ZIP with one file per entity. Returns { body, contentType, extension } or
+  // { error }.
+  build(format, data, { entity, from, to, generatedAt = new Date().toISOString() } = {}) {
+    const tables = this.tables(data);
+
+    switch (format) {
+      case 'csv': {
+        if (entity) {
+          if (!tables[entity]) {
+            return { error: `entity must be one of ${Object.keys(tables).join(', ')}` };
+          }
+          return { body: this.toCsv(tables[entity]), contentType: 'text/csv; charset=utf-8', extension: `${entity}.csv` };
+        }
+        const files = Object.entries(tables).map(([name, table]) => ({
+          name: `${name === 'monthly' ? 'monthly-summary' : name}.csv`,
+          content: this.toCsv(table)
+        }));
+        return { body: createZip(files), contentType: 'application/zip', extension: 'csv.zip' };
+      }
+      case 'xlsx':
+        return {
+          body: createWorkbook([tables.vouchers, tables.readings, tables.monthly]),
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          extension: 'xlsx'
+        };
+      case 'pdf':
+        return { body: this.statement(data, tables, { from, to, generatedAt }), contentType: 'application/pdf', extension: 'pdf' };
+      default:
+        return { error: `format must be one of ${FORMATS.join(', ')}` };
+    }
+  }
+}
+
+export default ExportService;
@@ -0,0 +1,157 @@
+// Forecast Service - predicts when the prepaid meter runs out of credit
+// Uses the latest meter reading as the starting balance and the recent daily
+// usage from the consumption engine as the burn rate
+
+import ConsumptionService from './consumptionService.js';
+import readingTime from './readingTime.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_COVER_DAYS = 30;
+
+function toDate(dateString) {
+  return new Date(String(dateString).substring(0, 10) + 'T00:00:00Z');
+}
+
+// The South African day some days after a reading
+function dayAfter(readingAt, days) {
+  return readingTime.localDate(new Date(Date.parse(readingAt) + days * MS_PER_DAY).toISOString());
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+class ForecastService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+  }
+
+  // Each meter runs out on its own, so with several meters the household
+  // forecast is the meter that runs out first. options.meterId picks one.
+  async getTenantForecast(tenantId, options = {}) {
+    const { readings, vouchers } = await this.consumptionService.loadTenantRows(tenantId);
+    const groups = this.consumptionService.groupByMeter(readings, vouchers)
+      .filter(group => options.meterId === undefined || group.meterId === options.meterId);
+
+    if (groups.length === 0) {
+      return this.forecast({ latestReading: null }, options);
+    }
+
+    const meters = groups.map(group => ({
+      meterId: group.meterId,
+      ...this.forecastRows(group.readings, group.vouchers, options)
+    }));
+
+    if (meters.length === 1) {
+      return meters[0];
+    }
+
+    const available = meters
+      .filter(meter => meter.available)
+      .sort((a, b) => a.daysRemaining - b.daysRemaining);
+
+    return { ...(available[0] || meters[0]), meters };
+  }
+
+  // Forecast for one meter's readings and vouchers (oldest first)
+  forecastRows(readings, vouchers, options = {}) {
+    const consumption = this.consumptionService.calculate(readings, vouchers);
+
+    return this.forecast({
+      latestReading: readings[readings.length - 1] || null,
+      vouchers,
+      daily: consumption.daily,
+      avgCostPerKwh: consumption.summary.avgCostPerKwh
+    }, options);
+  }
+
+  // Pure forecast calculation so it can be reused by scheduled jobs and tests
+  forecast({ latestReading, vouchers = [], daily = [], avgCostPerKwh = 0 }, options = {}) {
+    const lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+    const coverDays = options.coverDays || DEFAULT_COVER_DAYS;
+    const now = readingTime.now();
+    const asOf = (options.asOf && readingTime.parse(options.asOf, now)?.readingAt) || now;
+
+    if (!latestReading) {
+      return { available: false, reason: 'No meter readings recorded yet' };
+    }
+
+    // Counted from when the reading was taken, not just its day
+    const readingAt = readingTime.of(latestReading);
+    const readingDate = toDate(readingTime.localDate(readingAt));
+    const recent = daily.filter(d => toDate(d.date) > new Date(readingDate.getTime() - lookbackDays * MS_PER_DAY));
+
+    if (recent.length === 0) {
+      return { available: false, reason: 'Not enough readings to work out recent usage' };
+    }
+
+    const mean = recent.reduce((sum, d) => sum + d.kwh, 0) / recent.length;
+    const variance = recent.reduce((sum, d) => sum + Math.pow(d.kwh - mean, 2), 0) / recent.length;
+    const stdDev = Math.sqrt(variance);
+
+    if (mean <= 0) {
+      return { available: false, reason: 'Recent usage is zero, so no run-out date can be predicted' };
+    }
+
+    // Vouchers bought after the last reading are assumed loaded but not yet
+    // read. A purchase date without a time is taken as midday.
+    const pendingVoucherKwh = vouchers
+      .filter(v => (readingTime.parse(v.purchase_date)?.readingAt || '') > readingAt)
+      .reduce((sum, v) => sum + (Number(v.kwh_amount) || 0), 0);
+
+    const balanceAtReading = Number(latestReading.reading_value) + pendingVoucherKwh;
+    const daysSinceReading = Math.max(0, readingTime.hoursBetween(readingAt, asOf) / 24);
+    const remainingKwh = Math.max(0, balanceAtReading - mean * daysSinceReading);
+
+    // The band uses one standard deviation either side of the mean burn rate.
+    // The slow case is floored so a noisy history cannot predict "never".
+    const highRate = mean + stdDev;
+    const lowRate = Math.max(mean - stdDev, mean * 0.25);
+
+    // Run-out dates count from the reading, so a stale reading can give a date
+    // that has already passed
+    const daysLasting = balanceAtReading / mean;
+    const minDaysLasting = balanceAtReading / highRate;
+    const maxDaysLasting = balanceAtReading / lowRate;
+
+    // Top up enough to last coverDays at the pessimistic rate, in whole R10s
+    const topUpKwh = Math.max(0, highRate * coverDays - remainingKwh);
+    const topUpAmount = avgCostPerKwh > 0 ? Math.ceil(topUpKwh * avgCostPerKwh / 10) * 10 : 0;
+
+    return {
+      available: true,
+      asOf: readingTime.localDate(asOf),
+      lastReading: {
+        id: latestReading.id,
+        value: round(Number(latestReading.reading_value)),
+        date: String(latestReading.reading_date).substring(0, 10),
+        at: latestReading.reading_at ?? null
+      },
+      pendingVoucherKwh: round(pendingVoucherKwh),
+      daysSinceReading: round(daysSinceReading, 1),
+      estimatedRemainingKwh: round(remainingKwh),
+      avgDailyKwh: round(mean),
+      stdDevDailyKwh: round(stdDev),
+      sampleDays: recent.length,
+      daysRemaining: round(Math.max(0, daysLasting - daysSinceReading), 1),
+      runOutDate: dayAfter(readingAt, daysLasting),
+      confidence: {
+        minDaysRemaining: round(Math.max(0, minDaysLasting - daysSinceReading), 1),
+        maxDaysRemaining: round(Math.max(0, maxDaysLasting - daysSinceReading), 1),
+        earliestRunOutDate: dayAfter(readingAt, minDaysLasting),
+        latestRunOutDate: dayAfter(readingAt, maxDaysLasting)
+      },
+      suggestedTopUp: {
+        coverDays,
+        kwh: round(topUpKwh, 1),
+        amount: topUpAmount,
+        avgCostPerKwh: round(avgCostPerKwh, 4)
+      }
+    };
+  }
+}
+
+export default ForecastService;
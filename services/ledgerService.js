@@ -0,0 +1,315 @@
+// Ledger Service - who owes whom inside a household. The member who bought
+// a voucher paid for it; once the voucher is split, each member it is split
+// between owes their share. Settlements are money members pay each other to
+// square up. A positive balance means the household owes that member.
+
+const METHODS = ['equal', 'percent', 'amount'];
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function cents(value) {
+  return Math.round((value || 0) * 100);
+}
+
+class LedgerService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Returns an error message or null. shares is [{ userId, value }]; value
+  // is ignored for equal splits.
+  validateSplit(total, method, shares, memberIds) {
+    if (!METHODS.includes(method)) {
+      return 'method must be equal, percent or amount';
+    }
+    if (!Array.isArray(shares) || shares.length === 0) {
+      return 'Choose at least one member to split with';
+    }
+
+    const members = new Set(memberIds);
+    const users = new Set();
+    for (const share of shares) {
+      const userId = Number(share?.userId);
+      if (!members.has(userId)) {
+        return 'Splits can only include members of this household';
+      }
+      if (users.has(userId)) {
+        return 'Each member can only appear once in a split';
+      }
+      users.add(userId);
+      if (method !== 'equal' && !(Number(share.value) > 0)) {
+        return method === 'percent' ? 'Each percentage must be greater than 0' : 'Each amount must be greater than 0';
+      }
+    }
+
+    const sum = shares.reduce((total, share) => total + Number(share.value || 0), 0);
+    if (method === 'percent' && Math.abs(sum - 100) > 0.01) {
+      return `Percentages must add up to 100 (they add up to ${round(sum)})`;
+    }
+    if (method === 'amount' && cents(sum) !== cents(total)) {
+      return `Amounts must add up to the voucher's R${round(total).toFixed(2)} (they add up to R${round(sum).toFixed(2)})`;
+    }
+    return null;
+  }
+
+  // Shares a total out by weight, to the cent. Cents lost to rounding go to
+  // the largest remainders first, so the shares always add up to the total.
+  allocate(total, weights) {
+    const totalCents = cents(total);
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => weightSum > 0 ? totalCents * weight / weightSum : 0);
+    const shares = exact.map(Math.floor);
+    let left = totalCents - shares.reduce((sum, share) => sum + share, 0);
+
+    const order = exact
+      .map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+      .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+    for (const { i } of order) {
+      if (left <= 0) {
+        break;
+      }
+      shares[i] += 1;
+      left -= 1;
+    }
+
+    return shares.map(share => share / 100);
+  }
+
+  // What each member owes of a voucher. Shares are worked out from the
+  // voucher's current amount, so editing the amount later carries through;
+  // fixed amounts that no longer add up are scaled to the new total.
+  shares(voucher) {
+    const weights = voucher.shares.map(share => voucher.method === 'equal' ? 1 : Number(share.value) || 0);
+    const amounts = this.allocate(voucher.rand_amount, weights);
+    return voucher.shares.map((share, i) => ({ userId: share.user_id, email: share.email ?? null, value: share.value, amount: amounts[i] }));
+  }
+
+  // Net balance per member. vouchers are split vouchers with { user_id,
+  // rand_amount, method, shares: [{ user_id, email, value }] }; members is
+  // [{ user_id, email }] and anyone else in the ledger is added as they come.
+  balances(members, vouchers, settlements) {
+    const people = new Map();
+    const person = (userId, email = null) => {
+      if (!people.has(userId)) {
+        people.set(userId, { userId, email, paid: 0, share: 0, sent: 0, received: 0 });
+      }
+      return people.get(userId);
+    };
+    for (const member of members) {
+      person(member.user_id, member.email);
+    }
+
+    for (const voucher of vouchers) {
+      person(voucher.user_id, voucher.email).paid += cents(voucher.rand_amount);
+      for (const share of this.shares(voucher)) {
+        person(share.userId, share.email).share += cents(share.amount);
+      }
+    }
+    for (const settlement of settlements) {
+      person(settlement.from_user_id, settlement.from_email).sent += cents(settlement.amount);
+      person(settlement.to_user_id, settlement.to_email).received += cents(settlement.amount);
+    }
+
+    return [...people.values()].map(p => ({
+      userId: p.userId,
+      email: p.email,
+      paid: p.paid / 100,
+      share: p.share / 100,
+      sent: p.sent / 100,
+      received: p.received / 100,
+      balance: (p.paid - p.share + p.sent - p.received) / 100
+    }));
+  }
+
+  // The fewest payments that square everyone up: the member who owes most
+  // pays the member owed most, until nobody is left owing.
+  settleUp(balances) {
+    const owing = balances.filter(b => b.balance < 0).map(b => ({ userId: b.userId, email: b.email, left: -cents(b.balance) }));
+    const owed = balances.filter(b => b.balance > 0).map(b => ({ userId: b.userId, email: b.email, left: cents(b.balance) }));
+    const transfers = [];
+
+    while (owing.length > 0 && owed.length > 0) {
+      owing.sort((a, b) => b.left - a.left);
+      owed.sort((a, b) => b.left - a.left);
+      const from = owing[0];
+      const to = owed[0];
+      const amount = Math.min(from.left, to.left);
+
+      transfers.push({ fromUserId: from.userId, fromEmail: from.email, toUserId: to.userId, toEmail: to.email, amount: amount / 100 });
+      from.left -= amount;
+      to.left -= amount;
+      if (from.left === 0) {
+        owing.shift();
+      }
+      if (to.left === 0) {
+        owed.shift();
+      }
+    }
+
+    return transfers;
+  }
+
+  // Returns an error message or null
+  validateSettlement({ fromUserId, toUserId, amount, settledOn }, memberIds) {
+    const members = new Set(memberIds);
+    if (!members.has(Number(fromUserId)) || !members.has(Number(toUserId))) {
+      return 'Settlements can only be between members of this household';
+    }
+    if (Number(fromUserId) === Number(toUserId)) {
+      return 'Choose two different members';
+    }
+    if (!(Number(amount) > 0)) {
+      return 'Amount must be greater than 0';
+    }
+    if (settledOn && !/^\d{4}-\d{2}-\d{2}$/.test(String(settledOn))) {
+      return 'Date must be YYYY-MM-DD';
+    }
+    return null;
+  }
+
+  isMonth(month) {
+    return MONTH.test(String(month ?? ''));
+  }
+
+  async members(tenantId) {
+    const members = await this.db.prepare(`
+      SELECT tu.user_id, tu.role, u.email
+      FROM tenant_users tu
+      JOIN users u ON tu.user_id = u.id
+      WHERE tu.tenant_id = ?
+      ORDER BY tu.joined_at ASC
+    `).bind(tenantId).all();
+
+    return members.results || [];
+  }
+
+  // Split vouchers with their shares; voucherId narrows it to one voucher
+  async splitVouchers(tenantId, voucherId = null) {
+    const voucherClause = voucherId === null ? '' : 'AND v.id = ?';
+    const params = voucherId === null ? [] : [voucherId];
+    const rows = await this.db.prepare(`
+      SELECT
+        v.id,
+        v.user_id,
+        u.email,
+        v.purchase_date,
+        v.rand_amount,
+        s.method,
+        s.user_id as share_user_id,
+        su.email as share_email,
+        s.value
+      FROM voucher_splits s
+      JOIN vouchers v ON v.id = s.voucher_id AND v.tenant_id = s.tenant_id
+      LEFT JOIN users u ON u.id = v.user_id
+      LEFT JOIN users su ON su.id = s.user_id
+      WHERE s.tenant_id = ? ${voucherClause}
+      ORDER BY v.purchase_date DESC, v.id DESC, s.id ASC
+    `).bind(tenantId, ...params).all();
+
+    const vouchers = new Map();
+    for (const row of rows.results || []) {
+      if (!vouchers.has(row.id)) {
+        vouchers.set(row.id, {
+          id: row.id,
+          user_id: row.user_id,
+          email: row.email,
+          purchase_date: row.purchase_date,
+          rand_amount: row.rand_amount,
+          method: row.method,
+          shares: []
+        });
+      }
+      vouchers.get(row.id).shares.push({ user_id: row.share_user_id, email: row.share_email, value: row.value });
+    }
+    return [...vouchers.values()];
+  }
+
+  async settlements(tenantId) {
+    const settlements = await this.db.prepare(`
+      SELECT
+        s.id,
+        s.from_user_id,
+        f.email as from_email,
+        s.to_user_id,
+        t.email as to_email,
+        s.amount,
+        s.settled_on,
+        s.notes,
+        s.created_by,
+        s.created_at
+      FROM settlements s
+      LEFT JOIN users f ON f.id = s.from_user_id
+      LEFT JOIN users t ON t.id = s.to_user_id
+      WHERE s.tenant_id = ?
+      ORDER BY s.settled_on DESC, s.id DESC
+    `).bind(tenantId).all();
+
+    return settlements.results || [];
+  }
+
+  async getSettlement(tenantId, settlementId) {
+    return this.db.prepare(`
+      SELECT * FROM settlements WHERE id = ? AND tenant_id = ?
+    `).bind(settlementId, tenantId).first();
+  }
+
+  // Statements that replace a voucher's split, to run in one batch
+  splitStatements(tenantId, voucherId, method, shares, userId) {
+    return [
+      this.clearSplitStatement(tenantId, voucherId),
+      ...shares.map(share => this.db.prepare(`
+        INSERT INTO voucher_splits (tenant_id, voucher_id, user_id, method, value, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(tenantId, voucherId, Number(share.userId), method, method === 'equal' ? null : Number(share.value), userId))
+    ];
+  }
+
+  clearSplitStatement(tenantId, voucherId) {
+    return this.db.prepare(`
+      DELETE FROM voucher_splits WHERE voucher_id = ? AND tenant_id = ?
+    `).bind(voucherId, tenantId);
+  }
+
+  // Vouchers in a month nobody has split yet
+  async unsplitVouchers(tenantId, month) {
+    const vouchers = await this.db.prepare(`
+      SELECT id, rand_amount
+      FROM vouchers v
+      WHERE v.tenant_id = ?
+        AND substr(v.purchase_date, 1, 7) = ?
+        AND NOT EXISTS (SELECT 1 FROM voucher_splits s WHERE s.voucher_id = v.id)
+    `).bind(tenantId, month).all();
+
+    return vouchers.results || [];
+  }
+
+  // Everything the settle-up card shows
+  async getLedger(tenantId) {
+    const members = await this.members(tenantId);
+    const vouchers = await this.splitVouchers(tenantId);
+    const settlements = await this.settlements(tenantId);
+    const balances = this.balances(members, vouchers, settlements);
+
+    const unsplit = await this.db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(SUM(rand_amount), 0) as amount
+      FROM vouchers v
+      WHERE v.tenant_id = ?
+        AND NOT EXISTS (SELECT 1 FROM voucher_splits s WHERE s.voucher_id = v.id)
+    `).bind(tenantId).first();
+
+    return {
+      members,
+      balances,
+      transfers: this.settleUp(balances),
+      settlements,
+      splitVoucherCount: vouchers.length,
+      unsplit: { count: unsplit?.count || 0, amount: round(unsplit?.amount) }
+    };
+  }
+}
+
+export default LedgerService;
@@ -0,0 +1,125 @@
+// Meter Service - a household's prepaid meters and which meter a reading or
+// voucher belongs to. Meter numbers from voucher SMSes are matched against
+// the household's meters so new rows are assigned automatically.
+
+// Meter numbers are compared without spaces or dashes
+function normaliseNumber(value) {
+  return String(value ?? '').replace(/[\s-]/g, '');
+}
+
+class MeterService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // A household's meters with how many readings and vouchers each one has
+  async list(tenantId) {
+    const meters = await this.db.prepare(`
+      SELECT
+        m.id,
+        m.meter_number,
+        m.label,
+        m.location,
+        m.created_at,
+        (SELECT COUNT(*) FROM readings r WHERE r.meter_id = m.id) as reading_count,
+        (SELECT COUNT(*) FROM vouchers v WHERE v.meter_id = m.id) as voucher_count,
+        (SELECT MAX(r.reading_date) FROM readings r WHERE r.meter_id = m.id) as last_reading_date
+      FROM meters m
+      WHERE m.tenant_id = ?
+      ORDER BY m.label COLLATE NOCASE, m.id
+    `).bind(tenantId).all();
+
+    return meters.results || [];
+  }
+
+  normaliseNumber(value) {
+    return normaliseNumber(value);
+  }
+
+  async get(tenantId, meterId) {
+    return this.db.prepare(`
+      SELECT * FROM meters WHERE id = ? AND tenant_id = ?
+    `).bind(meterId, tenantId).first();
+  }
+
+  // Returns an error message or null
+  validate({ meter_number, label }) {
+    if (!normaliseNumber(meter_number)) {
+      return 'Meter number is required';
+    }
+    if (!String(label ?? '').trim()) {
+      return 'Label is required';
+    }
+    return null;
+  }
+
+  // Work out the meter for a new or edited row from the household's meters:
+  // - an explicit meterId must be one of them (null means "no meter")
+  // - otherwise a meter number (e.g. parsed from an SMS) is matched
+  // - otherwise a household with a single meter uses that one
+  // Returns { meterId } or { error } for a meterId from another household.
+  assign(meters, { meterId, meterNumber } = {}) {
+    if (meterId !== undefined) {
+      if (meterId === null || meterId === '') {
+        return { meterId: null };
+      }
+      const meter = meters.find(m => m.id === Number(meterId));
+      return meter ? { meterId: meter.id } : { error: 'Meter not found' };
+    }
+
+    if (meterNumber) {
+      const meter = meters.find(m => normaliseNumber(m.meter_number) === normaliseNumber(meterNumber));
+      return { meterId: meter ? meter.id : null };
+    }
+
+    return { meterId: meters.length === 1 ? meters[0].id : null };
+  }
+
+  // Parse a ?meter_id= filter: a meter id, or "unassigned" for rows without one
+  parseFilter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (value === 'unassigned') {
+      return { meterId: null };
+    }
+    const meterId = parseInt(value);
+    return isNaN(meterId) ? { error: 'meter_id must be a meter id or "unassigned"' } : { meterId };
+  }
+
+  // SQL to add to a WHERE clause for a parsed filter
+  filterClause(filter, column = 'meter_id') {
+    if (!filter) {
+      return { clause: '', params: [] };
+    }
+    return filter.meterId === null
+      ? { clause: `AND ${column} IS NULL`, params: [] }
+      : { clause: `AND ${column} = ?`, params: [filter.meterId] };
+  }
+
+  // Spend, units and the latest reading for each of a household's meters
+  async breakdown(tenantId) {
+    const meters = await this.db.prepare(`
+      SELECT
+        m.id,
+        m.meter_number,
+        m.label,
+        m.location,
+        COUNT(v.id) as total_vouchers,
+        COALESCE(SUM(v.rand_amount), 0) as total_amount,
+        COALESCE(SUM(v.kwh_amount), 0) as total_units,
+        (SELECT r.reading_value FROM readings r WHERE r.meter_id = m.id ORDER BY r.reading_at DESC, r.id DESC LIMIT 1) as last_reading_value,
+        (SELECT MAX(r.reading_at) FROM readings r WHERE r.meter_id = m.id) as last_reading_at,
+        (SELECT MAX(r.reading_date) FROM readings r WHERE r.meter_id = m.id) as last_reading_date
+      FROM meters m
+      LEFT JOIN vouchers v ON v.meter_id = m.id
+      WHERE m.tenant_id = ?
+      GROUP BY m.id
+      ORDER BY m.label COLLATE NOCASE, m.id
+    `).bind(tenantId).all();
+
+    return meters.results || [];
+  }
+}
+
+export default MeterService;
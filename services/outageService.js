@@ -0,0 +1,317 @@
+// Outage Service - load-shedding and other outages. Schedules are imported
+// per area from an ICS calendar or a JSON file (EskomSePush style events),
+// and outages can be logged by hand. The consumption engine uses them to
+// work out usage per hour the power was actually on.
+
+import readingTime from './readingTime.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Upper limits, so a huge file can't tie up the Worker and a typo can't
+// turn one outage into a month without power
+const MAX_EVENTS = 2000;
+const MAX_HOURS = 7 * 24;
+const MAX_STAGE = 8;
+
+const STAGE_PATTERN = /stage\s*(\d+)/i;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+// ICS lines longer than 75 characters continue on lines starting with a space
+function unfold(text) {
+  return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// '20251021T160000Z', '20251021T160000' or '20251021' as the ISO text
+// readingTime.parse understands. All-day values start at local midnight.
+function icsDateTime({ value, params }) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', zone = ''] = match;
+  if (!zone && params.TZID && !/^(Africa\/Johannesburg|SAST)$/i.test(params.TZID)) {
+    return { error: `Times in ${params.TZID} aren't supported - export the calendar in South African time or UTC` };
+  }
+  return readingTime.parse(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`);
+}
+
+// ISO 8601 durations like PT2H30M or P1D, in milliseconds
+function icsDuration(value) {
+  const match = String(value).match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match || value === 'P' || value.endsWith('T')) {
+    return null;
+  }
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function stageFrom(...texts) {
+  for (const text of texts) {
+    const match = String(text ?? '').match(STAGE_PATTERN);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+class OutageService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Returns an error message or null. Times are reading_at style UTC values.
+  validate({ startsAt, endsAt, stage = null }) {
+    if (!startsAt || !endsAt) {
+      return 'Start and end must be dates with a time';
+    }
+    if (endsAt <= startsAt) {
+      return 'The outage must end after it starts';
+    }
+    if (readingTime.hoursBetween(startsAt, endsAt) > MAX_HOURS) {
+      return `An outage can be at most ${MAX_HOURS / 24} days long`;
+    }
+    if (stage !== null && (!Number.isInteger(stage) || stage < 1 || stage > MAX_STAGE)) {
+      return `Stage must be a whole number from 1 to ${MAX_STAGE}`;
+    }
+    return null;
+  }
+
+  // Turn an uploaded schedule into { format, events } or { error }. Each
+  // event is { row, startsAt, endsAt, stage, notes, errors }.
+  parse(content, format = 'auto') {
+    const text = String(content ?? '').replace(/^\uFEFF/, '').trim();
+    if (!text) {
+      return { error: 'The schedule is empty' };
+    }
+
+    const detected = format === 'auto'
+      ? (/^BEGIN:VCALENDAR/i.test(text) ? 'ics' : /^[[{]/.test(text) ? 'json' : null)
+      : format;
+    if (!['ics', 'json'].includes(detected)) {
+      return { error: 'Schedules must be an ICS calendar or a JSON file' };
+    }
+
+    const result = detected === 'ics' ? this.parseIcs(text) : this.parseJson(text);
+    if (result.error) {
+      return result;
+    }
+    if (result.events.length === 0) {
+      return { error: 'No outages were found in the schedule' };
+    }
+    if (result.events.length > MAX_EVENTS) {
+      return { error: `A schedule can have at most ${MAX_EVENTS} outages` };
+    }
+    return { format: detected, events: result.events };
+  }
+
+  parseIcs(text) {
+    const events = [];
+    let current = null;
+
+    for (const line of unfold(text)) {
+      if (/^BEGIN:VEVENT$/i.test(line)) {
+        current = {};
+        continue;
+      }
+      if (/^END:VEVENT$/i.test(line)) {
+        if (current) {
+          events.push(this.icsEvent(current, events.length + 1));
+        }
+        current = null;
+        continue;
+      }
+
+      const colon = line.indexOf(':');
+      if (!current || colon < 0) {
+        continue;
+      }
+      const [name, ...params] = line.slice(0, colon).split(';');
+      current[name.toUpperCase()] = {
+        value: line.slice(colon + 1).trim(),
+        params: Object.fromEntries(params.map(param => {
+          const [key, value = ''] = param.split('=');
+          return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+        }))
+      };
+    }
+
+    return { events };
+  }
+
+  icsEvent(properties, row) {
+    const summary = properties.SUMMARY ? unescapeText(properties.SUMMARY.value) : null;
+    const description = properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value) : null;
+    const event = { row, startsAt: null, endsAt: null, stage: stageFrom(summary, description), notes: summary, errors: [] };
+
+    const start = properties.DTSTART ? icsDateTime(properties.DTSTART) : null;
+    let end = properties.DTEND ? icsDateTime(properties.DTEND) : null;
+    if (!end && start?.readingAt && properties.DURATION) {
+      const ms = icsDuration(properties.DURATION.value);
+      end = ms ? { readingAt: readingTime.now(new Date(Date.parse(start.readingAt) + ms)) } : null;
+    }
+
+    for (const time of [start, end]) {
+      if (time?.error && !event.errors.includes(time.error)) {
+        event.errors.push(time.error);
+      }
+    }
+    if (event.errors.length === 0) {
+      event.startsAt = start?.readingAt || null;
+      event.endsAt = end?.readingAt || null;
+      const error = this.validate(event);
+      if (error) {
+        event.errors.push(error);
+      }
+    }
+
+    if (properties.RRULE) {
+      event.errors.push("Repeating events aren't supported - export each outage on its own");
+    }
+
+    return event;
+  }
+
+  // An array of events, or an object with an events array (the EskomSePush
+  // area format). Each event has start and end, and a stage or a note
+  // like "Stage 2".
+  parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: 'The schedule is not valid JSON' };
+    }
+
+    const list = Array.isArray(data) ? data : data?.events;
+    if (!Array.isArray(list)) {
+      return { error: 'JSON schedules must be a list of events, or have an events list' };
+    }
+
+    return {
+      events: list.map((item, index) => {
+        const start = readingTime.parse(item?.start ?? item?.starts_at ?? item?.startsAt);
+        const end = readingTime.parse(item?.end ?? item?.ends_at ?? item?.endsAt);
+        const notes = item?.note ?? item?.summary ?? item?.notes ?? null;
+        const stage = item?.stage !== undefined && item?.stage !== null ? Number(item.stage) : stageFrom(notes);
+        const event = {
+          row: index + 1,
+          startsAt: start?.readingAt || null,
+          endsAt: end?.readingAt || null,
+          stage,
+          notes: notes === null ? null : String(notes),
+          errors: []
+        };
+
+        const error = this.validate(event);
+        if (error) {
+          event.errors.push(error);
+        }
+        return event;
+      })
+    };
+  }
+
+  // Statements that replace an area's imported outages over the span of the
+  // new schedule with its valid events; run them together with db.batch.
+  // Outages logged by hand are kept.
+  importStatements(tenantId, { area, format, events }, userId) {
+    const valid = events.filter(e => e.errors.length === 0);
+    if (valid.length === 0) {
+      return [];
+    }
+
+    const from = valid.reduce((min, e) => (e.startsAt < min ? e.startsAt : min), valid[0].startsAt);
+    const to = valid.reduce((max, e) => (e.endsAt > max ? e.endsAt : max), valid[0].endsAt);
+
+    return [
+      this.db.prepare(`
+        DELETE FROM outages
+        WHERE tenant_id = ? AND area = ? AND source != 'manual' AND starts_at < ? AND ends_at > ?
+      `).bind(tenantId, area, to, from),
+      ...valid.map(e => this.db.prepare(`
+        INSERT INTO outages (tenant_id, area, stage, starts_at, ends_at, source, notes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+      `).bind(tenantId, area, e.stage, e.startsAt, e.endsAt, format, e.notes ? String(e.notes).slice(0, 200) : null, userId))
+    ];
+  }
+
+  async create(tenantId, { startsAt, endsAt, stage = null, area = null, notes = null }, userId) {
+    const result = await this.db.prepare(`
+      INSERT INTO outages (tenant_id, area, stage, starts_at, ends_at, source, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, 'manual', ?, ?)
+    `).bind(tenantId, area, stage, startsAt, endsAt, notes, userId).run();
+    return result.meta.last_row_id;
+  }
+
+  // Outages overlapping from..to (reading_at style values; either can be
+  // left out), oldest first
+  async list(tenantId, { from = null, to = null } = {}) {
+    const conditions = ['tenant_id = ?'];
+    const params = [tenantId];
+    if (from) {
+      conditions.push('ends_at > ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('starts_at < ?');
+      params.push(to);
+    }
+
+    const outages = await this.db.prepare(`
+      SELECT id, area, stage, starts_at, ends_at, source, notes, created_by, created_at
+      FROM outages
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY starts_at ASC, id ASC
+    `).bind(...params).all();
+
+    return outages.results || [];
+  }
+
+  async remove(tenantId, outageId) {
+    const result = await this.db.prepare(`
+      DELETE FROM outages WHERE id = ? AND tenant_id = ?
+    `).bind(outageId, tenantId).run();
+    return result.meta.changes > 0;
+  }
+
+  // Outages as sorted, non-overlapping [start, end] millisecond ranges, so
+  // a logged outage that is also on the schedule isn't counted twice
+  merge(outages) {
+    const ranges = outages
+      .map(o => [Date.parse(o.starts_at), Date.parse(o.ends_at)])
+      .filter(([start, end]) => end > start)
+      .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const [start, end] of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+    return merged;
+  }
+
+  // Hours of merged outage ranges between two reading_at style values
+  hoursWithin(ranges, from, to) {
+    const start = Date.parse(from);
+    const end = Date.parse(to);
+    const ms = ranges.reduce((sum, [outageStart, outageEnd]) =>
+      sum + Math.max(0, Math.min(end, outageEnd) - Math.max(start, outageStart)), 0);
+    return round(ms / MS_PER_HOUR);
+  }
+}
+
+export default OutageService;
@@ -0,0 +1,289 @@
+// Planner Service - "how much should I buy?". Inclining blocks reset on the
+// 1st, so the same rand buys the most units when it fills the cheap block and
+// the fewest when it is spent in a dear block just before the month ends.
+// The planner splits what is left of a monthly budget into purchases that
+// stay in the cheaper blocks, using recent daily usage to work out how much
+// has to be bought at the dearer rates before the blocks reset.
+
+import TariffService from './tariffService.js';
+import ForecastService from './forecastService.js';
+
+const HISTORY_MONTHS = 6;
+
+// The suggested budget is the average spend of this many complete months
+const BUDGET_MONTHS = 3;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+// "2025-10-19" -> "2025-11-01"
+function nextMonthStart(date) {
+  const [year, month] = String(date).slice(0, 7).split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0];
+}
+
+// "2025-10" -> "2025-07", counting back months
+function monthsBefore(month, count) {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index - 1 - count, 1)).toISOString().slice(0, 7);
+}
+
+class PlannerService {
+  constructor(db) {
+    this.db = db;
+    this.tariffService = new TariffService(db);
+    this.forecastService = new ForecastService(db);
+  }
+
+  // Where this month's purchases have got to in each block
+  blocks(version, boughtKwh) {
+    let start = 0;
+    return this.tariffService.parseBlocks(version.blocks).map((block, i) => {
+      const end = block.up_to === null || block.up_to === undefined ? null : Number(block.up_to);
+      const bought = Math.max(0, Math.min(boughtKwh, end ?? Infinity) - start);
+      const entry = {
+        block: i + 1,
+        rate: block.rate,
+        fromKwh: start,
+        toKwh: end,
+        boughtKwh: round(bought),
+        leftKwh: end === null ? null : round(end - start - bought)
+      };
+      start = end ?? start;
+      return entry;
+    });
+  }
+
+  // Vouchers grouped per calendar month, with the units of each voucher split
+  // across the blocks it was bought in. extraCost is what the units above
+  // block 1 cost on top of the block 1 rate. Vouchers are oldest first.
+  history(vouchers, versions, { asOf, months = HISTORY_MONTHS } = {}) {
+    const current = String(asOf).slice(0, 7);
+    const first = monthsBefore(current, months - 1);
+    const byMonth = new Map();
+
+    for (const voucher of vouchers) {
+      const month = String(voucher.purchase_date).slice(0, 7);
+      if (month < first || month > current) {
+        continue;
+      }
+
+      const entry = byMonth.get(month) || { month, purchases: 0, amount: 0, kwh: 0, blocks: [], extraCost: 0 };
+      const version = this.tariffService.versionFor(versions, voucher.purchase_date);
+      const kwh = Number(voucher.kwh_amount) || 0;
+
+      if (version) {
+        const blocks = this.tariffService.parseBlocks(version.blocks);
+        let position = entry.kwh;
+        let remaining = kwh;
+        blocks.forEach((block, i) => {
+          const end = block.up_to === null || block.up_to === undefined ? Infinity : Number(block.up_to);
+          const units = Math.max(0, Math.min(remaining, end - position));
+          if (units > 0) {
+            const slot = entry.blocks[i] || { block: i + 1, rate: block.rate, kwh: 0 };
+            slot.kwh += units;
+            entry.blocks[i] = slot;
+            entry.extraCost += units * (block.rate - blocks[0].rate);
+            position += units;
+            remaining -= units;
+          }
+        });
+      }
+
+      entry.purchases++;
+      entry.amount += Number(voucher.rand_amount) || 0;
+      entry.kwh += kwh;
+      byMonth.set(month, entry);
+    }
+
+    return [...byMonth.values()]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(m => ({
+        month: m.month,
+        purchases: m.purchases,
+        amount: round(m.amount),
+        kwh: round(m.kwh),
+        costPerKwh: m.kwh > 0 ? round(m.amount / m.kwh, 4) : null,
+        blocks: m.blocks.filter(Boolean).map(b => ({ ...b, kwh: round(b.kwh) })),
+        extraCost: round(m.extraCost)
+      }));
+  }
+
+  // Average spend of the complete months before asOf, in whole R10s, or null
+  suggestedBudget(history, asOf) {
+    const current = String(asOf).slice(0, 7);
+    const complete = history
+      .filter(m => m.month >= monthsBefore(current, BUDGET_MONTHS) && m.month < current);
+    if (complete.length === 0) {
+      return null;
+    }
+    const average = complete.reduce((sum, m) => sum + m.amount, 0) / complete.length;
+    return Math.round(average / 10) * 10;
+  }
+
+  // Split what is left of the budget this month into purchases:
+  //   1. fill what is left of block 1 - its units are the cheapest there are
+  //   2. with usage known, top up at the dearer rate only what is needed to
+  //      last until the 1st
+  //   3. keep the rest for after the blocks reset, when it buys more
+  // Without usage the rest is one purchase, with what it would buy now and
+  // after the 1st. usage: { avgDailyKwh, remainingKwh } or null. Without a
+  // budget there are no purchases, just the blocks and the next R100.
+  plan({ version, nextVersion, budget, bought = { kwh: 0, amount: 0 }, date, usage = null }) {
+    const day = String(date).slice(0, 10);
+    const resetDate = nextMonthStart(day);
+    const daysLeft = Math.round((new Date(resetDate + 'T00:00:00Z') - new Date(day + 'T00:00:00Z')) / MS_PER_DAY);
+    const state = { boughtKwh: bought.kwh, boughtAmount: bought.amount };
+    const remaining = budget ? Math.max(0, round(budget - bought.amount)) : 0;
+    const purchases = [];
+    let left = remaining;
+
+    const buy = (amount, when, purchaseDate, tariff, from) => {
+      const prediction = this.tariffService.predict(tariff, { amount, ...from });
+      const purchase = {
+        when,
+        date: purchaseDate,
+        amount,
+        kwh: prediction.kwh,
+        costPerKwh: prediction.kwh > 0 ? round(amount / prediction.kwh, 2) : null,
+        monthlyCharge: prediction.monthlyCharge,
+        breakdown: prediction.breakdown
+      };
+      purchases.push(purchase);
+      left = round(left - amount);
+      return purchase;
+    };
+
+    // 1. Fill block 1, unless it is full or the only block
+    const blocks = this.blocks(version, bought.kwh);
+    const cheapest = blocks[0];
+    if (cheapest.toKwh !== null && cheapest.leftKwh > 0 && left > 0) {
+      const fill = Math.floor(this.tariffService.amountFor(version, cheapest.leftKwh, state));
+      const amount = Math.min(left, fill);
+      if (amount > 0) {
+        const purchase = buy(amount, 'now', day, version, state);
+        purchase.reason = amount < fill
+          ? `All at the block 1 rate of R${cheapest.rate.toFixed(2)}/kWh`
+          : `Fills block 1 (up to ${cheapest.toKwh} kWh this month) at R${cheapest.rate.toFixed(2)}/kWh`;
+        state.boughtKwh += purchase.kwh;
+        state.boughtAmount += amount;
+      }
+    }
+
+    if (left > 0) {
+      if (usage) {
+        // 2. Only what the household will use before the 1st
+        const boughtNow = purchases.reduce((sum, p) => sum + p.kwh, 0);
+        const neededKwh = Math.max(0, usage.avgDailyKwh * daysLeft - (usage.remainingKwh || 0) - boughtNow);
+        const topUp = neededKwh > 0 ? Math.min(left, Math.ceil(this.tariffService.amountFor(version, neededKwh, state))) : 0;
+        if (topUp > 0) {
+          const purchase = buy(topUp, 'before-reset', day, version, state);
+          purchase.reason = `Enough to last until the blocks reset on ${resetDate}`;
+          state.boughtKwh += purchase.kwh;
+          state.boughtAmount += topUp;
+        }
+
+        // 3. The rest waits for the 1st
+        if (left > 0) {
+          const nowKwh = this.tariffService.predict(version, { amount: left, ...state }).kwh;
+          const purchase = buy(left, 'after-reset', resetDate, nextVersion || version, { boughtKwh: 0, boughtAmount: 0 });
+          purchase.reason = `Not needed before ${resetDate}: buys ${purchase.kwh} kWh then instead of ${nowKwh} kWh now`;
+        }
+      } else {
+        const afterReset = this.tariffService.predict(nextVersion || version, { amount: left }).kwh;
+        const purchase = buy(left, 'later', day, version, state);
+        purchase.reason = `Dearer blocks: ${purchase.kwh} kWh now, or ${afterReset} kWh after the blocks reset on ${resetDate}`;
+      }
+    }
+
+    // The marginal cost of the next R100 given what was already bought
+    const next = this.tariffService.predict(version, { amount: 100, boughtKwh: bought.kwh, boughtAmount: bought.amount });
+
+    return {
+      date: day,
+      resetDate,
+      daysLeft,
+      effectiveFrom: version.effective_from,
+      budget: budget ? round(budget) : null,
+      spent: round(bought.amount),
+      boughtKwh: round(bought.kwh),
+      remaining,
+      blocks,
+      purchases,
+      plannedKwh: round(purchases.reduce((sum, p) => sum + p.kwh, 0)),
+      nextHundred: {
+        amount: 100,
+        kwh: next.kwh,
+        costPerKwh: next.kwh > 0 ? round(100 / next.kwh, 2) : null,
+        monthlyCharge: next.monthlyCharge,
+        breakdown: next.breakdown
+      },
+      usage
+    };
+  }
+
+  // A household's vouchers, oldest first. meterId works like
+  // TariffService.monthToDate: undefined counts every voucher.
+  async loadVouchers(tenantId, meterId) {
+    const meterClause = meterId === undefined ? '' : 'AND COALESCE(meter_id, 0) = COALESCE(?, 0)';
+    const params = meterId === undefined ? [] : [meterId];
+    const vouchers = await this.db.prepare(`
+      SELECT id, meter_id, purchase_date, rand_amount, kwh_amount
+      FROM vouchers
+      WHERE tenant_id = ? ${meterClause}
+      ORDER BY purchase_date, id
+    `).bind(tenantId, ...params).all();
+
+    return vouchers.results || [];
+  }
+
+  // Recent daily usage and credit left from the forecast, or null when there
+  // aren't enough readings
+  async loadUsage(tenantId, meterId, date) {
+    const forecast = await this.forecastService.getTenantForecast(tenantId, { meterId, asOf: date });
+    if (!forecast.available) {
+      return null;
+    }
+    return { avgDailyKwh: forecast.avgDailyKwh, remainingKwh: forecast.estimatedRemainingKwh };
+  }
+
+  // Plan and monthly history for a household on a tariff. budget may be
+  // null to use the suggested one. Returns { error, status } when the tariff
+  // has no rates for the date.
+  async getPlan(tenantId, tariffId, { budget, date, meterId }) {
+    const versions = await this.tariffService.getVersions(tariffId);
+    const version = this.tariffService.versionFor(versions, date);
+    if (!version) {
+      return { error: `The tariff has no rates for ${date}`, status: 404 };
+    }
+
+    const vouchers = await this.loadVouchers(tenantId, meterId);
+    const history = this.history(vouchers, versions, { asOf: date });
+    const suggestedBudget = this.suggestedBudget(history, date);
+    const monthlyBudget = budget ?? suggestedBudget;
+
+    const month = String(date).slice(0, 7);
+    const bought = vouchers
+      .filter(v => String(v.purchase_date).slice(0, 7) === month && String(v.purchase_date).slice(0, 10) <= date)
+      .reduce((sum, v) => ({ kwh: sum.kwh + (v.kwh_amount || 0), amount: sum.amount + (v.rand_amount || 0) }), { kwh: 0, amount: 0 });
+
+    return {
+      ...this.plan({
+        version,
+        nextVersion: this.tariffService.versionFor(versions, nextMonthStart(date)),
+        budget: monthlyBudget,
+        bought,
+        date,
+        usage: await this.loadUsage(tenantId, meterId, date)
+      }),
+      suggestedBudget,
+      history
+    };
+  }
+}
+
+export default PlannerService;
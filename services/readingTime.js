@@ -0,0 +1,93 @@
+// Reading Time - when a meter reading was taken. Readings keep the moment
+// itself in reading_at, in UTC as 'YYYY-MM-DDTHH:MM:SSZ' so it sorts as
+// text, and the South African day it was taken on in reading_date.
+// South Africa has no daylight saving, so local time is always UTC+2.
+
+const OFFSET_MINUTES = 120;
+const MS_PER_MINUTE = 60 * 1000;
+
+// A reading with only a date is taken to be from midday
+const DEFAULT_TIME = [12, 0, 0];
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function offsetMinutes(zone) {
+  if (!zone) {
+    return OFFSET_MINUTES;
+  }
+  if (zone === 'Z') {
+    return 0;
+  }
+  const [, sign, hours, minutes] = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+function toReadingAt(ms) {
+  return new Date(ms).toISOString().slice(0, 19) + 'Z';
+}
+
+// Local wall-clock time of a reading_at, as 'YYYY-MM-DDTHH:MM:SS'
+function toLocal(readingAt) {
+  return new Date(Date.parse(readingAt) + OFFSET_MINUTES * MS_PER_MINUTE).toISOString().slice(0, 19);
+}
+
+const readingTime = {
+  // Turn what a user, import or backup sent into { readingAt, readingDate },
+  // or null when it isn't a date. Times without a zone are South African.
+  // A date on its own is midday, but never later than now: a reading dated
+  // today can't have been taken after it was sent.
+  parse(value, now = null) {
+    const text = String(value ?? '').trim();
+    const dateOnly = text.match(DATE_ONLY);
+    const match = dateOnly || text.match(DATE_TIME);
+    if (!match) {
+      return null;
+    }
+
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const [hours, minutes, seconds] = dateOnly ? DEFAULT_TIME : [match[4], match[5], match[6] || 0].map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const check = new Date(wallClock);
+    if (check.getUTCDate() !== day || check.getUTCMonth() !== month - 1 || hours > 23 || minutes > 59 || seconds > 59) {
+      return null;
+    }
+
+    let ms = wallClock - offsetMinutes(dateOnly ? null : match[7]) * MS_PER_MINUTE;
+    if (dateOnly && now && Date.parse(now) < ms && this.localDate(now) === text) {
+      ms = Date.parse(now);
+    }
+
+    const readingAt = toReadingAt(ms);
+    return { readingAt, readingDate: this.localDate(readingAt) };
+  },
+
+  now(date = new Date()) {
+    return toReadingAt(date.getTime());
+  },
+
+  // reading_at of a row, falling back to its date for rows from before
+  // readings had times
+  of(reading) {
+    return reading.reading_at || this.parse(reading.reading_date)?.readingAt || null;
+  },
+
+  localDate(readingAt) {
+    return toLocal(readingAt).slice(0, 10);
+  },
+
+  // 'YYYY-MM-DDTHH:MM' in South African time
+  localDateTime(readingAt) {
+    return toLocal(readingAt).slice(0, 16);
+  },
+
+  localHour(readingAt) {
+    return Number(toLocal(readingAt).slice(11, 13));
+  },
+
+  hoursBetween(from, to) {
+    return (Date.parse(to) - Date.parse(from)) / (60 * MS_PER_MINUTE);
+  }
+};
+
+export default readingTime;
@@ -0,0 +1,244 @@
+// Reading Validation Service - spots readings that can't be right before
+// they skew consumption, forecasts and budgets. Nothing here stops a reading
+// being saved; each problem comes back as a warning the user can look at:
+//   future_date          - the reading is dated after now
+//   duplicate_day        - the same meter was read that day at the same
+//                          moment or with the same value
+//   unexplained_increase - credit went up by more than the vouchers explain
+//   usage_spike          - daily usage far above the meter's usual
+
+import ConsumptionService from './consumptionService.js';
+import readingTime from './readingTime.js';
+
+const SPIKE_STD_DEVS = 3;
+// Small spreads would flag tiny changes, so a spike must also be this many
+// times the usual daily usage
+const SPIKE_MIN_RATIO = 1.5;
+// Enough history for "usual" to mean something
+const MIN_SPIKE_DAYS = 14;
+const MIN_SPIKE_INTERVALS = 3;
+// Usage within a day swings between night and day, so shorter intervals
+// aren't compared
+const MIN_SPIKE_HOURS = 18;
+// Warnings for part of a history look this far before it for what the
+// meter usually uses
+const WINDOW_HISTORY_DAYS = 90;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// A reading being checked before it is saved has no id yet; this one sorts
+// after every saved reading at the same moment
+const NEW_READING_ID = Number.MAX_SAFE_INTEGER;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+class ReadingValidationService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+  }
+
+  // Warnings for every reading, as [{ readingId, code, message, relatedIds }].
+  // Each meter is checked against its own readings and vouchers. now is a
+  // reading_at timestamp.
+  analyse(readings, vouchers, { now }) {
+    const warnings = [];
+
+    for (const group of this.consumptionService.groupByMeter(readings, vouchers)) {
+      const timed = group.readings.map(reading => ({ reading, at: readingTime.of(reading) }));
+
+      for (const { reading, at } of timed) {
+        if (at > now) {
+          warnings.push({
+            readingId: reading.id,
+            code: 'future_date',
+            message: `Dated ${readingTime.localDateTime(at).replace('T', ' ')}, which is in the future`,
+            relatedIds: []
+          });
+        }
+      }
+
+      // Readings at different times of a day are expected; the same moment
+      // or the same value twice in a day looks like one reading entered twice
+      const byDay = new Map();
+      for (const entry of timed) {
+        const day = readingTime.localDate(entry.at);
+        byDay.set(day, [...(byDay.get(day) || []), entry]);
+      }
+      for (const [day, sameDay] of byDay) {
+        for (const { reading, at } of sameDay) {
+          const repeats = sameDay.filter(other => other.reading !== reading &&
+            (other.at === at || Number(other.reading.reading_value) === Number(reading.reading_value)));
+          if (repeats.length === 0) {
+            continue;
+          }
+          warnings.push({
+            readingId: reading.id,
+            code: 'duplicate_day',
+            message: `This meter was also read on ${day} (${repeats.map(other =>
+              `${round(other.reading.reading_value)} kWh at ${readingTime.localDateTime(other.at).slice(11)}`).join(', ')})`,
+            relatedIds: repeats.map(other => other.reading.id)
+          });
+        }
+      }
+
+      const intervals = this.consumptionService.buildIntervals(group.readings, group.vouchers);
+      for (const interval of intervals.filter(i => i.flag === 'unexplained_increase')) {
+        warnings.push({
+          readingId: interval.endReadingId,
+          code: 'unexplained_increase',
+          message: `Credit went up from ${interval.startReading} to ${interval.endReading} kWh since ${interval.startDate}, ` +
+            (interval.loadedKwh > 0 ? `but vouchers only explain ${interval.loadedKwh} kWh of it` : 'with no voucher loaded in between'),
+          relatedIds: [interval.startReadingId]
+        });
+      }
+
+      warnings.push(...this.spikes(intervals));
+    }
+
+    return warnings;
+  }
+
+  // Intervals whose daily usage is several standard deviations above the
+  // rest. Every day of an interval counts at its average, and each interval
+  // is compared with all the others so a spike doesn't hide itself. Each
+  // warning carries the meter's usualDailyKwh without that interval.
+  spikes(intervals) {
+    const usable = intervals
+      .filter(i => !i.flag && i.hours >= MIN_SPIKE_HOURS)
+      .map(i => ({ ...i, days: i.hours / 24 }));
+    const totals = usable.reduce((sum, i) => ({
+      days: sum.days + i.days,
+      kwh: sum.kwh + i.consumedKwh,
+      squares: sum.squares + i.days * Math.pow(i.consumedKwh / i.days, 2)
+    }), { days: 0, kwh: 0, squares: 0 });
+    const warnings = [];
+
+    for (const interval of usable) {
+      const rate = interval.consumedKwh / interval.days;
+      const days = totals.days - interval.days;
+      if (usable.length - 1 < MIN_SPIKE_INTERVALS || days < MIN_SPIKE_DAYS) {
+        continue;
+      }
+
+      const mean = (totals.kwh - interval.consumedKwh) / days;
+      const variance = (totals.squares - interval.days * rate * rate) / days - mean * mean;
+      const threshold = mean + SPIKE_STD_DEVS * Math.sqrt(Math.max(0, variance));
+      if (rate > threshold && rate > mean * SPIKE_MIN_RATIO) {
+        warnings.push({
+          readingId: interval.endReadingId,
+          code: 'usage_spike',
+          message: `Used ${round(rate)} kWh a day since ${interval.startDate}; this meter usually uses ${round(mean)} kWh a day`,
+          relatedIds: [interval.startReadingId],
+          usualDailyKwh: mean
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  // Warnings for a reading that isn't saved yet. A backdated reading can
+  // also make the next one look wrong, so those warnings count too.
+  check(candidate, readings, vouchers, { now }) {
+    const reading = { ...candidate, id: NEW_READING_ID };
+    return this.analyse([...readings, reading], vouchers, { now })
+      .filter(warning => warning.readingId === NEW_READING_ID ||
+        (warning.code !== 'duplicate_day' && warning.relatedIds.includes(NEW_READING_ID)))
+      .map(({ code, message }) => ({ code, message }));
+  }
+
+  async checkReading(tenantId, candidate, now = readingTime.now()) {
+    const { readings, vouchers } = await this.consumptionService.loadTenantRows(tenantId);
+    return this.check(candidate, readings, vouchers, { now });
+  }
+
+  // Map of reading id to its warnings, for every reading of a household
+  async checkTenant(tenantId, now = readingTime.now()) {
+    const { readings, vouchers } = await this.consumptionService.loadTenantRows(tenantId);
+    return this.byReading(this.analyse(readings, vouchers, { now }));
+  }
+
+  // The same for a few saved readings, such as a page of the history,
+  // without loading all of it. Their time span is checked with the
+  // WINDOW_HISTORY_DAYS before it for usual usage, the two readings before
+  // it so the first interval's vouchers are placed as usual, and the rest of
+  // the last day and the reading after it for same-day checks.
+  async checkReadings(tenantId, readings, now = readingTime.now()) {
+    const times = readings.map(reading => readingTime.of(reading)).filter(Boolean).sort();
+    if (times.length === 0) {
+      return new Map();
+    }
+
+    const first = times[0];
+    const last = times[times.length - 1];
+    const before = await this.db.prepare(`
+      SELECT reading_at FROM readings
+      WHERE tenant_id = ? AND reading_at < ?
+      ORDER BY reading_at DESC, id DESC
+      LIMIT 2
+    `).bind(tenantId, first).all();
+    const after = await this.db.prepare(`
+      SELECT reading_at FROM readings
+      WHERE tenant_id = ? AND reading_at > ?
+      ORDER BY reading_at ASC, id ASC
+      LIMIT 1
+    `).bind(tenantId, last).first();
+
+    const earlier = before.results || [];
+    const history = readingTime.now(new Date(Date.parse(first) - WINDOW_HISTORY_DAYS * MS_PER_DAY));
+    const from = [history, earlier[earlier.length - 1]?.reading_at || first].sort()[0];
+    const to = [readingTime.now(new Date(Date.parse(last) + MS_PER_DAY)), after?.reading_at || ''].sort()[1];
+
+    const window = await this.consumptionService.loadRowsBetween(tenantId, from, to);
+    const ids = new Set(readings.map(reading => reading.id));
+    return this.byReading(this.analyse(window.readings, window.vouchers, { now })
+      .filter(warning => ids.has(warning.readingId)));
+  }
+
+  byReading(warnings) {
+    const byReading = new Map();
+    for (const { readingId, code, message, relatedIds } of warnings) {
+      byReading.set(readingId, [...(byReading.get(readingId) || []), { code, message, relatedIds }]);
+    }
+    return byReading;
+  }
+
+  // The household's data-quality report: every suspicious reading, newest
+  // first, and how many of each problem were found
+  async report(tenantId, now = readingTime.now()) {
+    const readings = await this.db.prepare(`
+      SELECT
+        id,
+        reading_value,
+        reading_at,
+        reading_date,
+        meter_id,
+        (SELECT label FROM meters m WHERE m.id = readings.meter_id) as meter_label
+      FROM readings
+      WHERE tenant_id = ?
+      ORDER BY reading_at DESC, id DESC
+    `).bind(tenantId).all();
+    const warnings = await this.checkTenant(tenantId, now);
+
+    const rows = (readings.results || [])
+      .filter(reading => warnings.has(reading.id))
+      .map(reading => ({ ...reading, warnings: warnings.get(reading.id) }));
+    const counts = {};
+    for (const row of rows) {
+      for (const warning of row.warnings) {
+        counts[warning.code] = (counts[warning.code] || 0) + 1;
+      }
+    }
+
+    return {
+      checked: (readings.results || []).length,
+      flagged: rows.length,
+      counts,
+      rows
+    };
+  }
+}
+
+export default ReadingValidationService;
@@ -0,0 +1,200 @@
+// Revision Service - records who changed a reading or voucher, the values
+// before and after, and when. Revisions are written in the same batch as the
+// change itself so one can't happen without the other.
+
+import readingTime from './readingTime.js';
+import stsToken from './stsToken.js';
+
+// Editable columns, keyed by the field names the API accepts
+const EDITABLE_FIELDS = {
+  reading: {
+    reading_value: 'reading_value',
+    reading_at: 'reading_at',
+    meter_id: 'meter_id',
+    notes: 'notes'
+  },
+  voucher: {
+    token: 'token_number',
+    purchase_date: 'purchase_date',
+    amount: 'rand_amount',
+    units: 'kwh_amount',
+    vat: 'vat_amount',
+    meter_id: 'meter_id',
+    notes: 'notes'
+  }
+};
+
+const NUMERIC_COLUMNS = ['reading_value', 'rand_amount', 'kwh_amount', 'vat_amount'];
+
+// Optional references to another row - empty means none
+const ID_COLUMNS = ['meter_id'];
+
+const TABLES = {
+  reading: 'readings',
+  voucher: 'vouchers'
+};
+
+function normalise(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (ID_COLUMNS.includes(column)) {
+    return value === '' ? null : Number(value);
+  }
+  if (NUMERIC_COLUMNS.includes(column)) {
+    return value === '' ? NaN : Number(value);
+  }
+  const text = String(value).trim();
+  if (column === 'token_number' && text !== '') {
+    // A token typed with different spacing is the same token
+    return stsToken.parse(text) ?? text;
+  }
+  return text === '' ? null : text;
+}
+
+function sameValue(column, a, b) {
+  if (column === 'token_number') {
+    // Spacing aside, so a token that isn't an STS number, like the copies
+    // the token numbers migration renamed, is unchanged when sent back
+    const compact = (token) => (token ?? null) === null ? null : String(token).replace(/[\s-]/g, '');
+    return compact(a) === compact(b);
+  }
+  if (ID_COLUMNS.includes(column) && (a ?? null) !== null && (b ?? null) !== null) {
+    return Number(a) === Number(b);
+  }
+  if (NUMERIC_COLUMNS.includes(column)) {
+    return Number(a) === Number(b);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+class RevisionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Compare a request body with the stored row and keep only real changes
+  diff(entityType, current, updates = {}) {
+    const oldValues = {};
+    const newValues = {};
+
+    for (const [field, column] of Object.entries(EDITABLE_FIELDS[entityType])) {
+      if (updates[field] === undefined) {
+        continue;
+      }
+
+      const value = normalise(column, updates[field]);
+      if (!sameValue(column, current[column], value)) {
+        oldValues[column] = current[column] ?? null;
+        newValues[column] = value;
+      }
+    }
+
+    return {
+      oldValues,
+      newValues,
+      changed: Object.keys(newValues).length > 0
+    };
+  }
+
+  // Same rules as creating a reading or voucher; returns an error message or null.
+  // Only changed columns are checked, so a row saved before a rule existed
+  // can still have its other fields edited.
+  validate(entityType, newValues) {
+    const has = (column) => column in newValues;
+
+    if (has('meter_id') && newValues.meter_id !== null && !Number.isInteger(newValues.meter_id)) {
+      return 'Meter not found';
+    }
+
+    if (entityType === 'reading') {
+      if (has('reading_value') && (newValues.reading_value === null || isNaN(newValues.reading_value) || newValues.reading_value < 0)) {
+        return 'Reading value must be a number of 0 or more';
+      }
+      if (has('reading_at') && !newValues.reading_at) {
+        return 'Reading date is required';
+      }
+      return null;
+    }
+
+    if (has('token_number') && !newValues.token_number) {
+      return 'Token number is required';
+    }
+    if (has('token_number') && !stsToken.parse(newValues.token_number)) {
+      return stsToken.error;
+    }
+    if (has('purchase_date') && !newValues.purchase_date) {
+      return 'Purchase date is required';
+    }
+    if (has('purchase_date') && !readingTime.parse(newValues.purchase_date)) {
+      return 'Purchase date must be YYYY-MM-DD, optionally with a time';
+    }
+    if (has('rand_amount') && !(newValues.rand_amount > 0)) {
+      return 'Amount must be greater than 0';
+    }
+    if (has('kwh_amount') && !(newValues.kwh_amount > 0)) {
+      return 'Units must be greater than 0';
+    }
+    if (has('vat_amount') && (newValues.vat_amount === null || isNaN(newValues.vat_amount) || newValues.vat_amount < 0)) {
+      return 'VAT must be a number of 0 or more';
+    }
+    return null;
+  }
+
+  // The editable fields of a row, for recording what a delete removed
+  snapshot(entityType, row) {
+    const values = {};
+    for (const column of Object.values(EDITABLE_FIELDS[entityType])) {
+      values[column] = row[column] ?? null;
+    }
+    return values;
+  }
+
+  updateStatement(entityType, id, tenantId, newValues) {
+    const columns = Object.keys(newValues);
+
+    return this.db.prepare(`
+      UPDATE ${TABLES[entityType]}
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now')
+      WHERE id = ? AND tenant_id = ?
+    `).bind(...columns.map(column => newValues[column]), id, tenantId);
+  }
+
+  recordStatement({ tenantId, entityType, entityId, userId, action = 'update', oldValues, newValues = null }) {
+    return this.db.prepare(`
+      INSERT INTO revisions (tenant_id, entity_type, entity_id, user_id, action, old_values, new_values, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).bind(
+      tenantId,
+      entityType,
+      entityId,
+      userId,
+      action,
+      JSON.stringify(oldValues),
+      newValues ? JSON.stringify(newValues) : null
+    );
+  }
+
+  // Newest first, with the email of whoever made each change
+  async list(tenantId, entityType, entityId) {
+    const revisions = await this.db.prepare(`
+      SELECT r.id, r.action, r.old_values, r.new_values, r.created_at, r.user_id, u.email as user_email
+      FROM revisions r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.tenant_id = ? AND r.entity_type = ? AND r.entity_id = ?
+      ORDER BY r.created_at DESC, r.id DESC
+    `).bind(tenantId, entityType, entityId).all();
+
+    return (revisions.results || []).map(revision => ({
+      id: revision.id,
+      action: revision.action,
+      userId: revision.user_id,
+      userEmail: revision.user_email,
+      oldValues: JSON.parse(revision.old_values),
+      newValues: revision.new_values ? JSON.parse(revision.new_values) : null,
+      createdAt: revision.created_at
+    }));
+  }
+}
+
+export default RevisionService;
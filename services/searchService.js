@@ -0,0 +1,152 @@
+// Search Service - full-text search over a household's vouchers and
+// readings by token, meter number or note text. The transaction_search
+// FTS5 table (migrations/018_search.sql) is kept in sync by triggers and
+// matches any part of a word of 3 or more characters. Tokens and meter
+// numbers are indexed as digits only; matches are mapped back onto the
+// numbers as they are shown, dashes and spaces included.
+
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// highlight() marks matches with these; they can't be typed into a form
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Left out of tokens and meter numbers in the index
+const SEPARATORS = /[-\s]/g;
+const NUMBER = /^[\d\s-]+$/;
+
+class SearchService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Turn what was typed into an FTS5 query. Returns { match } or { error }.
+  // Every word has to match; a number on its own is one term, so
+  // "1393 1590" and "1393-1590" both find 1393-1590-8399...
+  parseQuery(text) {
+    const query = String(text ?? '').trim();
+    if (!query) {
+      return { error: 'Enter something to search for' };
+    }
+
+    const terms = NUMBER.test(query)
+      ? [query.replace(SEPARATORS, '')]
+      : query.split(/\s+/).map(term => (NUMBER.test(term) ? term.replace(SEPARATORS, '') : term).replace(/"/g, ''));
+
+    if (terms.some(term => term.length < MIN_TERM_LENGTH)) {
+      return { error: `Search words need at least ${MIN_TERM_LENGTH} characters` };
+    }
+    if (terms.length > MAX_TERMS) {
+      return { error: `Search for at most ${MAX_TERMS} words` };
+    }
+
+    // Each term is quoted, so FTS5 operators in it are taken literally
+    return { match: terms.map(term => `"${term}"`).join(' AND ') };
+  }
+
+  // A highlighted value as [{ text, match }], or null when nothing in it
+  // matched
+  parts(highlighted) {
+    const text = String(highlighted ?? '');
+    if (!text.includes(MATCH_START)) {
+      return null;
+    }
+
+    const parts = [];
+    let match = false;
+    for (const piece of text.split(new RegExp(`([${MATCH_START}${MATCH_END}])`))) {
+      if (piece === MATCH_START || piece === MATCH_END) {
+        match = piece === MATCH_START;
+      } else if (piece) {
+        parts.push({ text: piece, match });
+      }
+    }
+    return parts;
+  }
+
+  // Parts for a number as it is shown, from the highlighted digits-only
+  // copy in the index. A dash or space between two matched digits is part
+  // of the match.
+  numberParts(original, highlighted) {
+    const digits = this.parts(highlighted);
+    if (!digits || !original) {
+      return null;
+    }
+
+    const matched = digits.flatMap(part => [...part.text].map(() => part.match));
+    const chars = [...String(original)];
+    let index = 0;
+    const flags = chars.map(ch => (ch.match(SEPARATORS) ? null : matched[index++] || false));
+    flags.forEach((flag, i) => {
+      if (flag === null) {
+        const before = flags.slice(0, i).reverse().find(f => f !== null);
+        const after = flags.slice(i + 1).find(f => f !== null);
+        flags[i] = !!(before && after);
+      }
+    });
+
+    const parts = [];
+    chars.forEach((ch, i) => {
+      const last = parts[parts.length - 1];
+      if (last && last.match === flags[i]) {
+        last.text += ch;
+      } else {
+        parts.push({ text: ch, match: flags[i] });
+      }
+    });
+    return parts;
+  }
+
+  // Best matches first, with what matched in each row's token, meter
+  // number and notes
+  async search(tenantId, text, { limit = DEFAULT_LIMIT } = {}) {
+    const query = this.parseQuery(text);
+    if (query.error) {
+      return query;
+    }
+
+    const rows = await this.db.prepare(`
+      SELECT
+        transaction_search.entity_type as type,
+        transaction_search.entity_id as id,
+        highlight(transaction_search, 3, ?, ?) as token_highlight,
+        highlight(transaction_search, 4, ?, ?) as meter_highlight,
+        highlight(transaction_search, 5, ?, ?) as notes_highlight,
+        COALESCE(v.purchase_date, r.reading_at) as date,
+        v.token_number,
+        v.rand_amount,
+        v.kwh_amount,
+        r.reading_value,
+        COALESCE(v.notes, r.notes) as notes,
+        m.id as meter_id,
+        m.label as meter_label,
+        m.meter_number
+      FROM transaction_search
+      LEFT JOIN vouchers v ON transaction_search.entity_type = 'voucher' AND v.id = transaction_search.entity_id
+      LEFT JOIN readings r ON transaction_search.entity_type = 'reading' AND r.id = transaction_search.entity_id
+      LEFT JOIN meters m ON m.id = COALESCE(v.meter_id, r.meter_id)
+      WHERE transaction_search MATCH ? AND transaction_search.tenant_id = ?
+      ORDER BY rank
+      LIMIT ?
+    `).bind(
+      MATCH_START, MATCH_END, MATCH_START, MATCH_END, MATCH_START, MATCH_END,
+      query.match, tenantId, Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    ).all();
+
+    return {
+      results: (rows.results || []).map(({ token_highlight, meter_highlight, notes_highlight, ...row }) => ({
+        ...row,
+        highlights: {
+          token: this.numberParts(row.token_number, token_highlight),
+          meter_number: this.numberParts(row.meter_number, meter_highlight),
+          notes: this.parts(notes_highlight)
+        }
+      }))
+    };
+  }
+}
+
+export default SearchService;
@@ -0,0 +1,282 @@
+// SMS Parser Registry - works out which vendor sent an electricity voucher SMS
+// and pulls the amount, VAT, units, token and meter number out of it.
+// Each vendor format is its own module in services/smsParsers/.
+
+import defaultParsers from './smsParsers/index.js';
+import stsToken from './stsToken.js';
+
+// How much each piece of evidence adds to a parser's confidence score.
+// Recognising the vendor counts for a lot, but a parser still has to find
+// the fields to be trusted.
+const WEIGHTS = {
+  signature: 0.3,
+  amount: 0.2,
+  units: 0.2,
+  token: 0.2,
+  vat: 0.05,
+  meter: 0.05
+};
+
+// A voucher can't be saved without these
+const REQUIRED_FIELDS = ['amount', 'units', 'token'];
+
+// Prepaid tariffs are somewhere in this range - outside it the amount and
+// units were probably mixed up
+const MIN_RAND_PER_KWH = 0.5;
+const MAX_RAND_PER_KWH = 15;
+
+const FIELD_HINTS = {
+  amount: 'No rand amount found (e.g. "R150.00")',
+  units: 'No units found (e.g. "45.6kWh")',
+  token: 'No 20-digit credit token found (e.g. "1234-5678-9012-3456-7890")'
+};
+
+function toNumber(value) {
+  const number = parseFloat(String(value).replace(/[,\s]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+// 20-digit STS tokens are shown in groups of four; anything else is left as sent
+function normaliseToken(value) {
+  return stsToken.parse(value) ?? String(value).trim();
+}
+
+// Accepts YYYY-MM-DD or South African DD/MM/YYYY
+function normaliseDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const [day, month, year] = value.split('/').map(Number);
+  if (!day || !month || !year || month > 12 || day > 31) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const NORMALISERS = {
+  amount: toNumber,
+  vat: toNumber,
+  units: toNumber,
+  token: normaliseToken,
+  meter: (value) => value.replace(/\D/g, ''),
+  date: normaliseDate
+};
+
+// A 20-digit STS token, with or without separators - one per voucher SMS
+const TOKEN_PATTERN = /(?:\d{4}[\s-]?){4}\d{4}/g;
+
+// Phone backup exports put the received date at the start of each message
+const LEADING_DATE_PATTERN = /^\s*\[?(\d{4}[-/]\d{2}[-/]\d{2}|\d{1,2}\/\d{1,2}\/\d{4})(?:[ T,]+\d{1,2}:\d{2}(?::\d{2})?)?\]?\s*[-:]?\s*/;
+
+// Upper limit for one paste, so a huge backup can't tie up the Worker
+const MAX_BATCH_MESSAGES = 500;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+class SmsParserRegistry {
+  constructor(parsers = defaultParsers) {
+    this.parsers = [];
+    parsers.forEach(parser => this.register(parser));
+  }
+
+  register(parser) {
+    if (!parser || !parser.id || !parser.patterns) {
+      throw new Error('SMS parsers need an id and patterns');
+    }
+    if (this.parsers.some(p => p.id === parser.id)) {
+      throw new Error(`SMS parser "${parser.id}" is already registered`);
+    }
+    this.parsers.push(parser);
+  }
+
+  list() {
+    return this.parsers.map(p => ({ id: p.id, name: p.name }));
+  }
+
+  // Run one parser over the text and score how well the message fits it
+  attempt(parser, text) {
+    const fields = {};
+
+    for (const [field, pattern] of Object.entries(parser.patterns)) {
+      const match = text.match(pattern);
+      if (!match) {
+        continue;
+      }
+      const normalise = NORMALISERS[field] || (value => value);
+      const value = normalise(match[1]);
+      if (value !== null && value !== '') {
+        fields[field] = value;
+      }
+    }
+
+    const signatureMatched = parser.signature ? parser.signature.test(text) : false;
+    const warnings = [];
+    let confidence = signatureMatched ? WEIGHTS.signature : 0;
+
+    for (const field of Object.keys(fields)) {
+      confidence += WEIGHTS[field] || 0;
+    }
+
+    if (fields.amount && fields.units) {
+      const randPerKwh = fields.amount / fields.units;
+      if (randPerKwh < MIN_RAND_PER_KWH || randPerKwh > MAX_RAND_PER_KWH) {
+        warnings.push(`R${randPerKwh.toFixed(2)}/kWh is outside the usual prepaid range - check the amount and units`);
+        confidence -= 0.2;
+      }
+    }
+
+    return {
+      parser,
+      signatureMatched,
+      fields,
+      missing: REQUIRED_FIELDS.filter(field => !(field in fields)),
+      warnings,
+      confidence: round(Math.min(Math.max(confidence, 0), 1))
+    };
+  }
+
+  // Try every parser and keep the most confident one. Ties go to the parser
+  // registered first, so vendor modules beat the generic fallback.
+  parse(text) {
+    const smsText = String(text || '').trim();
+
+    if (!smsText) {
+      return {
+        success: false,
+        diagnostic: {
+          code: 'EMPTY_SMS',
+          message: 'SMS text is required',
+          closestParser: null,
+          attempts: [],
+          hints: []
+        }
+      };
+    }
+
+    const attempts = this.parsers.map(parser => this.attempt(parser, smsText));
+    const best = attempts.reduce((top, current) => current.confidence > top.confidence ? current : top, attempts[0]);
+
+    if (!best || best.missing.length === REQUIRED_FIELDS.length) {
+      return { success: false, diagnostic: this.diagnose(attempts, best) };
+    }
+
+    return {
+      success: true,
+      parser: { id: best.parser.id, name: best.parser.name },
+      confidence: best.confidence,
+      fields: best.fields,
+      missing: best.missing,
+      warnings: best.warnings
+    };
+  }
+
+  // Split a pasted block of SMSes into one string per message. Blank lines
+  // always separate messages; otherwise a new message is assumed to start
+  // between two tokens, at a date stamp, vendor name or line break.
+  splitMessages(text) {
+    const chunks = String(text || '')
+      .split(/\r?\n\s*\r?\n/)
+      .map(chunk => chunk.trim())
+      .filter(Boolean);
+
+    const messages = [];
+    for (const chunk of chunks) {
+      const tokens = [...chunk.matchAll(TOKEN_PATTERN)];
+      let start = 0;
+
+      for (let i = 1; i < tokens.length; i++) {
+        const from = tokens[i - 1].index + tokens[i - 1][0].length;
+        const cut = this.findMessageStart(chunk, from, tokens[i].index);
+        messages.push(chunk.slice(start, cut).trim());
+        start = cut;
+      }
+      messages.push(chunk.slice(start).trim());
+    }
+
+    return messages.filter(Boolean);
+  }
+
+  // Best guess at where the message holding the token at `to` begins
+  findMessageStart(text, from, to) {
+    const between = text.slice(from, to);
+
+    const dateStamp = between.search(/(?:^|\n)\s*\[?(?:\d{4}[-/]\d{2}[-/]\d{2}|\d{1,2}\/\d{1,2}\/\d{4})[ T,]+\d{1,2}:\d{2}/);
+    if (dateStamp !== -1) {
+      return from + dateStamp;
+    }
+
+    const signatures = this.parsers
+      .filter(parser => parser.signature)
+      .map(parser => between.search(parser.signature))
+      .filter(index => index !== -1);
+    if (signatures.length > 0) {
+      return from + Math.min(...signatures);
+    }
+
+    const lineBreak = between.indexOf('\n');
+    if (lineBreak !== -1) {
+      return from + lineBreak;
+    }
+
+    // Last resort: the end of the sentence before the next token's label
+    const sentenceEnd = between.lastIndexOf('. ', between.length - 2);
+    return sentenceEnd !== -1 ? from + sentenceEnd + 1 : to;
+  }
+
+  // Split and parse every message in a pasted block. Messages without a date
+  // of their own take the date stamp a phone backup put in front of them.
+  parseBatch(text) {
+    const messages = this.splitMessages(text);
+
+    if (messages.length > MAX_BATCH_MESSAGES) {
+      throw new Error(`Paste at most ${MAX_BATCH_MESSAGES} messages at a time`);
+    }
+
+    return messages.map((message, index) => {
+      const stamp = message.match(LEADING_DATE_PATTERN);
+      const body = stamp ? message.slice(stamp[0].length) : message;
+      const result = this.parse(body);
+      const receivedDate = stamp ? normaliseDate(stamp[1].replace(/(\d{4})\/(\d{2})\/(\d{2})/, '$1-$2-$3')) : null;
+
+      return {
+        row: index + 1,
+        text: body,
+        ...result,
+        date: (result.fields && result.fields.date) || receivedDate
+      };
+    });
+  }
+
+  // Explain why nothing matched, starting from the parser that came closest
+  diagnose(attempts, best) {
+    const closest = best && best.confidence > 0 ? best : null;
+    const vendor = closest ? closest.parser.name : null;
+
+    return {
+      code: 'UNRECOGNISED_SMS',
+      message: vendor
+        ? `This looks like a ${vendor} SMS but no voucher details could be read from it`
+        : 'This SMS does not match any supported bank or vendor format',
+      closestParser: closest ? { id: closest.parser.id, name: closest.parser.name } : null,
+      attempts: attempts
+        .filter(a => a.confidence > 0)
+        .sort((a, b) => b.confidence - a.confidence)
+        .map(a => ({
+          parser: a.parser.id,
+          name: a.parser.name,
+          signatureMatched: a.signatureMatched,
+          found: Object.keys(a.fields),
+          missing: a.missing,
+          confidence: a.confidence
+        })),
+      hints: REQUIRED_FIELDS.map(field => FIELD_HINTS[field]),
+      supportedParsers: this.list()
+    };
+  }
+}
+
+export default SmsParserRegistry;
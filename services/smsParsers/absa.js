@@ -0,0 +1,25 @@
+// ABSA - prepaid electricity from the Absa app or banking app notifications
+// Example: "Absa: ELECTRICITY PURCHASE R100.00. METER 07123456789. TOKEN 1111 2222 3333 4444 5555. UNITS 31.2 KWH. VAT R13.04."
+
+export default {
+  id: 'absa',
+  name: 'ABSA',
+  signature: /\bAbsa\b/i,
+  patterns: {
+    amount: /PURCHASE:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /UNITS:?\s*([\d,]+(?:\.\d+)?)\s*(?:KWH?)?/i,
+    token: /TOKEN:?\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /METER:?\s*(\d{11,13})/i
+  },
+  samples: [
+    {
+      text: 'Absa: ELECTRICITY PURCHASE R100.00. METER 07123456789. TOKEN 1111 2222 3333 4444 5555. UNITS 31.2 KWH. VAT R13.04.',
+      expected: { amount: 100, vat: 13.04, units: 31.2, token: '1111-2222-3333-4444-5555', meter: '07123456789' }
+    },
+    {
+      text: 'ABSA: Electricity purchase R450.00 successful. Meter: 07123456789 Token: 9090-8080-7070-6060-5050 Units: 140.7kWh VAT: R58.70',
+      expected: { amount: 450, vat: 58.7, units: 140.7, token: '9090-8080-7070-6060-5050', meter: '07123456789' }
+    }
+  ]
+};
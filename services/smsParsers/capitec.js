@@ -0,0 +1,25 @@
+// Capitec - prepaid electricity bought in the Capitec app
+// Example: "Capitec: Prepaid electricity purchased. Meter 04004444884. Token 5673 4567 8912 3456 7890. 45.6 kWh. Amount R150.00 (VAT R19.57). Ref 8812734"
+
+export default {
+  id: 'capitec',
+  name: 'Capitec',
+  signature: /\bCapitec\b/i,
+  patterns: {
+    amount: /Amount:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /([\d,]+(?:\.\d+)?)\s*kWh/i,
+    token: /Token:?\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /Meter:?\s*(\d{11,13})/i
+  },
+  samples: [
+    {
+      text: 'Capitec: Prepaid electricity purchased. Meter 04004444884. Token 5673 4567 8912 3456 7890. 45.6 kWh. Amount R150.00 (VAT R19.57). Ref 8812734',
+      expected: { amount: 150, vat: 19.57, units: 45.6, token: '5673-4567-8912-3456-7890', meter: '04004444884' }
+    },
+    {
+      text: 'Capitec: Electricity for meter 04004444884. Amount R1,000.00. Token: 11112222333344445555. 318.2 kWh. VAT R130.43.',
+      expected: { amount: 1000, vat: 130.43, units: 318.2, token: '1111-2222-3333-4444-5555', meter: '04004444884' }
+    }
+  ]
+};
@@ -0,0 +1,25 @@
+// FNB - electricity purchased through the FNB app, online banking or USSD
+// Example: "FNB :-) Cape Town. Elec Amt: R86.96. Vat Amt: R13.04. Meter: 09000490491. Credit Token: 1393-1590-8399-0790-1839. Units: 29.7kWh."
+
+export default {
+  id: 'fnb',
+  name: 'FNB',
+  signature: /\bFNB\b/i,
+  patterns: {
+    amount: /Elec Amt:\s*R?\s*([\d,]+(?:\.\d+)?)/i,
+    vat: /Vat Amt:\s*R?\s*([\d,]+(?:\.\d+)?)/i,
+    units: /Units:\s*([\d,]+(?:\.\d+)?)\s*(?:kWh?)?/i,
+    token: /Credit Token:\s*(\d[\d\s-]*\d)/i,
+    meter: /Meter:\s*(\d+)/i
+  },
+  samples: [
+    {
+      text: 'FNB :-) Cape Town. Elec Amt: R86.96. Vat Amt: R13.04. Meter: 09000490491. Credit Token: 1393-1590-8399-0790-1839. Units: 29.7kWh.',
+      expected: { amount: 86.96, vat: 13.04, units: 29.7, token: '1393-1590-8399-0790-1839', meter: '09000490491' }
+    },
+    {
+      text: 'FNB :-) Cape Town. Elec Amt: R43.48. Vat Amt: R6.52. Meter: 09000490491. Credit Token: 3752-3467-7715-5148-9439. Units: 14.9kWh.',
+      expected: { amount: 43.48, vat: 6.52, units: 14.9, token: '3752-3467-7715-5148-9439', meter: '09000490491' }
+    }
+  ]
+};
@@ -0,0 +1,22 @@
+// Generic fallback - picks out amounts, units and a 20-digit token from any
+// message. It has no signature, so a vendor parser that recognises the
+// message always scores higher.
+
+export default {
+  id: 'generic',
+  name: 'Generic electricity SMS',
+  signature: null,
+  patterns: {
+    amount: /R\s?([\d,]+\.\d{2})/i,
+    vat: /VAT[^R\d]*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /([\d,]+(?:\.\d+)?)\s*kWh/i,
+    token: /((?:\d{4}[\s-]?){4}\d{4})/,
+    meter: /Meter[^\d]*(\d{11,13})/i
+  },
+  samples: [
+    {
+      text: 'Prepaid electricity: R120.00 bought. 38.2kWh. Token 1212-3434-5656-7878-9090. Meter 09000490491. VAT R15.65',
+      expected: { amount: 120, vat: 15.65, units: 38.2, token: '1212-3434-5656-7878-9090', meter: '09000490491' }
+    }
+  ]
+};
@@ -0,0 +1,23 @@
+// Built-in SMS voucher parsers, in the order they are tried.
+// Add a vendor by creating a module with id, name, signature, patterns and
+// samples, then listing it here.
+
+import fnb from './fnb.js';
+import capitec from './capitec.js';
+import standardBank from './standardBank.js';
+import nedbank from './nedbank.js';
+import absa from './absa.js';
+import shopriteCheckers from './shopriteCheckers.js';
+import municipal from './municipal.js';
+import generic from './generic.js';
+
+export default [
+  fnb,
+  capitec,
+  standardBank,
+  nedbank,
+  absa,
+  shopriteCheckers,
+  municipal,
+  generic
+];
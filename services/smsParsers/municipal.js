@@ -0,0 +1,26 @@
+// Municipal vendors - tokens bought directly from a metro or municipality
+// (City of Cape Town, City Power, Tshwane, Ekurhuleni, eThekwini and smaller councils)
+// Example: "City of Cape Town: Prepaid electricity. Meter no 12345678901. Token 1234 5678 9012 3456 7890. 120.5 units. Cost R250.00 (incl VAT R32.61)"
+
+export default {
+  id: 'municipal',
+  name: 'Municipal vendor',
+  signature: /\b(City of [A-Z][a-z]+|City Power|Tshwane|Ekurhuleni|eThekwini|Mangaung|Municipality|Municipal|Metro)\b/i,
+  patterns: {
+    amount: /(?:Cost|Amount|Paid):?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /([\d,]+(?:\.\d+)?)\s*(?:units|kWh)\b/i,
+    token: /Token:?\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /Meter(?:\s*no)?:?\s*(\d{11,13})/i
+  },
+  samples: [
+    {
+      text: 'City of Cape Town: Prepaid electricity. Meter no 12345678901. Token 1234 5678 9012 3456 7890. 120.5 units. Cost R250.00 (incl VAT R32.61)',
+      expected: { amount: 250, vat: 32.61, units: 120.5, token: '1234-5678-9012-3456-7890', meter: '12345678901' }
+    },
+    {
+      text: 'City Power: Meter 71234567890. Token 4321-8765-2109-6543-0987. 88.4kWh. Amount paid R300.00 incl VAT R39.13',
+      expected: { amount: 300, vat: 39.13, units: 88.4, token: '4321-8765-2109-6543-0987', meter: '71234567890' }
+    }
+  ]
+};
@@ -0,0 +1,26 @@
+// Nedbank - prepaid electricity from the Nedbank Money app
+// Example: "Nedbank: Prepaid Electricity R300.00 purchased 12/09/2025. Meter No: 01234567890 Token: 12345678901234567890 kWh: 93.4 VAT: R39.13"
+
+export default {
+  id: 'nedbank',
+  name: 'Nedbank',
+  signature: /\bNedbank\b/i,
+  patterns: {
+    amount: /Electricity\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /kWh:?\s*([\d,]+(?:\.\d+)?)/i,
+    token: /Token:?\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /Meter\s*No:?\s*(\d{11,13})/i,
+    date: /purchased\s*(\d{1,2}\/\d{1,2}\/\d{4})/i
+  },
+  samples: [
+    {
+      text: 'Nedbank: Prepaid Electricity R300.00 purchased 12/09/2025. Meter No: 01234567890 Token: 12345678901234567890 kWh: 93.4 VAT: R39.13',
+      expected: { amount: 300, vat: 39.13, units: 93.4, token: '1234-5678-9012-3456-7890', meter: '01234567890', date: '2025-09-12' }
+    },
+    {
+      text: 'Nedbank: Prepaid Electricity R50.00 purchased 03/08/2025. Meter No: 01234567890 Token: 5555-4444-3333-2222-1111 kWh: 15.6 VAT: R6.52',
+      expected: { amount: 50, vat: 6.52, units: 15.6, token: '5555-4444-3333-2222-1111', meter: '01234567890', date: '2025-08-03' }
+    }
+  ]
+};
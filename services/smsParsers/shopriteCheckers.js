@@ -0,0 +1,26 @@
+// Shoprite / Checkers / Usave - Money Market counter and Xtra Savings app slips sent by SMS
+// Example: "Shoprite Money Market: Eskom Prepaid. Meter: 01234567890 Token: 2222-3333-4444-5555-6666 Units: 55.1kWh Amount: R180.00 VAT: R23.48 Date: 2025-09-01"
+
+export default {
+  id: 'shoprite-checkers',
+  name: 'Shoprite/Checkers',
+  signature: /\b(Shoprite|Checkers|Usave)\b/i,
+  patterns: {
+    amount: /(?:Amount|Total):?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /Units:?\s*([\d,]+(?:\.\d+)?)\s*(?:kWh?)?/i,
+    token: /Token:?\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /Meter(?:\s*No)?:?\s*(\d{11,13})/i,
+    date: /Date:?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})/i
+  },
+  samples: [
+    {
+      text: 'Shoprite Money Market: Eskom Prepaid. Meter: 01234567890 Token: 2222-3333-4444-5555-6666 Units: 55.1kWh Amount: R180.00 VAT: R23.48 Date: 2025-09-01',
+      expected: { amount: 180, vat: 23.48, units: 55.1, token: '2222-3333-4444-5555-6666', meter: '01234567890', date: '2025-09-01' }
+    },
+    {
+      text: 'Checkers: Thank you for your electricity purchase. Meter No 01234567890. Token 7777 8888 9999 0000 1111. Units 29.9 kWh. Total R95.00 (VAT R12.39). Date 14/08/2025',
+      expected: { amount: 95, vat: 12.39, units: 29.9, token: '7777-8888-9999-0000-1111', meter: '01234567890', date: '2025-08-14' }
+    }
+  ]
+};
@@ -0,0 +1,25 @@
+// Standard Bank - prepaid electricity from the Standard Bank app or *120*2345#
+// Example: "Standard Bank: Electricity token for meter 14123456789: 1234-5678-9012-3456-7890. Units 62.3kWh. Amt R200.00 incl VAT R26.09."
+
+export default {
+  id: 'standard-bank',
+  name: 'Standard Bank',
+  signature: /\bStandard\s*Bank\b|\bStanbic\b/i,
+  patterns: {
+    amount: /Amt:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    vat: /VAT:?\s*R\s?([\d,]+(?:\.\d+)?)/i,
+    units: /Units:?\s*([\d,]+(?:\.\d+)?)\s*kWh?/i,
+    token: /token[^:\d]*(?:\d{11,13})?:\s*((?:\d{4}[\s-]?){4}\d{4})/i,
+    meter: /meter:?\s*(\d{11,13})/i
+  },
+  samples: [
+    {
+      text: 'Standard Bank: Electricity token for meter 14123456789: 1234-5678-9012-3456-7890. Units 62.3kWh. Amt R200.00 incl VAT R26.09.',
+      expected: { amount: 200, vat: 26.09, units: 62.3, token: '1234-5678-9012-3456-7890', meter: '14123456789' }
+    },
+    {
+      text: 'Standard Bank: Electricity token for meter 14123456789: 0987 6543 2109 8765 4321. Units 31.1kWh. Amt R100.00 incl VAT R13.04. Ref SB99211',
+      expected: { amount: 100, vat: 13.04, units: 31.1, token: '0987-6543-2109-8765-4321', meter: '14123456789' }
+    }
+  ]
+};
@@ -0,0 +1,94 @@
+// Solar Service - daily totals from a household's rooftop solar inverter.
+// Each row is what the panels generated on a South African day and what was
+// exported to the grid. The consumption engine adds the solar a household
+// used itself to its prepaid usage to get its total demand.
+
+import readingTime from './readingTime.js';
+
+// A day's total from one inverter can't be more than this - well above any
+// home system, so an export in Wh imported as kWh is caught
+const MAX_DAILY_KWH = 500;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+class SolarService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Returns an error message or null. date is YYYY-MM-DD.
+  validate({ date, generatedKwh, exportedKwh = 0 }) {
+    if (!DATE.test(String(date || '')) || isNaN(Date.parse(date))) {
+      return 'Date must be YYYY-MM-DD';
+    }
+    if (date > readingTime.localDate(readingTime.now())) {
+      return "Solar totals can't be for a day in the future";
+    }
+    if (typeof generatedKwh !== 'number' || !Number.isFinite(generatedKwh) || generatedKwh < 0) {
+      return 'Generated must be a number of 0 or more';
+    }
+    if (typeof exportedKwh !== 'number' || !Number.isFinite(exportedKwh) || exportedKwh < 0) {
+      return 'Exported must be a number of 0 or more';
+    }
+    if (generatedKwh > MAX_DAILY_KWH) {
+      return `Generated can be at most ${MAX_DAILY_KWH} kWh a day - is the export in Wh?`;
+    }
+    if (exportedKwh > generatedKwh) {
+      return "Exported can't be more than was generated that day";
+    }
+    return null;
+  }
+
+  // Solar the household used itself rather than exporting
+  selfConsumed(row) {
+    return Math.max(0, (Number(row.generated_kwh) || 0) - (Number(row.exported_kwh) || 0));
+  }
+
+  async create(tenantId, { date, generatedKwh, exportedKwh = 0, meterId = null, inverter = null, notes = null }, userId) {
+    const result = await this.db.prepare(`
+      INSERT INTO generation_readings (tenant_id, user_id, meter_id, inverter, generation_date, generated_kwh, exported_kwh, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(tenantId, userId, meterId, inverter, date, generatedKwh, exportedKwh, notes).run();
+    return result.meta.last_row_id;
+  }
+
+  // Daily totals from..to (YYYY-MM-DD; either can be left out), oldest first.
+  // meterId picks one meter (null for totals without one); leave it
+  // undefined for all of them.
+  async list(tenantId, { from = null, to = null, meterId } = {}) {
+    const conditions = ['tenant_id = ?'];
+    const params = [tenantId];
+    if (from) {
+      conditions.push('generation_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('generation_date <= ?');
+      params.push(to);
+    }
+    if (meterId === null) {
+      conditions.push('meter_id IS NULL');
+    } else if (meterId !== undefined) {
+      conditions.push('meter_id = ?');
+      params.push(meterId);
+    }
+
+    const rows = await this.db.prepare(`
+      SELECT id, user_id, meter_id, inverter, generation_date, generated_kwh, exported_kwh, notes, created_at
+      FROM generation_readings
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY generation_date ASC, id ASC
+    `).bind(...params).all();
+
+    return rows.results || [];
+  }
+
+  async remove(tenantId, id) {
+    const result = await this.db.prepare(`
+      DELETE FROM generation_readings WHERE id = ? AND tenant_id = ?
+    `).bind(id, tenantId).run();
+    return result.meta.changes > 0;
+  }
+}
+
+export default SolarService;
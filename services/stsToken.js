@@ -0,0 +1,22 @@
+// STS Token - the 20-digit credit token a prepaid meter is loaded with.
+// Tokens are stored in groups of four, 'XXXX-XXXX-XXXX-XXXX-XXXX', the way
+// they are keyed in, whatever spacing they were sent with.
+
+const DIGITS = 20;
+const SEPARATORS = /[\s-]/g;
+
+const stsToken = {
+  // The canonical form of a token, or null when it isn't 20 digits. Spaces
+  // and dashes anywhere are ignored; anything else makes it invalid.
+  parse(value) {
+    const digits = String(value ?? '').replace(SEPARATORS, '');
+    if (!/^\d+$/.test(digits) || digits.length !== DIGITS) {
+      return null;
+    }
+    return digits.match(/\d{4}/g).join('-');
+  },
+
+  error: `Token must be a ${DIGITS}-digit STS number, e.g. 1234-5678-9012-3456-7890`
+};
+
+export default stsToken;
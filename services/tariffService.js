@@ -0,0 +1,248 @@
+// Tariff Service - inclining block tariffs for prepaid electricity.
+// Blocks reset at the start of each month: the first kWh bought in a month
+// are the cheapest, so what a voucher buys depends on what was already
+// bought that month on the same meter.
+
+const DEFAULT_TOLERANCE = 5;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+class TariffService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Blocks are stored as JSON text; versions read from D1 still have it as a string
+  parseBlocks(value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    try {
+      const blocks = JSON.parse(value);
+      return Array.isArray(blocks) ? blocks : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Returns an error message or null. Blocks must rise, end open-ended and
+  // have a positive rate.
+  validateBlocks(blocks) {
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+      return 'blocks must be a non-empty list';
+    }
+
+    let previous = 0;
+    for (const [i, block] of blocks.entries()) {
+      const last = i === blocks.length - 1;
+      if (!(Number(block?.rate) > 0)) {
+        return `Block ${i + 1} needs a rate greater than 0`;
+      }
+      if (last && block.up_to !== null && block.up_to !== undefined) {
+        return 'The last block must have no upper limit (up_to: null)';
+      }
+      if (!last && !(Number(block.up_to) > previous)) {
+        return `Block ${i + 1} must end above ${previous} kWh`;
+      }
+      previous = Number(block.up_to);
+    }
+    return null;
+  }
+
+  // The version in force on a date: the latest one that started on or before it
+  versionFor(versions, date) {
+    const day = String(date).slice(0, 10);
+    return versions
+      .filter(version => version.effective_from <= day)
+      .sort((a, b) => b.effective_from.localeCompare(a.effective_from))[0] || null;
+  }
+
+  // Units a rand amount buys when boughtKwh were already bought this month.
+  // The monthly charge comes off the month's first purchase.
+  predict(version, { amount, boughtKwh = 0, boughtAmount = 0 }) {
+    const blocks = this.parseBlocks(version.blocks);
+    const monthlyCharge = boughtAmount > 0 ? 0 : Math.min(version.monthly_charge || 0, amount);
+    let remaining = amount - monthlyCharge;
+    let position = boughtKwh;
+    let start = 0;
+    const breakdown = [];
+
+    for (const [i, block] of blocks.entries()) {
+      const end = block.up_to === null || block.up_to === undefined ? Infinity : Number(block.up_to);
+      if (remaining <= 0) {
+        break;
+      }
+      if (position < end) {
+        const available = end - Math.max(position, start);
+        const kwh = Math.min(available, remaining / block.rate);
+        breakdown.push({ block: i + 1, rate: block.rate, kwh: round(kwh), cost: round(kwh * block.rate) });
+        // Stop once the money runs out inside a block, rather than carry a
+        // floating point remainder into the next one
+        remaining = kwh < available ? 0 : remaining - kwh * block.rate;
+        position += kwh;
+      }
+      start = end;
+    }
+
+    return {
+      kwh: round(breakdown.reduce((sum, b) => sum + b.kwh, 0)),
+      monthlyCharge: round(monthlyCharge),
+      boughtKwh: round(boughtKwh),
+      breakdown
+    };
+  }
+
+  // The other way round: what it costs to buy kwh more units this month
+  amountFor(version, kwh, { boughtKwh = 0, boughtAmount = 0 } = {}) {
+    const blocks = this.parseBlocks(version.blocks);
+    let cost = boughtAmount > 0 ? 0 : version.monthly_charge || 0;
+    let needed = kwh;
+    let position = boughtKwh;
+
+    for (const block of blocks) {
+      const end = block.up_to === null || block.up_to === undefined ? Infinity : Number(block.up_to);
+      if (needed <= 0) {
+        break;
+      }
+      if (position < end) {
+        const units = Math.min(end - position, needed);
+        cost += units * block.rate;
+        needed -= units;
+        position += units;
+      }
+    }
+
+    return round(cost);
+  }
+
+  // Compare each voucher's units with what the tariff predicts. Vouchers are
+  // walked in purchase order per meter and month, so earlier purchases push
+  // later ones into dearer blocks. Like consumption, vouchers without a meter
+  // count towards a household's only meter. Returns a Map of voucher id to
+  // { predictedKwh, deviationPercent, flagged }.
+  check(vouchers, versions, tolerancePercent = DEFAULT_TOLERANCE) {
+    const results = new Map();
+    const months = new Map();
+    const meterIds = new Set(vouchers.map(v => v.meter_id ?? null));
+    meterIds.delete(null);
+    const onlyMeter = meterIds.size === 1 ? [...meterIds][0] : 0;
+    const ordered = [...vouchers].sort((a, b) =>
+      String(a.purchase_date).localeCompare(String(b.purchase_date)) || a.id - b.id
+    );
+
+    for (const voucher of ordered) {
+      const key = `${voucher.meter_id ?? onlyMeter}:${String(voucher.purchase_date).slice(0, 7)}`;
+      const month = months.get(key) || { kwh: 0, amount: 0 };
+      const version = this.versionFor(versions, voucher.purchase_date);
+
+      if (version) {
+        const predicted = this.predict(version, { amount: voucher.rand_amount, boughtKwh: month.kwh, boughtAmount: month.amount });
+        const deviation = predicted.kwh > 0 ? (voucher.kwh_amount - predicted.kwh) / predicted.kwh * 100 : 0;
+        results.set(voucher.id, {
+          predictedKwh: predicted.kwh,
+          deviationPercent: round(deviation, 1),
+          flagged: Math.abs(deviation) > tolerancePercent
+        });
+      }
+
+      month.kwh += voucher.kwh_amount || 0;
+      month.amount += voucher.rand_amount || 0;
+      months.set(key, month);
+    }
+
+    return results;
+  }
+
+  // All tariffs with their versions, newest version first
+  async list() {
+    const tariffs = await this.db.prepare(`
+      SELECT id, code, name, provider FROM tariffs ORDER BY provider, name
+    `).all();
+    const versions = await this.db.prepare(`
+      SELECT id, tariff_id, effective_from, blocks, monthly_charge, notes
+      FROM tariff_versions
+      ORDER BY effective_from DESC
+    `).all();
+
+    return (tariffs.results || []).map(tariff => ({
+      ...tariff,
+      versions: (versions.results || [])
+        .filter(version => version.tariff_id === tariff.id)
+        .map(version => ({ ...version, blocks: this.parseBlocks(version.blocks) }))
+    }));
+  }
+
+  async getVersions(tariffId) {
+    const versions = await this.db.prepare(`
+      SELECT id, tariff_id, effective_from, blocks, monthly_charge
+      FROM tariff_versions
+      WHERE tariff_id = ?
+    `).bind(tariffId).all();
+
+    return (versions.results || []).map(version => ({ ...version, blocks: this.parseBlocks(version.blocks) }));
+  }
+
+  // The household's tariff and tolerance; tariffId is null until one is picked
+  async getSettings(tenantId) {
+    const settings = await this.db.prepare(`
+      SELECT tariff_id, tolerance_percent, updated_at FROM tariff_settings WHERE tenant_id = ?
+    `).bind(tenantId).first();
+
+    return {
+      tariffId: settings?.tariff_id ?? null,
+      tolerancePercent: settings?.tolerance_percent ?? DEFAULT_TOLERANCE,
+      updatedAt: settings?.updated_at || null
+    };
+  }
+
+  // What a household has bought so far in the month of `date`. With several
+  // meters, meterId picks one (null for vouchers without a meter); leave it
+  // undefined to count every voucher.
+  async monthToDate(tenantId, date, meterId) {
+    const day = String(date).slice(0, 10);
+    const meterClause = meterId === undefined ? '' : 'AND COALESCE(meter_id, 0) = COALESCE(?, 0)';
+    const params = meterId === undefined ? [] : [meterId];
+    const bought = await this.db.prepare(`
+      SELECT COALESCE(SUM(kwh_amount), 0) as kwh, COALESCE(SUM(rand_amount), 0) as amount
+      FROM vouchers
+      WHERE tenant_id = ?
+        ${meterClause}
+        AND substr(purchase_date, 1, 7) = ?
+        AND substr(purchase_date, 1, 10) <= ?
+    `).bind(tenantId, ...params, day.slice(0, 7), day).first();
+
+    return { kwh: bought?.kwh || 0, amount: bought?.amount || 0 };
+  }
+
+  // Tariff check for some of a household's vouchers, such as a page of the
+  // history, or null without a tariff. A voucher's prediction depends on what
+  // was bought before it that month, so the rest of their months come too.
+  async checkVouchers(tenantId, vouchers) {
+    const settings = await this.getSettings(tenantId);
+    if (!settings.tariffId || vouchers.length === 0) {
+      return null;
+    }
+
+    const versions = await this.getVersions(settings.tariffId);
+    const months = [...new Set(vouchers.map(v => String(v.purchase_date).slice(0, 7)))];
+    const monthVouchers = [];
+    // D1 binds at most 100 parameters, so months are looked up 90 at a time
+    for (let i = 0; i < months.length; i += 90) {
+      const chunk = months.slice(i, i + 90);
+      const rows = await this.db.prepare(`
+        SELECT id, meter_id, purchase_date, rand_amount, kwh_amount
+        FROM vouchers
+        WHERE tenant_id = ? AND substr(purchase_date, 1, 7) IN (${chunk.map(() => '?').join(', ')})
+      `).bind(tenantId, ...chunk).all();
+      monthVouchers.push(...(rows.results || []));
+    }
+
+    const checks = this.check(monthVouchers, versions, settings.tolerancePercent);
+    return new Map(vouchers.filter(v => checks.has(v.id)).map(v => [v.id, checks.get(v.id)]));
+  }
+}
+
+export default TariffService;
@@ -0,0 +1,197 @@
+// Timeline Service - a meter's vouchers and readings in order with its
+// running balance. Each voucher adds its units to the balance; each reading
+// is compared with the balance expected from the previous reading and the
+// units loaded since. The difference is normally what was used, so a
+// reading is flagged when it is far more than usual (a token bought but
+// never loaded looks like this) or when credit went up by more than the
+// vouchers explain (a voucher that wasn't recorded).
+
+import ConsumptionService from './consumptionService.js';
+import ReadingValidationService from './readingValidationService.js';
+import readingTime from './readingTime.js';
+
+// A voucher is suspected of not being loaded when an unexplained loss is
+// within this share of its units
+const SUSPECT_VOUCHER_MARGIN = 0.25;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function clamp(value, min, max) {
+  if (min && value < min) return min;
+  if (max && value > max) return max;
+  return value;
+}
+
+class TimelineService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+    this.readingValidationService = new ReadingValidationService(db);
+  }
+
+  // One meter's events in order. Vouchers are placed between the readings
+  // the consumption engine loaded them between; ones from before the first
+  // reading are already in its balance, so they don't change the running
+  // balance.
+  meterEvents(group) {
+    const intervals = this.consumptionService.buildIntervals(group.readings, group.vouchers);
+    const readings = group.readings
+      .map(reading => ({ ...reading, at: readingTime.of(reading) }))
+      .sort((a, b) => String(a.at).localeCompare(String(b.at)) || a.id - b.id);
+    const vouchers = new Map(group.vouchers.map(voucher => [voucher.id, voucher]));
+    const spikes = new Map(this.readingValidationService.spikes(intervals).map(spike => [spike.readingId, spike]));
+
+    // sortAt keeps a voucher inside the readings it was loaded between, and
+    // never before the event placed ahead of it, when meters are merged
+    const events = [];
+    const voucherEvent = (voucher, position, balanceKwh, [after, before] = []) => {
+      const at = readingTime.parse(voucher.purchase_date)?.readingAt || null;
+      const previous = events.length > 0 ? events[events.length - 1].sortAt : '';
+      const sortAt = clamp(at, after, before) || after || before || '';
+      events.push({
+        type: 'voucher',
+        id: voucher.id,
+        meterId: group.meterId,
+        at,
+        sortAt: sortAt < previous ? previous : sortAt,
+        date: voucher.purchase_date,
+        kwh: round(voucher.kwh_amount),
+        randAmount: round(voucher.rand_amount),
+        position,
+        balanceKwh: balanceKwh === null ? null : round(balanceKwh)
+      });
+    };
+
+    const placed = new Set(intervals.flatMap(interval => interval.voucherIds));
+    const first = readings[0];
+    const last = readings[readings.length - 1];
+    const lastDay = last ? readingTime.localDate(last.at) : null;
+    const leftOver = group.vouchers.filter(voucher => !placed.has(voucher.id));
+    const pending = leftOver.filter(voucher => !last || String(voucher.purchase_date).slice(0, 10) > lastDay);
+
+    for (const voucher of leftOver.filter(v => !pending.includes(v))) {
+      voucherEvent(voucher, 'before_first_reading', null, [null, first.at]);
+    }
+
+    if (first) {
+      events.push(this.readingEvent(group.meterId, first, null, null));
+    }
+    for (const interval of intervals) {
+      let balance = interval.startReading;
+      for (const voucherId of interval.voucherIds) {
+        const voucher = vouchers.get(voucherId);
+        balance += Number(voucher.kwh_amount) || 0;
+        voucherEvent(voucher, 'between_readings', balance, [interval.startAt, interval.endAt]);
+      }
+      const reading = readings.find(r => r.id === interval.endReadingId);
+      events.push(this.readingEvent(group.meterId, reading, interval, spikes.get(reading.id), vouchers));
+    }
+
+    let balance = last ? Number(last.reading_value) : null;
+    for (const voucher of pending) {
+      if (balance !== null) {
+        balance += Number(voucher.kwh_amount) || 0;
+      }
+      voucherEvent(voucher, 'after_last_reading', balance, [last?.at || null, null]);
+    }
+
+    return events;
+  }
+
+  // A reading with the balance expected from the one before it. spike is the
+  // usage_spike warning for it, if any.
+  readingEvent(meterId, reading, interval, spike, vouchers = new Map()) {
+    const event = {
+      type: 'reading',
+      id: reading.id,
+      meterId,
+      at: reading.at,
+      sortAt: reading.at,
+      previousKwh: null,
+      loadedKwh: null,
+      expectedKwh: null,
+      actualKwh: round(reading.reading_value),
+      discrepancyKwh: null,
+      usedKwh: null,
+      unexplainedKwh: null,
+      flag: null,
+      message: null,
+      suspectVoucherIds: [],
+      balanceKwh: round(reading.reading_value)
+    };
+    if (!interval) {
+      return event;
+    }
+
+    const expected = interval.startReading + interval.loadedKwh;
+    Object.assign(event, {
+      previousKwh: interval.startReading,
+      loadedKwh: interval.loadedKwh,
+      expectedKwh: round(expected),
+      discrepancyKwh: round(interval.endReading - expected),
+      usedKwh: interval.flag ? null : interval.consumedKwh
+    });
+
+    if (interval.flag === 'unexplained_increase') {
+      event.flag = 'unexplained_increase';
+      event.unexplainedKwh = round(interval.endReading - expected);
+      event.message = `${event.unexplainedKwh} kWh more credit than the last reading and vouchers explain - is a voucher missing?`;
+    } else if (spike) {
+      const usualKwh = spike.usualDailyKwh * interval.hours / 24;
+      const unexplained = interval.consumedKwh - usualKwh;
+      const suspects = interval.voucherIds
+        .map(id => vouchers.get(id))
+        .filter(voucher => Math.abs(Number(voucher.kwh_amount) - unexplained) <= Number(voucher.kwh_amount) * SUSPECT_VOUCHER_MARGIN);
+      event.flag = 'unexplained_loss';
+      event.unexplainedKwh = round(unexplained);
+      event.suspectVoucherIds = suspects.map(voucher => voucher.id);
+      event.message = `About ${event.unexplainedKwh} kWh more went than this meter usually uses` + (suspects.length > 0
+        ? ` - was the ${round(suspects[0].kwh_amount)} kWh token bought on ${String(suspects[0].purchase_date).slice(0, 10)} loaded?`
+        : '');
+    }
+    return event;
+  }
+
+  // Every meter's events merged in time order, oldest first. Balances are
+  // worked out over all of history; from/to (YYYY-MM-DD, South African
+  // days) only pick the events returned. meterId picks one meter (null for
+  // rows without one); leave it undefined for all of them.
+  build(readings, vouchers, { from = null, to = null, meterId } = {}) {
+    const inRange = (event) => {
+      const day = event.type === 'reading' ? readingTime.localDate(event.at) : String(event.date).slice(0, 10);
+      return (!from || day >= from) && (!to || day <= to);
+    };
+
+    const events = this.consumptionService.groupByMeter(readings, vouchers)
+      .filter(group => meterId === undefined || group.meterId === meterId)
+      .flatMap((group, meterIndex) => this.meterEvents(group).map((event, index) => ({ event, meterIndex, index })))
+      .sort((a, b) => String(a.event.sortAt).localeCompare(String(b.event.sortAt)) || a.meterIndex - b.meterIndex || a.index - b.index)
+      .map(({ event: { sortAt, ...event } }) => event)
+      .filter(inRange);
+
+    const sum = (list, key) => round(list.reduce((total, event) => total + (event[key] || 0), 0));
+    const readingEvents = events.filter(event => event.type === 'reading');
+    return {
+      events,
+      summary: {
+        vouchers: events.length - readingEvents.length,
+        readings: readingEvents.length,
+        loadedKwh: sum(events.filter(event => event.type === 'voucher'), 'kwh'),
+        usedKwh: sum(readingEvents, 'usedKwh'),
+        unexplainedLossKwh: sum(readingEvents.filter(event => event.flag === 'unexplained_loss'), 'unexplainedKwh'),
+        unexplainedIncreaseKwh: sum(readingEvents.filter(event => event.flag === 'unexplained_increase'), 'unexplainedKwh'),
+        flaggedReadings: readingEvents.filter(event => event.flag).length
+      }
+    };
+  }
+
+  async getTenantTimeline(tenantId, options = {}) {
+    const { readings, vouchers } = await this.consumptionService.loadTenantRows(tenantId);
+    return this.build(readings, vouchers, options);
+  }
+}
+
+export default TimelineService;
@@ -0,0 +1,339 @@
+// Transaction Service - a household's vouchers and readings as one list for
+// the history page, a page at a time. Rows are ordered by a sort value and
+// then type and id, and the cursor is the last row's place in that order,
+// so rows added or deleted while paging don't shift later pages.
+
+const SORTS = {
+  date_desc: { column: 'sort_date', direction: 'DESC' },
+  date_asc: { column: 'sort_date', direction: 'ASC' },
+  amount_desc: { column: 'amount', direction: 'DESC' },
+  amount_asc: { column: 'amount', direction: 'ASC' }
+};
+
+const TYPES = ['voucher', 'reading'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+// Ids looked up per query; D1 binds at most 100 parameters
+const ID_CHUNK = 90;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function isDate(value) {
+  return DATE.test(value) && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function lastDayOfMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+}
+
+function given(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+class TransactionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Parse the history page's query string. Returns the options for page()
+  // or { error }. month (YYYY-MM) is a shortcut for from/to; amounts are a
+  // voucher's Rand amount, so an amount filter or sort leaves readings out.
+  parseQuery(query = {}) {
+    const options = { limit: DEFAULT_LIMIT, sort: 'date_desc', from: null, to: null, type: null, minAmount: null, maxAmount: null, userId: null, cursor: null };
+
+    if (given(query.limit)) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+      }
+      options.limit = limit;
+    }
+
+    if (given(query.sort)) {
+      if (!SORTS[query.sort]) {
+        return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+      }
+      options.sort = query.sort;
+    }
+
+    if (given(query.month)) {
+      if (given(query.from) || given(query.to)) {
+        return { error: 'Use month or from/to, not both' };
+      }
+      if (!MONTH.test(query.month)) {
+        return { error: 'month must be YYYY-MM' };
+      }
+      options.from = `${query.month}-01`;
+      options.to = lastDayOfMonth(query.month);
+    }
+    for (const key of ['from', 'to']) {
+      if (given(query[key])) {
+        if (!isDate(query[key])) {
+          return { error: `${key} must be YYYY-MM-DD` };
+        }
+        options[key] = query[key];
+      }
+    }
+    if (options.from && options.to && options.from > options.to) {
+      return { error: "from can't be after to" };
+    }
+
+    if (given(query.type)) {
+      if (!TYPES.includes(query.type)) {
+        return { error: 'type must be voucher or reading' };
+      }
+      options.type = query.type;
+    }
+
+    for (const [key, option] of [['min_amount', 'minAmount'], ['max_amount', 'maxAmount']]) {
+      if (given(query[key])) {
+        const amount = Number(query[key]);
+        if (!Number.isFinite(amount) || amount < 0) {
+          return { error: `${key} must be a number of 0 or more` };
+        }
+        options[option] = amount;
+      }
+    }
+    if (options.minAmount !== null && options.maxAmount !== null && options.minAmount > options.maxAmount) {
+      return { error: "min_amount can't be more than max_amount" };
+    }
+
+    if (given(query.user_id)) {
+      const userId = Number(query.user_id);
+      if (!Number.isInteger(userId) || userId < 1) {
+        return { error: 'user_id must be a user id' };
+      }
+      options.userId = userId;
+    }
+
+    if (given(query.cursor)) {
+      const cursor = this.decodeCursor(query.cursor);
+      if (!cursor || cursor.sort !== options.sort) {
+        return { error: 'cursor is not valid for this sort' };
+      }
+      options.cursor = cursor;
+    }
+
+    return options;
+  }
+
+  encodeCursor(sort, row) {
+    return btoa(JSON.stringify([sort, row.sort_value, row.type, row.id]));
+  }
+
+  // { sort, value, type, id } or null when the cursor wasn't made by
+  // encodeCursor
+  decodeCursor(text) {
+    try {
+      const [sort, value, type, id] = JSON.parse(atob(text));
+      const validValue = typeof value === 'string' || typeof value === 'number';
+      if (!SORTS[sort] || !validValue || !TYPES.includes(type) || !Number.isInteger(id)) {
+        return null;
+      }
+      return { sort, value, type, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The vouchers and readings matching the options, as one subquery with
+  // type, id, sort_date (South African wall-clock time, so both sort
+  // together), amount and kwh. Every value is a bound parameter.
+  // meterFilter is a parsed MeterService filter.
+  filteredRows(tenantId, options, meterFilter = null) {
+    const amountFiltered = options.minAmount !== null || options.maxAmount !== null || SORTS[options.sort].column === 'amount';
+    const branches = [];
+    const params = [];
+
+    const common = (dateColumn, dateTo) => {
+      const conditions = ['tenant_id = ?'];
+      const values = [tenantId];
+      if (options.from) {
+        conditions.push(`${dateColumn} >= ?`);
+        values.push(options.from);
+      }
+      if (options.to) {
+        conditions.push(dateTo);
+        values.push(dateColumn === 'purchase_date' ? nextDay(options.to) : options.to);
+      }
+      if (options.userId !== null) {
+        conditions.push('user_id = ?');
+        values.push(options.userId);
+      }
+      if (meterFilter) {
+        conditions.push(meterFilter.meterId === null ? 'meter_id IS NULL' : 'meter_id = ?');
+        if (meterFilter.meterId !== null) {
+          values.push(meterFilter.meterId);
+        }
+      }
+      return { conditions, values };
+    };
+
+    if (options.type !== 'reading') {
+      // purchase_date is the wall-clock time it was bought, with or without
+      // a time, so the day range compares it as text
+      const { conditions, values } = common('purchase_date', 'purchase_date < ?');
+      if (options.minAmount !== null) {
+        conditions.push('rand_amount >= ?');
+        values.push(options.minAmount);
+      }
+      if (options.maxAmount !== null) {
+        conditions.push('rand_amount <= ?');
+        values.push(options.maxAmount);
+      }
+      branches.push(`
+        SELECT 'voucher' as type, id,
+          COALESCE(strftime('%Y-%m-%dT%H:%M:%S', purchase_date), purchase_date) as sort_date,
+          rand_amount as amount, kwh_amount as kwh
+        FROM vouchers
+        WHERE ${conditions.join(' AND ')}
+      `);
+      params.push(...values);
+    }
+
+    if (options.type !== 'voucher' && !amountFiltered) {
+      const { conditions, values } = common('reading_date', 'reading_date <= ?');
+      branches.push(`
+        SELECT 'reading' as type, id,
+          strftime('%Y-%m-%dT%H:%M:%S', reading_at, '+2 hours') as sort_date,
+          NULL as amount, NULL as kwh
+        FROM readings
+        WHERE ${conditions.join(' AND ')}
+      `);
+      params.push(...values);
+    }
+
+    return branches.length > 0
+      ? { sql: `(${branches.join(' UNION ALL ')})`, params }
+      : null;
+  }
+
+  // One page of a household's transactions: { rows, nextCursor }, where
+  // rows are { type, id, sort_value } in order and nextCursor is null on the
+  // last page
+  async page(tenantId, options, meterFilter = null) {
+    const rows = this.filteredRows(tenantId, options, meterFilter);
+    if (!rows) {
+      return { rows: [], nextCursor: null };
+    }
+
+    const { column, direction } = SORTS[options.sort];
+    const params = [...rows.params];
+    let after = '';
+    if (options.cursor) {
+      after = `WHERE (${column}, type, id) ${direction === 'DESC' ? '<' : '>'} (?, ?, ?)`;
+      params.push(options.cursor.value, options.cursor.type, options.cursor.id);
+    }
+
+    const result = await this.db.prepare(`
+      SELECT type, id, ${column} as sort_value
+      FROM ${rows.sql}
+      ${after}
+      ORDER BY ${column} ${direction}, type ${direction}, id ${direction}
+      LIMIT ?
+    `).bind(...params, options.limit + 1).all();
+
+    const page = (result.results || []).slice(0, options.limit);
+    const hasMore = (result.results || []).length > options.limit;
+    return {
+      rows: page,
+      nextCursor: hasMore ? this.encodeCursor(options.sort, page[page.length - 1]) : null
+    };
+  }
+
+  // Counts and voucher totals for everything the filters match, not just
+  // one page
+  async totals(tenantId, options, meterFilter = null) {
+    const totals = { vouchers: 0, readings: 0, randAmount: 0, kwhAmount: 0 };
+    const rows = this.filteredRows(tenantId, options, meterFilter);
+    if (!rows) {
+      return totals;
+    }
+
+    const result = await this.db.prepare(`
+      SELECT type, COUNT(*) as count, COALESCE(SUM(amount), 0) as rand_amount, COALESCE(SUM(kwh), 0) as kwh_amount
+      FROM ${rows.sql}
+      GROUP BY type
+    `).bind(...rows.params).all();
+
+    for (const row of result.results || []) {
+      if (row.type === 'voucher') {
+        totals.vouchers = row.count;
+        totals.randAmount = Math.round(row.rand_amount * 100) / 100;
+        totals.kwhAmount = Math.round(row.kwh_amount * 100) / 100;
+      } else {
+        totals.readings = row.count;
+      }
+    }
+    return totals;
+  }
+
+  // The history page's columns for the vouchers and readings on a page,
+  // in the page's order
+  async details(tenantId, rows) {
+    const select = async (type, sql) => {
+      const ids = rows.filter(row => row.type === type).map(row => row.id);
+      const results = [];
+      for (let i = 0; i < ids.length; i += ID_CHUNK) {
+        const chunk = ids.slice(i, i + ID_CHUNK);
+        const found = await this.db.prepare(`${sql} AND id IN (${chunk.map(() => '?').join(', ')})`)
+          .bind(tenantId, ...chunk).all();
+        results.push(...(found.results || []));
+      }
+      return results;
+    };
+
+    const vouchers = await select('voucher', `
+      SELECT
+        'voucher' as type,
+        id,
+        user_id,
+        token_number,
+        purchase_date,
+        purchase_date as date,
+        rand_amount,
+        kwh_amount,
+        vat_amount,
+        notes,
+        meter_id,
+        (SELECT label FROM meters m WHERE m.id = vouchers.meter_id) as meter_label,
+        (SELECT COUNT(*) FROM revisions r WHERE r.entity_type = 'voucher' AND r.entity_id = vouchers.id) as revision_count,
+        (SELECT s.method FROM voucher_splits s WHERE s.voucher_id = vouchers.id LIMIT 1) as split_method,
+        (SELECT COUNT(*) FROM voucher_splits s WHERE s.voucher_id = vouchers.id) as split_count,
+        (SELECT COUNT(*) FROM attachments a WHERE a.entity_type = 'voucher' AND a.entity_id = vouchers.id) as attachment_count
+      FROM vouchers
+      WHERE tenant_id = ?
+    `);
+
+    const readings = await select('reading', `
+      SELECT
+        'reading' as type,
+        id,
+        user_id,
+        reading_value,
+        reading_at,
+        reading_date,
+        reading_at as date,
+        notes,
+        meter_id,
+        (SELECT label FROM meters m WHERE m.id = readings.meter_id) as meter_label,
+        (SELECT COUNT(*) FROM revisions r WHERE r.entity_type = 'reading' AND r.entity_id = readings.id) as revision_count,
+        (SELECT COUNT(*) FROM attachments a WHERE a.entity_type = 'reading' AND a.entity_id = readings.id) as attachment_count
+      FROM readings
+      WHERE tenant_id = ?
+    `);
+
+    const byKey = new Map([...vouchers, ...readings].map(row => [`${row.type}:${row.id}`, row]));
+    return rows.map(row => byKey.get(`${row.type}:${row.id}`)).filter(Boolean);
+  }
+}
+
+export default TransactionService;
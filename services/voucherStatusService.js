@@ -0,0 +1,184 @@
+// Voucher Status Service - whether a bought token made it onto the meter.
+// A voucher is purchased until it is loaded, and verified once a reading
+// shows its units arrive. A new reading can verify pending vouchers by
+// itself: credit rises by their units, less what the meter used meanwhile.
+
+import ConsumptionService from './consumptionService.js';
+import readingTime from './readingTime.js';
+
+const STATUSES = ['purchased', 'loaded', 'verified'];
+
+// A jump matches vouchers when the credit that arrived is within this share
+// of their units or MIN_MATCH_KWH, whichever is more. What the meter used
+// since the last reading is only an estimate, so half of it is allowed too.
+const MATCH_SHARE = 0.1;
+const MIN_MATCH_KWH = 2;
+// The most recent pending vouchers tried together, 2^8 combinations at most
+const MAX_CANDIDATES = 8;
+// The most tokens the dashboard lists as not loaded yet
+const MAX_UNLOADED = 20;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+}
+
+class VoucherStatusService {
+  constructor(db) {
+    this.db = db;
+    this.consumptionService = new ConsumptionService(db);
+  }
+
+  get statuses() {
+    return STATUSES;
+  }
+
+  // Check a status set by hand. Only purchased and loaded can be; verified
+  // takes a reading. loaded_at defaults to now. Returns { status, loadedAt }
+  // or { error }.
+  parseStatusChange({ status, loaded_at } = {}, now = readingTime.now()) {
+    if (status === 'verified') {
+      return { error: 'A voucher is verified by saving a reading that shows its units' };
+    }
+    if (!['purchased', 'loaded'].includes(status)) {
+      return { error: 'status must be purchased or loaded' };
+    }
+    if (status === 'purchased' || !loaded_at) {
+      return { status, loadedAt: status === 'loaded' ? now : null };
+    }
+
+    const time = readingTime.parse(loaded_at, now);
+    if (!time) {
+      return { error: 'loaded_at must be YYYY-MM-DD, optionally with a time' };
+    }
+    if (time.readingAt > now) {
+      return { error: 'loaded_at cannot be in the future' };
+    }
+    return { status, loadedAt: time.readingAt };
+  }
+
+  // Tokens bought but not loaded yet, oldest first and at most
+  // MAX_UNLOADED of them. meterClause comes from MeterService.filterClause.
+  async unloaded(tenantId, meterClause = '', meterParams = []) {
+    const rows = await this.db.prepare(`
+      SELECT id, meter_id, token_number, purchase_date, rand_amount, kwh_amount
+      FROM vouchers
+      WHERE tenant_id = ? AND status = 'purchased' ${meterClause}
+      ORDER BY purchase_date ASC, id ASC
+      LIMIT ?
+    `).bind(tenantId, ...meterParams, MAX_UNLOADED).all();
+
+    return rows.results || [];
+  }
+
+  // The pending vouchers a reading that isn't saved yet shows were loaded:
+  // the combination whose units best explain how far credit rose since the
+  // meter's previous reading, once its usual usage over that time is added
+  // back. A voucher loaded by hand before the previous reading is already
+  // in it. Empty when nothing matches.
+  matchJump(candidate, readings, vouchers) {
+    const group = this.consumptionService.groupByMeter([...readings, candidate], vouchers)
+      .find(g => g.readings.includes(candidate));
+    const at = readingTime.of(candidate);
+    const previous = group.readings
+      .filter(reading => reading !== candidate && readingTime.of(reading) < at)
+      .sort((a, b) => readingTime.of(a).localeCompare(readingTime.of(b)) || a.id - b.id)
+      .pop();
+    if (!previous || !at) {
+      return [];
+    }
+
+    const previousAt = readingTime.of(previous);
+    const day = readingTime.localDate(at);
+    const notLoaded = group.vouchers
+      .filter(voucher => voucher.status === 'purchased' || (voucher.status === 'loaded' && voucher.loaded_at > previousAt));
+    const pending = notLoaded
+      .filter(voucher => String(voucher.purchase_date).slice(0, 10) <= day)
+      .sort((a, b) => String(a.purchase_date).localeCompare(String(b.purchase_date)) || a.id - b.id)
+      .slice(-MAX_CANDIDATES);
+    if (pending.length === 0) {
+      return [];
+    }
+
+    // Usual usage from the meter's history, with the vouchers in it so far
+    const intervals = this.consumptionService
+      .buildIntervals(group.readings.filter(reading => reading !== candidate), group.vouchers.filter(voucher => !notLoaded.includes(voucher)))
+      .filter(interval => !interval.flag && interval.hours > 0);
+    const hours = intervals.reduce((sum, interval) => sum + interval.hours, 0);
+    const hourlyKwh = hours > 0 ? intervals.reduce((sum, interval) => sum + interval.consumedKwh, 0) / hours : 0;
+    const usedKwh = hourlyKwh * readingTime.hoursBetween(previousAt, at);
+    const arrivedKwh = Number(candidate.reading_value) - Number(previous.reading_value) + usedKwh;
+
+    let best = null;
+    for (let mask = 1; mask < 1 << pending.length; mask++) {
+      const chosen = pending.filter((voucher, index) => mask & (1 << index));
+      const kwh = chosen.reduce((sum, voucher) => sum + (Number(voucher.kwh_amount) || 0), 0);
+      const gap = Math.abs(kwh - arrivedKwh);
+      if (gap > Math.max(MIN_MATCH_KWH, kwh * MATCH_SHARE, usedKwh / 2)) {
+        continue;
+      }
+      if (!best || gap < best.gap || (gap === best.gap && chosen.length < best.chosen.length)) {
+        best = { chosen, gap };
+      }
+    }
+
+    return best ? best.chosen : [];
+  }
+
+  // Load a household's rows and match a reading that isn't saved yet
+  async matchReading(tenantId, candidate) {
+    const { readings, vouchers } = await this.consumptionService.loadTenantRows(tenantId);
+    return this.matchJump(candidate, readings, vouchers);
+  }
+
+  // Mark vouchers verified by a reading. Ones loaded by hand keep their
+  // time; the rest were loaded by the time of the reading. The reading is
+  // looked up by its user, meter and time, so this can run in the same
+  // batch as the statement that inserts it.
+  verifyStatement(tenantId, voucherIds, { userId, meterId, readingAt }) {
+    return this.db.prepare(`
+      UPDATE vouchers
+      SET status = 'verified', loaded_at = COALESCE(loaded_at, ?), updated_at = datetime('now'),
+        loaded_reading_id = (
+          SELECT id FROM readings
+          WHERE user_id = ? AND COALESCE(meter_id, 0) = COALESCE(?, 0) AND reading_at = ?
+        )
+      WHERE tenant_id = ? AND id IN (${voucherIds.map(() => '?').join(', ')})
+    `).bind(readingAt, userId, meterId, readingAt, tenantId, ...voucherIds);
+  }
+
+  // Status for a token saved after the fact, by import rather than as it
+  // was bought: loaded when the meter has been read since the day it was
+  // bought, as the voucher status migration did for existing tokens. A
+  // value for an INSERT, with params to bind in its place.
+  importedStatus(tenantId, meterId, purchaseDate) {
+    return {
+      clause: `CASE WHEN EXISTS (
+        SELECT 1 FROM readings r
+        WHERE r.tenant_id = ?
+          AND (r.meter_id IS ? OR r.meter_id IS NULL OR ? IS NULL)
+          AND r.reading_date >= substr(?, 1, 10)
+      ) THEN 'loaded' ELSE 'purchased' END`,
+      params: [tenantId, meterId, meterId, purchaseDate]
+    };
+  }
+
+  statusStatement(tenantId, voucherId, { status, loadedAt }) {
+    return this.db.prepare(`
+      UPDATE vouchers
+      SET status = ?, loaded_at = ?, loaded_reading_id = NULL, updated_at = datetime('now')
+      WHERE id = ? AND tenant_id = ?
+    `).bind(status, loadedAt, voucherId, tenantId);
+  }
+
+  // What the reading response says about vouchers it verified
+  summarise(vouchers) {
+    return vouchers.map(voucher => ({
+      id: voucher.id,
+      token_number: voucher.token_number,
+      kwh_amount: round(voucher.kwh_amount)
+    }));
+  }
+}
+
+export default VoucherStatusService;
@@ -0,0 +1,103 @@
+const { test, expect } = require('@playwright/test');
+const ApplianceService = require('../services/applianceService.js').default;
+
+const appliance = (id, name, category, watts, hours_per_day, { quantity = 1, season = 'all' } = {}) =>
+  ({ id, name, category, watts, quantity, hours_per_day, season });
+
+const appliances = [
+  appliance(1, 'Geyser', 'geyser', 3000, 4),
+  appliance(2, 'Fridge', 'kitchen', 150, 10),
+  appliance(3, 'Bulbs', 'lighting', 60, 5, { quantity: 6 }),
+  appliance(4, 'Oil heater', 'heating', 2000, 3, { season: 'winter' })
+];
+
+test.describe('Appliances', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new ApplianceService(null);
+  });
+
+  test('checks an appliance', () => {
+    const valid = service.fromRequest({ name: ' Geyser ', category: 'geyser', watts: '3000', hours_per_day: '4' });
+    expect(valid).toEqual({ name: 'Geyser', category: 'geyser', watts: 3000, quantity: 1, hoursPerDay: 4, season: 'all' });
+    expect(service.validate(valid)).toBeNull();
+
+    expect(service.validate({ ...valid, name: '' })).toContain('Name is required');
+    expect(service.validate({ ...valid, category: 'sauna' })).toContain('Category must be one of');
+    expect(service.validate({ ...valid, watts: 0 })).toBe('Watts must be greater than 0');
+    expect(service.validate({ ...valid, watts: 3000000 })).toContain('is the rating in kW?');
+    expect(service.validate({ ...valid, quantity: 1.5 })).toBe('Quantity must be a whole number from 1 to 100');
+    expect(service.validate({ ...valid, hoursPerDay: 25 })).toBe('Hours per day must be from 0 to 24');
+    expect(service.validate({ ...valid, hoursPerDay: undefined })).toBe('Hours per day must be from 0 to 24');
+    expect(service.validate({ ...valid, season: 'spring' })).toBe('Season must be one of all, summer, winter');
+  });
+
+  test('only counts seasonal appliances in their half of the year', () => {
+    const heater = appliances[3];
+    expect(service.inSeason(heater, '2025-07')).toBeTruthy();
+    expect(service.inSeason(heater, '2025-12')).toBeFalsy();
+    expect(service.inSeason({ ...heater, season: 'summer' }, '2025-01')).toBeTruthy();
+  });
+
+  test('leaves usage the list does not explain unaccounted', () => {
+    // 30 days in December: geyser 360, fridge 45, bulbs 54 kWh; no heater
+    const estimate = service.estimate(appliances, { month: '2025-12', days: 30, measuredKwh: 600, avgCostPerKwh: 3 });
+
+    expect(estimate).toMatchObject({ modelledKwh: 459, scale: 1, coveragePercent: 76.5, unaccountedKwh: 141 });
+    expect(estimate.appliances.map(a => [a.name, a.estimatedKwh, a.sharePercent])).toEqual([
+      ['Geyser', 360, 60],
+      ['Bulbs', 54, 9],
+      ['Fridge', 45, 7.5],
+      ['Oil heater', 0, 0]
+    ]);
+    expect(estimate.appliances[0].estimatedCost).toBe(1080);
+    expect(estimate.appliances[3].inSeason).toBeFalsy();
+  });
+
+  test('scales a list that adds up to more than was used', () => {
+    // July adds the heater's 180 kWh: 639 modelled against 426 measured
+    const estimate = service.estimate(appliances, { month: '2025-07', days: 30, measuredKwh: 426 });
+
+    expect(estimate).toMatchObject({ modelledKwh: 639, scale: 0.667, coveragePercent: 100, unaccountedKwh: 0 });
+    expect(estimate.appliances[0]).toMatchObject({ name: 'Geyser', modelledKwh: 360, estimatedKwh: 240 });
+    expect(estimate.appliances.reduce((sum, a) => sum + a.estimatedKwh, 0)).toBeCloseTo(426, 1);
+  });
+
+  test('works out what changes save in a month', () => {
+    const price = (kwh) => Math.round(kwh * 3 * 100) / 100;
+    const context = { month: '2025-12', scale: 1, price };
+
+    // December has 31 days
+    const [timer, missing, bad] = service.whatIf(appliances, [
+      { id: 1, hoursPerDay: 3 },
+      { id: 9, hoursPerDay: 1 },
+      { id: 2, hoursPerDay: 30 }
+    ], context);
+    expect(timer).toMatchObject({ id: 1, hoursPerDay: 3, savedKwh: 93, savedRand: 279 });
+    expect(missing.error).toBe('Appliance not found');
+    expect(bad.error).toBe('Hours per day must be from 0 to 24');
+
+    // A seasonal appliance is worked out for a month it is on
+    expect(service.whatIf(appliances, [{ id: 4, hoursPerDay: 2 }], context)[0].savedKwh).toBe(62);
+
+    const suggestions = service.suggestions(appliances, context);
+    expect(suggestions.map(s => [s.title, s.savedKwh])).toEqual([
+      ['Put the geyser on a timer', 93],
+      ['Heat for an hour less a day', 62],
+      ['Swap to LED bulbs', 46.5]
+    ]);
+  });
+
+  test('estimates the latest month with enough measured days', () => {
+    const monthly = [
+      { month: '2025-10', kwh: 400, days: 31 },
+      { month: '2025-11', kwh: 380, days: 30 },
+      { month: '2025-12', kwh: 60, days: 4 }
+    ];
+
+    expect(service.referenceMonth(monthly).month).toBe('2025-11');
+    expect(service.referenceMonth(monthly, '2025-10')).toMatchObject({ kwh: 400, days: 31 });
+    expect(service.referenceMonth(monthly, '2025-06')).toEqual({ month: '2025-06', days: 30, kwh: null });
+  });
+});
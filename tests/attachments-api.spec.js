@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const { TestHelpers } = require('./utils/test-helpers');
+const { ApiHelpers } = require('./utils/api-helpers');
+
+const REQUIRED_REG_KEY = process.env.TEST_REGISTRATION_KEY;
+
+if (!REQUIRED_REG_KEY) {
+  console.warn('[attachments-api.spec] TEST_REGISTRATION_KEY is not set. These tests will be skipped.');
+}
+
+// The smallest PNG: one transparent pixel
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+const photo = { name: 'meter.png', mimeType: 'image/png', buffer: PNG };
+
+test.describe('Photo Attachments API', () => {
+  let apiHelpers;
+  let token;
+  let readingId;
+
+  test.beforeEach(async () => {
+    test.skip(!REQUIRED_REG_KEY, 'TEST_REGISTRATION_KEY is required to create a test user');
+
+    const testHelpers = new TestHelpers();
+    apiHelpers = new ApiHelpers();
+    const registration = await apiHelpers.registerTestUser(
+      testHelpers.generateTestEmail('attachments'),
+      testHelpers.generateTestPassword(),
+      REQUIRED_REG_KEY
+    );
+    token = registration.token;
+    readingId = (await apiHelpers.createReading(token, { reading_value: 500, reading_date: '2025-10-01' })).body.id;
+  });
+
+  test.afterEach(async () => {
+    await apiHelpers?.cleanupTestData();
+  });
+
+  test('uploads, lists, serves and deletes a photo of a reading', async () => {
+    const { response, body } = await apiHelpers.uploadAttachment(token, 'reading', readingId, photo);
+    expect(response.ok()).toBeTruthy();
+    expect(body.attachment).toMatchObject({ entity_type: 'reading', entity_id: readingId, content_type: 'image/png', size: PNG.length });
+
+    const { body: listed } = await apiHelpers.listAttachments(token, 'reading', readingId);
+    expect(listed.attachments.map(a => a.id)).toEqual([body.attachment.id]);
+    expect(listed.attachments[0]).not.toHaveProperty('object_key');
+
+    const served = await apiHelpers.downloadAttachment(token, body.attachment.id);
+    expect(served.response.headers()['content-type']).toBe('image/png');
+    expect(Buffer.compare(served.bytes, PNG)).toBe(0);
+
+    expect((await apiHelpers.deleteAttachment(token, body.attachment.id)).response.ok()).toBeTruthy();
+    expect((await apiHelpers.listAttachments(token, 'reading', readingId)).body.attachments).toEqual([]);
+    expect((await apiHelpers.deleteAttachment(token, body.attachment.id)).response.status()).toBe(404);
+  });
+
+  test('rejects files that are not photos', async () => {
+    const { response, body } = await apiHelpers.uploadAttachment(token, 'reading', readingId, {
+      name: 'notes.txt',
+      mimeType: 'image/png',
+      buffer: Buffer.from('not a photo')
+    });
+    expect(response.status()).toBe(400);
+    expect(body.error).toBeTruthy();
+  });
+
+  test('only attaches to entries in the household', async () => {
+    const missing = await apiHelpers.uploadAttachment(token, 'voucher', readingId + 1000, photo);
+    expect(missing.response.status()).toBe(404);
+
+    const badType = await apiHelpers.listAttachments(token, 'meter', readingId);
+    expect(badType.response.status()).toBe(400);
+  });
+
+  test('takes a reading\'s photos with it when it is deleted', async () => {
+    const { body } = await apiHelpers.uploadAttachment(token, 'reading', readingId, photo);
+
+    expect((await apiHelpers.deleteReading(token, readingId)).response.ok()).toBeTruthy();
+
+    expect((await apiHelpers.listAttachments(token, 'reading', readingId)).body.attachments).toEqual([]);
+    const served = await apiHelpers.downloadAttachment(token, body.attachment.id);
+    expect(served.response.status()).toBe(404);
+  });
+});
@@ -0,0 +1,158 @@
+const { test, expect } = require('@playwright/test');
+const AttachmentService = require('../services/attachmentService.js').default;
+const { fakeDb } = require('./utils/fixtures');
+
+const JPEG = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+const PNG = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const WEBP = Uint8Array.from([0x52, 0x49, 0x46, 0x46, 0x24, 0x00, 0x00, 0x00, 0x57, 0x45, 0x42, 0x50]);
+
+function fakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    put: async (key, body, options) => { objects.set(key, { body, options }); },
+    get: async (key) => objects.get(key) || null,
+    delete: async (keys) => { [].concat(keys).forEach(key => objects.delete(key)); }
+  };
+}
+
+// COUNT queries answer with `count`; inserts fail when `failInsert` is set
+function attachmentsDb({ count = 0, failInsert = false } = {}) {
+  return fakeDb([{ count }], {
+    run: () => {
+      if (failInsert) {
+        throw new Error('D1_ERROR: no such table: attachments');
+      }
+      return { success: true, meta: { last_row_id: 7 } };
+    }
+  });
+}
+
+const fakeImages = {
+  input: () => ({
+    transform: (options) => ({
+      output: async () => ({
+        response: () => new Response(`thumb ${options.width}`),
+        contentType: () => 'image/webp'
+      })
+    })
+  })
+};
+
+test.describe('Photo Attachments', () => {
+  test('accepts JPEG, PNG and WebP by their contents', () => {
+    const service = new AttachmentService(null, fakeBucket());
+
+    for (const bytes of [JPEG, PNG, WEBP]) {
+      expect(service.validate(bytes)).toBeNull();
+    }
+
+    // A text file named .jpg is still a text file
+    expect(service.validate(new TextEncoder().encode('not really a photo'))).toBe('Photos must be JPEG, PNG or WebP images');
+    expect(service.validate(new Uint8Array(0))).toBe('The photo is empty');
+  });
+
+  test('rejects photos over 5 MB', () => {
+    const service = new AttachmentService(null, fakeBucket());
+    const large = new Uint8Array(5 * 1024 * 1024 + 1);
+    large.set(JPEG);
+
+    expect(service.validate(large)).toBe('Photos must be 5 MB or smaller');
+  });
+
+  test('needs a bucket to take uploads', () => {
+    expect(new AttachmentService(null, undefined).validate(JPEG)).toBe('Photo uploads are not set up on this server');
+  });
+
+  test('stores the photo and a thumbnail under the household', async () => {
+    const bucket = fakeBucket();
+    const db = attachmentsDb();
+    const service = new AttachmentService(db, bucket, fakeImages);
+
+    const result = await service.store(3, 'reading', 42, { bytes: JPEG, name: 'meter <1>.jpg' }, 5);
+
+    expect(result.attachment).toEqual({
+      id: 7,
+      entity_type: 'reading',
+      entity_id: 42,
+      content_type: 'image/jpeg',
+      size: JPEG.length,
+      file_name: 'meter _1_.jpg',
+      has_thumbnail: true
+    });
+
+    const [photoKey, thumbnailKey] = [...bucket.objects.keys()];
+    expect(photoKey).toMatch(/^tenants\/3\/readings\/42\/[0-9a-f-]{36}\.jpg$/);
+    expect(thumbnailKey).toBe(photoKey.replace('.jpg', '.thumb.webp'));
+    expect(bucket.objects.get(photoKey).options.httpMetadata.contentType).toBe('image/jpeg');
+    expect(bucket.objects.get(thumbnailKey).options.httpMetadata.contentType).toBe('image/webp');
+
+    const insert = db.calls.find(s => s.sql.includes('INSERT INTO attachments'));
+    expect(insert.params).toEqual([3, 'reading', 42, photoKey, thumbnailKey, 'image/jpeg', JPEG.length, 'meter _1_.jpg', 5]);
+  });
+
+  test('stores the photo alone without the Images binding', async () => {
+    const bucket = fakeBucket();
+    const result = await new AttachmentService(attachmentsDb(), bucket).store(3, 'voucher', 9, { bytes: PNG }, 5);
+
+    expect(result.attachment.has_thumbnail).toBe(false);
+    expect([...bucket.objects.keys()]).toEqual([expect.stringMatching(/^tenants\/3\/vouchers\/9\/.+\.png$/)]);
+  });
+
+  test('limits the photos on one entry', async () => {
+    const bucket = fakeBucket();
+    const result = await new AttachmentService(attachmentsDb({ count: 5 }), bucket).store(3, 'reading', 42, { bytes: JPEG }, 5);
+
+    expect(result.error).toBe('A reading can have at most 5 photos');
+    expect(bucket.objects.size).toBe(0);
+  });
+
+  test('removes the uploaded files when the row cannot be saved', async () => {
+    const bucket = fakeBucket();
+    const service = new AttachmentService(attachmentsDb({ failInsert: true }), bucket, fakeImages);
+
+    await expect(service.store(3, 'reading', 42, { bytes: JPEG }, 5)).rejects.toThrow('no such table');
+    expect(bucket.objects.size).toBe(0);
+  });
+
+  test('deletes the rows of an entry and then its files', async () => {
+    const bucket = fakeBucket();
+    const db = attachmentsDb();
+    const service = new AttachmentService(db, bucket);
+    await bucket.put('tenants/3/readings/42/a.jpg', JPEG);
+    await bucket.put('tenants/3/readings/42/a.thumb.webp', JPEG);
+    await bucket.put('tenants/3/readings/42/b.png', PNG);
+    await bucket.put('tenants/4/readings/1/c.jpg', JPEG);
+
+    const statement = service.deleteStatement(3, 'reading', 42);
+    expect(statement.sql).toContain('DELETE FROM attachments WHERE tenant_id = ? AND entity_type = ? AND entity_id = ?');
+    expect(statement.params).toEqual([3, 'reading', 42]);
+
+    await service.removeObjects([
+      { object_key: 'tenants/3/readings/42/a.jpg', thumbnail_key: 'tenants/3/readings/42/a.thumb.webp' },
+      { object_key: 'tenants/3/readings/42/b.png', thumbnail_key: null }
+    ]);
+    expect([...bucket.objects.keys()]).toEqual(['tenants/4/readings/1/c.jpg']);
+  });
+
+  test('lists every photo in a household for a restore that wipes it', async () => {
+    const db = fakeDb([{ id: 1, object_key: 'tenants/3/vouchers/9/a.jpg', thumbnail_key: null }]);
+    const attachments = await new AttachmentService(db, fakeBucket()).listTenant(3);
+
+    const [query] = db.calls;
+    expect(query.sql).toContain('FROM attachments WHERE tenant_id = ?');
+    expect(query.params).toEqual([3]);
+    expect(attachments).toEqual([{ id: 1, object_key: 'tenants/3/vouchers/9/a.jpg', thumbnail_key: null }]);
+  });
+
+  test('serves the thumbnail, or the photo when there is none', async () => {
+    const bucket = fakeBucket();
+    const service = new AttachmentService(null, bucket);
+    await bucket.put('photo.jpg', 'photo');
+    await bucket.put('photo.thumb.webp', 'thumb');
+
+    expect((await service.open({ object_key: 'photo.jpg', thumbnail_key: 'photo.thumb.webp' }, { thumbnail: true })).body).toBe('thumb');
+    expect((await service.open({ object_key: 'photo.jpg', thumbnail_key: null }, { thumbnail: true })).body).toBe('photo');
+    expect((await service.open({ object_key: 'photo.jpg', thumbnail_key: 'photo.thumb.webp' })).body).toBe('photo');
+  });
+});
@@ -0,0 +1,114 @@
+const { test, expect } = require('@playwright/test');
+const BackupService = require('../services/backupService.js').default;
+const { fakeDb } = require('./utils/fixtures');
+
+const backup = {
+  schema_version: 1,
+  export_date: '2025-09-10T08:00:00.000Z',
+  tenant: { id: 3, name: 'Home' },
+  meters: [{ id: 7, meter_number: '0900 0490 491', label: 'Main house', location: null, created_at: '2025-09-01 10:00:00' }],
+  vouchers: [
+    { id: 1, user_id: 5, tenant_id: 3, meter_id: 7, token_number: '1393-1590-8399-0790-1839', purchase_date: '2025-09-01', rand_amount: 86.96, kwh_amount: 29.7, vat_amount: 13.04, notes: null, created_at: '2025-09-01 10:05:00' }
+  ],
+  readings: [
+    { id: 4, user_id: 99, tenant_id: 3, meter_id: null, reading_value: 242.7, reading_date: '2025-09-08', notes: 'Evening', created_at: '2025-09-08 19:00:00' }
+  ],
+  summary: { total_vouchers: 1, total_readings: 1 }
+};
+
+test.describe('Backup Restore', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new BackupService(fakeDb());
+  });
+
+  test('accepts an export as written by /api/export/data', () => {
+    expect(service.validate(backup)).toEqual({ version: 1, errors: [], totalErrors: 0 });
+
+    // Exports from before versioning and meters are version 1
+    const { schema_version, meters, ...older } = backup;
+    expect(service.validate({ ...older, vouchers: [{ ...backup.vouchers[0], meter_id: null }] }).errors).toEqual([]);
+  });
+
+  test('version 2 readings need the time they were taken', () => {
+    const current = { ...backup, schema_version: 2 };
+    expect(service.validate(current).errors).toEqual(['readings[0].reading_at is required']);
+    expect(service.validate({ ...current, readings: [{ ...backup.readings[0], reading_at: '2025-09-08T17:00:00Z' }] }).errors).toEqual([]);
+  });
+
+  test('version 3 vouchers say whether the token was loaded', () => {
+    const readings = [{ ...backup.readings[0], reading_at: '2025-09-08T17:00:00Z' }];
+    const current = { ...backup, schema_version: 3, readings };
+    expect(service.validate(current).errors).toEqual(['vouchers[0].status is required']);
+    expect(service.validate({ ...current, vouchers: [{ ...backup.vouchers[0], status: 'lost' }] }).errors)
+      .toEqual(['vouchers[0].status must be one of purchased, loaded, verified']);
+
+    const vouchers = [
+      { ...backup.vouchers[0], status: 'verified', loaded_at: '2025-09-01T10:00:00Z' },
+      { ...backup.vouchers[0], token_number: '2694-7066-7222-3146-1137', status: 'purchased', loaded_at: null }
+    ];
+    expect(service.validate({ ...current, vouchers }).errors).toEqual([]);
+
+    // The reading that verified a token gets a new id, so it comes back loaded
+    const statements = service.restoreStatements({ ...current, vouchers }, { mode: 'merge', tenantId: 12, userId: 1, memberIds: [5] });
+    expect(statements[1].statement.params.slice(10, 12)).toEqual(['loaded', '2025-09-01T10:00:00Z']);
+    expect(statements[2].statement.params.slice(10, 12)).toEqual(['purchased', null]);
+    // Older backups have no statuses; their tokens are taken to be loaded
+    expect(service.restoreStatements(backup, { mode: 'merge', tenantId: 12, userId: 1, memberIds: [] })[1].statement.params[10]).toBe('loaded');
+  });
+
+  test('restores tokens in their canonical form', () => {
+    const spaced = { ...backup, vouchers: [{ ...backup.vouchers[0], token_number: '1393 1590 8399 0790 1839' }] };
+    const params = service.restoreStatements(spaced, { mode: 'merge', tenantId: 12, userId: 1, memberIds: [5] })[1].statement.params;
+    expect(params[4]).toBe('1393-1590-8399-0790-1839');
+    expect(params[params.length - 1]).toBe('1393-1590-8399-0790-1839');
+  });
+
+  test('rejects unknown schema versions', () => {
+    expect(service.validate({ ...backup, schema_version: 4 }).errors[0]).toContain('newer than this server supports');
+    expect(service.validate([]).errors).toHaveLength(1);
+  });
+
+  test('reports column problems by table and row', () => {
+    const result = service.validate({
+      ...backup,
+      vouchers: [{ ...backup.vouchers[0], rand_amount: 0, purchase_date: '01/09/2025' }],
+      readings: [{ ...backup.readings[0], meter_id: 8 }]
+    });
+
+    expect(result.errors).toEqual([
+      'vouchers[0].purchase_date must be a YYYY-MM-DD date',
+      'vouchers[0].rand_amount must be greater than 0'
+    ]);
+    expect(service.validate({ ...backup, readings: [{ ...backup.readings[0], meter_id: 8 }] }).errors)
+      .toEqual(["readings[0].meter_id 8 is not in the backup's meters"]);
+  });
+
+  test('merge keeps members, matches meters by number and skips existing rows', () => {
+    const statements = service.restoreStatements(backup, { mode: 'merge', tenantId: 12, userId: 1, memberIds: [5] });
+
+    expect(statements.map(s => s.table)).toEqual(['meters', 'vouchers', 'readings']);
+    expect(statements[0].statement.params.slice(0, 2)).toEqual([12, '09000490491']);
+    expect(statements[1].statement.params.slice(0, 4)).toEqual([5, 12, 12, '09000490491']);
+    expect(statements[1].statement.sql).toContain('WHERE NOT EXISTS');
+    // user 99 is not in the household, so the reading goes to the user restoring
+    expect(statements[2].statement.params.slice(0, 4)).toEqual([1, 12, 12, null]);
+    // Version 1 readings have no time, so they are restored at midday
+    expect(statements[2].statement.params.slice(5, 7)).toEqual(['2025-09-08T10:00:00Z', '2025-09-08']);
+  });
+
+  test('replace wipes the household first', () => {
+    const statements = service.restoreStatements(backup, { mode: 'replace', tenantId: 12, userId: 1, memberIds: [] });
+
+    expect(statements.slice(0, 6).map(s => s.statement.sql)).toEqual([
+      'DELETE FROM attachments WHERE tenant_id = ?',
+      'DELETE FROM readings WHERE tenant_id = ?',
+      'DELETE FROM voucher_splits WHERE tenant_id = ?',
+      'DELETE FROM vouchers WHERE tenant_id = ?',
+      'UPDATE generation_readings SET meter_id = NULL WHERE tenant_id = ?',
+      'DELETE FROM meters WHERE tenant_id = ?'
+    ]);
+    expect(statements.slice(0, 6).every(s => s.table === null)).toBeTruthy();
+  });
+});
@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const BudgetService = require('../services/budgetService.js').default;
+const AlertService = require('../services/alertService.js').default;
+
+const budget = { id: 1, month: '2025-10', amount: 1000, kwh: null };
+
+test.describe('Budgets', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new BudgetService(null);
+  });
+
+  test('validates months and amounts', () => {
+    expect(service.validate({ month: '2025-10', amount: 1000 })).toBeNull();
+    expect(service.validate({ month: '2025-13', amount: 1000 })).toContain('YYYY-MM');
+    expect(service.validate({ month: '2025-10', amount: 0 })).toContain('greater than 0');
+    expect(service.validate({ month: '2025-10', amount: 500, kwh: -1 })).toContain('kWh');
+    expect(service.validate({ amount: 500 }, { update: true })).toBeNull();
+  });
+
+  test('projects the month from the units recent usage still needs', () => {
+    // 11 days left at 10 kWh a day with 50 kWh on the meter: 60 kWh at R3
+    const progress = service.progress(budget, {
+      spent: 900,
+      kwhBought: 300,
+      asOf: '2025-10-20',
+      usage: [{ avgDailyKwh: 10, remainingKwh: 50, costPerKwh: 3 }]
+    });
+
+    expect(progress).toMatchObject({
+      spent: 900,
+      remaining: 100,
+      percentUsed: 90,
+      daysLeft: 11,
+      projected: 1080,
+      projectedKwh: 360,
+      method: 'usage',
+      overBudget: true,
+      triggeredBy: 'amount'
+    });
+  });
+
+  test('adds up what each meter needs', () => {
+    const progress = service.progress(budget, {
+      spent: 400,
+      asOf: '2025-10-21',
+      usage: [
+        { avgDailyKwh: 10, remainingKwh: 200, costPerKwh: 3 },
+        { avgDailyKwh: 5, remainingKwh: 0, costPerKwh: 2 }
+      ]
+    });
+
+    // The first meter has enough; the second needs 50 kWh at R2
+    expect(progress.projected).toBe(500);
+    expect(progress.overBudget).toBe(false);
+  });
+
+  test('runs the spend on without usage, and keeps past months final', () => {
+    const current = service.progress(budget, { spent: 500, kwhBought: 180, asOf: '2025-10-10' });
+    expect(current).toMatchObject({ method: 'run_rate', projected: 1550, projectedKwh: 558, overBudget: true });
+
+    const past = service.progress(budget, { spent: 950, asOf: '2025-11-03' });
+    expect(past).toMatchObject({ method: 'final', projected: 950, daysLeft: 0, overBudget: false });
+  });
+
+  test('flags a kWh budget on its own', () => {
+    const progress = service.progress({ ...budget, kwh: 300 }, {
+      spent: 600,
+      kwhBought: 250,
+      asOf: '2025-10-25',
+      usage: [{ avgDailyKwh: 10, remainingKwh: 20, costPerKwh: 2 }]
+    });
+
+    // 6 days need 40 more kWh: 290 kWh stays under 300 kWh, but not under 280
+    expect(progress.projectedKwh).toBe(290);
+    expect(progress.overBudget).toBe(false);
+
+    const over = service.progress({ ...budget, kwh: 280 }, { spent: 600, kwhBought: 250, asOf: '2025-10-25', usage: [{ avgDailyKwh: 10, remainingKwh: 20, costPerKwh: 2 }] });
+    expect(over.triggeredBy).toBe('kwh');
+  });
+
+  test('renders the overspend email', async () => {
+    const alerts = new AlertService({ EMAIL_TEST_MODE: 'true' });
+    const progress = service.progress(budget, {
+      spent: 900,
+      asOf: '2025-10-20',
+      usage: [{ avgDailyKwh: 10, remainingKwh: 50, costPerKwh: 3 }]
+    });
+    const data = alerts.buildBudgetEmailData(progress, 'Smith Family');
+    const email = await alerts.emailService.sendBudgetAlert({ ...data, recipientEmail: 'member@example.com' });
+
+    expect(email.success).toBeTruthy();
+    expect(email.subject).toContain('October 2025');
+    expect(email.subject).toContain('R1080.00');
+    expect(email.textBody).toContain('October 2025 is heading over budget, Smith Family');
+    expect(email.textBody).toContain('against a budget of R1000.00');
+    expect(email.textBody).toContain('11 days to go');
+  });
+});
@@ -0,0 +1,96 @@
+const { test, expect } = require('@playwright/test');
+const ConsumptionService = require('../services/consumptionService.js').default;
+// Readings are the credit left on the prepaid meter (see migrations/004_restore_data.sql)
+const { reading, voucher } = require('./utils/fixtures');
+
+test.describe('Consumption Engine', () => {
+  let engine;
+
+  test.beforeEach(() => {
+    engine = new ConsumptionService(null);
+  });
+
+  test('derives usage from falling balances between readings', () => {
+    const result = engine.calculate([
+      reading(1, '2025-07-07', 282.5),
+      reading(2, '2025-07-09', 260.6),
+      reading(3, '2025-07-11', 227.75)
+    ], []);
+
+    expect(result.intervals).toHaveLength(2);
+    expect(result.intervals[0]).toMatchObject({ startDate: '2025-07-07', endDate: '2025-07-09', days: 2, consumedKwh: 21.9, flag: null });
+    expect(result.intervals[1].consumedKwh).toBe(32.85);
+    expect(result.summary.totalKwh).toBe(54.75);
+  });
+
+  test('adds units from vouchers loaded between readings', () => {
+    const result = engine.calculate([
+      reading(1, '2025-08-16', 128.79),
+      reading(2, '2025-08-23', 172.94)
+    ], [voucher(10, '2025-08-20', 148.1)]);
+
+    expect(result.intervals[0].loadedKwh).toBe(148.1);
+    expect(result.intervals[0].voucherIds).toEqual([10]);
+    expect(result.intervals[0].consumedKwh).toBe(103.95);
+  });
+
+  test('counts a same-day voucher in the reading that already shows the jump', () => {
+    const result = engine.calculate([
+      reading(1, '2025-07-01', 255.58),
+      reading(2, '2025-07-04', 333.04)
+    ], [voucher(10, '2025-07-04', 148.1)]);
+
+    expect(result.intervals[0].voucherIds).toEqual([10]);
+    expect(result.intervals[0].consumedKwh).toBe(70.64);
+  });
+
+  test('defers a same-day voucher when it was loaded after the reading', () => {
+    const result = engine.calculate([
+      reading(1, '2025-07-15', 140.81),
+      reading(2, '2025-07-18', 73.08),
+      reading(3, '2025-07-20', 198.97)
+    ], [voucher(10, '2025-07-18', 220.4)]);
+
+    expect(result.intervals[0].voucherIds).toEqual([]);
+    expect(result.intervals[0].consumedKwh).toBe(67.73);
+    expect(result.intervals[1].voucherIds).toEqual([10]);
+    expect(result.intervals[1].consumedKwh).toBe(94.51);
+  });
+
+  test('flags increases that no voucher explains and leaves them out of daily usage', () => {
+    const result = engine.calculate([
+      reading(1, '2025-08-09', 85.1),
+      reading(2, '2025-08-12', 162.09)
+    ], []);
+
+    expect(result.intervals[0].flag).toBe('unexplained_increase');
+    expect(result.daily).toHaveLength(0);
+    expect(result.summary.flaggedIntervals).toBe(1);
+  });
+
+  test('interpolates interval usage evenly across days and months', () => {
+    const result = engine.calculate([
+      reading(1, '2025-07-30', 100),
+      reading(2, '2025-08-03', 60)
+    ], [voucher(10, '2025-07-01', 50)]);
+
+    expect(result.daily.map(d => d.date)).toEqual(['2025-07-31', '2025-08-01', '2025-08-02', '2025-08-03']);
+    expect(result.daily.every(d => d.kwh === 10)).toBeTruthy();
+    expect(result.monthly).toEqual([
+      { month: '2025-07', kwh: 10, days: 1, avgDailyKwh: 10, estimatedCost: 30 },
+      { month: '2025-08', kwh: 30, days: 3, avgDailyKwh: 10, estimatedCost: 90 }
+    ]);
+  });
+
+  test('filters output to a date range without losing the interval before it', () => {
+    const result = engine.calculate([
+      reading(1, '2025-07-01', 100),
+      reading(2, '2025-07-11', 50),
+      reading(3, '2025-07-21', 30)
+    ], [], { from: '2025-07-12' });
+
+    expect(result.intervals).toHaveLength(1);
+    expect(result.daily[0].date).toBe('2025-07-12');
+    expect(result.summary.totalKwh).toBe(20);
+  });
+});
@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const CsvImportService = require('../services/csvImportService.js').default;
+
+const meters = [
+  { id: 1, meter_number: '09000490491', label: 'Main house' },
+  { id: 2, meter_number: '07123456789', label: 'Granny flat' }
+];
+
+test.describe('CSV Import', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new CsvImportService(null);
+  });
+
+  test('parses quoted cells, semicolons and blank lines', () => {
+    expect(service.parseCsv('\uFEFFDate,Notes\r\n2025-09-01,"Top up, ""big"""\r\n\r\n2025-09-02,\n')).toEqual([
+      ['Date', 'Notes'],
+      ['2025-09-01', 'Top up, "big"'],
+      ['2025-09-02', '']
+    ]);
+    expect(service.parseCsv('Date;Amount\n01/09/2025;86,96')).toEqual([['Date', 'Amount'], ['01/09/2025', '86,96']]);
+  });
+
+  test('maps columns from common header names', () => {
+    expect(service.suggestMapping(['Purchase Date', 'Cost', 'kWh', 'PIN', 'Comment'], 'vouchers')).toEqual({
+      date: 'Purchase Date',
+      amount: 'Cost',
+      units: 'kWh',
+      token: 'PIN',
+      notes: 'Comment'
+    });
+    expect(service.suggestMapping(['When', 'Meter Reading'], 'readings')).toEqual({ date: 'When', reading: 'Meter Reading' });
+  });
+
+  test('works out the date format from the values', () => {
+    expect(service.detectDateFormat(['01/09/2025', '13/09/2025'])).toEqual({ format: 'dmy', ambiguous: false });
+    expect(service.detectDateFormat(['09/01/2025', '09/13/2025'])).toEqual({ format: 'mdy', ambiguous: false });
+    expect(service.detectDateFormat(['01/09/2025', '02/09/2025'])).toEqual({ format: 'dmy', ambiguous: true });
+    expect(service.detectDateFormat(['2025-09-01'])).toEqual({ format: 'iso', ambiguous: false });
+    expect(service.detectDateFormat(['13/09/2025', '09/13/2025']).conflicting).toBeTruthy();
+
+    expect(service.parseDate('01/09/2025', 'dmy')).toBe('2025-09-01');
+    expect(service.parseDate('01/09/2025', 'mdy')).toBe('2025-01-09');
+    expect(service.parseDate('2025-09-01 18:05:00', 'dmy')).toBe('2025-09-01T18:05');
+    expect(service.parseDate('31/02/2025', 'dmy')).toBeNull();
+  });
+
+  test('reports row errors and duplicates within the file', () => {
+    const rows = service.parseCsv([
+      'Date,Reading,Meter',
+      '01/09/2025,"1 234,5",0712 345 6789',
+      '01/09/2025,1200,07123456789',
+      '02/09/2025,-4,',
+      '32/09/2025,100,',
+      '03/09/2025,90,04000000001'
+    ].join('\n'));
+    const results = service.validate(rows, {
+      type: 'readings',
+      mapping: service.suggestMapping(rows[0], 'readings'),
+      dateFormat: 'dmy',
+      meters
+    });
+
+    expect(results[0]).toEqual({ row: 2, values: { date: '2025-09-01', reading: 1234.5, notes: null, meterId: 2 }, errors: [] });
+    expect(results[1].errors).toEqual(['There is already a reading for this date and time earlier in this file']);
+    expect(results[2].errors).toEqual(['Reading must be a number of 0 or more']);
+    expect(results[3].errors).toEqual(['"32/09/2025" is not a DD/MM/YYYY date']);
+    expect(results[4].errors).toEqual(['Meter 04000000001 has not been added to your household']);
+  });
+
+  test('checks voucher amounts, units and tokens', () => {
+    const rows = service.parseCsv([
+      'Date,Amount,Units,Token,VAT',
+      '2025-09-01,R86.96,29.7,1393-1590-8399-0790-1839,13.04',
+      '2025-09-02,0,10,,',
+      '2025-09-03,50,12,1393 1590 8399 0790 1839,',
+      '2025-09-04,50,12,1393-1590-8399,'
+    ].join('\n'));
+    const results = service.validate(rows, {
+      type: 'vouchers',
+      mapping: service.suggestMapping(rows[0], 'vouchers'),
+      dateFormat: 'iso',
+      meters: [meters[0]]
+    });
+
+    expect(results[0].values).toMatchObject({ amount: 86.96, units: 29.7, vat: 13.04, meterId: 1 });
+    expect(results[1].errors).toEqual(['Amount must be greater than 0', 'Token is missing']);
+    expect(results[2].values.token).toBe('1393-1590-8399-0790-1839');
+    expect(results[2].errors).toEqual(['Token appears earlier in this file']);
+    expect(results[3].errors).toEqual(['Token must be a 20-digit STS number, e.g. 1234-5678-9012-3456-7890']);
+  });
+});
@@ -0,0 +1,167 @@
+const { test, expect } = require('@playwright/test');
+const { TestHelpers } = require('./utils/test-helpers');
+const { ApiHelpers } = require('./utils/api-helpers');
+
+const REQUIRED_REG_KEY = process.env.TEST_REGISTRATION_KEY;
+
+if (!REQUIRED_REG_KEY) {
+  console.warn('[entries-api.spec] TEST_REGISTRATION_KEY is not set. These tests will be skipped.');
+}
+
+const TOKEN = '1234-5678-9012-3456-7890';
+
+test.describe('Readings and Vouchers API', () => {
+  let testHelpers;
+  let apiHelpers;
+  let token;
+
+  test.beforeEach(async () => {
+    test.skip(!REQUIRED_REG_KEY, 'TEST_REGISTRATION_KEY is required to create a test user');
+
+    testHelpers = new TestHelpers();
+    apiHelpers = new ApiHelpers();
+    const registration = await apiHelpers.registerTestUser(
+      testHelpers.generateTestEmail('entries'),
+      testHelpers.generateTestPassword(),
+      REQUIRED_REG_KEY
+    );
+    token = registration.token;
+  });
+
+  test.afterEach(async () => {
+    await apiHelpers?.cleanupTestData();
+  });
+
+  test('edits a reading and keeps its revision', async () => {
+    const { body: created } = await apiHelpers.createReading(token, { reading_value: 500, reading_at: '2025-10-01 08:00' });
+    expect(created.success).toBeTruthy();
+    expect(created.reading_at).toBe('2025-10-01T06:00:00Z');
+
+    const { response, body } = await apiHelpers.updateReading(token, created.id, { reading_value: 480, reading_at: '2025-10-01 07:30' });
+    expect(response.ok()).toBeTruthy();
+    expect(body.changed).toBe(true);
+
+    const unchanged = await apiHelpers.updateReading(token, created.id, { reading_value: 480 });
+    expect(unchanged.body.message).toBe('No changes to save');
+
+    const revisions = await apiHelpers.authedRequest(token, 'GET', `/api/readings/${created.id}/revisions`);
+    expect(revisions.response.ok()).toBeTruthy();
+  });
+
+  test('rejects a reading edit with a bad date', async () => {
+    const { body: created } = await apiHelpers.createReading(token, { reading_value: 500, reading_date: '2025-10-01' });
+
+    const { response, body } = await apiHelpers.updateReading(token, created.id, { reading_at: '01/10/2025' });
+    expect(response.status()).toBe(400);
+    expect(body.error).toContain('YYYY-MM-DD');
+  });
+
+  test('deletes a reading once', async () => {
+    const { body: created } = await apiHelpers.createReading(token, { reading_value: 500, reading_date: '2025-10-01' });
+
+    const first = await apiHelpers.deleteReading(token, created.id);
+    expect(first.response.ok()).toBeTruthy();
+
+    const second = await apiHelpers.deleteReading(token, created.id);
+    expect(second.response.status()).toBe(404);
+  });
+
+  test('saves a voucher with its token grouped in fours', async () => {
+    const { response, body } = await apiHelpers.createVoucher(token, {
+      token: '12345678901234567890',
+      purchase_date: '2025-10-02',
+      amount: 300,
+      units: 100
+    });
+    expect(response.ok()).toBeTruthy();
+    expect(body.token_number).toBe(TOKEN);
+
+    const duplicate = await apiHelpers.createVoucher(token, { token: TOKEN, purchase_date: '2025-10-03', amount: 300, units: 100 });
+    expect(duplicate.response.ok()).toBeFalsy();
+
+    const badDate = await apiHelpers.createVoucher(token, { token: '1111-2222-3333-4444-5555', purchase_date: '2025/10/02', amount: 300, units: 100 });
+    expect(badDate.response.status()).toBe(400);
+    expect(badDate.body.error).toBe('Purchase date must be YYYY-MM-DD, optionally with a time');
+  });
+
+  test('edits and deletes a voucher', async () => {
+    const { body: created } = await apiHelpers.createVoucher(token, { token: TOKEN, purchase_date: '2025-10-02', amount: 300, units: 100 });
+    const id = created.id;
+
+    const { response, body } = await apiHelpers.updateVoucher(token, id, { rand_amount: 330, purchase_date: '2025-10-02 18:30' });
+    expect(response.ok()).toBeTruthy();
+    expect(body.success).toBeTruthy();
+
+    const badDate = await apiHelpers.updateVoucher(token, id, { purchase_date: 'yesterday' });
+    expect(badDate.response.status()).toBe(400);
+
+    expect((await apiHelpers.deleteVoucher(token, id)).response.ok()).toBeTruthy();
+    expect((await apiHelpers.deleteVoucher(token, id)).response.status()).toBe(404);
+  });
+
+  test('imports vouchers in bulk and reports each row', async () => {
+    await apiHelpers.createReading(token, { reading_value: 500, reading_date: '2025-10-05' });
+
+    const { response, body } = await apiHelpers.bulkCreateVouchers(token, [
+      { token: TOKEN, purchase_date: '2025-10-01', amount: 300, units: 100 },
+      { token: '1111-2222-3333-4444-5555', purchase_date: '2025-10-10', amount: 150, units: 50 },
+      { token: TOKEN, purchase_date: '2025-10-01', amount: 300, units: 100 },
+      { token: '2222-3333-4444-5555-6666', purchase_date: '10 October', amount: 150, units: 50 }
+    ]);
+
+    expect(response.ok()).toBeTruthy();
+    expect(body).toMatchObject({ created: 2, duplicates: 1, invalid: 1 });
+    expect(body.results.map(r => r.status)).toEqual(['created', 'created', 'duplicate', 'invalid']);
+
+    // Vouchers bought before the latest reading were loaded by then
+    const { unloadedVouchers } = await apiHelpers.getDashboardData(token);
+    expect(unloadedVouchers.map(v => v.token_number)).toEqual(['1111-2222-3333-4444-5555']);
+  });
+
+  test('marks a voucher loaded and back', async () => {
+    const { body: created } = await apiHelpers.createVoucher(token, { token: TOKEN, purchase_date: '2025-10-02', amount: 300, units: 100 });
+    const id = created.id;
+
+    const loaded = await apiHelpers.setVoucherStatus(token, id, 'loaded', '2025-10-02 19:00');
+    expect(loaded.response.ok()).toBeTruthy();
+    expect(loaded.body).toMatchObject({ status: 'loaded', loaded_at: '2025-10-02T17:00:00Z' });
+
+    const purchased = await apiHelpers.setVoucherStatus(token, id, 'purchased');
+    expect(purchased.body).toMatchObject({ status: 'purchased', loaded_at: null });
+
+    const verified = await apiHelpers.setVoucherStatus(token, id, 'verified');
+    expect(verified.response.status()).toBe(400);
+
+    const missing = await apiHelpers.setVoucherStatus(token, id + 1000, 'loaded');
+    expect(missing.response.status()).toBe(404);
+  });
+
+  test('splits a voucher between household members', async () => {
+    const inviteCode = await apiHelpers.createInviteCode(token);
+    await apiHelpers.registerTestUser(
+      testHelpers.generateTestEmail('entries-member'),
+      testHelpers.generateTestPassword(),
+      REQUIRED_REG_KEY,
+      inviteCode
+    );
+
+    const { body: created } = await apiHelpers.createVoucher(token, { token: TOKEN, purchase_date: '2025-10-02', amount: 300, units: 100 });
+    const id = created.id;
+
+    const { body: before } = await apiHelpers.getVoucherSplit(token, id);
+    expect(before.split).toBeNull();
+    expect(before.members).toHaveLength(2);
+    const [first, second] = before.members.map(member => member.user_id);
+
+    const wrongTotal = await apiHelpers.splitVoucher(token, id, 'amount', [{ userId: first, value: 100 }, { userId: second, value: 100 }]);
+    expect(wrongTotal.response.status()).toBe(400);
+
+    const { response, body } = await apiHelpers.splitVoucher(token, id, 'percent', [{ userId: first, value: 60 }, { userId: second, value: 40 }]);
+    expect(response.ok()).toBeTruthy();
+    expect(body.split.method).toBe('percent');
+
+    expect((await apiHelpers.getVoucherSplit(token, id)).body.split.method).toBe('percent');
+    expect((await apiHelpers.removeVoucherSplit(token, id)).response.ok()).toBeTruthy();
+    expect((await apiHelpers.removeVoucherSplit(token, id)).response.status()).toBe(404);
+  });
+});
@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const ExportService = require('../services/exportService.js').default;
+
+const data = {
+  tenant: { id: 2, name: 'Smith Family' },
+  meters: [{ id: 1, meter_number: '09000490491', label: 'Main house', location: null }],
+  vouchers: [
+    { id: 2, purchase_date: '2025-09-03', token_number: '2222-2222-2222-2222-2222', rand_amount: 100, kwh_amount: 30, vat_amount: 13.04, meter_id: 1, notes: '=SUM(A1)' },
+    { id: 1, purchase_date: '2025-08-20', token_number: '1111-1111-1111-1111-1111', rand_amount: 200, kwh_amount: 64, vat_amount: 26.09, meter_id: null, notes: 'Top up, "big"' }
+  ],
+  readings: [
+    { id: 1, reading_date: '2025-08-25', reading_value: 100, meter_id: null, notes: null },
+    { id: 2, reading_date: '2025-09-05', reading_value: 90, meter_id: 1, notes: null }
+  ]
+};
+
+const text = (bytes) => Buffer.from(bytes).toString('latin1');
+
+test.describe('Export Formats', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new ExportService(null);
+  });
+
+  test('CSV quotes cells, keeps meters and neutralises formulas', () => {
+    const csv = service.toCsv(service.tables(data).vouchers);
+    const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(lines[0]).toBe('Purchase Date,Token,Amount (R),Units (kWh),VAT (R),Meter Number,Meter Label,Notes');
+    expect(lines[1]).toBe('2025-08-20,1111-1111-1111-1111-1111,200.00,64,26.09,,,"Top up, ""big"""');
+    expect(lines[2]).toBe("2025-09-03,2222-2222-2222-2222-2222,100.00,30,13.04,09000490491,Main house,'=SUM(A1)");
+  });
+
+  test('summarises spend and usage per month', () => {
+    const months = service.monthlySummary(data);
+
+    expect(months.map(m => m.month)).toEqual(['2025-08', '2025-09']);
+    expect(months[0]).toMatchObject({ vouchers: 1, amount: 200, units: 64, costPerKwh: 3.125 });
+    expect(months[1].vouchers).toBe(1);
+    // 100 kWh left + 30 loaded - 90 left = 40 kWh used over the interval
+    expect(months[0].usedKwh + months[1].usedKwh).toBeCloseTo(40, 1);
+  });
+
+  test('filters to a period and checks it', () => {
+    expect(service.filterPeriod(data, { from: '2025-09-01' }).vouchers).toHaveLength(1);
+    expect(service.validatePeriod({ from: '2025-09-01', to: '2025-08-01' })).toBeTruthy();
+    expect(service.validatePeriod({ from: '01/09/2025' })).toBeTruthy();
+    expect(service.validatePeriod({})).toBeNull();
+  });
+
+  test('CSV exports are a ZIP with one file per entity', () => {
+    const file = service.build('csv', data);
+    const names = [...text(file.body).matchAll(/PK\x01\x02[\s\S]{42}([a-z-]+\.csv)/g)].map(m => m[1]);
+
+    expect(file.contentType).toBe('application/zip');
+    expect(names).toEqual(['vouchers.csv', 'readings.csv', 'meters.csv', 'monthly-summary.csv']);
+    expect(service.build('csv', data, { entity: 'readings' }).body).toContain('Reading Date');
+    expect(service.build('csv', data, { entity: 'users' }).error).toBeTruthy();
+  });
+
+  test('XLSX has Vouchers, Readings and Monthly Summary sheets', () => {
+    const body = text(service.build('xlsx', data).body);
+
+    expect(body).toContain('<sheet name="Vouchers" sheetId="1" r:id="rId1"/>');
+    expect(body).toContain('<sheet name="Readings" sheetId="2" r:id="rId2"/>');
+    expect(body).toContain('<sheet name="Monthly Summary" sheetId="3" r:id="rId3"/>');
+    // 2025-08-20 as an Excel serial date
+    expect(body).toContain('<c r="A2" s="2"><v>45889</v></c>');
+  });
+
+  test('PDF statement has the monthly table and a valid cross-reference', () => {
+    const pdf = text(service.build('pdf', data, { generatedAt: '2025-10-01T08:00:00.000Z' }).body);
+
+    expect(pdf.startsWith('%PDF-1.4')).toBeTruthy();
+    expect(pdf).toContain('(Household: Smith Family)');
+    expect(pdf).toContain('(Aug 2025)');
+    expect(pdf).toContain('(R300.00)');
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const offsets = [...pdf.matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+    offsets.forEach((offset, i) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+  });
+});
@@ -0,0 +1,98 @@
+const { test, expect } = require('@playwright/test');
+const ForecastService = require('../services/forecastService.js').default;
+const { reading, voucher } = require('./utils/fixtures');
+
+const days = (start, values) => values.map((kwh, i) => {
+  const date = new Date(Date.parse(start + 'T00:00:00Z') + i * 24 * 60 * 60 * 1000);
+  return { date: date.toISOString().split('T')[0], kwh };
+});
+
+test.describe('Credit Forecast', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new ForecastService(null);
+  });
+
+  test('predicts run-out from the last reading and recent burn rate', () => {
+    const result = service.forecast({
+      latestReading: reading(1, '2025-09-10', 100),
+      daily: days('2025-09-01', Array(10).fill(10)),
+      avgCostPerKwh: 3
+    }, { asOf: '2025-09-12' });
+
+    expect(result.available).toBeTruthy();
+    expect(result.daysSinceReading).toBe(2);
+    expect(result.estimatedRemainingKwh).toBe(80);
+    expect(result.daysRemaining).toBe(8);
+    expect(result.runOutDate).toBe('2025-09-20');
+    expect(result.confidence.earliestRunOutDate).toBe('2025-09-20');
+    expect(result.confidence.latestRunOutDate).toBe('2025-09-20');
+  });
+
+  test('widens the confidence band when usage varies', () => {
+    const result = service.forecast({
+      latestReading: reading(1, '2025-09-10', 100),
+      daily: days('2025-09-01', [5, 15, 5, 15, 5, 15, 5, 15, 5, 15]),
+      avgCostPerKwh: 3
+    }, { asOf: '2025-09-10' });
+
+    expect(result.stdDevDailyKwh).toBe(5);
+    expect(result.confidence.minDaysRemaining).toBeCloseTo(100 / 15, 1);
+    expect(result.confidence.maxDaysRemaining).toBe(20);
+    expect(result.confidence.earliestRunOutDate < result.runOutDate).toBeTruthy();
+    expect(result.confidence.latestRunOutDate > result.runOutDate).toBeTruthy();
+  });
+
+  test('counts vouchers bought after the last reading', () => {
+    const result = service.forecast({
+      latestReading: reading(1, '2025-09-10', 50),
+      vouchers: [
+        voucher(1, '2025-09-10', 200),
+        voucher(2, '2025-09-11', 50)
+      ],
+      daily: days('2025-09-01', Array(10).fill(10)),
+      avgCostPerKwh: 3
+    }, { asOf: '2025-09-11' });
+
+    expect(result.pendingVoucherKwh).toBe(50);
+    expect(result.estimatedRemainingKwh).toBe(90);
+  });
+
+  test('measures from the time of the last reading', () => {
+    const result = service.forecast({
+      latestReading: reading(1, '2025-09-10T06:00:00Z', 50),
+      vouchers: [
+        voucher(1, '2025-09-10 07:30', 200),
+        voucher(2, '2025-09-10 16:00', 50)
+      ],
+      daily: days('2025-09-01', Array(10).fill(10)),
+      avgCostPerKwh: 3
+    }, { asOf: '2025-09-10T18:00:00Z' });
+
+    // Only the token bought after the 08:00 reading is pending, and half a day has gone
+    expect(result.pendingVoucherKwh).toBe(50);
+    expect(result.daysSinceReading).toBe(0.5);
+    expect(result.estimatedRemainingKwh).toBe(95);
+    expect(result.runOutDate).toBe('2025-09-20');
+  });
+
+  test('suggests a top-up rounded up to the next R10', () => {
+    const result = service.forecast({
+      latestReading: reading(1, '2025-09-10', 20),
+      daily: days('2025-09-01', Array(10).fill(10)),
+      avgCostPerKwh: 2.95
+    }, { asOf: '2025-09-10', coverDays: 30 });
+
+    expect(result.suggestedTopUp.kwh).toBe(280);
+    expect(result.suggestedTopUp.amount).toBe(830);
+  });
+
+  test('reports why a forecast is unavailable', () => {
+    expect(service.forecast({ latestReading: null })).toMatchObject({ available: false });
+    expect(service.forecast({
+      latestReading: reading(1, '2025-09-10', 50),
+      daily: []
+    })).toMatchObject({ available: false, reason: 'Not enough readings to work out recent usage' });
+  });
+});
@@ -0,0 +1,126 @@
+const { test, expect } = require('@playwright/test');
+const { TestHelpers } = require('./utils/test-helpers');
+const { ApiHelpers } = require('./utils/api-helpers');
+
+const REQUIRED_REG_KEY = process.env.TEST_REGISTRATION_KEY;
+
+if (!REQUIRED_REG_KEY) {
+  console.warn('[import-api.spec] TEST_REGISTRATION_KEY is not set. These tests will be skipped.');
+}
+
+const READINGS_CSV = [
+  'Date,Reading,Notes',
+  '2025-10-01 07:00,500,',
+  '2025-10-02 07:00,480,',
+  '2025-10-03,not a number,'
+].join('\n');
+
+const VOUCHERS_CSV = [
+  'Date,Amount,Units,Token',
+  '2025-10-01,300,100,1234-5678-9012-3456-7890',
+  '2025-10-10,150,50,1111-2222-3333-4444-5555'
+].join('\n');
+
+test.describe('Import and Backup API', () => {
+  let testHelpers;
+  let apiHelpers;
+  let token;
+
+  async function registerHousehold(prefix) {
+    const registration = await apiHelpers.registerTestUser(
+      testHelpers.generateTestEmail(prefix),
+      testHelpers.generateTestPassword(),
+      REQUIRED_REG_KEY
+    );
+    return registration.token;
+  }
+
+  test.beforeEach(async () => {
+    test.skip(!REQUIRED_REG_KEY, 'TEST_REGISTRATION_KEY is required to create a test user');
+
+    testHelpers = new TestHelpers();
+    apiHelpers = new ApiHelpers();
+    token = await registerHousehold('import');
+  });
+
+  test.afterEach(async () => {
+    await apiHelpers?.cleanupTestData();
+  });
+
+  test('previews a readings CSV without saving it', async () => {
+    const { response, body } = await apiHelpers.importCsv(token, READINGS_CSV, { dryRun: true });
+
+    expect(response.ok()).toBeTruthy();
+    expect(body.dryRun).toBe(true);
+    expect(body.counts).toEqual({ total: 3, valid: 2, invalid: 1 });
+    expect((await apiHelpers.getTransactionHistory(token)).transactions).toHaveLength(0);
+  });
+
+  test('imports the valid rows of a readings CSV', async () => {
+    const { response, body } = await apiHelpers.importCsv(token, READINGS_CSV);
+
+    expect(response.ok()).toBeTruthy();
+    expect(body).toMatchObject({ created: 2, skipped: 1 });
+    expect(body.errors).toHaveLength(1);
+
+    const again = await apiHelpers.importCsv(token, READINGS_CSV);
+    expect(again.body).toMatchObject({ created: 0, skipped: 3 });
+  });
+
+  test('imports vouchers, loaded when a later reading exists', async () => {
+    await apiHelpers.createReading(token, { reading_value: 500, reading_date: '2025-10-05' });
+
+    const { response, body } = await apiHelpers.importCsv(token, VOUCHERS_CSV, { type: 'vouchers' });
+    expect(response.ok()).toBeTruthy();
+    expect(body.created).toBe(2);
+
+    const { unloadedVouchers } = await apiHelpers.getDashboardData(token);
+    expect(unloadedVouchers.map(v => v.token_number)).toEqual(['1111-2222-3333-4444-5555']);
+  });
+
+  test('rejects an unknown import type', async () => {
+    const { response } = await apiHelpers.importCsv(token, READINGS_CSV, { type: 'appliances' });
+    expect(response.status()).toBe(400);
+  });
+
+  test('restores a backup into another household', async () => {
+    await apiHelpers.importCsv(token, READINGS_CSV);
+    await apiHelpers.importCsv(token, VOUCHERS_CSV, { type: 'vouchers' });
+    const { response: exported, body: backup } = await apiHelpers.exportBackup(token);
+    expect(exported.ok()).toBeTruthy();
+
+    const otherToken = await registerHousehold('import-restore');
+    const { response, body } = await apiHelpers.restoreBackup(otherToken, backup);
+    expect(response.ok()).toBeTruthy();
+    expect(body.mode).toBe('merge');
+    expect(body.readings).toEqual({ restored: 2, skipped: 0 });
+    expect(body.vouchers).toEqual({ restored: 2, skipped: 0 });
+
+    // Merging the same backup again adds nothing
+    const again = await apiHelpers.restoreBackup(otherToken, backup);
+    expect(again.body.readings).toEqual({ restored: 0, skipped: 2 });
+    expect(again.body.vouchers).toEqual({ restored: 0, skipped: 2 });
+  });
+
+  test('replaces a household with a backup', async () => {
+    await apiHelpers.importCsv(token, READINGS_CSV);
+    const { body: backup } = await apiHelpers.exportBackup(token);
+    await apiHelpers.createReading(token, { reading_value: 450, reading_date: '2025-10-04' });
+
+    const { response, body } = await apiHelpers.restoreBackup(token, backup, 'replace');
+    expect(response.ok()).toBeTruthy();
+    expect(body.readings.restored).toBe(2);
+
+    const { transactions } = await apiHelpers.getTransactionHistory(token, { type: 'reading' });
+    expect(transactions).toHaveLength(2);
+  });
+
+  test('rejects a backup that does not match the export format', async () => {
+    const { response, body } = await apiHelpers.restoreBackup(token, { readings: 'none' });
+    expect(response.status()).toBe(400);
+    expect(body.error).toBe('The backup does not match the export format');
+
+    const badMode = await apiHelpers.restoreBackup(token, {}, 'overwrite');
+    expect(badMode.response.status()).toBe(400);
+  });
+});
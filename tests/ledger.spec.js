@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const LedgerService = require('../services/ledgerService.js').default;
+
+const members = [
+  { user_id: 1, email: 'anna@example.com' },
+  { user_id: 2, email: 'ben@example.com' },
+  { user_id: 3, email: 'cara@example.com' }
+];
+
+const split = (id, payer, amount, method, shares) => ({
+  id,
+  user_id: payer,
+  rand_amount: amount,
+  method,
+  shares: shares.map(([user_id, value]) => ({ user_id, value }))
+});
+
+test.describe('Ledger', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new LedgerService(null);
+  });
+
+  test('validates splits', () => {
+    const ids = members.map(m => m.user_id);
+
+    expect(service.validateSplit(300, 'equal', [{ userId: 1 }, { userId: 2 }], ids)).toBeNull();
+    expect(service.validateSplit(300, 'thirds', [{ userId: 1 }], ids)).toContain('method');
+    expect(service.validateSplit(300, 'equal', [], ids)).toContain('at least one');
+    expect(service.validateSplit(300, 'equal', [{ userId: 9 }], ids)).toContain('members of this household');
+    expect(service.validateSplit(300, 'equal', [{ userId: 1 }, { userId: 1 }], ids)).toContain('only appear once');
+    expect(service.validateSplit(300, 'percent', [{ userId: 1, value: 60 }, { userId: 2, value: 30 }], ids)).toContain('add up to 100');
+    expect(service.validateSplit(300, 'amount', [{ userId: 1, value: 200 }, { userId: 2, value: 100 }], ids)).toBeNull();
+    expect(service.validateSplit(300, 'amount', [{ userId: 1, value: 200 }, { userId: 2, value: 50 }], ids)).toContain('R300.00');
+  });
+
+  test('shares to the cent without losing any', () => {
+    expect(service.allocate(100, [1, 1, 1])).toEqual([33.34, 33.33, 33.33]);
+    expect(service.allocate(250, [50, 30, 20])).toEqual([125, 75, 50]);
+    expect(service.allocate(0.05, [1, 1])).toEqual([0.03, 0.02]);
+  });
+
+  test('works out balances from split vouchers and payments', () => {
+    const vouchers = [
+      // Anna paid R300 split three ways
+      split(1, 1, 300, 'equal', [[1], [2], [3]]),
+      // Ben paid R200, 75% his and 25% Cara's
+      split(2, 2, 200, 'percent', [[2, 75], [3, 25]])
+    ];
+    const settlements = [{ from_user_id: 3, to_user_id: 1, amount: 50 }];
+
+    const balances = service.balances(members, vouchers, settlements);
+    const byUser = Object.fromEntries(balances.map(b => [b.userId, b.balance]));
+
+    // Anna: paid 300, owes 100, received 50. Ben: paid 200, owes 100 + 150.
+    // Cara: owes 100 + 50, sent 50
+    expect(byUser).toEqual({ 1: 150, 2: -50, 3: -100 });
+    expect(balances.reduce((sum, b) => sum + b.balance, 0)).toBe(0);
+  });
+
+  test('scales fixed amounts when the voucher amount changes', () => {
+    const voucher = split(1, 1, 150, 'amount', [[1, 200], [2, 100]]);
+    expect(service.shares(voucher).map(s => s.amount)).toEqual([100, 50]);
+  });
+
+  test('settles up in as few payments as possible', () => {
+    const transfers = service.settleUp([
+      { userId: 1, email: 'anna@example.com', balance: 150 },
+      { userId: 2, email: 'ben@example.com', balance: -50 },
+      { userId: 3, email: 'cara@example.com', balance: -100 }
+    ]);
+
+    expect(transfers).toEqual([
+      { fromUserId: 3, fromEmail: 'cara@example.com', toUserId: 1, toEmail: 'anna@example.com', amount: 100 },
+      { fromUserId: 2, fromEmail: 'ben@example.com', toUserId: 1, toEmail: 'anna@example.com', amount: 50 }
+    ]);
+    expect(service.settleUp([{ userId: 1, balance: 0 }])).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+const { test, expect } = require('@playwright/test');
+const AlertService = require('../services/alertService.js').default;
+
+const forecast = (estimatedRemainingKwh, daysRemaining) => ({
+  available: true,
+  lastReading: { id: 7, value: 120, date: '2025-09-08' },
+  estimatedRemainingKwh,
+  daysRemaining,
+  confidence: { earliestRunOutDate: '2025-09-12', latestRunOutDate: '2025-09-16' },
+  suggestedTopUp: { coverDays: 30, amount: 850 }
+});
+
+test.describe('Low Credit Alerts', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new AlertService({ EMAIL_TEST_MODE: 'true' });
+  });
+
+  test('triggers only on the thresholds the household configured', () => {
+    expect(service.evaluate(forecast(40, 10), { min_kwh: 50, min_days: null })).toBe('kwh');
+    expect(service.evaluate(forecast(80, 3), { min_kwh: 50, min_days: 5 })).toBe('days');
+    expect(service.evaluate(forecast(40, 3), { min_kwh: 50, min_days: 5 })).toBe('kwh_and_days');
+    expect(service.evaluate(forecast(80, 10), { min_kwh: 50, min_days: 5 })).toBeNull();
+    expect(service.evaluate(forecast(0, 0), { min_kwh: null, min_days: null })).toBeNull();
+  });
+
+  test('does not alert when there is no forecast', () => {
+    expect(service.evaluate({ available: false, reason: 'No meter readings recorded yet' }, { min_kwh: 50 })).toBeNull();
+  });
+
+  test('renders the alert email with the forecast and thresholds', async () => {
+    const data = service.buildEmailData(forecast(0, 0), { tenant_name: 'Smith Family', min_kwh: 50, min_days: 5 }, 'kwh_and_days');
+    const email = await service.emailService.sendLowCreditAlert({ ...data, recipientEmail: 'member@example.com' });
+
+    expect(email.success).toBeTruthy();
+    expect(email.subject).toContain('about 0 days left');
+    expect(email.textBody).toContain('Time to top up, Smith Family');
+    expect(email.textBody).toContain('Estimated credit left: 0.0 kWh');
+    expect(email.textBody).toContain('your alert is set at 50 kWh');
+    expect(email.textBody).toContain('your alert is set at 5 days');
+    expect(email.textBody).toContain('R850.00');
+  });
+});
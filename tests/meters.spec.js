@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const MeterService = require('../services/meterService.js').default;
+const ConsumptionService = require('../services/consumptionService.js').default;
+const ForecastService = require('../services/forecastService.js').default;
+const { reading, voucher } = require('./utils/fixtures');
+
+const meters = [
+  { id: 1, meter_number: '09000490491', label: 'Main house' },
+  { id: 2, meter_number: '07123456789', label: 'Granny flat' }
+];
+
+test.describe('Meter Assignment', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new MeterService(null);
+  });
+
+  test('matches a parsed meter number to the household meter', () => {
+    expect(service.assign(meters, { meterNumber: '0712 345 6789' })).toEqual({ meterId: 2 });
+    expect(service.assign(meters, { meterNumber: '04000000001' })).toEqual({ meterId: null });
+  });
+
+  test('uses the only meter when nothing else says which one', () => {
+    expect(service.assign([meters[0]], {})).toEqual({ meterId: 1 });
+    expect(service.assign(meters, {})).toEqual({ meterId: null });
+    expect(service.assign([], {})).toEqual({ meterId: null });
+  });
+
+  test('a picked meter wins and must belong to the household', () => {
+    expect(service.assign(meters, { meterId: '1', meterNumber: '07123456789' })).toEqual({ meterId: 1 });
+    expect(service.assign([meters[0]], { meterId: null })).toEqual({ meterId: null });
+    expect(service.assign(meters, { meterId: 9 })).toEqual({ error: 'Meter not found' });
+  });
+
+  test('parses the meter filter', () => {
+    expect(service.parseFilter(undefined)).toBeNull();
+    expect(service.parseFilter('unassigned')).toEqual({ meterId: null });
+    expect(service.parseFilter('2')).toEqual({ meterId: 2 });
+    expect(service.parseFilter('main').error).toBeTruthy();
+    expect(service.filterClause({ meterId: 2 })).toEqual({ clause: 'AND meter_id = ?', params: [2] });
+  });
+});
+
+test.describe('Per-Meter Consumption', () => {
+  let engine;
+
+  test.beforeEach(() => {
+    engine = new ConsumptionService(null);
+  });
+
+  // Two meters read on the same days - mixing them would look like wild swings
+  const readings = [
+    reading(1, '2025-09-01', 200, 1),
+    reading(2, '2025-09-01', 50, 2),
+    reading(3, '2025-09-05', 160, 1),
+    reading(4, '2025-09-05', 42, 2)
+  ];
+  const vouchers = [voucher(10, '2025-09-03', 20, { meter_id: 2 })];
+
+  test('works out each meter from its own readings and vouchers', () => {
+    const result = engine.calculate(readings, vouchers);
+
+    expect(result.intervals).toHaveLength(2);
+    expect(result.intervals.find(i => i.meterId === 1).consumedKwh).toBe(40);
+    expect(result.intervals.find(i => i.meterId === 2).consumedKwh).toBe(28);
+    expect(result.meters).toEqual([{ meterId: 1, totalKwh: 40 }, { meterId: 2, totalKwh: 28 }]);
+    expect(result.summary.totalKwh).toBe(68);
+    expect(result.daily[0]).toEqual({ date: '2025-09-02', kwh: 17 });
+  });
+
+  test('filters to one meter', () => {
+    const result = engine.calculate(readings, vouchers, { meterId: 2 });
+
+    expect(result.summary.totalKwh).toBe(28);
+    expect(result.summary.avgCostPerKwh).toBe(3);
+  });
+
+  test('rows from before the meter was added count towards a single meter', () => {
+    const result = engine.calculate([
+      reading(1, '2025-09-01', 200),
+      reading(2, '2025-09-05', 160, 1)
+    ], [voucher(10, '2025-09-03', 20)]);
+
+    expect(result.intervals).toHaveLength(1);
+    expect(result.intervals[0]).toMatchObject({ meterId: 1, loadedKwh: 20, consumedKwh: 60 });
+  });
+
+  test('forecasts the meter that runs out first', async () => {
+    const service = new ForecastService(null);
+    service.consumptionService.loadTenantRows = async () => ({ readings, vouchers });
+
+    const result = await service.getTenantForecast(1, { asOf: '2025-09-05' });
+
+    expect(result.meterId).toBe(2);
+    expect(result.daysRemaining).toBe(6);
+    expect(result.meters.map(m => m.meterId)).toEqual([1, 2]);
+    expect((await service.getTenantForecast(1, { asOf: '2025-09-05', meterId: 1 })).daysRemaining).toBe(16);
+  });
+});
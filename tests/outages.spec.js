@@ -0,0 +1,130 @@
+const { test, expect } = require('@playwright/test');
+const OutageService = require('../services/outageService.js').default;
+const ConsumptionService = require('../services/consumptionService.js').default;
+const { reading, fakeDb } = require('./utils/fixtures');
+
+const outage = (id, starts_at, ends_at, stage = null) => ({ id, starts_at, ends_at, stage, area: 'Soweto 3' });
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:1@example',
+  'DTSTART;TZID=Africa/Johannesburg:20251021T160000',
+  'DTEND;TZID=Africa/Johannesburg:20251021T183000',
+  'SUMMARY:Load-shedding Stage 4',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20251022T000000Z',
+  'DURATION:PT2H30M',
+  'SUMMARY:Soweto 3 \\, blocks A-',
+  ' F (Stage 2)',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;TZID=Europe/London:20251023T100000',
+  'DTEND;TZID=Europe/London:20251023T120000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20251024T100000',
+  'DTEND:20251024T120000',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test.describe('Load-shedding Outages', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new OutageService(null);
+  });
+
+  test('reads outages from an ICS calendar', () => {
+    const result = service.parse(ICS);
+    expect(result.format).toBe('ics');
+
+    const [local, utc, london, repeating] = result.events;
+    expect(local).toMatchObject({ startsAt: '2025-10-21T14:00:00Z', endsAt: '2025-10-21T16:30:00Z', stage: 4, errors: [] });
+    expect(utc).toMatchObject({ startsAt: '2025-10-22T00:00:00Z', endsAt: '2025-10-22T02:30:00Z', stage: 2, notes: 'Soweto 3 , blocks A-F (Stage 2)', errors: [] });
+    expect(london.errors[0]).toContain("Europe/London aren't supported");
+    expect(repeating.errors[0]).toContain("Repeating events aren't supported");
+  });
+
+  test('reads EskomSePush style JSON events', () => {
+    const result = service.parse(JSON.stringify({
+      events: [
+        { start: '2025-10-21T20:00:00+02:00', end: '2025-10-21T22:30:00+02:00', note: 'Stage 2' },
+        { start: '2025-10-22T04:00', end: '2025-10-22T06:30', stage: 9 },
+        { start: '2025-10-22T10:00', end: '2025-10-22T08:00' }
+      ]
+    }));
+
+    expect(result.format).toBe('json');
+    expect(result.events[0]).toMatchObject({ startsAt: '2025-10-21T18:00:00Z', endsAt: '2025-10-21T20:30:00Z', stage: 2, errors: [] });
+    expect(result.events[1].errors).toEqual(['Stage must be a whole number from 1 to 8']);
+    expect(result.events[2].errors).toEqual(['The outage must end after it starts']);
+  });
+
+  test('rejects files that are not schedules', () => {
+    expect(service.parse('').error).toBe('The schedule is empty');
+    expect(service.parse('date,start,end').error).toBe('Schedules must be an ICS calendar or a JSON file');
+    expect(service.parse('{"events": ').error).toBe('The schedule is not valid JSON');
+    expect(service.parse('{"area": "Soweto"}').error).toContain('events list');
+    expect(service.parse('BEGIN:VCALENDAR\nEND:VCALENDAR').error).toBe('No outages were found in the schedule');
+    expect(service.validate({ startsAt: '2025-10-01T00:00:00Z', endsAt: '2025-10-09T00:00:00Z' })).toBe('An outage can be at most 7 days long');
+  });
+
+  test('replaces the imported schedule of the area over the same period', () => {
+    const importer = new OutageService(fakeDb());
+    const { format, events } = importer.parse(ICS);
+
+    const [remove, ...inserts] = importer.importStatements(3, { area: 'Soweto 3', format, events }, 7);
+
+    expect(remove.sql).toContain("source != 'manual'");
+    expect(remove.params).toEqual([3, 'Soweto 3', '2025-10-22T02:30:00Z', '2025-10-21T14:00:00Z']);
+    expect(inserts).toHaveLength(2);
+    expect(inserts[0].params).toEqual([3, 'Soweto 3', 4, '2025-10-21T14:00:00Z', '2025-10-21T16:30:00Z', 'ics', 'Load-shedding Stage 4', 7]);
+  });
+
+  test('counts overlapping outages once', () => {
+    const ranges = service.merge([
+      outage(1, '2025-10-21T14:00:00Z', '2025-10-21T16:30:00Z'),
+      outage(2, '2025-10-21T16:00:00Z', '2025-10-21T17:00:00Z'),
+      outage(3, '2025-10-21T20:00:00Z', '2025-10-21T22:00:00Z')
+    ]);
+
+    expect(ranges).toHaveLength(2);
+    expect(service.hoursWithin(ranges, '2025-10-21T00:00:00Z', '2025-10-22T00:00:00Z')).toBe(5);
+    expect(service.hoursWithin(ranges, '2025-10-21T15:00:00Z', '2025-10-21T21:00:00Z')).toBe(3);
+  });
+
+  test('works out usage per powered hour', () => {
+    const engine = new ConsumptionService(null);
+    const readings = [
+      reading(1, '2025-10-20T10:00:00Z', 100),
+      reading(2, '2025-10-22T10:00:00Z', 76)
+    ];
+
+    const result = engine.calculate(readings, [], {
+      outages: [
+        outage(1, '2025-10-21T14:00:00Z', '2025-10-21T18:00:00Z', 4),
+        outage(2, '2025-10-25T14:00:00Z', '2025-10-25T16:00:00Z', 4)
+      ],
+      from: '2025-10-01',
+      to: '2025-10-22'
+    });
+
+    expect(result.intervals[0]).toMatchObject({ hours: 48, outageHours: 4, poweredHours: 44, kwhPerPoweredHour: 0.545 });
+    // Usage is spread evenly over the days; outages count on the day they happened
+    expect(result.daily).toEqual([
+      { date: '2025-10-21', kwh: 12, outageHours: 4, kwhPerPoweredHour: 0.6 },
+      { date: '2025-10-22', kwh: 12, outageHours: 0, kwhPerPoweredHour: 0.5 }
+    ]);
+    expect(result.monthly[0]).toMatchObject({ month: '2025-10', outageHours: 4, kwhPerPoweredHour: 0.545 });
+    expect(result.summary).toMatchObject({ outageHours: 4, avgKwhPerPoweredHour: 0.545 });
+    expect(result.outages).toEqual([{ id: 1, startsAt: '2025-10-21T14:00:00Z', endsAt: '2025-10-21T18:00:00Z', stage: 4, area: 'Soweto 3' }]);
+
+    // Without outage data the output is unchanged
+    expect(engine.calculate(readings, []).daily).toEqual([{ date: '2025-10-21', kwh: 12 }, { date: '2025-10-22', kwh: 12 }]);
+  });
+});
@@ -0,0 +1,94 @@
+const { test, expect } = require('@playwright/test');
+const PlannerService = require('../services/plannerService.js').default;
+const { voucher } = require('./utils/fixtures');
+
+const version = { effective_from: '2025-07-01', blocks: [{ up_to: 350, rate: 2 }, { up_to: 500, rate: 3 }, { up_to: null, rate: 4 }], monthly_charge: 0 };
+const nextVersion = { effective_from: '2025-11-01', blocks: [{ up_to: 350, rate: 2.5 }, { up_to: null, rate: 5 }], monthly_charge: 0 };
+
+test.describe('Purchase Planner', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new PlannerService(null);
+  });
+
+  test('fills the cheap block first', () => {
+    const plan = service.plan({ version, nextVersion, budget: 500, bought: { kwh: 100, amount: 200 }, date: '2025-10-10' });
+
+    // 250 kWh left in block 1 costs R500, but only R300 of the budget is left
+    expect(plan.remaining).toBe(300);
+    expect(plan.purchases).toHaveLength(1);
+    expect(plan.purchases[0]).toMatchObject({ when: 'now', amount: 300, kwh: 150, costPerKwh: 2 });
+    expect(plan.blocks[0]).toMatchObject({ boughtKwh: 100, leftKwh: 250 });
+  });
+
+  test('only buys what is needed at dearer rates before the blocks reset', () => {
+    const plan = service.plan({
+      version,
+      nextVersion,
+      budget: 1500,
+      bought: { kwh: 300, amount: 600 },
+      date: '2025-10-22',
+      usage: { avgDailyKwh: 10, remainingKwh: 50 }
+    });
+
+    // 50 kWh fills block 1 (R100); 10 days need 100 kWh, minus 50 on the meter
+    // and the 50 just bought, so nothing more until the 1st. R800 now would be
+    // 150 kWh at R3 and 87.5 kWh at R4
+    expect(plan.daysLeft).toBe(10);
+    expect(plan.purchases.map(p => p.when)).toEqual(['now', 'after-reset']);
+    expect(plan.purchases[0]).toMatchObject({ amount: 100, kwh: 50 });
+    expect(plan.purchases[1]).toMatchObject({ date: '2025-11-01', amount: 800, kwh: 320 });
+    expect(plan.purchases[1].reason).toContain('instead of 237.5 kWh now');
+  });
+
+  test('tops up before the reset when usage needs it', () => {
+    const plan = service.plan({
+      version,
+      nextVersion,
+      budget: 1500,
+      bought: { kwh: 350, amount: 700 },
+      date: '2025-10-22',
+      usage: { avgDailyKwh: 20, remainingKwh: 0 }
+    });
+
+    // Block 1 is full: 200 kWh until the 1st is 150 at R3 and 50 at R4, then the rest
+    expect(plan.purchases.map(p => p.when)).toEqual(['before-reset', 'after-reset']);
+    expect(plan.purchases[0]).toMatchObject({ amount: 650, kwh: 200 });
+    expect(plan.purchases[1]).toMatchObject({ amount: 150, kwh: 60 });
+  });
+
+  test('works out the marginal cost of the next R100 without a budget', () => {
+    const plan = service.plan({ version, nextVersion, budget: null, bought: { kwh: 340, amount: 680 }, date: '2025-10-05' });
+
+    expect(plan.budget).toBeNull();
+    expect(plan.purchases).toEqual([]);
+
+    // 10 kWh at R2 and R80 / R3
+    expect(plan.nextHundred.kwh).toBe(36.67);
+    expect(plan.nextHundred.costPerKwh).toBe(2.73);
+    expect(plan.nextHundred.breakdown.map(b => b.block)).toEqual([1, 2]);
+  });
+
+  test('groups vouchers per month with units split across blocks', () => {
+    const vouchers = [
+      voucher(1, '2025-08-02', 300, { rand_amount: 600 }),
+      voucher(2, '2025-08-20', 125, { rand_amount: 300 }),
+      voucher(3, '2025-09-01', 100, { rand_amount: 200 }),
+      voucher(4, '2025-10-03', 350, { rand_amount: 700 })
+    ];
+    const history = service.history(vouchers, [version], { asOf: '2025-10-19' });
+
+    expect(history.map(m => m.month)).toEqual(['2025-08', '2025-09', '2025-10']);
+    // The second August voucher crosses 350 kWh: 50 at R2, 75 at R3
+    expect(history[0].blocks).toEqual([
+      { block: 1, rate: 2, kwh: 350 },
+      { block: 2, rate: 3, kwh: 75 }
+    ]);
+    expect(history[0].extraCost).toBe(75);
+    expect(history[1].blocks).toEqual([{ block: 1, rate: 2, kwh: 100 }]);
+
+    // Complete months only, in whole R10s
+    expect(service.suggestedBudget(history, '2025-10-19')).toBe(550);
+  });
+});
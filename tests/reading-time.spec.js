@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const readingTime = require('../services/readingTime.js').default;
+const ConsumptionService = require('../services/consumptionService.js').default;
+const { reading } = require('./utils/fixtures');
+
+test.describe('Reading Times', () => {
+  test('stores South African times in UTC', () => {
+    expect(readingTime.parse('2025-10-21T07:30')).toEqual({ readingAt: '2025-10-21T05:30:00Z', readingDate: '2025-10-21' });
+    expect(readingTime.parse('2025-10-21 00:30:00')).toEqual({ readingAt: '2025-10-20T22:30:00Z', readingDate: '2025-10-21' });
+
+    // Times with a zone are taken as sent
+    expect(readingTime.parse('2025-10-21T22:30:00.000Z')).toEqual({ readingAt: '2025-10-21T22:30:00Z', readingDate: '2025-10-22' });
+    expect(readingTime.parse('2025-10-21T07:30+01:00').readingAt).toBe('2025-10-21T06:30:00Z');
+  });
+
+  test('puts a date on its own at midday, but not after now', () => {
+    expect(readingTime.parse('2025-10-21').readingAt).toBe('2025-10-21T10:00:00Z');
+    expect(readingTime.parse('2025-10-21', '2025-10-21T06:15:00Z').readingAt).toBe('2025-10-21T06:15:00Z');
+    expect(readingTime.parse('2025-10-20', '2025-10-21T06:15:00Z').readingAt).toBe('2025-10-20T10:00:00Z');
+  });
+
+  test('rejects values that are not dates', () => {
+    for (const value of ['', null, '21/10/2025', '2025-02-30', '2025-10-21T24:00', 'yesterday']) {
+      expect(readingTime.parse(value)).toBeNull();
+    }
+  });
+
+  test('orders readings on the same day by time', () => {
+    const service = new ConsumptionService(null);
+    // Entered out of order: evening, then the morning before it
+    const intervals = service.buildIntervals([
+      reading(1, '2025-10-20T05:00:00Z', 100),
+      reading(3, '2025-10-20T17:00:00Z', 88),
+      reading(2, '2025-10-20T11:00:00Z', 95)
+    ], []);
+
+    expect(intervals.map(i => [i.startReadingId, i.endReadingId, i.hours, i.consumedKwh])).toEqual([
+      [1, 2, 6, 5],
+      [2, 3, 6, 7]
+    ]);
+    expect(intervals[1]).toMatchObject({ days: 0, startAt: '2025-10-20T11:00:00Z', avgHourlyKwh: 1.167 });
+  });
+
+  test('sums up what is used overnight', () => {
+    const service = new ConsumptionService(null);
+    const result = service.calculate([
+      reading(1, '2025-10-20T19:00:00Z', 100), // 21:00
+      reading(2, '2025-10-21T04:00:00Z', 91),  // 06:00 the next morning
+      reading(3, '2025-10-21T18:00:00Z', 79),  // 20:00
+      reading(4, '2025-10-22T05:00:00Z', 68)   // 07:00
+    ], []);
+
+    expect(result.overnight).toMatchObject({
+      nights: 2,
+      avgKwh: 10,
+      avgHourlyKwh: 1,
+      latest: { startAt: '2025-10-21T18:00:00Z', endAt: '2025-10-22T05:00:00Z', consumedKwh: 11 }
+    });
+
+    // Daytime readings alone say nothing about the night
+    expect(service.calculate([reading(1, '2025-10-21T06:00:00Z', 100), reading(2, '2025-10-21T14:00:00Z', 90)], []).overnight).toBeNull();
+  });
+});
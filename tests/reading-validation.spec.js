@@ -0,0 +1,124 @@
+const { test, expect } = require('@playwright/test');
+const ReadingValidationService = require('../services/readingValidationService.js').default;
+const { reading, voucher, fakeDb } = require('./utils/fixtures');
+
+// Ten kWh a day, read every five days, with a 200 kWh top-up on the 11th
+const readings = [
+  reading(1, '2025-10-01', 300),
+  reading(2, '2025-10-06', 250),
+  reading(3, '2025-10-11', 400),
+  reading(4, '2025-10-16', 350),
+  reading(5, '2025-10-21', 300)
+];
+const vouchers = [voucher(1, '2025-10-09', 200)];
+// 09:00 on the 22nd in South Africa
+const now = '2025-10-22T07:00:00Z';
+
+test.describe('Reading Validation', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new ReadingValidationService(null);
+  });
+
+  test('finds nothing wrong with a normal reading', () => {
+    expect(service.check({ reading_date: '2025-10-22T08:00', reading_value: 290 }, readings, vouchers, { now })).toEqual([]);
+    expect(service.analyse(readings, vouchers, { now })).toEqual([]);
+  });
+
+  test('flags future dates in South African time', () => {
+    const warnings = service.check({ reading_date: '2025-10-22T10:30', reading_value: 290 }, readings, vouchers, { now });
+    expect(warnings.map(w => w.code)).toEqual(['future_date']);
+
+    // Times with a zone are compared as sent
+    expect(service.check({ reading_at: '2025-10-22T06:30:00Z', reading_value: 290 }, readings, vouchers, { now })).toEqual([]);
+    expect(service.check({ reading_at: '2025-10-22T07:30:00Z', reading_value: 290 }, readings, vouchers, { now })[0].message)
+      .toContain('2025-10-22 09:30');
+  });
+
+  test('flags the same reading entered twice on one day', () => {
+    // An evening reading as well as the midday one is fine
+    expect(service.check({ reading_date: '2025-10-21T18:00', reading_value: 295 }, readings, vouchers, { now })).toEqual([]);
+
+    const warnings = service.check({ reading_date: '2025-10-21T18:00', reading_value: 300 }, readings, vouchers, { now });
+    expect(warnings.map(w => w.code)).toEqual(['duplicate_day']);
+    expect(warnings[0].message).toContain('300 kWh at 12:00');
+
+    // Another meter's reading that day is fine
+    const otherMeter = [...readings.map(r => ({ ...r, meter_id: 1 })), reading(6, '2025-10-21', 300, 2)];
+    expect(service.analyse(otherMeter, [], { now }).filter(w => w.code === 'duplicate_day')).toEqual([]);
+  });
+
+  test('flags credit that goes up without a voucher', () => {
+    const warnings = service.check({ reading_date: '2025-10-22T08:00', reading_value: 450 }, readings, vouchers, { now });
+    expect(warnings.map(w => w.code)).toEqual(['unexplained_increase']);
+    expect(warnings[0].message).toContain('with no voucher loaded in between');
+
+    // A backdated reading that makes the next one look wrong is flagged too
+    const backdated = service.check({ reading_date: '2025-10-13', reading_value: 200 }, readings, vouchers, { now });
+    expect(backdated.map(w => w.code)).toContain('unexplained_increase');
+  });
+
+  test('flags usage far above normal', () => {
+    // 60 kWh in one day against ten a day
+    const warnings = service.check({ reading_date: '2025-10-22T08:00', reading_value: 240 }, readings, vouchers, { now });
+    expect(warnings.map(w => w.code)).toEqual(['usage_spike']);
+    expect(warnings[0].message).toContain('usually uses 10 kWh a day');
+
+    // Not without enough history to know what normal is
+    expect(service.check({ reading_date: '2025-10-07', reading_value: 180 }, readings.slice(0, 2), [], { now })).toEqual([]);
+  });
+
+  test('checks a page of readings from the history around it', async () => {
+    // Ten kWh a day, read every five days for a year with a top-up every
+    // fifty, and a 60 kWh day at the end
+    const history = [];
+    const topUps = [];
+    let value = 500;
+    for (let i = 0; i < 73; i++) {
+      const day = new Date(Date.UTC(2025, 0, 1 + i * 5));
+      if (i > 0 && i % 10 === 0) {
+        topUps.push({ ...voucher(topUps.length + 1, day.toISOString().slice(0, 10), 500), reading_at: `${day.toISOString().slice(0, 10)}T00:00:00Z` });
+        value += 500;
+      }
+      history.push(reading(i + 1, `${day.toISOString().slice(0, 10)}T06:00:00Z`, value));
+      value -= 50;
+    }
+    const spike = reading(100, '2025-12-28T06:00:00Z', history[72].reading_value - 60);
+    history.push(spike);
+
+    // Answers the queries by what they filter on
+    const loaded = [];
+    const byTime = (a, b) => a.reading_at.localeCompare(b.reading_at);
+    const db = fakeDb((sql, params) => {
+      if (sql.includes('reading_at < ?')) {
+        return history.filter(r => r.reading_at < params[1]).sort(byTime).reverse().slice(0, 2);
+      }
+      if (sql.includes('reading_at > ?')) {
+        return history.filter(r => r.reading_at > params[1]).sort(byTime).slice(0, 1);
+      }
+      if (sql.includes('reading_at >= ?')) {
+        const rows = history.filter(r => r.reading_at >= params[1] && r.reading_at <= params[2]);
+        loaded.push(...rows);
+        return rows;
+      }
+      if (sql.includes('FROM vouchers') && sql.includes('BETWEEN')) {
+        return topUps.filter(v => v.purchase_date >= params[1] && v.purchase_date <= params[2]);
+      }
+      return sql.includes('FROM vouchers') ? topUps : history;
+    });
+    service = new ReadingValidationService(db);
+    const later = '2026-02-01T00:00:00Z';
+
+    const page = history.slice(-3);
+    const warnings = await service.checkReadings(3, page, later);
+    expect([...warnings.keys()]).toEqual([100]);
+    expect(warnings.get(100).map(w => w.code)).toEqual(['usage_spike']);
+    expect(warnings.get(100)[0].message).toContain('usually uses 10 kWh a day');
+    // Only the page and the 90 days before it were loaded
+    expect(loaded.length).toBeLessThan(25);
+    expect(warnings).toEqual(new Map([...(await service.checkTenant(3, later))].filter(([id]) => id === 100)));
+
+    expect(await service.checkReadings(3, [], later)).toEqual(new Map());
+  });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const RevisionService = require('../services/revisionService.js').default;
+
+test.describe('Revision History', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new RevisionService(null);
+  });
+
+  test('records only the fields that changed, by column name', () => {
+    const voucher = { token_number: '1393-1590-8399-0790-1839', purchase_date: '2025-09-01', rand_amount: 86.96, kwh_amount: 29.7, vat_amount: 13.04, notes: null };
+    const result = service.diff('voucher', voucher, { amount: '96.96', units: 29.7, notes: '', token: '1393-1590-8399-0790-1839' });
+
+    expect(result.changed).toBeTruthy();
+    expect(result.oldValues).toEqual({ rand_amount: 86.96 });
+    expect(result.newValues).toEqual({ rand_amount: 96.96 });
+  });
+
+  test('compares tokens in their canonical form', () => {
+    const voucher = { token_number: '1393-1590-8399-0790-1839' };
+    expect(service.diff('voucher', voucher, { token: '1393 1590 8399 0790 1839' }).changed).toBeFalsy();
+    expect(service.diff('voucher', voucher, { token: '13931590839907901830' }).newValues).toEqual({ token_number: '1393-1590-8399-0790-1830' });
+
+    // A copy renamed by the token numbers migration can still be edited
+    const copy = { token_number: '1393-1590-8399-0790-1839 (duplicate 12)', notes: null };
+    const edit = service.diff('voucher', copy, { token: '1393 1590 8399 0790 1839 (duplicate 12)', notes: 'Bought twice' });
+    expect(edit.newValues).toEqual({ notes: 'Bought twice' });
+    expect(service.validate('voucher', edit.newValues)).toBeNull();
+    expect(service.diff('voucher', copy, { token: '1393-1590-8399-0790-1830' }).newValues).toEqual({ token_number: '1393-1590-8399-0790-1830' });
+  });
+
+  test('reports no change when the values are the same', () => {
+    const reading = { reading_value: 242.7, reading_date: '2025-09-08', notes: 'Evening' };
+    expect(service.diff('reading', reading, { reading_value: '242.70', notes: 'Evening' }).changed).toBeFalsy();
+  });
+
+  test('clearing notes stores null', () => {
+    const result = service.diff('reading', { reading_value: 10, reading_date: '2025-09-08', notes: 'typo' }, { notes: '  ' });
+    expect(result.newValues).toEqual({ notes: null });
+  });
+
+  test('applies the same rules as creating a row', () => {
+    expect(service.validate('reading', { reading_value: -1 })).toContain('Reading value');
+    expect(service.validate('reading', { reading_value: NaN })).toContain('Reading value');
+    expect(service.validate('reading', { reading_at: null })).toBe('Reading date is required');
+    expect(service.validate('voucher', { rand_amount: 0 })).toBe('Amount must be greater than 0');
+    expect(service.validate('voucher', { kwh_amount: NaN })).toBe('Units must be greater than 0');
+    expect(service.validate('voucher', { token_number: null })).toBe('Token number is required');
+    expect(service.validate('voucher', { token_number: '1393-1590' })).toContain('20-digit STS number');
+    expect(service.validate('voucher', { purchase_date: 'yesterday' })).toBe('Purchase date must be YYYY-MM-DD, optionally with a time');
+    expect(service.validate('voucher', { purchase_date: '2025-02-30' })).toBe('Purchase date must be YYYY-MM-DD, optionally with a time');
+    expect(service.validate('voucher', { purchase_date: '2025-09-01T18:30' })).toBeNull();
+    expect(service.validate('voucher', { rand_amount: 100, vat_amount: 0 })).toBeNull();
+  });
+
+  test('snapshots the editable fields of a deleted row', () => {
+    const reading = { id: 4, user_id: 1, tenant_id: 1, reading_value: 100, reading_at: '2025-09-08T10:00:00Z', reading_date: '2025-09-08', notes: null, created_at: 'x' };
+    expect(service.snapshot('reading', reading)).toEqual({ reading_value: 100, reading_at: '2025-09-08T10:00:00Z', meter_id: null, notes: null });
+  });
+});
@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const SearchService = require('../services/searchService.js').default;
+const { fakeDb } = require('./utils/fixtures');
+
+// What highlight() marks matches with
+const mark = (text) => `\u0002${text}\u0003`;
+
+test.describe('Search', () => {
+  test('turns what was typed into an FTS5 query', () => {
+    const service = new SearchService(null);
+
+    expect(service.parseQuery('1393-1590')).toEqual({ match: '"13931590"' });
+    expect(service.parseQuery(' 1393 1590 ')).toEqual({ match: '"13931590"' });
+    expect(service.parseQuery('checkers 0490-491')).toEqual({ match: '"checkers" AND "0490491"' });
+    // Quotes can't break out of a term, so FTS5 operators are plain text
+    expect(service.parseQuery('NEAR("abc" AND xyz)')).toEqual({ match: '"NEAR(abc" AND "AND" AND "xyz)"' });
+
+    expect(service.parseQuery('  ').error).toBe('Enter something to search for');
+    expect(service.parseQuery('at the shop').error).toBe('Search words need at least 3 characters');
+    expect(service.parseQuery('one two three four five six seven eight nine').error).toBe('Search for at most 8 words');
+  });
+
+  test('maps digit matches back onto tokens as shown', () => {
+    const service = new SearchService(null);
+
+    expect(service.parts(`Bought at ${mark('Checkers')}`)).toEqual([
+      { text: 'Bought at ', match: false },
+      { text: 'Checkers', match: true }
+    ]);
+    expect(service.parts('Nothing matched')).toBeNull();
+
+    expect(service.numberParts('1393-1590-8399', `139${mark('31590')}8399`)).toEqual([
+      { text: '139', match: false },
+      { text: '3-1590', match: true },
+      { text: '-8399', match: false }
+    ]);
+    expect(service.numberParts('0900 0490 491', `0900${mark('0490491')}`)).toEqual([
+      { text: '0900 ', match: false },
+      { text: '0490 491', match: true }
+    ]);
+  });
+
+  test('searches one household with bound values', async () => {
+    const db = fakeDb([{
+      type: 'voucher',
+      id: 12,
+      token_highlight: `2694${mark('7066722')}231461137`,
+      meter_highlight: '09000490491',
+      notes_highlight: null,
+      date: '2025-07-18',
+      token_number: '2694-7066-7222-3146-1137',
+      meter_number: '09000490491',
+      notes: null
+    }]);
+    const service = new SearchService(db);
+
+    const { results } = await service.search(3, '7066-722', { limit: 500 });
+
+    expect(db.calls[0].sql).toContain('transaction_search MATCH ? AND transaction_search.tenant_id = ?');
+    expect(db.calls[0].params.slice(-3)).toEqual(['"7066722"', 3, 50]);
+    expect(results[0]).not.toHaveProperty('token_highlight');
+    expect(results[0].highlights).toEqual({
+      token: [
+        { text: '2694-', match: false },
+        { text: '7066-722', match: true },
+        { text: '2-3146-1137', match: false }
+      ],
+      meter_number: null,
+      notes: null
+    });
+
+    expect(await service.search(3, 'ab')).toEqual({ error: 'Search words need at least 3 characters' });
+    expect(db.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,120 @@
+const { test, expect } = require('@playwright/test');
+const SmsParserRegistry = require('../services/smsParserRegistry.js').default;
+const parsers = require('../services/smsParsers/index.js').default;
+
+// Every parser module ships its own sample messages - each one must be picked
+// up by that parser with all of its expected fields
+test.describe('SMS Parser Registry', () => {
+  let registry;
+
+  test.beforeEach(() => {
+    registry = new SmsParserRegistry();
+  });
+
+  for (const parser of parsers) {
+    test.describe(`${parser.name} format`, () => {
+      test('has sample messages', () => {
+        expect(parser.samples.length).toBeGreaterThan(0);
+      });
+
+      parser.samples.forEach((sample, index) => {
+        test(`parses sample ${index + 1}`, () => {
+          const result = registry.parse(sample.text);
+
+          expect(result.success).toBeTruthy();
+          expect(result.parser.id).toBe(parser.id);
+          expect(result.fields).toEqual(sample.expected);
+          expect(result.missing).toEqual([]);
+          expect(result.warnings).toEqual([]);
+          expect(result.confidence).toBeGreaterThanOrEqual(parser.signature ? 0.9 : 0.6);
+        });
+      });
+    });
+  }
+
+  test('prefers a vendor parser over the generic fallback', () => {
+    const result = registry.parse(parsers.find(p => p.id === 'capitec').samples[0].text);
+    expect(result.parser.id).toBe('capitec');
+    expect(result.confidence).toBe(1);
+  });
+
+  test('reports missing fields on a partial match', () => {
+    const result = registry.parse('FNB :-) Cape Town. Elec Amt: R86.96. Vat Amt: R13.04. Meter: 09000490491.');
+
+    expect(result.success).toBeTruthy();
+    expect(result.parser.id).toBe('fnb');
+    expect(result.missing).toEqual(['units', 'token']);
+    expect(result.confidence).toBeLessThan(0.9);
+  });
+
+  test('warns and lowers confidence when amount and units look swapped', () => {
+    const result = registry.parse('Absa: ELECTRICITY PURCHASE R31.20. METER 07123456789. TOKEN 1111 2222 3333 4444 5555. UNITS 100 KWH. VAT R4.07.');
+
+    expect(result.parser.id).toBe('absa');
+    expect(result.warnings).toHaveLength(1);
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  test('returns a structured diagnostic when nothing matches', () => {
+    const result = registry.parse('Your OTP for Capitec is 123456. Do not share it.');
+
+    expect(result.success).toBeFalsy();
+    expect(result.diagnostic.code).toBe('UNRECOGNISED_SMS');
+    expect(result.diagnostic.closestParser).toEqual({ id: 'capitec', name: 'Capitec' });
+    expect(result.diagnostic.attempts[0]).toMatchObject({ parser: 'capitec', signatureMatched: true, found: [] });
+    expect(result.diagnostic.hints).toHaveLength(3);
+    expect(result.diagnostic.supportedParsers.map(p => p.id)).toContain('municipal');
+  });
+
+  test('explains messages from unknown senders', () => {
+    const result = registry.parse('Hello, are we still on for dinner?');
+
+    expect(result.success).toBeFalsy();
+    expect(result.diagnostic.closestParser).toBeNull();
+    expect(result.diagnostic.message).toBe('This SMS does not match any supported bank or vendor format');
+  });
+
+  test('rejects duplicate parser ids', () => {
+    expect(() => registry.register(parsers[0])).toThrow('already registered');
+  });
+});
+
+test.describe('Batch SMS Splitting', () => {
+  const sample = (id, index = 0) => parsers.find(p => p.id === id).samples[index].text;
+  let registry;
+
+  test.beforeEach(() => {
+    registry = new SmsParserRegistry();
+  });
+
+  test('splits messages separated by blank lines and line breaks', () => {
+    const messages = registry.splitMessages(`${sample('fnb')}\n${sample('capitec')}\n\n${sample('nedbank')}`);
+    expect(messages).toEqual([sample('fnb'), sample('capitec'), sample('nedbank')]);
+  });
+
+  test('splits messages run together on one line at the vendor name', () => {
+    const messages = registry.splitMessages(`${sample('capitec')} ${sample('absa')} ${sample('shoprite-checkers', 1)}`);
+    expect(messages).toEqual([sample('capitec'), sample('absa'), sample('shoprite-checkers', 1)]);
+  });
+
+  test('keeps a message wrapped over several lines together', () => {
+    const wrapped = sample('fnb').replace('. Vat', '.\nVat').replace('. Credit', '.\nCredit').replace('. Units', '.\nUnits');
+    expect(registry.splitMessages(`${wrapped}\n\n${sample('fnb', 1)}`)).toHaveLength(2);
+  });
+
+  test('uses phone backup date stamps as the purchase date', () => {
+    const rows = registry.parseBatch(`2025/09/01 10:23 ${sample('fnb')}\n12/09/2025 18:02 ${sample('fnb', 1)}\n${sample('nedbank')}`);
+
+    expect(rows.map(r => r.date)).toEqual(['2025-09-01', '2025-09-12', '2025-09-12']);
+    expect(rows.every(r => r.success)).toBeTruthy();
+    expect(rows[0].text).toBe(sample('fnb'));
+  });
+
+  test('reports unrecognised messages per row', () => {
+    const rows = registry.parseBatch(`${sample('absa')}\n\nsee you at 6`);
+
+    expect(rows[0].success).toBeTruthy();
+    expect(rows[1]).toMatchObject({ row: 2, success: false, date: null });
+    expect(rows[1].diagnostic.code).toBe('UNRECOGNISED_SMS');
+  });
+});
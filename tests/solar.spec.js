@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const SolarService = require('../services/solarService.js').default;
+const CsvImportService = require('../services/csvImportService.js').default;
+const ConsumptionService = require('../services/consumptionService.js').default;
+const { reading, voucher } = require('./utils/fixtures');
+
+const generation = (id, generation_date, generated_kwh, exported_kwh = 0) => ({ id, generation_date, generated_kwh, exported_kwh, meter_id: null, inverter: null });
+
+const readings = [
+  reading(1, '2025-10-20T10:00:00Z', 100),
+  reading(2, '2025-10-22T10:00:00Z', 76)
+];
+// Already in the first reading's balance, but it sets the month's block
+const vouchers = [voucher(1, '2025-10-05', 300, { rand_amount: 600 })];
+const days = [
+  generation(1, '2025-09-30', 25, 2),
+  generation(2, '2025-10-21', 20, 5),
+  generation(3, '2025-10-22', 10),
+  generation(4, '2025-10-25', 6, 1)
+];
+
+test.describe('Solar Generation', () => {
+  test('checks a day\'s solar total', () => {
+    const service = new SolarService(null);
+
+    expect(service.validate({ date: '2025-10-21', generatedKwh: 18.4, exportedKwh: 3 })).toBeNull();
+    expect(service.validate({ date: '21/10/2025', generatedKwh: 18.4 })).toBe('Date must be YYYY-MM-DD');
+    expect(service.validate({ date: '2999-01-01', generatedKwh: 18.4 })).toBe("Solar totals can't be for a day in the future");
+    expect(service.validate({ date: '2025-10-21', generatedKwh: NaN })).toBe('Generated must be a number of 0 or more');
+    expect(service.validate({ date: '2025-10-21', generatedKwh: 18400 })).toContain('is the export in Wh?');
+    expect(service.validate({ date: '2025-10-21', generatedKwh: 5, exportedKwh: 6 })).toBe("Exported can't be more than was generated that day");
+  });
+
+  test('imports an inverter\'s daily export', () => {
+    const importer = new CsvImportService(null);
+    const rows = importer.parseCsv([
+      'Statistical Period,PV Yield(kWh),Export(kWh),Consumption(kWh)',
+      '2025-10-21 00:00:00,"18,4",3.2,22.1',
+      '2025-10-22,12,14,20',
+      '2025-10-23,18400,0,21',
+      '2025-10-21,17,0,19'
+    ].join('\n'));
+    const mapping = importer.suggestMapping(rows[0], 'generation');
+
+    expect(mapping).toEqual({ date: 'Statistical Period', generated: 'PV Yield(kWh)', exported: 'Export(kWh)' });
+
+    const results = importer.validate(rows, { type: 'generation', mapping, dateFormat: 'iso' });
+    expect(results[0]).toMatchObject({ row: 2, values: { date: '2025-10-21', generated: 18.4, exported: 3.2, inverter: null }, errors: [] });
+    expect(results[1].errors).toEqual(["Exported can't be more than was generated that day"]);
+    expect(results[2].errors[0]).toContain('is the export in Wh?');
+    expect(results[3].errors).toEqual(['There is already a solar total for this day earlier in this file']);
+  });
+
+  test('adds the solar used at home to grid usage for demand', () => {
+    const engine = new ConsumptionService(null);
+    const result = engine.calculate(readings, vouchers, { generation: days, from: '2025-10-01', to: '2025-10-31' });
+
+    // Demand is only known on days with grid usage
+    expect(result.daily).toEqual([
+      { date: '2025-10-21', kwh: 12, solarKwh: 20, exportedKwh: 5, demandKwh: 27 },
+      { date: '2025-10-22', kwh: 12, solarKwh: 10, exportedKwh: 0, demandKwh: 22 }
+    ]);
+    expect(result.monthly[0]).toMatchObject({ month: '2025-10', kwh: 24, solarKwh: 36, exportedKwh: 6, demandKwh: 49 });
+    expect(result.meters).toEqual([{ meterId: null, totalKwh: 24, solarKwh: 36 }]);
+    expect(result.summary).toMatchObject({
+      solarKwh: 36,
+      exportedKwh: 6,
+      selfConsumedKwh: 30,
+      demandKwh: 49,
+      solarSharePercent: 51,
+      // 30 kWh at the R2/kWh paid on average
+      solarSavedRand: 60,
+      solarSavingsBasis: 'average'
+    });
+
+    // Without solar totals the output is unchanged
+    expect(engine.calculate(readings, vouchers).daily).toEqual([{ date: '2025-10-21', kwh: 12 }, { date: '2025-10-22', kwh: 12 }]);
+  });
+
+  test('prices the solar used at home at the top of the month\'s blocks', () => {
+    const engine = new ConsumptionService(null);
+    const tariffVersions = [
+      { effective_from: '2024-07-01', blocks: [{ up_to: 310, rate: 2 }, { up_to: null, rate: 4 }], monthly_charge: 50 }
+    ];
+
+    const result = engine.calculate(readings, vouchers, { generation: days, tariffVersions, from: '2025-10-01', to: '2025-10-31' });
+
+    // 300 kWh were bought, so 10 of the 30 kWh are at R2 and 20 at R4; the
+    // monthly charge is paid either way
+    expect(result.monthly[0].solarSavedRand).toBe(100);
+    expect(result.summary).toMatchObject({ solarSavedRand: 100, solarSavingsBasis: 'tariff' });
+  });
+});
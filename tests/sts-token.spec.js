@@ -0,0 +1,18 @@
+const { test, expect } = require('@playwright/test');
+const stsToken = require('../services/stsToken.js').default;
+
+test.describe('STS Token', () => {
+  test('stores tokens in groups of four whatever the spacing', () => {
+    expect(stsToken.parse('13931590839907901839')).toBe('1393-1590-8399-0790-1839');
+    expect(stsToken.parse(' 1393 1590 8399 0790 1839 ')).toBe('1393-1590-8399-0790-1839');
+    expect(stsToken.parse('139315908-3990790\t1839')).toBe('1393-1590-8399-0790-1839');
+  });
+
+  test('rejects anything that is not 20 digits', () => {
+    expect(stsToken.parse('1393-1590-8399-0790')).toBeNull();
+    expect(stsToken.parse('1393-1590-8399-0790-18391')).toBeNull();
+    expect(stsToken.parse('1393-1590-8399-0790-183O')).toBeNull();
+    expect(stsToken.parse('')).toBeNull();
+    expect(stsToken.parse(null)).toBeNull();
+  });
+});
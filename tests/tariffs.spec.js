@@ -0,0 +1,98 @@
+const { test, expect } = require('@playwright/test');
+const TariffService = require('../services/tariffService.js').default;
+const { voucher, fakeDb } = require('./utils/fixtures');
+
+const versions = [
+  { effective_from: '2024-07-01', blocks: '[{"up_to":350,"rate":2},{"up_to":500,"rate":3},{"up_to":null,"rate":4}]', monthly_charge: 0 },
+  { effective_from: '2025-07-01', blocks: [{ up_to: 350, rate: 2.5 }, { up_to: null, rate: 5 }], monthly_charge: 50 }
+];
+
+test.describe('Tariffs', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new TariffService(null);
+  });
+
+  test('picks the version in force on the purchase date', () => {
+    expect(service.versionFor(versions, '2025-06-30').effective_from).toBe('2024-07-01');
+    expect(service.versionFor(versions, '2025-07-01T09:30').effective_from).toBe('2025-07-01');
+    expect(service.versionFor(versions, '2024-01-01')).toBeNull();
+  });
+
+  test('spreads a purchase across inclining blocks', () => {
+    const result = service.predict(versions[0], { amount: 1000, boughtKwh: 300 });
+
+    // 50 kWh left in block 1 (R100), 150 kWh in block 2 (R450), R450 / R4 in block 3
+    expect(result.breakdown).toEqual([
+      { block: 1, rate: 2, kwh: 50, cost: 100 },
+      { block: 2, rate: 3, kwh: 150, cost: 450 },
+      { block: 3, rate: 4, kwh: 112.5, cost: 450 }
+    ]);
+    expect(result.kwh).toBe(312.5);
+  });
+
+  test('takes the monthly charge off the first purchase only', () => {
+    expect(service.predict(versions[1], { amount: 300 })).toMatchObject({ kwh: 100, monthlyCharge: 50 });
+    expect(service.predict(versions[1], { amount: 300, boughtKwh: 100, boughtAmount: 300 })).toMatchObject({ kwh: 120, monthlyCharge: 0 });
+  });
+
+  test('flags vouchers whose units are off the prediction', () => {
+    const results = service.check([
+      voucher(2, '2025-06-20', 150, { rand_amount: 400 }),
+      voucher(1, '2025-06-01', 300, { rand_amount: 600 }),
+      voucher(3, '2025-06-25', 25, { rand_amount: 100 })
+    ], versions, 5);
+
+    // Voucher 2 comes after 300 kWh: 50 kWh at R2 then 100 kWh at R3
+    expect(results.get(1)).toEqual({ predictedKwh: 300, deviationPercent: 0, flagged: false });
+    expect(results.get(2)).toEqual({ predictedKwh: 150, deviationPercent: 0, flagged: false });
+    // 450 kWh bought: 50 kWh left in block 2 would need R150, so R100 buys 33.33 kWh
+    expect(results.get(3)).toMatchObject({ predictedKwh: 33.33, flagged: true });
+    expect(results.get(3).deviationPercent).toBeCloseTo(-25, 0);
+  });
+
+  test('blocks reset each month and per meter', () => {
+    const results = service.check([
+      voucher(1, '2025-06-01', 350, { rand_amount: 700, meter_id: 1 }),
+      voucher(2, '2025-06-02', 100, { rand_amount: 200, meter_id: 2 }),
+      voucher(3, '2025-07-01', 100, { rand_amount: 300, meter_id: 1 })
+    ], versions);
+
+    expect(results.get(2).predictedKwh).toBe(100);
+    expect(results.get(3).predictedKwh).toBe(100);
+  });
+
+  test('checks a page of vouchers against the rest of their month', async () => {
+    const june = [voucher(1, '2025-06-01', 300, { rand_amount: 600 }), voucher(2, '2025-06-20', 150, { rand_amount: 400 })];
+    const db = fakeDb((sql) => {
+      if (sql.includes('FROM tariff_versions')) {
+        return versions;
+      }
+      return sql.includes('FROM vouchers') ? june : [{ tariff_id: 1, tolerance_percent: 5 }];
+    });
+    const queries = db.calls;
+    service = new TariffService(db);
+
+    // Voucher 2 still comes after the 300 kWh bought earlier in June
+    const checks = await service.checkVouchers(3, [june[1]]);
+    expect([...checks.keys()]).toEqual([2]);
+    expect(checks.get(2)).toEqual({ predictedKwh: 150, deviationPercent: 0, flagged: false });
+    expect(queries[queries.length - 1].sql).toContain('substr(purchase_date, 1, 7) IN (?)');
+    expect(queries[queries.length - 1].params).toEqual([3, '2025-06']);
+
+    // Months are looked up 90 at a time
+    queries.length = 0;
+    const years = Array.from({ length: 100 }, (_, i) => voucher(10 + i, `${2000 + Math.floor(i / 12)}-${String(i % 12 + 1).padStart(2, '0')}-01`, 50, { rand_amount: 100 }));
+    await service.checkVouchers(3, years);
+    expect(queries.filter(q => q.sql.includes('substr(purchase_date')).map(q => q.params.length)).toEqual([91, 11]);
+  });
+
+  test('validates block tables', () => {
+    expect(service.validateBlocks([{ up_to: 350, rate: 2 }, { up_to: null, rate: 3 }])).toBeNull();
+    expect(service.validateBlocks([])).toBeTruthy();
+    expect(service.validateBlocks([{ up_to: 350, rate: 2 }, { up_to: 200, rate: 3 }, { up_to: null, rate: 4 }])).toContain('Block 2');
+    expect(service.validateBlocks([{ up_to: 350, rate: 2 }])).toContain('no upper limit');
+    expect(service.validateBlocks([{ up_to: null, rate: 0 }])).toContain('rate');
+  });
+});
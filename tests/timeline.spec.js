@@ -0,0 +1,83 @@
+const { test, expect } = require('@playwright/test');
+const TimelineService = require('../services/timelineService.js').default;
+const { reading, voucher } = require('./utils/fixtures');
+
+// Ten kWh a day, read every five days. The 200 kWh bought on the 9th was
+// loaded; the 100 kWh bought on the 13th never was.
+const readings = [
+  reading(1, '2025-10-01', 300),
+  reading(2, '2025-10-06', 250),
+  reading(3, '2025-10-11', 400),
+  reading(4, '2025-10-16', 350),
+  reading(5, '2025-10-21', 300),
+  reading(6, '2025-10-26', 250)
+];
+const vouchers = [
+  voucher(1, '2025-09-28', 80),
+  voucher(2, '2025-10-09', 200),
+  voucher(3, '2025-10-13', 100),
+  voucher(4, '2025-10-27', 150)
+];
+
+test.describe('Balance Timeline', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new TimelineService(null);
+  });
+
+  test('runs the balance through vouchers and readings', () => {
+    const { events } = service.build(readings, vouchers);
+
+    expect(events.map(e => `${e.type}:${e.id}`)).toEqual([
+      'voucher:1', 'reading:1', 'reading:2', 'voucher:2', 'reading:3',
+      'voucher:3', 'reading:4', 'reading:5', 'reading:6', 'voucher:4'
+    ]);
+
+    // Bought before the first reading, so already in its balance
+    expect(events[0]).toMatchObject({ position: 'before_first_reading', balanceKwh: null });
+    expect(events[1]).toMatchObject({ actualKwh: 300, expectedKwh: null, balanceKwh: 300 });
+
+    expect(events[3]).toMatchObject({ position: 'between_readings', balanceKwh: 450 });
+    expect(events[4]).toMatchObject({ previousKwh: 250, loadedKwh: 200, expectedKwh: 450, actualKwh: 400, discrepancyKwh: -50, usedKwh: 50, flag: null });
+
+    // Loaded since the last reading, so only expected so far
+    expect(events[9]).toMatchObject({ position: 'after_last_reading', balanceKwh: 400 });
+  });
+
+  test('points at a token that was bought but never loaded', () => {
+    const { events, summary } = service.build(readings, vouchers);
+    const reading4 = events.find(e => e.type === 'reading' && e.id === 4);
+
+    expect(reading4).toMatchObject({ expectedKwh: 500, actualKwh: 350, discrepancyKwh: -150, unexplainedKwh: 100, flag: 'unexplained_loss', suspectVoucherIds: [3] });
+    expect(reading4.message).toContain('was the 100 kWh token bought on 2025-10-13 loaded?');
+    expect(summary).toMatchObject({ vouchers: 4, readings: 6, loadedKwh: 530, unexplainedLossKwh: 100, flaggedReadings: 1 });
+  });
+
+  test('flags credit the vouchers don\'t explain', () => {
+    const { events } = service.build(readings.slice(0, 3), []);
+
+    expect(events[2]).toMatchObject({ expectedKwh: 250, actualKwh: 400, discrepancyKwh: 150, usedKwh: null, unexplainedKwh: 150, flag: 'unexplained_increase' });
+    expect(events[2].message).toContain('is a voucher missing?');
+  });
+
+  test('merges meters in time order and keeps each balance separate', () => {
+    const twoMeters = [
+      reading(1, '2025-10-01T05:00:00Z', 300, 1),
+      reading(2, '2025-10-01T06:00:00Z', 90, 2),
+      reading(3, '2025-10-02T05:00:00Z', 290, 1),
+      reading(4, '2025-10-02T06:00:00Z', 120, 2)
+    ];
+    const topUp = [voucher(1, '2025-10-01T20:00', 40, { meter_id: 2 })];
+
+    const { events } = service.build(twoMeters, topUp);
+    expect(events.map(e => `${e.type}:${e.id}`)).toEqual(['reading:1', 'reading:2', 'voucher:1', 'reading:3', 'reading:4']);
+    expect(events[2]).toMatchObject({ meterId: 2, balanceKwh: 130 });
+    expect(events[4]).toMatchObject({ meterId: 2, expectedKwh: 130, usedKwh: 10 });
+
+    // Ranges and meters only pick events; balances still come from before
+    const { events: meter2 } = service.build(twoMeters, topUp, { meterId: 2, from: '2025-10-02' });
+    expect(meter2.map(e => `${e.type}:${e.id}`)).toEqual(['reading:4']);
+    expect(meter2[0]).toMatchObject({ previousKwh: 90, loadedKwh: 40 });
+  });
+});
@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const TransactionService = require('../services/transactionService.js').default;
+const { fakeDb } = require('./utils/fixtures');
+
+test.describe('Transactions', () => {
+  test('parses the history page\'s filters', () => {
+    const service = new TransactionService(null);
+
+    expect(service.parseQuery({})).toMatchObject({ limit: 50, sort: 'date_desc', from: null, to: null, type: null, cursor: null });
+    expect(service.parseQuery({ month: '2024-02', type: 'voucher', min_amount: '50', max_amount: '200.5', user_id: '7', limit: '20', sort: 'amount_asc' }))
+      .toMatchObject({ from: '2024-02-01', to: '2024-02-29', type: 'voucher', minAmount: 50, maxAmount: 200.5, userId: 7, limit: 20, sort: 'amount_asc' });
+
+    expect(service.parseQuery({ month: "2025-10' OR 1=1 --" }).error).toBe('month must be YYYY-MM');
+    expect(service.parseQuery({ month: '2025-10', from: '2025-10-01' }).error).toBe('Use month or from/to, not both');
+    expect(service.parseQuery({ from: '2025-02-30' }).error).toBe('from must be YYYY-MM-DD');
+    expect(service.parseQuery({ from: '2025-10-05', to: '2025-10-01' }).error).toBe("from can't be after to");
+    expect(service.parseQuery({ type: 'settlement' }).error).toBe('type must be voucher or reading');
+    expect(service.parseQuery({ min_amount: '-1' }).error).toBe('min_amount must be a number of 0 or more');
+    expect(service.parseQuery({ min_amount: '90', max_amount: '10' }).error).toBe("min_amount can't be more than max_amount");
+    expect(service.parseQuery({ user_id: 'me' }).error).toBe('user_id must be a user id');
+    expect(service.parseQuery({ limit: '500' }).error).toBe('limit must be a whole number from 1 to 100');
+    expect(service.parseQuery({ sort: 'random' }).error).toContain('sort must be one of');
+    expect(service.parseQuery({ cursor: 'not-a-cursor' }).error).toBe('cursor is not valid for this sort');
+  });
+
+  test('only accepts a cursor for the sort it was made with', () => {
+    const service = new TransactionService(null);
+    const cursor = service.encodeCursor('date_desc', { type: 'reading', id: 12, sort_value: '2025-10-21T07:30:00' });
+
+    expect(service.parseQuery({ cursor }).cursor).toEqual({ sort: 'date_desc', value: '2025-10-21T07:30:00', type: 'reading', id: 12 });
+    expect(service.parseQuery({ cursor, sort: 'amount_desc' }).error).toBe('cursor is not valid for this sort');
+  });
+
+  test('pages through vouchers and readings with bound values', async () => {
+    const rows = [
+      { type: 'voucher', id: 3, sort_value: '2025-10-22T18:00:00' },
+      { type: 'reading', id: 9, sort_value: '2025-10-22T07:00:00' },
+      { type: 'reading', id: 8, sort_value: '2025-10-21T07:00:00' }
+    ];
+    const db = fakeDb(rows);
+    const service = new TransactionService(db);
+    const options = service.parseQuery({ from: '2025-10-01', to: '2025-10-31', user_id: '5', limit: '2' });
+
+    const page = await service.page(2, options, { meterId: 4 });
+
+    const [{ sql, params }] = db.calls;
+    expect(sql).toContain('UNION ALL');
+    expect(sql).not.toContain('2025-10');
+    // Vouchers bought on the 31st are before the 1st of the next month
+    expect(params).toEqual([2, '2025-10-01', '2025-11-01', 5, 4, 2, '2025-10-01', '2025-10-31', 5, 4, 3]);
+
+    // One extra row is asked for to know there is another page
+    expect(page.rows).toEqual(rows.slice(0, 2));
+    expect(service.decodeCursor(page.nextCursor)).toEqual({ sort: 'date_desc', value: '2025-10-22T07:00:00', type: 'reading', id: 9 });
+
+    const next = fakeDb([]);
+    const last = await new TransactionService(next).page(2, service.parseQuery({ cursor: page.nextCursor, limit: '2' }));
+    expect(next.calls[0].sql).toContain('(sort_date, type, id) < (?, ?, ?)');
+    expect(next.calls[0].params.slice(-4)).toEqual(['2025-10-22T07:00:00', 'reading', 9, 3]);
+    expect(last).toEqual({ rows: [], nextCursor: null });
+  });
+
+  test('leaves readings out of amount filters and sorts', async () => {
+    const db = fakeDb();
+    const service = new TransactionService(db);
+
+    await service.page(2, service.parseQuery({ sort: 'amount_desc' }));
+    expect(db.calls[0].sql).not.toContain('FROM readings');
+    expect(db.calls[0].sql).toContain('ORDER BY amount DESC, type DESC, id DESC');
+
+    await service.page(2, service.parseQuery({ type: 'reading', min_amount: '10' }));
+    expect(db.calls).toHaveLength(1);
+  });
+
+  test('looks up a full page\'s details within the bound parameter limit', async () => {
+    const rows = Array.from({ length: 100 }, (_, i) => ({ type: 'voucher', id: i + 1 }));
+    const db = fakeDb();
+    await new TransactionService(db).details(2, [...rows, { type: 'reading', id: 7 }]);
+
+    expect(db.calls.map(call => call.params.length)).toEqual([91, 11, 2]);
+    expect(db.calls[1].params).toEqual([2, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100]);
+    expect(db.calls[2].sql).toContain('FROM readings');
+  });
+});
@@ -14,13 +14,14 @@ class ApiHelpers {
   }
 
   /**
-   * Create a request context for API calls
+   * Create a request context for API calls. Multipart requests leave the
+   * Content-Type to Playwright so it can add the boundary
    */
-  async createRequestContext() {
+  async createRequestContext({ multipart = false } = {}) {
     const context = await request.newContext({
       baseURL: this.baseURL,
       extraHTTPHeaders: {
-        'Content-Type': 'application/json',
+        ...(multipart ? {} : { 'Content-Type': 'application/json' }),
         'Accept': 'application/json'
       }
     });
@@ -279,16 +280,16 @@ class ApiHelpers {
   }
 
   /**
-   * Get transaction history
+   * Get a page of transaction history: { transactions, nextCursor }, plus
+   * totals and members on the first page. query takes the endpoint's
+   * filters, e.g. { month, type, sort, limit, cursor }
    */
-  async getTransactionHistory(token, month = null) {
+  async getTransactionHistory(token, query = {}) {
     const context = await this.createRequestContext();
     
     try {
-      let url = '/api/transactions';
-      if (month) {
-        url += `?month=${month}`;
-      }
+      const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value != null));
+      const url = params.toString() ? `/api/transactions?${params}` : '/api/transactions';
 
       const response = await context.get(url, {
         headers: {
@@ -308,6 +309,22 @@ class ApiHelpers {
     }
   }
 
+  /**
+   * Get every transaction matching a query, following nextCursor page by page
+   */
+  async getAllTransactions(token, query = {}) {
+    const transactions = [];
+    let cursor = null;
+
+    do {
+      const page = await this.getTransactionHistory(token, { ...query, cursor });
+      transactions.push(...page.transactions);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return transactions;
+  }
+
   /**
    * Clean up all test data
    * NOTE: This would require direct database access or admin endpoints
@@ -434,6 +451,130 @@ class ApiHelpers {
       await context.dispose();
     }
   }
+
+  /**
+   * Call an authenticated endpoint and return the response with its JSON
+   * body, whatever the status. options are Playwright's (data, multipart).
+   */
+  async authedRequest(token, method, path, options = {}) {
+    const context = await this.createRequestContext({ multipart: !!options.multipart });
+
+    try {
+      const response = await context.fetch(path, {
+        ...options,
+        method,
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      const responseBody = await response.json().catch(() => null);
+      return { response, body: responseBody };
+    } finally {
+      await context.dispose();
+    }
+  }
+
+  /**
+   * Create an invite code for the admin's household
+   */
+  async createInviteCode(token) {
+    const { body } = await this.authedRequest(token, 'POST', '/api/tenants/invite', { data: {} });
+    if (!body?.code) {
+      throw new Error(`Create invite failed: ${body?.error || 'Unknown error'}`);
+    }
+    return body.code;
+  }
+
+  // Readings: reading_value with reading_at or reading_date
+
+  async createReading(token, reading) {
+    return this.authedRequest(token, 'POST', '/api/readings', { data: reading });
+  }
+
+  async updateReading(token, id, updates) {
+    return this.authedRequest(token, 'PUT', `/api/readings/${id}`, { data: updates });
+  }
+
+  async deleteReading(token, id) {
+    return this.authedRequest(token, 'DELETE', `/api/readings/${id}`);
+  }
+
+  // Vouchers: token, purchase_date, amount and units
+
+  async createVoucher(token, voucher) {
+    return this.authedRequest(token, 'POST', '/api/vouchers', { data: voucher });
+  }
+
+  async bulkCreateVouchers(token, vouchers) {
+    return this.authedRequest(token, 'POST', '/api/vouchers/bulk', { data: { vouchers } });
+  }
+
+  async updateVoucher(token, id, updates) {
+    return this.authedRequest(token, 'PUT', `/api/vouchers/${id}`, { data: updates });
+  }
+
+  async deleteVoucher(token, id) {
+    return this.authedRequest(token, 'DELETE', `/api/vouchers/${id}`);
+  }
+
+  async setVoucherStatus(token, id, status, loadedAt = undefined) {
+    return this.authedRequest(token, 'PUT', `/api/vouchers/${id}/status`, { data: { status, loaded_at: loadedAt } });
+  }
+
+  async getVoucherSplit(token, id) {
+    return this.authedRequest(token, 'GET', `/api/vouchers/${id}/split`);
+  }
+
+  async splitVoucher(token, id, method, shares) {
+    return this.authedRequest(token, 'PUT', `/api/vouchers/${id}/split`, { data: { method, shares } });
+  }
+
+  async removeVoucherSplit(token, id) {
+    return this.authedRequest(token, 'DELETE', `/api/vouchers/${id}/split`);
+  }
+
+  // Imports and backups
+
+  async importCsv(token, csv, { type = 'readings', ...options } = {}) {
+    return this.authedRequest(token, 'POST', '/api/import/csv', { data: { csv, type, ...options } });
+  }
+
+  async exportBackup(token) {
+    return this.authedRequest(token, 'GET', '/api/export/data?format=json');
+  }
+
+  async restoreBackup(token, backup, mode = 'merge') {
+    return this.authedRequest(token, 'POST', `/api/import/backup?mode=${mode}`, { data: backup });
+  }
+
+  // Photos of readings and vouchers
+
+  async uploadAttachment(token, entityType, entityId, photo) {
+    return this.authedRequest(token, 'POST', '/api/attachments', {
+      multipart: { entity_type: entityType, entity_id: String(entityId), photo }
+    });
+  }
+
+  async listAttachments(token, entityType, entityId) {
+    return this.authedRequest(token, 'GET', `/api/attachments?entity_type=${entityType}&entity_id=${entityId}`);
+  }
+
+  // Photo bytes are read before the context is disposed, which frees them
+  async downloadAttachment(token, id, { thumbnail = false } = {}) {
+    const context = await this.createRequestContext();
+
+    try {
+      const response = await context.get(`/api/attachments/${id}${thumbnail ? '/thumbnail' : ''}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      return { response, bytes: response.ok() ? await response.body() : null };
+    } finally {
+      await context.dispose();
+    }
+  }
+
+  async deleteAttachment(token, id) {
+    return this.authedRequest(token, 'DELETE', `/api/attachments/${id}`);
+  }
 }
 
 module.exports = { ApiHelpers };
@@ -0,0 +1,65 @@
+const readingTime = require('../../services/readingTime.js').default;
+
+/**
+ * Rows and a database stand-in for the service specs, which run the
+ * services directly rather than through the API
+ */
+
+/**
+ * A reading as the services load it. A date on its own makes a row from
+ * before readings had times; a timestamp also gets its South African day.
+ */
+function reading(id, when, readingValue, meterId = null) {
+  const row = /^\d{4}-\d{2}-\d{2}$/.test(when)
+    ? { id, reading_date: when }
+    : { id, reading_at: when, reading_date: readingTime.localDate(when) };
+  return { ...row, reading_value: readingValue, meter_id: meterId };
+}
+
+/**
+ * A voucher at R3 a kWh, bought but not loaded yet, unless fields says
+ * otherwise
+ */
+function voucher(id, purchaseDate, kwhAmount, fields = {}) {
+  return {
+    id,
+    purchase_date: purchaseDate,
+    kwh_amount: kwhAmount,
+    rand_amount: kwhAmount * 3,
+    meter_id: null,
+    status: 'purchased',
+    ...fields
+  };
+}
+
+/**
+ * A D1 stand-in that records each bound statement in `calls`. Queries
+ * answer with `rows`, or with rows(sql, params) when it is a function;
+ * run() answers with `run(sql, params)`, which can throw to fail a write.
+ */
+function fakeDb(rows = [], { run = () => ({ success: true, meta: { changes: 1, last_row_id: 1 } }) } = {}) {
+  const calls = [];
+  const answer = (sql, params) => (typeof rows === 'function' ? rows(sql, params) : rows) || [];
+
+  const statement = (sql, params = []) => ({
+    sql,
+    params,
+    all: async () => ({ results: answer(sql, params) }),
+    first: async () => answer(sql, params)[0] ?? null,
+    run: async () => run(sql, params)
+  });
+
+  return {
+    calls,
+    prepare: (sql) => ({
+      ...statement(sql),
+      bind: (...params) => {
+        calls.push({ sql, params });
+        return statement(sql, params);
+      }
+    }),
+    batch: async (statements) => Promise.all(statements.map(s => s.run()))
+  };
+}
+
+module.exports = { reading, voucher, fakeDb };
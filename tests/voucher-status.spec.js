@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const VoucherStatusService = require('../services/voucherStatusService.js').default;
+
+const { reading, voucher, fakeDb } = require('./utils/fixtures');
+
+// Ten kWh a day, read at 08:00 every second day
+const readings = [
+  reading(1, '2025-10-01T06:00:00Z', 300),
+  reading(2, '2025-10-03T06:00:00Z', 280),
+  reading(3, '2025-10-05T06:00:00Z', 260),
+  reading(4, '2025-10-07T06:00:00Z', 240)
+];
+const history = [voucher(1, '2025-09-20', 150, { status: 'loaded' })];
+
+test.describe('Voucher Status', () => {
+  let service;
+
+  test.beforeEach(() => {
+    service = new VoucherStatusService(null);
+  });
+
+  test('only lets purchased and loaded be set by hand', () => {
+    const now = '2025-10-08T10:00:00Z';
+
+    expect(service.parseStatusChange({ status: 'loaded' }, now)).toEqual({ status: 'loaded', loadedAt: now });
+    expect(service.parseStatusChange({ status: 'loaded', loaded_at: '2025-10-08 09:30' }, now)).toEqual({ status: 'loaded', loadedAt: '2025-10-08T07:30:00Z' });
+    expect(service.parseStatusChange({ status: 'purchased', loaded_at: '2025-10-08' }, now)).toEqual({ status: 'purchased', loadedAt: null });
+
+    expect(service.parseStatusChange({ status: 'verified' }, now).error).toContain('verified by saving a reading');
+    expect(service.parseStatusChange({ status: 'lost' }, now).error).toBe('status must be purchased or loaded');
+    expect(service.parseStatusChange({ status: 'loaded', loaded_at: 'yesterday' }, now).error).toContain('loaded_at must be');
+    expect(service.parseStatusChange({ status: 'loaded', loaded_at: '2025-10-09T08:00' }, now).error).toBe('loaded_at cannot be in the future');
+  });
+
+  test('matches a reading jump to the tokens that explain it', () => {
+    // 20 kWh used over two days, so 100 kWh loaded shows as an 80 kWh jump
+    const candidate = reading(null, '2025-10-09T06:00:00Z', 320);
+    const vouchers = [...history, voucher(2, '2025-10-06', 30), voucher(3, '2025-10-08', 70), voucher(4, '2025-10-08', 45)];
+
+    expect(service.matchJump(candidate, readings, vouchers).map(v => v.id)).toEqual([2, 3]);
+
+    // A token bought after the reading's day can't be in it
+    const later = [...history, voucher(5, '2025-10-10', 100)];
+    expect(service.matchJump(candidate, readings, later)).toEqual([]);
+
+    // Usage over the gap is only an estimate, so a jump a little off still matches
+    expect(service.matchJump(reading(null, '2025-10-09T06:00:00Z', 325), readings, [...history, voucher(6, '2025-10-08', 100)]).map(v => v.id)).toEqual([6]);
+    expect(service.matchJump(reading(null, '2025-10-09T06:00:00Z', 340), readings, [...history, voucher(6, '2025-10-08', 100)])).toEqual([]);
+  });
+
+  test('leaves out tokens already in the previous reading', () => {
+    // The 7th's reading went up by the 100 kWh loaded on the 6th
+    const loaded = [...readings.slice(0, 3), reading(4, '2025-10-07T06:00:00Z', 340)];
+    const vouchers = [
+      ...history,
+      voucher(2, '2025-10-06', 50, { status: 'verified', loaded_at: '2025-10-06T08:00:00Z' }),
+      voucher(3, '2025-10-06', 50, { status: 'loaded', loaded_at: '2025-10-06T08:00:00Z' })
+    ];
+    expect(service.matchJump(reading(null, '2025-10-09T06:00:00Z', 420), loaded, vouchers)).toEqual([]);
+
+    // Loaded by hand since the last reading, so this one should show it
+    const since = [...history, voucher(3, '2025-10-06', 100, { status: 'loaded', loaded_at: '2025-10-08T08:00:00Z' })];
+    expect(service.matchJump(reading(null, '2025-10-09T06:00:00Z', 320), readings, since).map(v => v.id)).toEqual([3]);
+
+    // With no earlier reading there's no jump to compare
+    expect(service.matchJump(reading(null, '2025-09-30T06:00:00Z', 300), readings, [voucher(7, '2025-09-29', 50)])).toEqual([]);
+  });
+
+  test('verifies matched tokens with the reading that showed them', () => {
+    service = new VoucherStatusService(fakeDb());
+
+    // The reading is found by its unique key, so this can share its insert's batch
+    const statement = service.verifyStatement(3, [2, 5], { userId: 7, meterId: null, readingAt: '2025-10-09T06:00:00Z' });
+    expect(statement.sql).toContain("status = 'verified', loaded_at = COALESCE(loaded_at, ?)");
+    expect(statement.sql).toContain('WHERE user_id = ? AND COALESCE(meter_id, 0) = COALESCE(?, 0) AND reading_at = ?');
+    expect(statement.sql).toContain('WHERE tenant_id = ? AND id IN (?, ?)');
+    expect(statement.params).toEqual(['2025-10-09T06:00:00Z', 7, null, '2025-10-09T06:00:00Z', 3, 2, 5]);
+
+    const token = '1393-1590-8399-0790-1839';
+    expect(service.summarise([voucher(2, '2025-10-06', 29.666, { token_number: token })])).toEqual([{ id: 2, token_number: token, kwh_amount: 29.67 }]);
+  });
+
+  test('lists a bounded number of unloaded tokens', async () => {
+    const db = fakeDb();
+    service = new VoucherStatusService(db);
+
+    expect(await service.unloaded(3, 'AND meter_id = ?', [4])).toEqual([]);
+    const [query] = db.calls;
+    expect(query.sql).toContain("status = 'purchased' AND meter_id = ?");
+    expect(query.sql).toContain('LIMIT ?');
+    expect(query.params).toEqual([3, 4, 20]);
+  });
+
+  test('takes imported tokens to be loaded when the meter was read since', () => {
+    const status = service.importedStatus(3, 4, '2025-10-06 12:00:00');
+    expect(status.clause).toContain("THEN 'loaded' ELSE 'purchased' END");
+    expect(status.clause).toContain('r.reading_date >= substr(?, 1, 10)');
+    expect(status.params).toEqual([3, 4, 4, '2025-10-06 12:00:00']);
+  });
+});